@@ -0,0 +1,180 @@
+const request = require('supertest');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const ApiKey = require('../../models/ApiKey');
+const Attendance = require('../../models/Attendance');
+const Staff = require('../../models/Staff');
+const User = require('../../models/User');
+const apiKeyRoutes = require('../../routes/apiKeyRoutes');
+const attendanceRoutes = require('../../routes/attendanceRoutes');
+const staffRoutes = require('../../routes/staffRoutes');
+const db = require('../testSetup');
+
+process.env.JWT_SECRET = 'test_secret_key';
+
+const app = express();
+app.use(express.json());
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/attendance', attendanceRoutes);
+app.use('/api/staff', staffRoutes);
+
+let token;
+
+beforeAll(async () => {
+  await db.connect();
+});
+
+beforeEach(async () => {
+  const admin = await User.create({
+    name: 'Admin',
+    userName: 'admin',
+    email: 'admin@example.com',
+    password: 'password',
+    role: 'admin',
+    twoFactorEnabled: true,
+  });
+  token = jwt.sign({ id: admin._id, mfa: true }, process.env.JWT_SECRET, { expiresIn: '30d' });
+});
+
+afterEach(async () => await db.clearDatabase());
+afterAll(async () => await db.closeDatabase());
+
+const createKey = (body) => request(app)
+  .post('/api/api-keys')
+  .set('Authorization', `Bearer ${token}`)
+  .send(body);
+
+describe('API Key Controller Tests', () => {
+  describe('POST /api/api-keys', () => {
+    it('should return the key once and store only its hash', async () => {
+      const response = await createKey({ name: 'Kiosk', scopes: ['attendance:mark'] });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.key).toMatch(/^hss_[a-f0-9]{48}$/);
+      expect(response.body.data.keyHash).toBeUndefined();
+      expect(response.body.data.prefix).toBe(response.body.data.key.slice(0, 12));
+
+      const stored = await ApiKey.findById(response.body.data._id).select('+keyHash');
+      expect(stored.keyHash).not.toBe(response.body.data.key);
+    });
+
+    it('should reject unknown scopes', async () => {
+      const response = await createKey({ name: 'Kiosk', scopes: ['staff:delete'] });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should reject a key without scopes', async () => {
+      const response = await createKey({ name: 'Kiosk', scopes: [] });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('GET /api/api-keys', () => {
+    it('should never list the key', async () => {
+      await createKey({ name: 'Kiosk', scopes: ['attendance:mark'] });
+
+      const response = await request(app)
+        .get('/api/api-keys')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.count).toBe(1);
+      expect(response.body.data[0].key).toBeUndefined();
+      expect(response.body.data[0].keyHash).toBeUndefined();
+      expect(response.body.data[0].status).toBe('active');
+    });
+  });
+
+  describe('Authenticating with an API key', () => {
+    let staff;
+
+    beforeEach(async () => {
+      staff = await Staff.create({ name: 'Nurse', staffId: 'N001', role: 'Nurse', shift: 'Morning' });
+    });
+
+    it('should quick mark attendance with the attendance:mark scope', async () => {
+      const created = await createKey({ name: 'Kiosk', scopes: ['attendance:mark'] });
+
+      const response = await request(app)
+        .post('/api/attendance/mark')
+        .set('X-API-Key', created.body.data.key)
+        .send({ staffId: 'N001', date: '2025-12-12' });
+
+      expect(response.status).toBe(201);
+      const record = await Attendance.findOne({ staffId: staff._id });
+      expect(record.markedByApiKey.toString()).toBe(created.body.data._id);
+      expect((await ApiKey.findById(created.body.data._id)).lastUsedAt).not.toBeNull();
+    });
+
+    it('should read attendance with the attendance:read scope', async () => {
+      const created = await createKey({ name: 'Payroll', scopes: ['attendance:read'] });
+
+      const response = await request(app)
+        .get('/api/attendance')
+        .set('X-API-Key', created.body.data.key);
+
+      expect(response.status).toBe(200);
+    });
+
+    it('should reject a key without the route scope', async () => {
+      const created = await createKey({ name: 'Payroll', scopes: ['attendance:read'] });
+
+      const response = await request(app)
+        .post('/api/attendance/mark')
+        .set('X-API-Key', created.body.data.key)
+        .send({ staffId: 'N001', date: '2025-12-12' });
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should reject keys on routes that do not accept them', async () => {
+      const created = await createKey({ name: 'Kiosk', scopes: ['attendance:read', 'attendance:mark'] });
+
+      const staffResponse = await request(app)
+        .get('/api/staff')
+        .set('X-API-Key', created.body.data.key);
+      const bulkResponse = await request(app)
+        .post('/api/attendance/bulk')
+        .set('X-API-Key', created.body.data.key)
+        .send({ date: '2025-12-12', attendanceList: [] });
+
+      expect(staffResponse.status).toBe(401);
+      expect(bulkResponse.status).toBe(401);
+    });
+
+    it('should reject revoked keys', async () => {
+      const created = await createKey({ name: 'Kiosk', scopes: ['attendance:read'] });
+
+      await request(app)
+        .delete(`/api/api-keys/${created.body.data._id}`)
+        .set('Authorization', `Bearer ${token}`);
+
+      const response = await request(app)
+        .get('/api/attendance')
+        .set('X-API-Key', created.body.data.key);
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should reject expired keys', async () => {
+      const created = await createKey({ name: 'Kiosk', scopes: ['attendance:read'], expiresInDays: 1 });
+      await ApiKey.findByIdAndUpdate(created.body.data._id, { expiresAt: new Date(Date.now() - 1000) });
+
+      const response = await request(app)
+        .get('/api/attendance')
+        .set('X-API-Key', created.body.data.key);
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should reject an unknown key', async () => {
+      const response = await request(app)
+        .get('/api/attendance')
+        .set('X-API-Key', 'hss_not_a_real_key');
+
+      expect(response.status).toBe(401);
+    });
+  });
+});
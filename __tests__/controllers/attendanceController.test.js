@@ -4,7 +4,10 @@ const mongoose = require('mongoose');
 const jwt = require('jsonwebtoken');
 const Attendance = require('../../models/Attendance');
 const Staff = require('../../models/Staff');
+const RosterAssignment = require('../../models/RosterAssignment');
+const RotationPattern = require('../../models/RotationPattern');
 const User = require('../../models/User');
+const AttendanceRevision = require('../../models/AttendanceRevision');
 const attendanceRoutes = require('../../routes/attendanceRoutes');
 const { connect, closeDatabase, clearDatabase } = require('../testSetup');
 
@@ -34,11 +37,13 @@ describe('Attendance Controller', () => {
       userName: 'admin',
       email: 'admin@test.com',
       password: 'password123',
+      role: 'admin',
+      twoFactorEnabled: true,
     });
     userId = user._id;
 
     // Generate token
-    token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, { expiresIn: '30d' });
+    token = jwt.sign({ id: user._id, mfa: true }, process.env.JWT_SECRET, { expiresIn: '30d' });
 
     // Create test staff members
     staff1 = await Staff.create({
@@ -108,6 +113,41 @@ describe('Attendance Controller', () => {
       expect(res.body.data.remarks).toBe('Updated');
     });
 
+    it('should refuse to mark a shift worked without the minimum rest', async () => {
+      await Attendance.create({ staffId: staffId1, date: new Date(2024, 11, 11), shift: 'Night', status: 'Present' });
+
+      const res = await request(app)
+        .post('/api/attendance')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          staffId: staffId1,
+          date: '2024-12-11',
+          shift: 'Morning',
+          status: 'Present',
+        });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('Attendance breaks working-time rules');
+      expect(res.body.violations[0].rule).toBe('minRestHours');
+      expect(await Attendance.countDocuments()).toBe(1);
+    });
+
+    it('should still mark a shift missed whatever the rules say', async () => {
+      await Attendance.create({ staffId: staffId1, date: new Date(2024, 11, 11), shift: 'Night', status: 'Present' });
+
+      const res = await request(app)
+        .post('/api/attendance')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          staffId: staffId1,
+          date: '2024-12-11',
+          shift: 'Morning',
+          status: 'Absent',
+        });
+
+      expect(res.status).toBe(201);
+    });
+
     it('should fail without authentication', async () => {
       const res = await request(app)
         .post('/api/attendance')
@@ -189,7 +229,7 @@ describe('Attendance Controller', () => {
               status: 'Present',
             },
             {
-              staffId: new mongoose.Types.ObjectId(), // Invalid ID
+              staffId: new mongoose.Types.ObjectId(), // No such staff
               date: '2024-12-11',
               shift: 'Evening',
               status: 'Present',
@@ -199,8 +239,9 @@ describe('Attendance Controller', () => {
 
       expect(res.status).toBe(201);
       expect(res.body.success).toBe(true);
-      expect(res.body.data.length).toBe(2); // Both records created (validation happens on save)
-      // errors field is null when all succeed, defined when there are errors
+      expect(res.body.data.length).toBe(1);
+      expect(res.body.errors).toEqual([expect.objectContaining({ error: 'Staff not found' })]);
+      expect(await Attendance.countDocuments()).toBe(1);
     });
   });
 
@@ -499,6 +540,45 @@ describe('Attendance Controller', () => {
       expect(res.body.success).toBe(false);
     });
 
+    it('should mark the attendance pre-created for the shift staff are rostered on', async () => {
+      const date = new Date(2025, 11, 18);
+      const assignment = await RosterAssignment.create({ staff: staffId1, date, shift: 'Night' });
+      const placeholder = await Attendance.create({ staffId: staffId1, date, shift: 'Night', assignment: assignment._id });
+
+      const res = await request(app)
+        .post('/api/attendance/mark')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ staffId: staffId1.toString(), date });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data._id).toBe(placeholder._id.toString());
+      expect(res.body.data.status).toBe('Present');
+      expect(await Attendance.countDocuments({ staffId: staffId1, date })).toBe(1);
+    });
+
+    it('should not mark staff on a day off of their rotation', async () => {
+      const pattern = await RotationPattern.create({
+        name: 'Alternate',
+        steps: ['Morning', 'Off'],
+        anchorDate: new Date(2025, 11, 1),
+      });
+      await Staff.findByIdAndUpdate(staffId1, { rotation: { pattern: pattern._id, offset: 0 } });
+
+      const off = await request(app)
+        .post('/api/attendance/mark')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ staffId: staffId1.toString(), date: new Date(2025, 11, 2) });
+      const leave = await request(app)
+        .post('/api/attendance/leave')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ staffId: staffId1.toString(), date: new Date(2025, 11, 2) });
+
+      expect(off.status).toBe(400);
+      expect(off.body.message).toBe('Staff member is not working on this day');
+      expect(leave.status).toBe(400);
+      expect(await Attendance.countDocuments({ staffId: staffId1 })).toBe(0);
+    });
+
     it('should fail with invalid staffId', async () => {
       const res = await request(app)
         .post('/api/attendance/mark')
@@ -595,4 +675,169 @@ describe('Attendance Controller', () => {
       expect(res.body.message).toBe('Staff not found');
     });
   });
+
+  describe('Attendance history and revert', () => {
+    let attendanceId;
+
+    beforeEach(async () => {
+      const attendance = await Attendance.create({
+        staffId: staffId1,
+        date: new Date('2024-12-11'),
+        shift: 'Morning',
+        status: 'Absent',
+        markedBy: userId,
+      });
+      attendanceId = attendance._id;
+
+      await request(app)
+        .put(`/api/attendance/${attendanceId}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ status: 'Present', remarks: 'Arrived late' });
+    });
+
+    it('should list every revision in order', async () => {
+      const res = await request(app)
+        .get(`/api/attendance/${attendanceId}/history`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.attendance.revision).toBe(2);
+      expect(res.body.count).toBe(2);
+      expect(res.body.data.map(r => r.revision)).toEqual([1, 2]);
+      expect(res.body.data.map(r => r.status)).toEqual(['Absent', 'Present']);
+      expect(res.body.data[1].remarks).toBe('Arrived late');
+      expect(res.body.data[1].markedBy.userName).toBe('admin');
+    });
+
+    it('should not create a revision when nothing marked changed', async () => {
+      const attendance = await Attendance.findById(attendanceId);
+      attendance.shift = 'Evening';
+      await attendance.save();
+
+      expect(await AttendanceRevision.countDocuments({ attendance: attendanceId })).toBe(2);
+    });
+
+    it('should revert to an earlier revision as a new revision', async () => {
+      const res = await request(app)
+        .post(`/api/attendance/${attendanceId}/revert`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ revision: 1 });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.status).toBe('Absent');
+      expect(res.body.data.revision).toBe(3);
+
+      const latest = await AttendanceRevision.findOne({ attendance: attendanceId, revision: 3 });
+      expect(latest.status).toBe('Absent');
+      expect(latest.revertedFrom).toBe(1);
+    });
+
+    it('should return 404 for an unknown revision', async () => {
+      const res = await request(app)
+        .post(`/api/attendance/${attendanceId}/revert`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ revision: 9 });
+
+      expect(res.status).toBe(404);
+      expect(res.body.message).toBe('Revision not found');
+    });
+
+    it('should reject reverting to the current revision', async () => {
+      const res = await request(app)
+        .post(`/api/attendance/${attendanceId}/revert`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ revision: 2 });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('should remove the history when the record is deleted', async () => {
+      await request(app)
+        .delete(`/api/attendance/${attendanceId}`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(await AttendanceRevision.countDocuments({ attendance: attendanceId })).toBe(0);
+    });
+  });
+
+  describe('Role-based access', () => {
+    let viewerToken, nurseToken;
+
+    beforeEach(async () => {
+      const viewer = await User.create({
+        name: 'Viewer',
+        userName: 'viewer',
+        email: 'viewer@test.com',
+        password: 'password123',
+        role: 'viewer',
+      });
+      const nurse = await User.create({
+        name: 'Charge Nurse',
+        userName: 'chargenurse',
+        email: 'charge@test.com',
+        password: 'password123',
+        role: 'charge_nurse',
+      });
+      viewerToken = jwt.sign({ id: viewer._id }, process.env.JWT_SECRET, { expiresIn: '30d' });
+      nurseToken = jwt.sign({ id: nurse._id }, process.env.JWT_SECRET, { expiresIn: '30d' });
+    });
+
+    it('should allow a viewer to read attendance', async () => {
+      const res = await request(app)
+        .get('/api/attendance')
+        .set('Authorization', `Bearer ${viewerToken}`);
+
+      expect(res.status).toBe(200);
+    });
+
+    it('should forbid a viewer from marking attendance', async () => {
+      const res = await request(app)
+        .post('/api/attendance/mark')
+        .set('Authorization', `Bearer ${viewerToken}`)
+        .send({ staffId: 'DOC001', date: '2025-12-12' });
+
+      expect(res.status).toBe(403);
+      expect(res.body.success).toBe(false);
+    });
+
+    it('should allow a charge nurse to mark attendance', async () => {
+      const res = await request(app)
+        .post('/api/attendance/mark')
+        .set('Authorization', `Bearer ${nurseToken}`)
+        .send({ staffId: 'DOC001', date: '2025-12-12' });
+
+      expect(res.status).toBe(201);
+    });
+
+    it('should forbid a charge nurse from deleting attendance', async () => {
+      const attendance = await Attendance.create({
+        staffId: staffId1,
+        date: new Date('2024-12-11'),
+        shift: 'Morning',
+        status: 'Present',
+      });
+
+      const res = await request(app)
+        .delete(`/api/attendance/${attendance._id}`)
+        .set('Authorization', `Bearer ${nurseToken}`);
+
+      expect(res.status).toBe(403);
+    });
+
+    it('should forbid a viewer from reverting attendance', async () => {
+      const attendance = await Attendance.create({
+        staffId: staffId1,
+        date: new Date('2024-12-11'),
+        shift: 'Morning',
+        status: 'Present',
+      });
+
+      const res = await request(app)
+        .post(`/api/attendance/${attendance._id}/revert`)
+        .set('Authorization', `Bearer ${viewerToken}`)
+        .send({ revision: 1 });
+
+      expect(res.status).toBe(403);
+    });
+  });
 });
@@ -0,0 +1,215 @@
+const request = require('supertest');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const Attendance = require('../../models/Attendance');
+const AuditLog = require('../../models/AuditLog');
+const Staff = require('../../models/Staff');
+const User = require('../../models/User');
+const attendanceRoutes = require('../../routes/attendanceRoutes');
+const auditRoutes = require('../../routes/auditRoutes');
+const staffRoutes = require('../../routes/staffRoutes');
+const userRoutes = require('../../routes/userRoutes');
+const { recordFailure } = require('../../utils/loginThrottle');
+const db = require('../testSetup');
+
+process.env.JWT_SECRET = 'test_secret_key';
+
+const app = express();
+app.use(express.json());
+app.use('/api/attendance', attendanceRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/staff', staffRoutes);
+app.use('/api/users', userRoutes);
+
+let token, admin, staff;
+
+beforeAll(async () => await db.connect());
+
+beforeEach(async () => {
+  admin = await User.create({
+    name: 'Admin',
+    userName: 'admin',
+    email: 'admin@example.com',
+    password: 'password',
+    role: 'admin',
+    twoFactorEnabled: true,
+  });
+  token = jwt.sign({ id: admin._id, mfa: true }, process.env.JWT_SECRET, { expiresIn: '30d' });
+  staff = await Staff.create({ name: 'Nurse', staffId: 'N001', role: 'Nurse', shift: 'Morning' });
+});
+
+afterEach(async () => await db.clearDatabase());
+afterAll(async () => await db.closeDatabase());
+
+const getAudit = (query = '') => request(app)
+  .get(`/api/audit${query}`)
+  .set('Authorization', `Bearer ${token}`);
+
+describe('Audit Controller Tests', () => {
+  describe('Recording changes', () => {
+    it('should record who changed an attendance status and from what', async () => {
+      const attendance = await Attendance.create({
+        staffId: staff._id,
+        date: new Date('2025-12-11'),
+        shift: 'Morning',
+        status: 'Absent',
+      });
+
+      await request(app)
+        .put(`/api/attendance/${attendance._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ status: 'Present' });
+
+      const response = await getAudit(`?entityType=Attendance&entityId=${attendance._id}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.count).toBe(1);
+      const [entry] = response.body.data;
+      expect(entry.action).toBe('update');
+      expect(entry.actor.userName).toBe('admin');
+      expect(entry.before.status).toBe('Absent');
+      expect(entry.after.status).toBe('Present');
+      expect(entry.ip).toBeDefined();
+    });
+
+    it('should record creates and deletes with the whole record', async () => {
+      const created = await request(app)
+        .post('/api/attendance')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ staffId: staff._id, date: '2025-12-12', shift: 'Morning', status: 'Present' });
+
+      await request(app)
+        .delete(`/api/attendance/${created.body.data._id}`)
+        .set('Authorization', `Bearer ${token}`);
+
+      const response = await getAudit(`?entityId=${created.body.data._id}`);
+
+      expect(response.body.data.map(entry => entry.action)).toEqual(['delete', 'create']);
+      expect(response.body.data[1].after.status).toBe('Present');
+      expect(response.body.data[0].before.status).toBe('Present');
+      expect(response.body.data[0].after).toBeNull();
+    });
+
+    it('should record staff changes', async () => {
+      await request(app)
+        .put(`/api/staff/${staff._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: 'Nurse Renamed' });
+
+      const response = await getAudit('?entityType=Staff&action=update');
+
+      expect(response.body.count).toBe(1);
+      expect(response.body.data[0].before).toEqual({ name: 'Nurse' });
+      expect(response.body.data[0].after).toEqual({ name: 'Nurse Renamed' });
+    });
+
+    it('should redact passwords in user changes', async () => {
+      const user = await User.create({
+        name: 'Someone',
+        userName: 'someone',
+        email: 'someone@example.com',
+        password: 'password123',
+      });
+
+      await request(app)
+        .put(`/api/users/${user._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ password: 'Correct-Horse-9', role: 'charge_nurse' });
+
+      const response = await getAudit(`?entityType=User&entityId=${user._id}`);
+      // Newest first: signing the user out after the reset comes after the change
+      const [signedOut, entry] = response.body.data;
+
+      expect(entry.before.role).toBe('viewer');
+      expect(entry.after.role).toBe('charge_nurse');
+      expect(entry.after.password).toBe('[REDACTED]');
+      expect(JSON.stringify(entry)).not.toContain('Correct-Horse-9');
+      expect(signedOut.before).toEqual({ tokenVersion: 0 });
+      expect(signedOut.after).toEqual({ tokenVersion: 1 });
+    });
+
+    it('should record failed logins and lockouts with the user as actor', async () => {
+      const user = await User.create({
+        name: 'Someone',
+        userName: 'someone',
+        email: 'someone@example.com',
+        password: 'password123',
+        failedLoginCount: 4,
+      });
+
+      await recordFailure({ ip: '10.0.0.1' }, user);
+
+      const response = await getAudit(`?entityType=User&entityId=${user._id}`);
+      const [entry] = response.body.data;
+
+      expect(entry.actor._id).toBe(user._id.toString());
+      expect(entry.before.failedLoginCount).toBe(4);
+      expect(entry.after.failedLoginCount).toBe(5);
+      expect(entry.after.lockUntil).toBeDefined();
+    });
+  });
+
+  describe('GET /api/audit', () => {
+    beforeEach(async () => {
+      await request(app)
+        .put(`/api/staff/${staff._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: 'Nurse Renamed' });
+    });
+
+    it('should filter by actor', async () => {
+      const mine = await getAudit(`?actor=${admin._id}`);
+      const other = await getAudit('?actor=507f1f77bcf86cd799439011');
+
+      expect(mine.body.count).toBe(1);
+      expect(other.body.count).toBe(0);
+    });
+
+    it('should filter by date range', async () => {
+      const today = new Date().toISOString().split('T')[0];
+
+      const current = await getAudit(`?startDate=${today}&endDate=${today}`);
+      const past = await getAudit('?startDate=2020-01-01&endDate=2020-01-31');
+
+      expect(current.body.count).toBe(1);
+      expect(past.body.count).toBe(0);
+    });
+
+    it('should reject invalid filters', async () => {
+      expect((await getAudit('?entityType=Invoice')).status).toBe(400);
+      expect((await getAudit('?actor=not-an-id')).status).toBe(400);
+    });
+
+    it('should not expose routes that change entries', async () => {
+      const [entry] = (await getAudit()).body.data;
+
+      const update = await request(app)
+        .put(`/api/audit/${entry._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ after: {} });
+      const remove = await request(app)
+        .delete(`/api/audit/${entry._id}`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(update.status).toBe(404);
+      expect(remove.status).toBe(404);
+      expect(await AuditLog.countDocuments()).toBe(1);
+    });
+
+    it('should forbid non-admin users', async () => {
+      const viewer = await User.create({
+        name: 'Viewer',
+        userName: 'viewer',
+        email: 'viewer@example.com',
+        password: 'password',
+      });
+      const viewerToken = jwt.sign({ id: viewer._id }, process.env.JWT_SECRET, { expiresIn: '30d' });
+
+      const response = await request(app)
+        .get('/api/audit')
+        .set('Authorization', `Bearer ${viewerToken}`);
+
+      expect(response.status).toBe(403);
+    });
+  });
+});
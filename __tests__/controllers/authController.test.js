@@ -2,7 +2,9 @@ const request = require('supertest');
 const express = require('express');
 const jwt = require('jsonwebtoken');
 const User = require('../../models/User');
+const LoginAttempt = require('../../models/LoginAttempt');
 const authRoutes = require('../../routes/authRoutes');
+const { setTransport } = require('../../utils/mailer');
 const db = require('../testSetup');
 
 // Mock JWT_SECRET
@@ -163,4 +165,449 @@ describe('Auth Controller Tests', () => {
       expect(response.body.success).toBe(false);
     });
   });
+
+  describe('POST /api/auth/refresh', () => {
+    let loginData;
+
+    beforeEach(async () => {
+      await User.create({
+        name: 'Refresh User',
+        userName: 'refreshuser',
+        email: 'refresh@example.com',
+        password: 'password123',
+      });
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ userName: 'refreshuser', password: 'password123' });
+      loginData = response.body.data;
+    });
+
+    it('should return a refresh token on login', () => {
+      expect(loginData.refreshToken).toBeDefined();
+      expect(typeof loginData.refreshToken).toBe('string');
+    });
+
+    it('should issue a new token pair for a valid refresh token', async () => {
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: loginData.refreshToken });
+
+      expect(response.status).toBe(200);
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.token).toBeDefined();
+      expect(response.body.data.refreshToken).not.toBe(loginData.refreshToken);
+    });
+
+    it('should detect reuse of a rotated refresh token and revoke the session', async () => {
+      const first = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: loginData.refreshToken });
+
+      const reuse = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: loginData.refreshToken });
+
+      expect(reuse.status).toBe(401);
+      expect(reuse.body.error).toBe('Refresh token reuse detected');
+
+      const afterReuse = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: first.body.data.refreshToken });
+
+      expect(afterReuse.status).toBe(401);
+    });
+
+    it('should let only one of two simultaneous refreshes with a token succeed', async () => {
+      const responses = await Promise.all([1, 2].map(() => request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: loginData.refreshToken })));
+
+      expect(responses.map(response => response.status).sort()).toEqual([200, 401]);
+    });
+
+    it('should fail with an unknown refresh token', async () => {
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: 'not-a-real-token' });
+
+      expect(response.status).toBe(401);
+      expect(response.body.error).toBe('Invalid refresh token');
+    });
+
+    it('should fail without a refresh token', async () => {
+      const response = await request(app).post('/api/auth/refresh').send({});
+
+      expect(response.status).toBe(400);
+      expect(response.body.success).toBe(false);
+    });
+  });
+
+  describe('POST /api/auth/logout', () => {
+    let loginData;
+
+    beforeEach(async () => {
+      await User.create({
+        name: 'Logout User',
+        userName: 'logoutuser',
+        email: 'logout@example.com',
+        password: 'password123',
+      });
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ userName: 'logoutuser', password: 'password123' });
+      loginData = response.body.data;
+    });
+
+    it('should revoke the refresh and access tokens of the session', async () => {
+      const response = await request(app)
+        .post('/api/auth/logout')
+        .send({ refreshToken: loginData.refreshToken });
+
+      expect(response.status).toBe(200);
+      expect(response.body.success).toBe(true);
+
+      const refreshResponse = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: loginData.refreshToken });
+      expect(refreshResponse.status).toBe(401);
+
+      const meResponse = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${loginData.token}`);
+      expect(meResponse.status).toBe(401);
+      expect(meResponse.body.error).toBe('Not authorized, token revoked');
+    });
+
+    it('should fail without a refresh token', async () => {
+      const response = await request(app).post('/api/auth/logout').send({});
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('POST /api/auth/change-password', () => {
+    let loginData;
+
+    beforeEach(async () => {
+      await User.create({
+        name: 'Change User',
+        userName: 'changeuser',
+        email: 'change@example.com',
+        password: 'password123',
+      });
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ userName: 'changeuser', password: 'password123' });
+      loginData = response.body.data;
+    });
+
+    it('should change password with the correct current password', async () => {
+      const response = await request(app)
+        .post('/api/auth/change-password')
+        .set('Authorization', `Bearer ${loginData.token}`)
+        .send({ currentPassword: 'password123', newPassword: 'newSecret456' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.token).toBeDefined();
+
+      const user = await User.findOne({ userName: 'changeuser' }).select('+password');
+      expect(user.password).not.toBe('newSecret456');
+      expect(await user.matchPassword('newSecret456')).toBe(true);
+
+      const oldRefresh = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: loginData.refreshToken });
+      expect(oldRefresh.status).toBe(401);
+    });
+
+    it('should list each password policy violation', async () => {
+      const response = await request(app)
+        .post('/api/auth/change-password')
+        .set('Authorization', `Bearer ${loginData.token}`)
+        .send({ currentPassword: 'password123', newPassword: 'short' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.code).toBe('PASSWORD_POLICY');
+      expect(response.body.violations.map(v => v.rule)).toEqual(['minLength', 'uppercase', 'digit']);
+    });
+
+    it('should reject a recently used password', async () => {
+      await request(app)
+        .post('/api/auth/change-password')
+        .set('Authorization', `Bearer ${loginData.token}`)
+        .send({ currentPassword: 'password123', newPassword: 'newSecret456' });
+      const relogin = await request(app)
+        .post('/api/auth/login')
+        .send({ userName: 'changeuser', password: 'newSecret456' });
+      await request(app)
+        .post('/api/auth/change-password')
+        .set('Authorization', `Bearer ${relogin.body.data.token}`)
+        .send({ currentPassword: 'newSecret456', newPassword: 'Another-Secret-7' });
+      const third = await request(app)
+        .post('/api/auth/login')
+        .send({ userName: 'changeuser', password: 'Another-Secret-7' });
+
+      const response = await request(app)
+        .post('/api/auth/change-password')
+        .set('Authorization', `Bearer ${third.body.data.token}`)
+        .send({ currentPassword: 'Another-Secret-7', newPassword: 'newSecret456' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.violations.map(v => v.rule)).toEqual(['history']);
+    });
+
+    it('should let a user with an expired password change it', async () => {
+      await User.updateOne(
+        { userName: 'changeuser' },
+        { passwordChangedAt: Date.now() - 100 * 24 * 60 * 60 * 1000 }
+      );
+
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ userName: 'changeuser', password: 'password123' });
+      expect(login.body.data.passwordExpired).toBe(true);
+
+      const response = await request(app)
+        .post('/api/auth/change-password')
+        .set('Authorization', `Bearer ${login.body.data.token}`)
+        .send({ currentPassword: 'password123', newPassword: 'newSecret456' });
+
+      expect(response.status).toBe(200);
+      const user = await User.findOne({ userName: 'changeuser' });
+      expect(Date.now() - user.passwordChangedAt).toBeLessThan(60 * 1000);
+    });
+
+    it('should fail with an incorrect current password', async () => {
+      const response = await request(app)
+        .post('/api/auth/change-password')
+        .set('Authorization', `Bearer ${loginData.token}`)
+        .send({ currentPassword: 'wrongpassword', newPassword: 'newSecret456' });
+
+      expect(response.status).toBe(401);
+      expect(response.body.error).toBe('Current password is incorrect');
+    });
+
+    it('should fail without authentication', async () => {
+      const response = await request(app)
+        .post('/api/auth/change-password')
+        .send({ currentPassword: 'password123', newPassword: 'newSecret456' });
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('Password reset flow', () => {
+    let sentMail;
+
+    beforeEach(async () => {
+      sentMail = [];
+      setTransport({ send: async (message) => sentMail.push(message) });
+      await User.create({
+        name: 'Reset User',
+        userName: 'resetuser',
+        email: 'reset@example.com',
+        password: 'password123',
+      });
+    });
+
+    afterEach(() => setTransport(null));
+
+    const extractToken = (mail) => mail.text.match(/token=([a-f0-9]+)/)[1];
+
+    it('should send a reset token to a registered email', async () => {
+      const response = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'reset@example.com' });
+
+      expect(response.status).toBe(200);
+      expect(sentMail).toHaveLength(1);
+      expect(sentMail[0].to).toBe('reset@example.com');
+    });
+
+    it('should not reveal whether an email is registered', async () => {
+      const response = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'nobody@example.com' });
+
+      expect(response.status).toBe(200);
+      expect(sentMail).toHaveLength(0);
+    });
+
+    it('should reset the password once with a valid token', async () => {
+      await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'reset@example.com' });
+      const resetToken = extractToken(sentMail[0]);
+
+      const response = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: resetToken, password: 'brandNew789' });
+
+      expect(response.status).toBe(200);
+
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ userName: 'resetuser', password: 'brandNew789' });
+      expect(login.status).toBe(200);
+
+      const reuse = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: resetToken, password: 'another123' });
+      expect(reuse.status).toBe(400);
+      expect(reuse.body.error).toBe('Invalid or expired reset token');
+    });
+
+    it('should apply the password policy to resets', async () => {
+      await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'reset@example.com' });
+      const resetToken = extractToken(sentMail[0]);
+
+      const response = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: resetToken, password: 'password123' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.code).toBe('PASSWORD_POLICY');
+    });
+
+    it('should reject an expired reset token', async () => {
+      await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'reset@example.com' });
+      const resetToken = extractToken(sentMail[0]);
+      await User.updateOne({ userName: 'resetuser' }, { passwordResetExpires: Date.now() - 1000 });
+
+      const response = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: resetToken, password: 'brandNew789' });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should let only one of two simultaneous resets use the token', async () => {
+      await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'reset@example.com' });
+      const resetToken = extractToken(sentMail[0]);
+
+      const responses = await Promise.all(['brandNew789', 'another456'].map(password => request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: resetToken, password })));
+
+      expect(responses.map(response => response.status).sort()).toEqual([200, 400]);
+    });
+
+    it('should reject an email that is not a string', async () => {
+      const response = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: { $ne: null } });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Please provide an email');
+      expect(sentMail).toHaveLength(0);
+    });
+  });
+
+  describe('Login throttling and lockout', () => {
+    beforeEach(async () => {
+      await User.create({
+        name: 'Lock User',
+        userName: 'lockuser',
+        email: 'lock@example.com',
+        password: 'password123',
+      });
+    });
+
+    it('should count failed attempts and record last login on success', async () => {
+      await request(app)
+        .post('/api/auth/login')
+        .send({ userName: 'lockuser', password: 'wrongpassword' });
+
+      let user = await User.findOne({ userName: 'lockuser' });
+      expect(user.failedLoginCount).toBe(1);
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ userName: 'lockuser', password: 'password123' });
+
+      user = await User.findOne({ userName: 'lockuser' });
+      expect(user.failedLoginCount).toBe(0);
+      expect(user.lastLoginAt).toBeDefined();
+    });
+
+    it('should delay further attempts after repeated failures', async () => {
+      for (let i = 0; i < 3; i++) {
+        await request(app)
+          .post('/api/auth/login')
+          .send({ userName: 'lockuser', password: 'wrongpassword' });
+      }
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ userName: 'lockuser', password: 'password123' });
+
+      expect(response.status).toBe(429);
+      expect(response.body.code).toBe('LOGIN_DELAYED');
+      expect(response.headers['retry-after']).toBeDefined();
+    });
+
+    it('should lock the account when the failure limit is reached', async () => {
+      await User.updateOne({ userName: 'lockuser' }, { failedLoginCount: 4 });
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ userName: 'lockuser', password: 'wrongpassword' });
+
+      expect(response.status).toBe(423);
+      expect(response.body.code).toBe('ACCOUNT_LOCKED');
+      expect(response.body.lockedUntil).toBeDefined();
+
+      const correct = await request(app)
+        .post('/api/auth/login')
+        .send({ userName: 'lockuser', password: 'password123' });
+      expect(correct.status).toBe(423);
+    });
+
+    it('should start counting again once a lock has expired', async () => {
+      await User.updateOne({ userName: 'lockuser' }, {
+        failedLoginCount: 5,
+        lastFailedLoginAt: new Date(Date.now() - 60 * 60 * 1000),
+        lockUntil: new Date(Date.now() - 30 * 60 * 1000),
+      });
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ userName: 'lockuser', password: 'wrongpassword' });
+
+      expect(response.status).toBe(401);
+      const user = await User.findOne({ userName: 'lockuser' });
+      expect(user.failedLoginCount).toBe(1);
+      expect(user.lockUntil).toBeNull();
+    });
+
+    it('should block an address with too many failures', async () => {
+      await LoginAttempt.create({
+        ip: '::ffff:127.0.0.1',
+        failedCount: 20,
+        lastFailedAt: new Date(),
+        lockedUntil: new Date(Date.now() + 60 * 1000),
+        expiresAt: new Date(Date.now() + 60 * 1000),
+      });
+      await LoginAttempt.create({
+        ip: '127.0.0.1',
+        failedCount: 20,
+        lastFailedAt: new Date(),
+        lockedUntil: new Date(Date.now() + 60 * 1000),
+        expiresAt: new Date(Date.now() + 60 * 1000),
+      });
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ userName: 'lockuser', password: 'password123' });
+
+      expect(response.status).toBe(429);
+      expect(response.body.code).toBe('IP_LOCKED');
+    });
+  });
 });
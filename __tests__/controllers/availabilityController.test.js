@@ -0,0 +1,162 @@
+const request = require('supertest');
+const express = require('express');
+const StaffAvailability = require('../../models/StaffAvailability');
+const Staff = require('../../models/Staff');
+const Shift = require('../../models/Shift');
+const RosterAssignment = require('../../models/RosterAssignment');
+const AuditLog = require('../../models/AuditLog');
+const staffRoutes = require('../../routes/staffRoutes');
+const meRoutes = require('../../routes/meRoutes');
+const rosterRoutes = require('../../routes/rosterRoutes');
+const db = require('../testSetup');
+
+process.env.JWT_SECRET = 'test_secret_key';
+
+const app = express();
+app.use(express.json());
+app.use('/api/staff', staffRoutes);
+app.use('/api/me', meRoutes);
+app.use('/api/roster', rosterRoutes);
+
+// A Monday
+const DAY = '2025-12-01';
+
+let managerToken, nurseToken, nurse;
+
+beforeAll(async () => await db.connect());
+
+beforeEach(async () => {
+  nurse = await Staff.create({ name: 'Nina', role: 'Nurse', shift: 'Morning' });
+  managerToken = await db.userFor('manager', 'ward_manager');
+  nurseToken = await db.userFor('nina', 'viewer', nurse);
+});
+
+afterEach(async () => await db.clearDatabase());
+afterAll(async () => await db.closeDatabase());
+
+const declare = (body, token = managerToken, path = `/api/staff/${nurse._id}/availability`) => request(app)
+  .put(path)
+  .set('Authorization', `Bearer ${token}`)
+  .send(body);
+
+describe('Availability Controller Tests', () => {
+  describe('/api/staff/:id/availability', () => {
+    it('should return an empty availability until one is declared', async () => {
+      const res = await request(app)
+        .get(`/api/staff/${nurse._id}/availability`)
+        .set('Authorization', `Bearer ${managerToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toEqual(expect.objectContaining({ unavailableDays: [], preferredShifts: [] }));
+    });
+
+    it('should let a manager declare availability', async () => {
+      const res = await declare({
+        unavailableDays: [1],
+        preferredShifts: ['Morning'],
+        blackoutDates: ['2025-12-24'],
+      });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.unavailableDays).toEqual([1]);
+      expect(res.body.data.blackoutDates).toHaveLength(1);
+      expect(await AuditLog.countDocuments({ entityType: 'StaffAvailability', action: 'create' })).toBe(1);
+    });
+
+    it('should only change the fields sent', async () => {
+      await declare({ unavailableDays: [1], preferredShifts: ['Morning'] });
+
+      const res = await declare({ preferredShifts: ['Night'] });
+
+      expect(res.body.data.unavailableDays).toEqual([1]);
+      expect(res.body.data.preferredShifts).toEqual(['Night']);
+      expect(await StaffAvailability.countDocuments()).toBe(1);
+    });
+
+    it('should reject unknown shifts once shifts are defined', async () => {
+      await Shift.create({ name: 'Morning', code: 'M', startTime: '08:00', endTime: '16:00' });
+
+      const res = await declare({ preferredShifts: ['Siesta'] });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Shift not found: Siesta');
+    });
+
+    it('should not let staff change someone\'s availability here', async () => {
+      const res = await declare({ unavailableDays: [1] }, nurseToken);
+
+      expect(res.status).toBe(403);
+    });
+  });
+
+  describe('/api/me/availability', () => {
+    it('should let staff declare their own availability', async () => {
+      const res = await declare({ unavailableDays: [0, 6] }, nurseToken, '/api/me/availability');
+      const own = await request(app).get('/api/me/availability').set('Authorization', `Bearer ${nurseToken}`);
+
+      expect(res.status).toBe(200);
+      expect(own.body.data.unavailableDays).toEqual([0, 6]);
+      expect(own.body.data.staff).toBe(nurse._id.toString());
+    });
+
+    it('should need a linked staff record', async () => {
+      const res = await declare({ unavailableDays: [0] }, managerToken, '/api/me/availability');
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('Flagging the roster', () => {
+    beforeEach(async () => {
+      await declare({ unavailableDays: [1], preferredShifts: ['Morning'] });
+    });
+
+    it('should flag new assignments against availability', async () => {
+      const res = await request(app)
+        .post('/api/roster')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ staffId: nurse._id, date: DAY, shift: 'Night' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.conflicts.map(conflict => conflict.type)).toEqual(['unavailableDay', 'preference']);
+    });
+
+    it('should list conflicting assignments with the roster', async () => {
+      await RosterAssignment.create({ staff: nurse._id, date: DAY, shift: 'Morning' });
+
+      const res = await request(app)
+        .get(`/api/roster?date=${DAY}`)
+        .set('Authorization', `Bearer ${managerToken}`);
+
+      expect(res.body.conflicts).toHaveLength(1);
+      expect(res.body.conflicts[0].conflicts[0].type).toBe('unavailableDay');
+    });
+
+    it('should flag staff on a shift in the coverage check', async () => {
+      const res = await request(app)
+        .get(`/api/staff?date=${DAY}`)
+        .set('Authorization', `Bearer ${managerToken}`);
+
+      expect(res.body.shiftStatus.Morning.availabilityConflicts).toEqual([
+        expect.objectContaining({ conflicts: [expect.objectContaining({ type: 'unavailableDay' })] }),
+      ]);
+    });
+
+    it('should keep availability from staff who do not roster', async () => {
+      const viewerToken = await db.userFor('viewer', 'viewer');
+      await RosterAssignment.create({ staff: nurse._id, date: DAY, shift: 'Morning' });
+
+      const roster = await request(app)
+        .get(`/api/roster?date=${DAY}`)
+        .set('Authorization', `Bearer ${viewerToken}`);
+      const coverage = await request(app)
+        .get(`/api/staff?date=${DAY}`)
+        .set('Authorization', `Bearer ${viewerToken}`);
+
+      expect(roster.status).toBe(200);
+      expect(roster.body.conflicts).toBeUndefined();
+      expect(coverage.status).toBe(200);
+      expect(coverage.body.shiftStatus.Morning.availabilityConflicts).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,226 @@
+const request = require('supertest');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const Department = require('../../models/Department');
+const Staff = require('../../models/Staff');
+const Attendance = require('../../models/Attendance');
+const AuditLog = require('../../models/AuditLog');
+const User = require('../../models/User');
+const departmentRoutes = require('../../routes/departmentRoutes');
+const staffRoutes = require('../../routes/staffRoutes');
+const attendanceRoutes = require('../../routes/attendanceRoutes');
+const db = require('../testSetup');
+
+process.env.JWT_SECRET = 'test_secret_key';
+
+const app = express();
+app.use(express.json());
+app.use('/api/departments', departmentRoutes);
+app.use('/api/staff', staffRoutes);
+app.use('/api/attendance', attendanceRoutes);
+
+let adminToken, managerToken, icu, pediatrics, icuNurse, pedsNurse;
+
+beforeAll(async () => await db.connect());
+
+beforeEach(async () => {
+  icu = await Department.create({ name: 'Intensive Care', code: 'ICU' });
+  pediatrics = await Department.create({ name: 'Pediatrics', code: 'PED' });
+
+  const admin = await User.create({
+    name: 'Admin',
+    userName: 'admin',
+    email: 'admin@example.com',
+    password: 'password',
+    role: 'admin',
+    twoFactorEnabled: true,
+  });
+  const manager = await User.create({
+    name: 'ICU Manager',
+    userName: 'icumanager',
+    email: 'icu.manager@example.com',
+    password: 'password',
+    role: 'ward_manager',
+    department: icu._id,
+  });
+  adminToken = jwt.sign({ id: admin._id, mfa: true }, process.env.JWT_SECRET, { expiresIn: '30d' });
+  managerToken = jwt.sign({ id: manager._id }, process.env.JWT_SECRET, { expiresIn: '30d' });
+
+  icuNurse = await Staff.create({ name: 'Nurse A', role: 'Nurse', shift: 'Morning', department: icu._id });
+  pedsNurse = await Staff.create({ name: 'Nurse B', role: 'Nurse', shift: 'Morning', department: pediatrics._id });
+  await Staff.create({ name: 'Dr. C', role: 'Doctor', shift: 'Morning' });
+});
+
+afterEach(async () => await db.clearDatabase());
+afterAll(async () => await db.closeDatabase());
+
+describe('Department Controller Tests', () => {
+  describe('CRUD /api/departments', () => {
+    it('should let an admin create a department', async () => {
+      const res = await request(app)
+        .post('/api/departments')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Emergency', code: 'ed' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.code).toBe('ED');
+      expect(await AuditLog.countDocuments({ entityType: 'Department', action: 'create' })).toBe(1);
+    });
+
+    it('should reject a duplicate code', async () => {
+      await Department.init();
+
+      const res = await request(app)
+        .post('/api/departments')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Intensive Care Unit', code: 'ICU' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('A department with this code already exists');
+    });
+
+    it('should forbid ward managers from creating departments', async () => {
+      const res = await request(app)
+        .post('/api/departments')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ name: 'Emergency', code: 'ED' });
+
+      expect(res.status).toBe(403);
+    });
+
+    it('should list departments for any user', async () => {
+      const res = await request(app)
+        .get('/api/departments')
+        .set('Authorization', `Bearer ${managerToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.map(d => d.code)).toEqual(['ICU', 'PED']);
+    });
+
+    it('should deactivate a department', async () => {
+      const res = await request(app)
+        .put(`/api/departments/${pediatrics._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ isActive: false });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.isActive).toBe(false);
+    });
+
+    it('should not delete a department with staff', async () => {
+      const res = await request(app)
+        .delete(`/api/departments/${pediatrics._id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.status).toBe(400);
+      expect(await Department.countDocuments()).toBe(2);
+    });
+
+    it('should delete an unused department', async () => {
+      const emergency = await Department.create({ name: 'Emergency', code: 'ED' });
+
+      const res = await request(app)
+        .delete(`/api/departments/${emergency._id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.status).toBe(200);
+      expect(await Department.exists({ _id: emergency._id })).toBeNull();
+    });
+  });
+
+  describe('Department filters', () => {
+    it('should filter staff by department code', async () => {
+      const res = await request(app)
+        .get('/api/staff?department=PED')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.count).toBe(1);
+      expect(res.body.data[0].department.name).toBe('Pediatrics');
+    });
+
+    it('should report shift status per department', async () => {
+      const res = await request(app)
+        .get('/api/staff?groupBy=department')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(Object.keys(res.body.departmentStatus).sort()).toEqual(['Intensive Care', 'Pediatrics', 'Unassigned']);
+      expect(res.body.departmentStatus.Unassigned.count).toBe(1);
+      expect(res.body.departmentStatus.Pediatrics.shiftStatus.Morning.isFullyStaffed).toBe(false);
+    });
+
+    it('should filter attendance by department', async () => {
+      const date = new Date('2025-12-12');
+      await Attendance.create({ staffId: icuNurse._id, date, shift: 'Morning', status: 'Present' });
+      await Attendance.create({ staffId: pedsNurse._id, date, shift: 'Morning', status: 'Absent' });
+
+      const res = await request(app)
+        .get('/api/attendance?department=ICU&groupBy=department')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.body.count).toBe(1);
+      expect(res.body.data[0].staffId.name).toBe('Nurse A');
+      expect(res.body.grouped[0].department).toBe('Intensive Care');
+    });
+  });
+
+  describe('Managers restricted to their department', () => {
+    it('should only list their own department\'s staff', async () => {
+      const res = await request(app)
+        .get('/api/staff')
+        .set('Authorization', `Bearer ${managerToken}`);
+
+      expect(res.body.count).toBe(1);
+      expect(res.body.data[0].name).toBe('Nurse A');
+    });
+
+    it('should refuse another department\'s staff list', async () => {
+      const res = await request(app)
+        .get('/api/staff?department=PED')
+        .set('Authorization', `Bearer ${managerToken}`);
+
+      expect(res.status).toBe(403);
+    });
+
+    it('should refuse to update staff in another department', async () => {
+      const res = await request(app)
+        .put(`/api/staff/${pedsNurse._id}`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ shift: 'Evening' });
+
+      expect(res.status).toBe(403);
+      expect(res.body.error).toBe('Not authorized to access other departments');
+    });
+
+    it('should create staff in their own department by default', async () => {
+      const res = await request(app)
+        .post('/api/staff')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ name: 'Nurse D', role: 'Nurse', shift: 'Night' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.department).toBe(icu._id.toString());
+    });
+
+    it('should refuse to mark attendance for another department', async () => {
+      const res = await request(app)
+        .post('/api/attendance')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ staffId: pedsNurse._id, date: '2025-12-12', shift: 'Morning', status: 'Present' });
+
+      expect(res.status).toBe(403);
+    });
+
+    it('should only return their own department\'s attendance', async () => {
+      const date = new Date('2025-12-12');
+      await Attendance.create({ staffId: icuNurse._id, date, shift: 'Morning', status: 'Present' });
+      await Attendance.create({ staffId: pedsNurse._id, date, shift: 'Morning', status: 'Absent' });
+
+      const res = await request(app)
+        .get(`/api/attendance?staffId=${pedsNurse._id}`)
+        .set('Authorization', `Bearer ${managerToken}`);
+
+      expect(res.body.count).toBe(0);
+    });
+  });
+});
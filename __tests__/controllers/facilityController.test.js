@@ -0,0 +1,239 @@
+const request = require('supertest');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const Facility = require('../../models/Facility');
+const Staff = require('../../models/Staff');
+const Attendance = require('../../models/Attendance');
+const AuditLog = require('../../models/AuditLog');
+const User = require('../../models/User');
+const facilityRoutes = require('../../routes/facilityRoutes');
+const staffRoutes = require('../../routes/staffRoutes');
+const attendanceRoutes = require('../../routes/attendanceRoutes');
+const userRoutes = require('../../routes/userRoutes');
+const db = require('../testSetup');
+
+process.env.JWT_SECRET = 'test_secret_key';
+
+const app = express();
+app.use(express.json());
+app.use('/api/facilities', facilityRoutes);
+app.use('/api/staff', staffRoutes);
+app.use('/api/attendance', attendanceRoutes);
+app.use('/api/users', userRoutes);
+
+let superToken, cityAdminToken, cityManagerToken, cityGeneral, riverside, cityNurse, riversideNurse;
+
+const signIn = (user, mfa = false) => jwt.sign({ id: user._id, mfa }, process.env.JWT_SECRET, { expiresIn: '30d' });
+
+beforeAll(async () => await db.connect());
+
+beforeEach(async () => {
+  cityGeneral = await Facility.create({ name: 'City General', code: 'CGH', timezone: 'Europe/London' });
+  riverside = await Facility.create({ name: 'Riverside Clinic', code: 'RSC' });
+
+  const superAdmin = await User.create({
+    name: 'Group Admin',
+    userName: 'groupadmin',
+    email: 'group.admin@example.com',
+    password: 'password',
+    role: 'super_admin',
+    twoFactorEnabled: true,
+  });
+  const cityAdmin = await User.create({
+    name: 'City Admin',
+    userName: 'cityadmin',
+    email: 'city.admin@example.com',
+    password: 'password',
+    role: 'admin',
+    twoFactorEnabled: true,
+    facility: cityGeneral._id,
+  });
+  const cityManager = await User.create({
+    name: 'City Manager',
+    userName: 'citymanager',
+    email: 'city.manager@example.com',
+    password: 'password',
+    role: 'ward_manager',
+    facility: cityGeneral._id,
+  });
+  superToken = signIn(superAdmin, true);
+  cityAdminToken = signIn(cityAdmin, true);
+  cityManagerToken = signIn(cityManager);
+
+  cityNurse = await Staff.create({ name: 'Nurse A', role: 'Nurse', shift: 'Morning', facility: cityGeneral._id });
+  riversideNurse = await Staff.create({ name: 'Nurse B', role: 'Nurse', shift: 'Morning', facility: riverside._id });
+});
+
+afterEach(async () => await db.clearDatabase());
+afterAll(async () => await db.closeDatabase());
+
+describe('Facility Controller Tests', () => {
+  describe('CRUD /api/facilities', () => {
+    it('should let a super admin create a facility', async () => {
+      const res = await request(app)
+        .post('/api/facilities')
+        .set('Authorization', `Bearer ${superToken}`)
+        .send({ name: 'Hillside Hospital', code: 'HSH', timezone: 'Asia/Kolkata' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.timezone).toBe('Asia/Kolkata');
+      expect(await AuditLog.countDocuments({ entityType: 'Facility', action: 'create' })).toBe(1);
+    });
+
+    it('should forbid facility admins from creating facilities', async () => {
+      const res = await request(app)
+        .post('/api/facilities')
+        .set('Authorization', `Bearer ${cityAdminToken}`)
+        .send({ name: 'Hillside Hospital', code: 'HSH' });
+
+      expect(res.status).toBe(403);
+    });
+
+    it('should only show other users their own facility', async () => {
+      const res = await request(app)
+        .get('/api/facilities')
+        .set('Authorization', `Bearer ${cityManagerToken}`);
+
+      expect(res.body.count).toBe(1);
+      expect(res.body.data[0].code).toBe('CGH');
+
+      const other = await request(app)
+        .get(`/api/facilities/${riverside._id}`)
+        .set('Authorization', `Bearer ${cityManagerToken}`);
+      expect(other.status).toBe(404);
+    });
+
+    it('should not delete a facility that has staff', async () => {
+      const res = await request(app)
+        .delete(`/api/facilities/${riverside._id}`)
+        .set('Authorization', `Bearer ${superToken}`);
+
+      expect(res.status).toBe(400);
+      expect(await Facility.countDocuments()).toBe(2);
+    });
+  });
+
+  describe('Isolation between facilities', () => {
+    it('should only list staff of the user\'s facility', async () => {
+      const res = await request(app)
+        .get('/api/staff')
+        .set('Authorization', `Bearer ${cityManagerToken}`);
+
+      expect(res.body.count).toBe(1);
+      expect(res.body.data[0].name).toBe('Nurse A');
+    });
+
+    it('should not find another facility\'s staff member', async () => {
+      const get = await request(app)
+        .get(`/api/staff/${riversideNurse._id}`)
+        .set('Authorization', `Bearer ${cityManagerToken}`);
+      expect(get.status).toBe(404);
+
+      const update = await request(app)
+        .put(`/api/staff/${riversideNurse._id}`)
+        .set('Authorization', `Bearer ${cityManagerToken}`)
+        .send({ shift: 'Night' });
+      expect(update.status).toBe(404);
+      expect((await Staff.findById(riversideNurse._id)).shift).toBe('Morning');
+    });
+
+    it('should create staff and their attendance in the user\'s facility', async () => {
+      const res = await request(app)
+        .post('/api/staff')
+        .set('Authorization', `Bearer ${cityManagerToken}`)
+        .send({ name: 'Nurse C', role: 'Nurse', shift: 'Night', facility: riverside._id });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.facility).toBe(cityGeneral._id.toString());
+      expect(await Attendance.countDocuments({ staffId: res.body.data._id, facility: cityGeneral._id })).toBe(7);
+    });
+
+    it('should not show or change another facility\'s attendance', async () => {
+      const date = new Date('2025-12-12');
+      await Attendance.create({ staffId: cityNurse._id, date, shift: 'Morning', status: 'Present' });
+      const hidden = await Attendance.create({ staffId: riversideNurse._id, date, shift: 'Morning', status: 'Absent' });
+
+      const list = await request(app)
+        .get('/api/attendance')
+        .set('Authorization', `Bearer ${cityManagerToken}`);
+      expect(list.body.count).toBe(1);
+      expect(list.body.data[0].staffId.name).toBe('Nurse A');
+
+      const update = await request(app)
+        .put(`/api/attendance/${hidden._id}`)
+        .set('Authorization', `Bearer ${cityManagerToken}`)
+        .send({ status: 'Present' });
+      expect(update.status).toBe(404);
+    });
+
+    it('should refuse to mark attendance for another facility\'s staff', async () => {
+      const res = await request(app)
+        .post('/api/attendance')
+        .set('Authorization', `Bearer ${cityManagerToken}`)
+        .send({ staffId: riversideNurse._id, date: '2025-12-12', shift: 'Morning', status: 'Present' });
+
+      expect(res.status).toBe(404);
+      expect(await Attendance.countDocuments()).toBe(0);
+    });
+
+    it('should let a super admin see every facility or pick one', async () => {
+      const all = await request(app)
+        .get('/api/staff')
+        .set('Authorization', `Bearer ${superToken}`);
+      expect(all.body.count).toBe(2);
+
+      const picked = await request(app)
+        .get('/api/staff')
+        .set('Authorization', `Bearer ${superToken}`)
+        .set('X-Facility-Id', riverside._id.toString());
+      expect(picked.body.count).toBe(1);
+      expect(picked.body.data[0].name).toBe('Nurse B');
+    });
+
+    it('should reject an unknown facility header', async () => {
+      const res = await request(app)
+        .get('/api/staff')
+        .set('Authorization', `Bearer ${superToken}`)
+        .set('X-Facility-Id', '674b1234567890abcdef0000');
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Facility not found');
+    });
+  });
+
+  describe('Users and facilities', () => {
+    it('should only list users of the admin\'s facility', async () => {
+      const res = await request(app)
+        .get('/api/users')
+        .set('Authorization', `Bearer ${cityAdminToken}`);
+
+      expect(res.body.data.map(u => u.userName).sort()).toEqual(['cityadmin', 'citymanager']);
+    });
+
+    it('should not let a facility admin grant super admin', async () => {
+      const res = await request(app)
+        .post('/api/users')
+        .set('Authorization', `Bearer ${cityAdminToken}`)
+        .send({ name: 'Sneaky', userName: 'sneaky', email: 'sneaky@example.com', password: 'Correct-Horse-9', role: 'super_admin' });
+
+      expect(res.status).toBe(403);
+    });
+
+    it('should let a super admin place a user in a facility', async () => {
+      const res = await request(app)
+        .post('/api/users')
+        .set('Authorization', `Bearer ${superToken}`)
+        .send({
+          name: 'Riverside Admin',
+          userName: 'rsadmin',
+          email: 'rs.admin@example.com',
+          password: 'Correct-Horse-9',
+          role: 'admin',
+          facility: 'RSC',
+        });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.facility).toBe(riverside._id.toString());
+    });
+  });
+});
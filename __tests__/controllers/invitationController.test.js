@@ -0,0 +1,261 @@
+const request = require('supertest');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const User = require('../../models/User');
+const Invitation = require('../../models/Invitation');
+const invitationRoutes = require('../../routes/invitationRoutes');
+const authRoutes = require('../../routes/authRoutes');
+const { setTransport } = require('../../utils/mailer');
+const db = require('../testSetup');
+
+process.env.JWT_SECRET = 'test_secret_key';
+
+const app = express();
+app.use(express.json());
+app.use('/api/invitations', invitationRoutes);
+app.use('/api/auth', authRoutes);
+
+let token;
+let sentMail;
+
+beforeAll(async () => {
+  await db.connect();
+});
+
+beforeEach(async () => {
+  sentMail = [];
+  setTransport({ send: async (message) => sentMail.push(message) });
+
+  const admin = await User.create({
+    name: 'Admin',
+    userName: 'admin',
+    email: 'admin@example.com',
+    password: 'password',
+    role: 'admin',
+    twoFactorEnabled: true,
+  });
+  token = jwt.sign({ id: admin._id, mfa: true }, process.env.JWT_SECRET, { expiresIn: '30d' });
+});
+
+afterEach(async () => {
+  setTransport(null);
+  await db.clearDatabase();
+});
+afterAll(async () => await db.closeDatabase());
+
+const invite = (body) => request(app)
+  .post('/api/invitations')
+  .set('Authorization', `Bearer ${token}`)
+  .send(body);
+
+describe('Invitation Controller Tests', () => {
+  describe('POST /api/invitations', () => {
+    it('should create an invitation and email the token', async () => {
+      const response = await invite({ email: 'Nurse@Test.com', role: 'charge_nurse' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.email).toBe('nurse@test.com');
+      expect(response.body.data.role).toBe('charge_nurse');
+      expect(response.body.data.status).toBe('pending');
+      expect(response.body.data.tokenHash).toBeUndefined();
+      expect(sentMail).toHaveLength(1);
+      expect(sentMail[0].to).toBe('nurse@test.com');
+      expect(sentMail[0].text).toContain(response.body.data.inviteToken);
+    });
+
+    it('should reject an email that already has an account', async () => {
+      const response = await invite({ email: 'admin@example.com' });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should reject a second pending invitation for the same email', async () => {
+      await invite({ email: 'nurse@test.com' });
+      const response = await invite({ email: 'nurse@test.com' });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should reject an unknown role', async () => {
+      const response = await invite({ email: 'nurse@test.com', role: 'superuser' });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should forbid non-admin users', async () => {
+      const viewer = await User.create({
+        name: 'Viewer',
+        userName: 'viewer',
+        email: 'viewer@test.com',
+        password: 'password',
+      });
+      const viewerToken = jwt.sign({ id: viewer._id }, process.env.JWT_SECRET, { expiresIn: '30d' });
+
+      const response = await request(app)
+        .post('/api/invitations')
+        .set('Authorization', `Bearer ${viewerToken}`)
+        .send({ email: 'nurse@test.com' });
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('GET /api/invitations', () => {
+    it('should filter invitations by status', async () => {
+      await invite({ email: 'pending@test.com' });
+      const revoked = await invite({ email: 'revoked@test.com' });
+      await Invitation.findByIdAndUpdate(revoked.body.data._id, { revokedAt: Date.now() });
+
+      const response = await request(app)
+        .get('/api/invitations?status=pending')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.count).toBe(1);
+      expect(response.body.data[0].email).toBe('pending@test.com');
+    });
+
+    it('should reject an unknown status', async () => {
+      const response = await request(app)
+        .get('/api/invitations?status=unknown')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('DELETE /api/invitations/:id', () => {
+    it('should revoke a pending invitation', async () => {
+      const created = await invite({ email: 'nurse@test.com' });
+
+      const response = await request(app)
+        .delete(`/api/invitations/${created.body.data._id}`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.status).toBe('revoked');
+
+      const register = await request(app)
+        .post('/api/auth/register')
+        .send({
+          inviteToken: created.body.data.inviteToken,
+          name: 'Nurse',
+          userName: 'nurse',
+          password: 'Correct-Horse-9',
+        });
+      expect(register.status).toBe(400);
+    });
+
+    it('should return 404 for non-existent invitation', async () => {
+      const response = await request(app)
+        .delete('/api/invitations/507f1f77bcf86cd799439011')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('POST /api/auth/register', () => {
+    it('should register with the invited email and role', async () => {
+      const created = await invite({ email: 'nurse@test.com', role: 'charge_nurse' });
+
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({
+          inviteToken: created.body.data.inviteToken,
+          name: 'Nurse',
+          userName: 'nurse',
+          email: 'other@test.com',
+          password: 'Correct-Horse-9',
+          role: 'admin',
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.email).toBe('nurse@test.com');
+      expect(response.body.data.role).toBe('charge_nurse');
+      expect(response.body.data.token).toBeDefined();
+      expect(response.body.data.refreshToken).toBeDefined();
+
+      const invitation = await Invitation.findById(created.body.data._id);
+      expect(invitation.status).toBe('accepted');
+    });
+
+    it('should not accept an invitation twice', async () => {
+      const created = await invite({ email: 'nurse@test.com' });
+      const body = {
+        inviteToken: created.body.data.inviteToken,
+        name: 'Nurse',
+        userName: 'nurse',
+        password: 'Correct-Horse-9',
+      };
+
+      await request(app).post('/api/auth/register').send(body);
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({ ...body, userName: 'nurse2' });
+
+      expect(response.status).toBe(400);
+      expect(await User.countDocuments({ email: 'nurse@test.com' })).toBe(1);
+    });
+
+    it('should let only one of two simultaneous registrations use an invitation', async () => {
+      const created = await invite({ email: 'nurse@test.com' });
+      const body = {
+        inviteToken: created.body.data.inviteToken,
+        name: 'Nurse',
+        password: 'Correct-Horse-9',
+      };
+
+      const responses = await Promise.all(['nurse', 'nurse2'].map(userName => request(app)
+        .post('/api/auth/register')
+        .send({ ...body, userName })));
+
+      expect(responses.map(response => response.status).sort()).toEqual([201, 400]);
+      expect(await User.countDocuments({ email: 'nurse@test.com' })).toBe(1);
+    });
+
+    it('should keep the invitation usable when creating the user fails', async () => {
+      const created = await invite({ email: 'nurse@test.com' });
+
+      const failed = await request(app)
+        .post('/api/auth/register')
+        .send({ inviteToken: created.body.data.inviteToken, userName: 'nurse', password: 'Correct-Horse-9' });
+      const retried = await request(app)
+        .post('/api/auth/register')
+        .send({ inviteToken: created.body.data.inviteToken, name: 'Nurse', userName: 'nurse', password: 'Correct-Horse-9' });
+
+      expect(failed.status).toBe(400);
+      expect(retried.status).toBe(201);
+    });
+
+    it('should reject an expired invitation', async () => {
+      const created = await invite({ email: 'nurse@test.com' });
+      await Invitation.findByIdAndUpdate(created.body.data._id, { expiresAt: new Date(Date.now() - 1000) });
+
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({
+          inviteToken: created.body.data.inviteToken,
+          name: 'Nurse',
+          userName: 'nurse',
+          password: 'Correct-Horse-9',
+        });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should require an invitation token', async () => {
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({
+          name: 'Nurse',
+          userName: 'nurse',
+          email: 'nurse@test.com',
+          password: 'Correct-Horse-9',
+        });
+
+      expect(response.status).toBe(400);
+      expect(await User.findOne({ userName: 'nurse' })).toBeNull();
+    });
+  });
+});
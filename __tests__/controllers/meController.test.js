@@ -0,0 +1,236 @@
+const request = require('supertest');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const Attendance = require('../../models/Attendance');
+const RosterAssignment = require('../../models/RosterAssignment');
+const Staff = require('../../models/Staff');
+const RotationPattern = require('../../models/RotationPattern');
+const User = require('../../models/User');
+const meRoutes = require('../../routes/meRoutes');
+const staffRoutes = require('../../routes/staffRoutes');
+const attendanceRoutes = require('../../routes/attendanceRoutes');
+const rosterRoutes = require('../../routes/rosterRoutes');
+const { connect, closeDatabase, clearDatabase } = require('../testSetup');
+
+process.env.JWT_SECRET = 'test_secret_key';
+
+const app = express();
+app.use(express.json());
+app.use('/api/me', meRoutes);
+app.use('/api/staff', staffRoutes);
+app.use('/api/attendance', attendanceRoutes);
+app.use('/api/roster', rosterRoutes);
+
+describe('Me Controller', () => {
+  let token, ownStaff, otherStaff;
+
+  beforeAll(async () => {
+    await connect();
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  beforeEach(async () => {
+    await clearDatabase();
+
+    ownStaff = await Staff.create({
+      name: 'Nurse Emily Davis',
+      staffId: 'N001',
+      role: 'Nurse',
+      shift: 'Morning',
+    });
+    otherStaff = await Staff.create({
+      name: 'Nurse Other',
+      staffId: 'N002',
+      role: 'Nurse',
+      shift: 'Night',
+    });
+
+    const user = await User.create({
+      name: 'Emily',
+      userName: 'emily',
+      email: 'emily@test.com',
+      password: 'password123',
+      staff: ownStaff._id,
+    });
+    token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, { expiresIn: '30d' });
+
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    await Attendance.create([
+      { staffId: ownStaff._id, date: today, shift: 'Morning', status: 'Present' },
+      { staffId: otherStaff._id, date: today, shift: 'Night', status: 'Absent' },
+    ]);
+  });
+
+  describe('GET /api/me/attendance', () => {
+    it('should only return the linked staff member\'s records', async () => {
+      const response = await request(app)
+        .get('/api/me/attendance')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.staff.staffId).toBe('N001');
+      expect(response.body.statistics.total).toBe(1);
+      expect(response.body.data[0].status).toBe('Present');
+    });
+
+    it('should ignore a staffId passed by the caller', async () => {
+      const response = await request(app)
+        .get(`/api/me/attendance?staffId=${otherStaff._id}`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.staff.staffId).toBe('N001');
+    });
+
+    it('should return 404 when no staff record is linked', async () => {
+      const unlinked = await User.create({
+        name: 'Unlinked',
+        userName: 'unlinked',
+        email: 'unlinked@test.com',
+        password: 'password123',
+      });
+      const unlinkedToken = jwt.sign({ id: unlinked._id }, process.env.JWT_SECRET, { expiresIn: '30d' });
+
+      const response = await request(app)
+        .get('/api/me/attendance')
+        .set('Authorization', `Bearer ${unlinkedToken}`);
+
+      expect(response.status).toBe(404);
+    });
+
+    it('should require authentication', async () => {
+      const response = await request(app).get('/api/me/attendance');
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('GET /api/me/weekly-stats', () => {
+    it('should return weekly statistics for the linked staff member', async () => {
+      const response = await request(app)
+        .get('/api/me/weekly-stats')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.staff.staffId).toBe('N001');
+      expect(response.body.statistics.present).toBe(1);
+      expect(response.body.statistics.absent).toBe(0);
+      expect(response.body.statistics.attendanceRate).toBe('100.0%');
+    });
+  });
+
+  describe('GET /api/me/schedule', () => {
+    it('should return the next 7 days with the assigned shift', async () => {
+      const response = await request(app)
+        .get('/api/me/schedule')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.count).toBe(7);
+      expect(response.body.data[0].status).toBe('Present');
+      expect(response.body.data[1]).toMatchObject({ shift: 'Morning', status: 'Scheduled' });
+    });
+
+    it('should follow the rotation and leave out its days off', async () => {
+      const today = new Date(new Date().setHours(0, 0, 0, 0));
+      const pattern = await RotationPattern.create({ name: 'Nights', steps: ['Off', 'Night'], anchorDate: today });
+      ownStaff.rotation = { pattern: pattern._id, offset: 0 };
+      await ownStaff.save();
+
+      const response = await request(app)
+        .get('/api/me/schedule')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.map(entry => entry.shift)).toEqual(['Morning', 'Night', 'Night', 'Night']);
+    });
+
+    it('should show unmarked attendance for the roster ahead as scheduled', async () => {
+      const tomorrow = new Date(new Date().setHours(0, 0, 0, 0));
+      tomorrow.setDate(tomorrow.getDate() + 1);
+      const assignment = await RosterAssignment.create({ staff: ownStaff._id, date: tomorrow, shift: 'Evening' });
+      await Attendance.create({ staffId: ownStaff._id, date: tomorrow, shift: 'Evening', assignment: assignment._id });
+
+      const response = await request(app)
+        .get('/api/me/schedule')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.body.data[1]).toMatchObject({ shift: 'Evening', status: 'Scheduled' });
+    });
+
+    it('should reject a range longer than 31 days', async () => {
+      const response = await request(app)
+        .get('/api/me/schedule?startDate=2025-01-01&endDate=2025-03-01')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should reject an end date before the start date', async () => {
+      const response = await request(app)
+        .get('/api/me/schedule?startDate=2025-01-10&endDate=2025-01-01')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('Other routes', () => {
+    const get = (path) => request(app).get(path).set('Authorization', `Bearer ${token}`);
+
+    it('should not list or show other staff members', async () => {
+      const list = await get('/api/staff');
+      const other = await get(`/api/staff/${otherStaff._id}`);
+      const otherStats = await get(`/api/staff/${otherStaff._id}/weekly-stats`);
+      const otherAvailability = await get(`/api/staff/${otherStaff._id}/availability`);
+      const own = await get(`/api/staff/${ownStaff._id}`);
+
+      expect(list.status).toBe(403);
+      expect(other.status).toBe(403);
+      expect(other.body.error).toBe('Not authorized to access other staff members');
+      expect(otherStats.status).toBe(403);
+      expect(otherAvailability.status).toBe(403);
+      expect(own.status).toBe(200);
+    });
+
+    it('should only list the linked staff member\'s attendance', async () => {
+      const all = await get('/api/attendance');
+      const asked = await get(`/api/attendance?staffId=${otherStaff._id}`);
+      const byStaff = await get(`/api/attendance/staff/${otherStaff._id}`);
+      const record = await Attendance.findOne({ staffId: otherStaff._id });
+      const history = await get(`/api/attendance/${record._id}/history`);
+
+      expect(all.status).toBe(200);
+      expect(all.body.data.map(entry => entry.staffId.staffId)).toEqual(['N001']);
+      expect(asked.body.count).toBe(0);
+      expect(byStaff.status).toBe(403);
+      expect(history.status).toBe(403);
+    });
+
+    it('should only list the linked staff member\'s roster', async () => {
+      const date = new Date();
+      date.setHours(0, 0, 0, 0);
+      await RosterAssignment.create({ staff: ownStaff._id, date, shift: 'Morning' });
+      const other = await RosterAssignment.create({ staff: otherStaff._id, date, shift: 'Night' });
+
+      const list = await get('/api/roster');
+      const single = await get(`/api/roster/${other._id}`);
+
+      expect(list.status).toBe(200);
+      expect(list.body.data.map(assignment => assignment.staff.staffId)).toEqual(['N001']);
+      expect(single.status).toBe(403);
+    });
+
+    it('should leave charge nurses able to see their colleagues', async () => {
+      await User.updateOne({ userName: 'emily' }, { role: 'charge_nurse' });
+
+      const response = await get(`/api/staff/${otherStaff._id}`);
+
+      expect(response.status).toBe(200);
+    });
+  });
+});
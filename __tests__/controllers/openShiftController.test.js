@@ -0,0 +1,208 @@
+const request = require('supertest');
+const express = require('express');
+const OpenShift = require('../../models/OpenShift');
+const Staff = require('../../models/Staff');
+const Attendance = require('../../models/Attendance');
+const RosterAssignment = require('../../models/RosterAssignment');
+const StaffingRequirement = require('../../models/StaffingRequirement');
+const Shift = require('../../models/Shift');
+const AuditLog = require('../../models/AuditLog');
+const openShiftRoutes = require('../../routes/openShiftRoutes');
+const db = require('../testSetup');
+
+process.env.JWT_SECRET = 'test_secret_key';
+
+const app = express();
+app.use(express.json());
+app.use('/api/open-shifts', openShiftRoutes);
+
+const dayAfter = (count) => {
+  const date = new Date(new Date().setHours(0, 0, 0, 0));
+  date.setDate(date.getDate() + count);
+  return date;
+};
+const tomorrow = dayAfter(1);
+
+let managerToken, nurseToken, doctorToken, nurse, doctor;
+
+beforeAll(async () => await db.connect());
+
+beforeEach(async () => {
+  nurse = await Staff.create({ name: 'Nina', role: 'Nurse', shift: 'Morning' });
+  doctor = await Staff.create({ name: 'Dr. Dan', role: 'Doctor', shift: 'Morning' });
+
+  managerToken = await db.userFor('manager', 'ward_manager');
+  nurseToken = await db.userFor('nina', 'viewer', nurse);
+  doctorToken = await db.userFor('dan', 'viewer', doctor);
+});
+
+afterEach(async () => await db.clearDatabase());
+afterAll(async () => await db.closeDatabase());
+
+const post = (path, token, body = {}) => request(app)
+  .post(`/api/open-shifts${path}`)
+  .set('Authorization', `Bearer ${token}`)
+  .send(body);
+
+const posting = (fields = {}) => OpenShift.create({
+  date: tomorrow,
+  shift: 'Evening',
+  role: 'Nurse',
+  slots: 1,
+  ...fields,
+});
+
+describe('Open Shift Controller Tests', () => {
+  describe('POST /api/open-shifts/generate', () => {
+    beforeEach(async () => {
+      await StaffingRequirement.create({ minimums: [{ role: 'Nurse', required: 2 }] });
+      await Shift.create([
+        { name: 'Morning', code: 'M', startTime: '08:00', endTime: '16:00' },
+        { name: 'Evening', code: 'E', startTime: '16:00', endTime: '23:59' },
+      ]);
+    });
+
+    it('should post each role a shift is short of', async () => {
+      const res = await post('/generate', managerToken, { startDate: tomorrow, endDate: tomorrow });
+
+      expect(res.status).toBe(201);
+      const byShift = Object.fromEntries(res.body.data.map(entry => [entry.shift, entry]));
+      expect(byShift.Morning).toEqual(expect.objectContaining({ role: 'Nurse', slots: 1, status: 'open' }));
+      expect(byShift.Evening.slots).toBe(2);
+      expect(await AuditLog.countDocuments({ entityType: 'OpenShift', action: 'create' })).toBe(res.body.count);
+    });
+
+    it('should not post the same shortfall twice', async () => {
+      await post('/generate', managerToken, { startDate: tomorrow, endDate: tomorrow });
+      const res = await post('/generate', managerToken, { startDate: tomorrow, endDate: tomorrow });
+
+      expect(res.body.count).toBe(0);
+      expect(await OpenShift.countDocuments({ shift: 'Morning' })).toBe(1);
+    });
+
+    it('should refuse past dates and staff without a manager role', async () => {
+      const past = await post('/generate', managerToken, { startDate: dayAfter(-2), endDate: tomorrow });
+      const forbidden = await post('/generate', nurseToken, { endDate: tomorrow });
+
+      expect(past.status).toBe(400);
+      expect(past.body.error).toBe('Open shifts cannot be posted for past dates');
+      expect(forbidden.status).toBe(403);
+    });
+  });
+
+  describe('POST /api/open-shifts/:id/claim', () => {
+    it('should record a claim from eligible staff', async () => {
+      const open = await posting();
+
+      const res = await post(`/${open._id}/claim`, nurseToken);
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.claims).toHaveLength(1);
+      expect(res.body.data.claims[0].status).toBe('pending');
+    });
+
+    it('should only let staff of the posted role claim', async () => {
+      const open = await posting();
+
+      const res = await post(`/${open._id}/claim`, doctorToken);
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Only Nurse staff can claim this shift');
+    });
+
+    it('should reject a claim that leaves too little rest', async () => {
+      await RosterAssignment.create({ staff: nurse._id, date: tomorrow, shift: 'Morning' });
+      const open = await posting();
+
+      const res = await post(`/${open._id}/claim`, nurseToken);
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Claim breaks working-time limits');
+      expect(res.body.violations[0].rule).toBe('minRestHours');
+      const saved = await OpenShift.findById(open._id);
+      expect(saved.claims[0].status).toBe('rejected');
+      expect(saved.claims[0].reason).toMatch(/hours of rest/);
+    });
+
+    it('should reject staff on leave that day', async () => {
+      await Attendance.create({ staffId: nurse._id, date: tomorrow, shift: 'Morning', status: 'Leave' });
+      const open = await posting();
+
+      const res = await post(`/${open._id}/claim`, nurseToken);
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Staff member is on leave on this day');
+    });
+  });
+
+  describe('Confirming claims', () => {
+    it('should roster the claimant and close a filled posting', async () => {
+      const open = await posting();
+      const claimed = await post(`/${open._id}/claim`, nurseToken);
+
+      const res = await post(`/${open._id}/claims/${claimed.body.data.claims[0]._id}/confirm`, managerToken);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.status).toBe('filled');
+      expect(res.body.data.claims[0].status).toBe('confirmed');
+      const assignment = await RosterAssignment.findOne({ staff: nurse._id });
+      expect(assignment.shift).toBe('Evening');
+      expect(assignment.date).toEqual(tomorrow);
+      expect(await Attendance.countDocuments({ assignment: assignment._id })).toBe(1);
+      expect(await AuditLog.countDocuments({ entityType: 'Attendance', action: 'create' })).toBe(1);
+    });
+
+    it('should not fill more slots than posted when claims are confirmed at the same time', async () => {
+      const other = await Staff.create({ name: 'Nora', role: 'Nurse', shift: 'Morning' });
+      const otherToken = await db.userFor('nora', 'viewer', other);
+      const open = await posting();
+      await post(`/${open._id}/claim`, nurseToken);
+      await post(`/${open._id}/claim`, otherToken);
+      const { claims } = await OpenShift.findById(open._id);
+
+      const responses = await Promise.all(claims
+        .map(claim => post(`/${open._id}/claims/${claim._id}/confirm`, managerToken)));
+
+      expect(responses.map(response => response.status).sort()).toEqual([200, 400]);
+      expect(await RosterAssignment.countDocuments({ shift: 'Evening' })).toBe(1);
+      const saved = await OpenShift.findById(open._id);
+      expect(saved.status).toBe('filled');
+      expect(saved.claims.map(claim => claim.status).sort()).toEqual(['confirmed', 'rejected']);
+    });
+
+    it('should re-check the limits when confirming', async () => {
+      const open = await posting();
+      const claimed = await post(`/${open._id}/claim`, nurseToken);
+      await RosterAssignment.create({ staff: nurse._id, date: dayAfter(2), shift: 'Night' });
+
+      const res = await post(`/${open._id}/claims/${claimed.body.data.claims[0]._id}/confirm`, managerToken);
+
+      expect(res.status).toBe(400);
+      expect(await RosterAssignment.countDocuments({ shift: 'Evening' })).toBe(0);
+      expect((await OpenShift.findById(open._id)).claims[0].status).toBe('rejected');
+    });
+
+    it('should let a manager reject a claim', async () => {
+      const open = await posting();
+      const claimed = await post(`/${open._id}/claim`, nurseToken);
+
+      const res = await post(`/${open._id}/claims/${claimed.body.data.claims[0]._id}/reject`, managerToken, {
+        note: 'Covered by agency',
+      });
+
+      expect(res.body.data.claims[0]).toEqual(expect.objectContaining({ status: 'rejected', reason: 'Covered by agency' }));
+    });
+  });
+
+  describe('GET /api/open-shifts', () => {
+    it('should show staff the postings for their role', async () => {
+      await posting();
+      await posting({ role: 'Doctor' });
+
+      const res = await request(app).get('/api/open-shifts').set('Authorization', `Bearer ${doctorToken}`);
+
+      expect(res.body.count).toBe(1);
+      expect(res.body.data[0].role).toBe('Doctor');
+    });
+  });
+});
@@ -0,0 +1,203 @@
+const request = require('supertest');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const Role = require('../../models/Role');
+const Staff = require('../../models/Staff');
+const StaffingRequirement = require('../../models/StaffingRequirement');
+const AuditLog = require('../../models/AuditLog');
+const User = require('../../models/User');
+const roleRoutes = require('../../routes/roleRoutes');
+const staffRoutes = require('../../routes/staffRoutes');
+const db = require('../testSetup');
+
+process.env.JWT_SECRET = 'test_secret_key';
+
+const app = express();
+app.use(express.json());
+app.use('/api/roles', roleRoutes);
+app.use('/api/staff', staffRoutes);
+
+let adminToken, managerToken, viewerToken;
+
+beforeAll(async () => await db.connect());
+
+beforeEach(async () => {
+  const admin = await User.create({
+    name: 'Admin',
+    userName: 'admin',
+    email: 'admin@example.com',
+    password: 'password',
+    role: 'admin',
+    twoFactorEnabled: true,
+  });
+  const manager = await User.create({
+    name: 'Manager',
+    userName: 'manager',
+    email: 'manager@example.com',
+    password: 'password',
+    role: 'ward_manager',
+  });
+  const viewer = await User.create({
+    name: 'Viewer',
+    userName: 'viewer',
+    email: 'viewer@example.com',
+    password: 'password',
+    role: 'viewer',
+  });
+  adminToken = jwt.sign({ id: admin._id, mfa: true }, process.env.JWT_SECRET, { expiresIn: '30d' });
+  managerToken = jwt.sign({ id: manager._id }, process.env.JWT_SECRET, { expiresIn: '30d' });
+  viewerToken = jwt.sign({ id: viewer._id }, process.env.JWT_SECRET, { expiresIn: '30d' });
+});
+
+afterEach(async () => await db.clearDatabase());
+afterAll(async () => await db.closeDatabase());
+
+const createDefaultRoles = async () => {
+  await Role.create({ name: 'Doctor', code: 'DR', staffIdPrefix: 'D' });
+  await Role.create({ name: 'Nurse', code: 'RN', staffIdPrefix: 'N' });
+  await Role.create({ name: 'Technician', code: 'TECH', staffIdPrefix: 'T' });
+};
+
+describe('Role Controller Tests', () => {
+  describe('POST /api/roles', () => {
+    it('should let a ward manager create a role', async () => {
+      await createDefaultRoles();
+
+      const res = await request(app)
+        .post('/api/roles')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ name: 'Senior Nurse', code: 'SRN', staffIdPrefix: 'N', countsAs: 'nurse' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.countsAs).toBe('Nurse');
+      expect(await AuditLog.countDocuments({ entityType: 'Role', action: 'create' })).toBe(1);
+    });
+
+    it('should reject a duplicate name in another case', async () => {
+      await Role.init();
+      await createDefaultRoles();
+
+      const res = await request(app)
+        .post('/api/roles')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ name: 'NURSE', code: 'N2', staffIdPrefix: 'N' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('A role with this name already exists');
+    });
+
+    it('should forbid viewers', async () => {
+      const res = await request(app)
+        .post('/api/roles')
+        .set('Authorization', `Bearer ${viewerToken}`)
+        .send({ name: 'Nurse', code: 'RN', staffIdPrefix: 'N' });
+
+      expect(res.status).toBe(403);
+    });
+  });
+
+  describe('GET /api/roles', () => {
+    it('should list roles and filter by active', async () => {
+      await createDefaultRoles();
+      await Role.create({ name: 'Orderly', code: 'ORD', staffIdPrefix: 'O', isActive: false });
+
+      const all = await request(app)
+        .get('/api/roles')
+        .set('Authorization', `Bearer ${viewerToken}`);
+      expect(all.body.count).toBe(4);
+
+      const active = await request(app)
+        .get('/api/roles?active=true')
+        .set('Authorization', `Bearer ${viewerToken}`);
+      expect(active.body.count).toBe(3);
+    });
+  });
+
+  describe('PUT /api/roles/:id', () => {
+    it('should rename the role everywhere it is used', async () => {
+      await createDefaultRoles();
+      const nurse = await Role.findOne({ name: 'Nurse' });
+      await Role.create({ name: 'Senior Nurse', code: 'SRN', staffIdPrefix: 'N', countsAs: 'Nurse' });
+      const staff = await Staff.create({ name: 'Jane', role: 'Nurse', shift: 'Morning' });
+      const rule = await StaffingRequirement.create({
+        minimums: [{ role: 'Doctor', required: 1 }, { role: 'Nurse', required: 3 }],
+      });
+
+      const res = await request(app)
+        .put(`/api/roles/${nurse._id}`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ name: 'Registered Nurse' });
+
+      expect(res.status).toBe(200);
+      expect((await Staff.findById(staff._id)).role).toBe('Registered Nurse');
+      expect((await Role.findOne({ code: 'SRN' })).countsAs).toBe('Registered Nurse');
+      expect((await StaffingRequirement.findById(rule._id)).minimums.map(m => m.role))
+        .toEqual(['Doctor', 'Registered Nurse']);
+    });
+  });
+
+  describe('DELETE /api/roles/:id', () => {
+    it('should refuse to delete a role staff hold', async () => {
+      await createDefaultRoles();
+      await Staff.create({ name: 'Jane', role: 'Nurse', shift: 'Morning' });
+      const nurse = await Role.findOne({ name: 'Nurse' });
+
+      const res = await request(app)
+        .delete(`/api/roles/${nurse._id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.status).toBe(400);
+    });
+
+    it('should delete an unused role', async () => {
+      const role = await Role.create({ name: 'Orderly', code: 'ORD', staffIdPrefix: 'O' });
+
+      const res = await request(app)
+        .delete(`/api/roles/${role._id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.status).toBe(200);
+      expect(await Role.countDocuments()).toBe(0);
+    });
+
+    it('should only allow admins to delete', async () => {
+      const role = await Role.create({ name: 'Orderly', code: 'ORD', staffIdPrefix: 'O' });
+
+      const res = await request(app)
+        .delete(`/api/roles/${role._id}`)
+        .set('Authorization', `Bearer ${managerToken}`);
+
+      expect(res.status).toBe(403);
+    });
+  });
+
+  describe('Staff roles', () => {
+    beforeEach(createDefaultRoles);
+
+    it('should reject staff with an unknown role', async () => {
+      const res = await request(app)
+        .post('/api/staff')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ name: 'Porter', role: 'Porter', shift: 'Morning' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toMatch(/Unknown or inactive role 'Porter'/);
+    });
+
+    it('should count a role towards the role it counts as', async () => {
+      await Role.create({ name: 'Senior Nurse', code: 'SRN', staffIdPrefix: 'N', countsAs: 'Nurse' });
+      await Role.create({ name: 'Lab Technician', code: 'LT', staffIdPrefix: 'T', countsAs: 'Technician' });
+      await Staff.create({ name: 'Dr. A', role: 'Doctor', shift: 'Morning' });
+      await Staff.create({ name: 'Nurse B', role: 'Nurse', shift: 'Morning' });
+      await Staff.create({ name: 'Nurse C', role: 'Senior Nurse', shift: 'Morning' });
+      await Staff.create({ name: 'Tech D', role: 'Lab Technician', shift: 'Morning' });
+
+      const res = await request(app)
+        .get('/api/staff')
+        .set('Authorization', `Bearer ${viewerToken}`);
+
+      expect(res.body.shiftStatus.Morning.isFullyStaffed).toBe(true);
+      expect(res.body.shiftStatus.Morning.staffCount).toEqual({ Doctor: 1, Nurse: 2, Technician: 1 });
+    });
+  });
+});
@@ -0,0 +1,368 @@
+const request = require('supertest');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const RosterAssignment = require('../../models/RosterAssignment');
+const Department = require('../../models/Department');
+const Staff = require('../../models/Staff');
+const Attendance = require('../../models/Attendance');
+const AuditLog = require('../../models/AuditLog');
+const User = require('../../models/User');
+const rosterRoutes = require('../../routes/rosterRoutes');
+const staffRoutes = require('../../routes/staffRoutes');
+const db = require('../testSetup');
+
+process.env.JWT_SECRET = 'test_secret_key';
+
+const app = express();
+app.use(express.json());
+app.use('/api/roster', rosterRoutes);
+app.use('/api/staff', staffRoutes);
+
+const DAY = '2025-12-01';
+
+let adminToken, managerToken, viewerToken, icu, pediatrics, icuNurse, pedsNurse;
+
+beforeAll(async () => await db.connect());
+
+beforeEach(async () => {
+  icu = await Department.create({ name: 'Intensive Care', code: 'ICU' });
+  pediatrics = await Department.create({ name: 'Pediatrics', code: 'PED' });
+
+  const admin = await User.create({
+    name: 'Admin',
+    userName: 'admin',
+    email: 'admin@example.com',
+    password: 'password',
+    role: 'admin',
+    twoFactorEnabled: true,
+  });
+  const manager = await User.create({
+    name: 'ICU Manager',
+    userName: 'icumanager',
+    email: 'icu.manager@example.com',
+    password: 'password',
+    role: 'ward_manager',
+    department: icu._id,
+  });
+  const viewer = await User.create({
+    name: 'Viewer',
+    userName: 'viewer',
+    email: 'viewer@example.com',
+    password: 'password',
+    role: 'viewer',
+  });
+  adminToken = jwt.sign({ id: admin._id, mfa: true }, process.env.JWT_SECRET, { expiresIn: '30d' });
+  managerToken = jwt.sign({ id: manager._id }, process.env.JWT_SECRET, { expiresIn: '30d' });
+  viewerToken = jwt.sign({ id: viewer._id }, process.env.JWT_SECRET, { expiresIn: '30d' });
+
+  icuNurse = await Staff.create({ name: 'Nurse A', role: 'Nurse', shift: 'Morning', department: icu._id });
+  pedsNurse = await Staff.create({ name: 'Nurse B', role: 'Nurse', shift: 'Morning', department: pediatrics._id });
+});
+
+afterEach(async () => await db.clearDatabase());
+afterAll(async () => await db.closeDatabase());
+
+describe('Roster Controller Tests', () => {
+  describe('POST /api/roster', () => {
+    it('should assign staff to their own shift and department by default', async () => {
+      const res = await request(app)
+        .post('/api/roster')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ staffId: icuNurse.staffId, date: DAY });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.shift).toBe('Morning');
+      expect(res.body.data.department).toBe(icu._id.toString());
+      expect(res.body.data.source).toBe('manual');
+      expect(await AuditLog.countDocuments({ entityType: 'RosterAssignment', action: 'create' })).toBe(1);
+    });
+
+    it('should reject a second assignment to the same shift and day', async () => {
+      await RosterAssignment.init();
+      await RosterAssignment.create({ staff: icuNurse._id, date: DAY, shift: 'Morning' });
+
+      const res = await request(app)
+        .post('/api/roster')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ staffId: icuNurse._id, date: DAY, shift: 'Morning' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Staff member is already assigned to this shift on this date');
+    });
+
+    it('should refuse an assignment that breaks a working-time rule with error severity', async () => {
+      await RosterAssignment.create({ staff: icuNurse._id, date: DAY, shift: 'Night' });
+
+      const res = await request(app)
+        .post('/api/roster')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ staffId: icuNurse._id, date: DAY, shift: 'Morning' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Assignment breaks working-time rules');
+      expect(res.body.violations).toEqual([expect.objectContaining({ rule: 'minRestHours', severity: 'error' })]);
+      expect(await RosterAssignment.countDocuments()).toBe(1);
+    });
+
+    it('should save an assignment that breaks a warning rule and report it', async () => {
+      for (const date of ['2025-12-01', '2025-12-02', '2025-12-03', '2025-12-04', '2025-12-05']) {
+        await RosterAssignment.create({ staff: icuNurse._id, date, shift: 'Morning' });
+      }
+
+      const res = await request(app)
+        .post('/api/roster')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ staffId: icuNurse._id, date: '2025-12-06' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.warnings).toEqual([expect.objectContaining({ rule: 'maxConsecutiveDays', severity: 'warning' })]);
+    });
+
+    it('should return 404 for unknown staff', async () => {
+      const res = await request(app)
+        .post('/api/roster')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ staffId: 'N999', date: DAY });
+
+      expect(res.status).toBe(404);
+    });
+
+    it('should forbid viewers', async () => {
+      const res = await request(app)
+        .post('/api/roster')
+        .set('Authorization', `Bearer ${viewerToken}`)
+        .send({ staffId: icuNurse._id, date: DAY });
+
+      expect(res.status).toBe(403);
+    });
+
+    it('should let a manager float other staff into their department', async () => {
+      const res = await request(app)
+        .post('/api/roster')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ staffId: pedsNurse._id, date: DAY, department: 'ICU' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.department).toBe(icu._id.toString());
+    });
+
+    it('should not let a manager roster other staff in their own department', async () => {
+      const res = await request(app)
+        .post('/api/roster')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ staffId: pedsNurse._id, date: DAY });
+
+      expect(res.status).toBe(403);
+    });
+  });
+
+  describe('GET /api/roster', () => {
+    it('should list assignments for a day in date and shift order', async () => {
+      await RosterAssignment.create({ staff: icuNurse._id, date: DAY, shift: 'Night', department: icu._id });
+      await RosterAssignment.create({ staff: pedsNurse._id, date: DAY, shift: 'Evening', department: pediatrics._id });
+      await RosterAssignment.create({ staff: pedsNurse._id, date: '2025-12-02', shift: 'Morning' });
+
+      const res = await request(app)
+        .get(`/api/roster?date=${DAY}`)
+        .set('Authorization', `Bearer ${viewerToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.map(a => a.shift)).toEqual(['Evening', 'Night']);
+      expect(res.body.data[0].staff.name).toBe('Nurse B');
+    });
+
+    it('should only show a manager their own department', async () => {
+      await RosterAssignment.create({ staff: icuNurse._id, date: DAY, shift: 'Morning', department: icu._id });
+      await RosterAssignment.create({ staff: pedsNurse._id, date: DAY, shift: 'Morning', department: pediatrics._id });
+
+      const res = await request(app)
+        .get('/api/roster')
+        .set('Authorization', `Bearer ${managerToken}`);
+
+      expect(res.body.count).toBe(1);
+      expect(res.body.data[0].staff.name).toBe('Nurse A');
+    });
+  });
+
+  describe('PUT and DELETE /api/roster/:id', () => {
+    it('should move an assignment and its unmarked attendance', async () => {
+      const assignment = await RosterAssignment.create({ staff: icuNurse._id, date: DAY, shift: 'Morning', source: 'default' });
+      await Attendance.create({ staffId: icuNurse._id, date: DAY, shift: 'Morning', assignment: assignment._id });
+
+      const res = await request(app)
+        .put(`/api/roster/${assignment._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ date: '2025-12-03', shift: 'Evening' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.shift).toBe('Evening');
+      expect(res.body.data.source).toBe('manual');
+      const attendance = await Attendance.findOne({ assignment: assignment._id });
+      expect(attendance.shift).toBe('Evening');
+      expect(attendance.date).toEqual(new Date(new Date('2025-12-03').setHours(0, 0, 0, 0)));
+    });
+
+    it('should leave marked attendance where it is', async () => {
+      const assignment = await RosterAssignment.create({ staff: icuNurse._id, date: DAY, shift: 'Morning' });
+      const attendance = await Attendance.create({ staffId: icuNurse._id, date: DAY, shift: 'Morning', assignment: assignment._id });
+      attendance.status = 'Present';
+      await attendance.save();
+
+      await request(app)
+        .put(`/api/roster/${assignment._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ shift: 'Evening' });
+
+      expect((await Attendance.findById(attendance._id)).shift).toBe('Morning');
+    });
+
+    it('should remove an assignment with its unmarked attendance', async () => {
+      const assignment = await RosterAssignment.create({ staff: icuNurse._id, date: DAY, shift: 'Morning' });
+      await Attendance.create({ staffId: icuNurse._id, date: DAY, shift: 'Morning', assignment: assignment._id });
+
+      const res = await request(app)
+        .delete(`/api/roster/${assignment._id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.status).toBe(200);
+      expect(await RosterAssignment.countDocuments()).toBe(0);
+      expect(await Attendance.countDocuments()).toBe(0);
+    });
+
+    it('should hide other departments\' assignments from a manager', async () => {
+      const assignment = await RosterAssignment.create({
+        staff: pedsNurse._id,
+        date: DAY,
+        shift: 'Morning',
+        department: pediatrics._id,
+      });
+
+      const res = await request(app)
+        .delete(`/api/roster/${assignment._id}`)
+        .set('Authorization', `Bearer ${managerToken}`);
+
+      expect(res.status).toBe(403);
+    });
+  });
+
+  describe('POST /api/roster/defaults', () => {
+    it('should fill unassigned days from default shifts with attendance', async () => {
+      await RosterAssignment.create({ staff: icuNurse._id, date: '2025-12-03', shift: 'Night' });
+
+      const res = await request(app)
+        .post('/api/roster/defaults')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ startDate: DAY, endDate: '2025-12-03' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.count).toBe(5);
+      expect(await RosterAssignment.countDocuments({ source: 'default', shift: 'Morning' })).toBe(5);
+      expect(await Attendance.countDocuments({ assignment: { $ne: null } })).toBe(5);
+    });
+
+    it('should leave days that would break a working-time rule unassigned and report them', async () => {
+      await RosterAssignment.create({ staff: icuNurse._id, date: DAY, shift: 'Night' });
+
+      const res = await request(app)
+        .post('/api/roster/defaults')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ startDate: DAY, endDate: '2025-12-03', department: 'ICU' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.count).toBe(1);
+      expect(res.body.violations).toEqual([
+        expect.objectContaining({ staff: icuNurse._id.toString(), shift: 'Morning', rule: 'minRestHours' }),
+      ]);
+      expect((await RosterAssignment.find({ staff: icuNurse._id }).sort({ date: 1 })).map(a => a.shift))
+        .toEqual(['Night', 'Morning']);
+    });
+
+    it('should reject ranges over 62 days', async () => {
+      const res = await request(app)
+        .post('/api/roster/defaults')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ startDate: '2025-01-01', endDate: '2025-06-01' });
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('Staff and the roster', () => {
+    it('should roster new staff on their default shift for a week', async () => {
+      const res = await request(app)
+        .post('/api/staff')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Nurse C', role: 'Nurse', shift: 'Night' });
+
+      const assignments = await RosterAssignment.find({ staff: res.body.data._id });
+      expect(assignments).toHaveLength(7);
+      assignments.forEach(assignment => expect(assignment.source).toBe('default'));
+      expect(await Attendance.countDocuments({ assignment: { $in: assignments.map(a => a._id) } })).toBe(7);
+    });
+
+    it('should keep manual assignments when the default shift changes', async () => {
+      const created = await request(app)
+        .post('/api/staff')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Nurse C', role: 'Nurse', shift: 'Morning' });
+      const manual = await RosterAssignment.findOne({ staff: created.body.data._id }).sort({ date: 1 });
+      manual.set({ shift: 'Evening', source: 'manual' });
+      await manual.save();
+
+      await request(app)
+        .put(`/api/staff/${created.body.data._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ shift: 'Night' });
+
+      const shifts = (await RosterAssignment.find({ staff: created.body.data._id })).map(a => a.shift);
+      expect(shifts.filter(shift => shift === 'Night')).toHaveLength(6);
+      expect(shifts).toContain('Evening');
+    });
+
+    it('should refuse a default shift that breaks a working-time rule on rostered days', async () => {
+      const created = await request(app)
+        .post('/api/staff')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Nurse C', role: 'Nurse', shift: 'Night' });
+      const manual = await RosterAssignment.findOne({ staff: created.body.data._id }).sort({ date: 1 });
+      manual.source = 'manual';
+      await manual.save();
+
+      const res = await request(app)
+        .put(`/api/staff/${created.body.data._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ shift: 'Morning' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.violations).toEqual([expect.objectContaining({ rule: 'minRestHours', severity: 'error' })]);
+      expect((await Staff.findById(created.body.data._id)).shift).toBe('Night');
+      expect(await RosterAssignment.countDocuments({ staff: created.body.data._id, shift: 'Night' })).toBe(7);
+    });
+
+    it('should check coverage against the roster for the day', async () => {
+      await RosterAssignment.create({ staff: icuNurse._id, date: DAY, shift: 'Night', department: icu._id });
+      await RosterAssignment.create({ staff: pedsNurse._id, date: DAY, shift: 'Night', department: icu._id });
+
+      const res = await request(app)
+        .get(`/api/staff?department=ICU&date=${DAY}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.body.shiftStatus.Morning).toBeUndefined();
+      expect(res.body.shiftStatus.Night.staffCount.Nurse).toBe(2);
+    });
+
+    it('should remove a deleted staff member\'s assignments', async () => {
+      const assignment = await RosterAssignment.create({ staff: icuNurse._id, date: DAY, shift: 'Morning' });
+      await Attendance.create({ staffId: icuNurse._id, date: DAY, shift: 'Morning', assignment: assignment._id });
+
+      await request(app)
+        .delete(`/api/staff/${icuNurse._id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(await RosterAssignment.countDocuments()).toBe(0);
+      expect(await Attendance.countDocuments()).toBe(0);
+      expect(await AuditLog.countDocuments({ entityType: 'RosterAssignment', action: 'delete' })).toBe(1);
+      expect(await AuditLog.countDocuments({ entityType: 'Attendance', action: 'delete' })).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,267 @@
+const request = require('supertest');
+const express = require('express');
+const RotationPattern = require('../../models/RotationPattern');
+const RosterAssignment = require('../../models/RosterAssignment');
+const Attendance = require('../../models/Attendance');
+const Staff = require('../../models/Staff');
+const AuditLog = require('../../models/AuditLog');
+const rotationPatternRoutes = require('../../routes/rotationPatternRoutes');
+const staffRoutes = require('../../routes/staffRoutes');
+const db = require('../testSetup');
+
+process.env.JWT_SECRET = 'test_secret_key';
+
+const app = express();
+app.use(express.json());
+app.use('/api/rotation-patterns', rotationPatternRoutes);
+app.use('/api/staff', staffRoutes);
+
+const today = new Date(new Date().setHours(0, 0, 0, 0));
+const daysFromToday = (days) => {
+  const day = new Date(today);
+  day.setDate(day.getDate() + days);
+  return day;
+};
+
+let managerToken, viewerToken, nurse;
+
+beforeAll(async () => await db.connect());
+
+beforeEach(async () => {
+  managerToken = await db.userFor('manager', 'ward_manager');
+  viewerToken = await db.userFor('viewer', 'viewer');
+  nurse = await Staff.create({ name: 'Nina', role: 'Nurse', shift: 'Morning' });
+});
+
+afterEach(async () => await db.clearDatabase());
+afterAll(async () => await db.closeDatabase());
+
+// Two days on, two days off, the first day on falling today
+const createPattern = (body = {}, token = managerToken) => request(app)
+  .post('/api/rotation-patterns')
+  .set('Authorization', `Bearer ${token}`)
+  .send({ name: '2 on 2 off', steps: ['Night', 'Night', 'Off', 'Off'], anchorDate: today.toISOString(), ...body });
+
+const setRotation = (staff, body) => request(app)
+  .put(`/api/staff/${staff._id}/rotation`)
+  .set('Authorization', `Bearer ${managerToken}`)
+  .send(body);
+
+const rosteredDays = async (staff) => (await RosterAssignment.find({ staff: staff._id }).sort({ date: 1 }))
+  .map(assignment => [Math.round((assignment.date - today) / 86400000), assignment.shift, assignment.source]);
+
+describe('Rotation Pattern Controller Tests', () => {
+  describe('POST /api/rotation-patterns', () => {
+    it('should create a pattern and audit it', async () => {
+      const res = await createPattern();
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.steps).toEqual(['Night', 'Night', 'Off', 'Off']);
+      expect(await AuditLog.countDocuments({ entityType: 'RotationPattern', action: 'create' })).toBe(1);
+    });
+
+    it('should reject a name already in use', async () => {
+      await RotationPattern.init();
+      await createPattern();
+
+      const res = await createPattern({ name: '2 ON 2 OFF' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('A rotation pattern with this name already exists');
+    });
+
+    it('should only let roster managers create patterns', async () => {
+      const res = await createPattern({}, viewerToken);
+
+      expect(res.status).toBe(403);
+    });
+  });
+
+  describe('GET /api/rotation-patterns', () => {
+    it('should list patterns by name with an active filter', async () => {
+      await createPattern({ name: 'Rolling', steps: ['Morning', 'Evening', 'Off'] });
+      await createPattern({ name: 'Early', steps: ['Morning'], isActive: false });
+
+      const all = await request(app).get('/api/rotation-patterns').set('Authorization', `Bearer ${viewerToken}`);
+      const active = await request(app).get('/api/rotation-patterns?active=true').set('Authorization', `Bearer ${viewerToken}`);
+
+      expect(all.body.data.map(pattern => pattern.name)).toEqual(['Early', 'Rolling']);
+      expect(active.body.data.map(pattern => pattern.name)).toEqual(['Rolling']);
+    });
+  });
+
+  describe('GET /api/rotation-patterns/:id/preview', () => {
+    it('should expand the pattern over the range at the offset', async () => {
+      const { body } = await createPattern();
+
+      const res = await request(app)
+        .get(`/api/rotation-patterns/${body.data._id}/preview`)
+        .query({ startDate: today.toISOString(), endDate: daysFromToday(5).toISOString(), offset: 1 })
+        .set('Authorization', `Bearer ${viewerToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.count).toBe(3);
+      expect(res.body.data.map(entry => new Date(entry.date).getTime()))
+        .toEqual([0, 3, 4].map(days => daysFromToday(days).getTime()));
+    });
+
+    it('should reject ranges longer than 62 days', async () => {
+      const { body } = await createPattern();
+
+      const res = await request(app)
+        .get(`/api/rotation-patterns/${body.data._id}/preview`)
+        .query({ startDate: today.toISOString(), endDate: daysFromToday(62).toISOString() })
+        .set('Authorization', `Bearer ${viewerToken}`);
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Date range cannot exceed 62 days');
+    });
+  });
+
+  describe('PUT /api/staff/:id/rotation', () => {
+    it('should re-roster the staff member from the pattern, keeping marked days', async () => {
+      const { body } = await createPattern();
+      for (let days = 0; days < 4; days++) {
+        const assignment = await RosterAssignment.create({ staff: nurse._id, date: daysFromToday(days), shift: 'Morning' });
+        await Attendance.create({ staffId: nurse._id, date: assignment.date, shift: 'Morning', assignment: assignment._id });
+      }
+      const marked = await Attendance.findOne({ date: daysFromToday(3) });
+      marked.status = 'Present';
+      await marked.save();
+
+      const res = await setRotation(nurse, { pattern: '2 on 2 off', offset: 0 });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.rotation.pattern).toBe(body.data._id);
+      expect(res.body.rostered).toBe(2);
+      expect(await rosteredDays(nurse)).toEqual([
+        [0, 'Night', 'rotation'],
+        [1, 'Night', 'rotation'],
+        [3, 'Morning', 'default'],
+      ]);
+      expect(await Attendance.countDocuments({ staffId: nurse._id })).toBe(3);
+      expect(await AuditLog.countDocuments({ entityType: 'Staff', action: 'update' })).toBe(1);
+    });
+
+    it('should roster the first days from the pattern for staff with nothing rostered ahead', async () => {
+      await createPattern();
+
+      const res = await setRotation(nurse, { pattern: '2 on 2 off' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.rostered).toBe(4);
+      expect(await rosteredDays(nurse)).toEqual([
+        [0, 'Night', 'rotation'],
+        [1, 'Night', 'rotation'],
+        [4, 'Night', 'rotation'],
+        [5, 'Night', 'rotation'],
+      ]);
+    });
+
+    it('should put the staff member back on their shift with a null pattern', async () => {
+      await createPattern();
+      await setRotation(nurse, { pattern: '2 on 2 off' });
+
+      const res = await setRotation(nurse, { pattern: null });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.rotation.pattern).toBeNull();
+      expect(await rosteredDays(nurse)).toEqual([0, 1, 2, 3, 4, 5].map(days => [days, 'Morning', 'default']));
+    });
+
+    it('should reject unknown patterns and negative offsets', async () => {
+      await createPattern();
+
+      const unknown = await setRotation(nurse, { pattern: 'Nope' });
+      const negative = await setRotation(nurse, { pattern: '2 on 2 off', offset: -1 });
+
+      expect(unknown.status).toBe(400);
+      expect(unknown.body.error).toBe('Rotation pattern not found');
+      expect(negative.status).toBe(400);
+      expect(negative.body.error).toBe('Offset must be a whole number of days');
+    });
+  });
+
+  describe('PUT /api/rotation-patterns/:id', () => {
+    it('should re-roster the staff following the pattern when its steps change', async () => {
+      const { body } = await createPattern();
+      await setRotation(nurse, { pattern: body.data._id });
+
+      const res = await request(app)
+        .put(`/api/rotation-patterns/${body.data._id}`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ steps: ['Off', 'Evening'] });
+
+      expect(res.status).toBe(200);
+      expect(res.body.rostered).toBe(3);
+      expect(await rosteredDays(nurse)).toEqual([1, 3, 5].map(days => [days, 'Evening', 'rotation']));
+    });
+
+    it('should not re-roster anyone when only the name changes', async () => {
+      const { body } = await createPattern();
+
+      const res = await request(app)
+        .put(`/api/rotation-patterns/${body.data._id}`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ name: 'Nights' });
+
+      expect(res.body.data.name).toBe('Nights');
+      expect(res.body.rostered).toBe(0);
+    });
+  });
+
+  describe('DELETE /api/rotation-patterns/:id', () => {
+    it('should refuse to delete a pattern staff follow', async () => {
+      const { body } = await createPattern();
+      await setRotation(nurse, { pattern: body.data._id });
+
+      const res = await request(app)
+        .delete(`/api/rotation-patterns/${body.data._id}`)
+        .set('Authorization', `Bearer ${managerToken}`);
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Rotation pattern is followed by staff');
+    });
+
+    it('should delete a pattern nobody follows', async () => {
+      const { body } = await createPattern();
+
+      const res = await request(app)
+        .delete(`/api/rotation-patterns/${body.data._id}`)
+        .set('Authorization', `Bearer ${managerToken}`);
+
+      expect(res.status).toBe(200);
+      expect(await RotationPattern.countDocuments()).toBe(0);
+      expect(await AuditLog.countDocuments({ entityType: 'RotationPattern', action: 'delete' })).toBe(1);
+    });
+  });
+
+  describe('POST /api/staff', () => {
+    it('should roster a new staff member from their rotation for their first days', async () => {
+      await createPattern();
+
+      const res = await request(app)
+        .post('/api/staff')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ name: 'Rita', role: 'Nurse', shift: 'Morning', rotation: { pattern: '2 on 2 off', offset: 2 } });
+
+      expect(res.status).toBe(201);
+      expect(await rosteredDays({ _id: res.body.data._id })).toEqual([
+        [2, 'Night', 'rotation'],
+        [3, 'Night', 'rotation'],
+        [6, 'Night', 'rotation'],
+      ]);
+    });
+
+    it('should reject an unknown rotation pattern', async () => {
+      const res = await request(app)
+        .post('/api/staff')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ name: 'Rita', role: 'Nurse', shift: 'Morning', rotation: { pattern: 'Nope' } });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Rotation pattern not found');
+      expect(await Staff.countDocuments({ name: 'Rita' })).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,361 @@
+const request = require('supertest');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const Staff = require('../../models/Staff');
+const Shift = require('../../models/Shift');
+const Attendance = require('../../models/Attendance');
+const RosterAssignment = require('../../models/RosterAssignment');
+const StaffingRequirement = require('../../models/StaffingRequirement');
+const SchedulePeriod = require('../../models/SchedulePeriod');
+const Department = require('../../models/Department');
+const WorkingTimeRule = require('../../models/WorkingTimeRule');
+const AuditLog = require('../../models/AuditLog');
+const User = require('../../models/User');
+const scheduleRoutes = require('../../routes/scheduleRoutes');
+const rosterRoutes = require('../../routes/rosterRoutes');
+const db = require('../testSetup');
+
+process.env.JWT_SECRET = 'test_secret_key';
+
+const app = express();
+app.use(express.json());
+app.use('/api/schedules', scheduleRoutes);
+app.use('/api/roster', rosterRoutes);
+
+const WEEK = { startDate: '2025-12-01', endDate: '2025-12-07' };
+
+let managerToken, viewerToken;
+
+beforeAll(async () => await db.connect());
+
+beforeEach(async () => {
+  const manager = await User.create({
+    name: 'Manager',
+    userName: 'manager',
+    email: 'manager@example.com',
+    password: 'password',
+    role: 'ward_manager',
+  });
+  const viewer = await User.create({
+    name: 'Viewer',
+    userName: 'viewer',
+    email: 'viewer@example.com',
+    password: 'password',
+    role: 'viewer',
+  });
+  managerToken = jwt.sign({ id: manager._id }, process.env.JWT_SECRET, { expiresIn: '30d' });
+  viewerToken = jwt.sign({ id: viewer._id }, process.env.JWT_SECRET, { expiresIn: '30d' });
+
+  await Shift.create({ name: 'Morning', code: 'M', startTime: '08:00', endTime: '16:00' });
+  await StaffingRequirement.create({ minimums: [{ role: 'Nurse', required: 1 }] });
+  for (const name of ['Nurse A', 'Nurse B']) {
+    await Staff.create({ name, role: 'Nurse', shift: 'Morning' });
+  }
+});
+
+afterEach(async () => await db.clearDatabase());
+afterAll(async () => await db.closeDatabase());
+
+const generate = (body, token = managerToken) => request(app)
+  .post('/api/schedules/generate')
+  .set('Authorization', `Bearer ${token}`)
+  .send(body);
+
+describe('Schedule Controller Tests', () => {
+  describe('POST /api/schedules/generate', () => {
+    it('should cover every day without saving anything', async () => {
+      const res = await generate({ ...WEEK, seed: 1 });
+
+      expect(res.status).toBe(200);
+      expect(res.body.seed).toBe(1);
+      expect(res.body.count).toBe(7);
+      expect(res.body.gaps).toEqual([]);
+      expect(await RosterAssignment.countDocuments()).toBe(0);
+    });
+
+    it('should give the same roster for the same seed', async () => {
+      const first = await generate({ ...WEEK, seed: 'week-49' });
+      const second = await generate({ ...WEEK, seed: 'week-49' });
+
+      expect(second.body.data).toEqual(first.body.data);
+    });
+
+    it('should return a seed when none is given', async () => {
+      const res = await generate(WEEK);
+
+      expect(typeof res.body.seed).toBe('number');
+    });
+
+    it('should not roster staff on approved leave and report what is left open', async () => {
+      const staff = await Staff.find();
+      for (const member of staff) {
+        await Attendance.create({ staffId: member._id, date: new Date(2025, 11, 3), shift: 'Morning', status: 'Leave' });
+      }
+
+      const res = await generate({ ...WEEK, seed: 1 });
+
+      expect(res.body.data.map(a => a.date)).not.toContain(new Date(2025, 11, 3).toISOString().split('T')[0]);
+      expect(res.body.gaps).toHaveLength(1);
+      expect(res.body.gaps[0]).toEqual(expect.objectContaining({ shift: 'Morning', role: 'Nurse', needed: 1 }));
+    });
+
+    it('should build on existing assignments', async () => {
+      const nurse = await Staff.findOne({ name: 'Nurse A' });
+      await RosterAssignment.create({ staff: nurse._id, date: new Date(2025, 11, 1), shift: 'Morning' });
+
+      const res = await generate({ ...WEEK, seed: 1 });
+
+      expect(res.body.count).toBe(6);
+    });
+
+    it('should reject an unknown shift', async () => {
+      const res = await generate({ ...WEEK, shifts: ['Twilight'] });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Shift not found: Twilight');
+    });
+
+    it('should reject ranges over the limit', async () => {
+      const res = await generate({ startDate: '2025-01-01', endDate: '2025-03-01' });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('should forbid viewers', async () => {
+      const res = await generate(WEEK, viewerToken);
+
+      expect(res.status).toBe(403);
+    });
+  });
+
+  describe('Schedule lifecycle', () => {
+    const DAY = new Date(2025, 11, 1);
+    const ONE_DAY = { startDate: DAY, endDate: DAY };
+
+    const createDraft = () => request(app)
+      .post('/api/schedules')
+      .set('Authorization', `Bearer ${managerToken}`)
+      .send({ name: 'Week 49', ...ONE_DAY });
+
+    it('should start a draft from a copy of the live roster', async () => {
+      const nurse = await Staff.findOne({ name: 'Nurse A' });
+      await RosterAssignment.create({ staff: nurse._id, date: DAY, shift: 'Morning' });
+
+      const res = await createDraft();
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.status).toBe('draft');
+      expect(res.body.count).toBe(1);
+      expect(await RosterAssignment.countDocuments({ period: res.body.data._id, status: 'draft' })).toBe(1);
+    });
+
+    it('should fill a draft with the generator', async () => {
+      const draft = await createDraft();
+
+      const res = await generate({ period: draft.body.data._id, seed: 1 });
+
+      expect(res.status).toBe(200);
+      expect(res.body.count).toBe(1);
+      const saved = await RosterAssignment.find({ period: draft.body.data._id });
+      expect(saved).toHaveLength(1);
+      expect(saved[0].source).toBe('generated');
+      expect(await Attendance.countDocuments()).toBe(0);
+    });
+
+    it('should keep drafts off the live roster', async () => {
+      const draft = await createDraft();
+      await generate({ period: draft.body.data._id, seed: 1 });
+
+      const live = await request(app)
+        .get('/api/roster')
+        .set('Authorization', `Bearer ${viewerToken}`);
+      const drafts = await request(app)
+        .get(`/api/roster?period=${draft.body.data._id}`)
+        .set('Authorization', `Bearer ${viewerToken}`);
+
+      expect(live.body.count).toBe(0);
+      expect(drafts.status).toBe(403);
+    });
+
+    it('should show what publishing would change', async () => {
+      const [nurseA, nurseB] = await Staff.find().sort({ name: 1 });
+      await RosterAssignment.create({ staff: nurseA._id, date: DAY, shift: 'Morning' });
+      const draft = await createDraft();
+      await RosterAssignment.deleteOne({ period: draft.body.data._id });
+      await RosterAssignment.create({
+        staff: nurseB._id,
+        date: DAY,
+        shift: 'Morning',
+        period: draft.body.data._id,
+        status: 'draft',
+      });
+
+      const res = await request(app)
+        .get(`/api/schedules/${draft.body.data._id}/diff`)
+        .set('Authorization', `Bearer ${managerToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.added.map(a => a.staff.name)).toEqual(['Nurse B']);
+      expect(res.body.data.removed.map(a => a.staff.name)).toEqual(['Nurse A']);
+    });
+
+    it('should refuse to publish a schedule that leaves shifts short', async () => {
+      const draft = await createDraft();
+
+      const res = await request(app)
+        .post(`/api/schedules/${draft.body.data._id}/publish`)
+        .set('Authorization', `Bearer ${managerToken}`);
+
+      expect(res.status).toBe(400);
+      expect(res.body.gaps).toEqual([expect.objectContaining({ shift: 'Morning', role: 'Nurse', needed: 1 })]);
+      expect((await SchedulePeriod.findById(draft.body.data._id)).status).toBe('draft');
+    });
+
+    it('should refuse to publish a schedule that breaks a working-time rule', async () => {
+      const nurse = await Staff.findOne({ name: 'Nurse A' });
+      await RosterAssignment.create({ staff: nurse._id, date: DAY, shift: 'Morning' });
+      const draft = await createDraft();
+      await RosterAssignment.create({ staff: nurse._id, date: new Date(2025, 10, 30), shift: 'Night' });
+
+      const res = await request(app)
+        .post(`/api/schedules/${draft.body.data._id}/publish`)
+        .set('Authorization', `Bearer ${managerToken}`);
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Schedule breaks working-time rules');
+      expect(res.body.violations).toEqual([
+        expect.objectContaining({ staff: nurse._id.toString(), date: DAY.toISOString().split('T')[0], rule: 'minRestHours' }),
+      ]);
+      expect((await SchedulePeriod.findById(draft.body.data._id)).status).toBe('draft');
+    });
+
+    it('should publish a draft, replace the live roster and pre-create attendance', async () => {
+      const [nurseA, nurseB] = await Staff.find().sort({ name: 1 });
+      const old = await RosterAssignment.create({ staff: nurseA._id, date: DAY, shift: 'Morning' });
+      await Attendance.create({ staffId: nurseA._id, date: DAY, shift: 'Morning', assignment: old._id });
+      const draft = await createDraft();
+      await RosterAssignment.deleteOne({ period: draft.body.data._id });
+      await RosterAssignment.create({
+        staff: nurseB._id,
+        date: DAY,
+        shift: 'Morning',
+        period: draft.body.data._id,
+        status: 'draft',
+      });
+
+      const res = await request(app)
+        .post(`/api/schedules/${draft.body.data._id}/publish`)
+        .set('Authorization', `Bearer ${managerToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.status).toBe('published');
+      expect(await RosterAssignment.exists({ _id: old._id })).toBeNull();
+      const attendance = await Attendance.find();
+      expect(attendance).toHaveLength(1);
+      expect(attendance[0].staffId.toString()).toBe(nurseB._id.toString());
+    });
+
+    it('should archive the schedule a new publication replaces', async () => {
+      const first = await createDraft();
+      await generate({ period: first.body.data._id, seed: 1 });
+      await request(app)
+        .post(`/api/schedules/${first.body.data._id}/publish`)
+        .set('Authorization', `Bearer ${managerToken}`);
+
+      const second = await createDraft();
+      const res = await request(app)
+        .post(`/api/schedules/${second.body.data._id}/publish`)
+        .set('Authorization', `Bearer ${managerToken}`);
+
+      expect(res.status).toBe(200);
+      expect((await SchedulePeriod.findById(first.body.data._id)).status).toBe('archived');
+      expect(await RosterAssignment.countDocuments({ status: 'published' })).toBe(1);
+      expect(await Attendance.countDocuments()).toBe(1);
+    });
+
+    it('should only delete drafts', async () => {
+      const draft = await createDraft();
+      await generate({ period: draft.body.data._id, seed: 1 });
+      await request(app)
+        .post(`/api/schedules/${draft.body.data._id}/publish`)
+        .set('Authorization', `Bearer ${managerToken}`);
+
+      const res = await request(app)
+        .delete(`/api/schedules/${draft.body.data._id}`)
+        .set('Authorization', `Bearer ${managerToken}`);
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Only draft schedules can be deleted');
+    });
+
+    it('should delete a draft with its assignments and audit each', async () => {
+      const draft = await createDraft();
+      await generate({ period: draft.body.data._id, seed: 1 });
+
+      const res = await request(app)
+        .delete(`/api/schedules/${draft.body.data._id}`)
+        .set('Authorization', `Bearer ${managerToken}`);
+
+      expect(res.status).toBe(200);
+      expect(await RosterAssignment.countDocuments()).toBe(0);
+      expect(await AuditLog.countDocuments({ entityType: 'RosterAssignment', action: 'delete' })).toBe(1);
+      expect(await AuditLog.countDocuments({ entityType: 'SchedulePeriod', action: 'delete' })).toBe(1);
+    });
+
+    it('should publish a draft only once when published twice at the same time', async () => {
+      const draft = await createDraft();
+      await generate({ period: draft.body.data._id, seed: 1 });
+
+      const responses = await Promise.all([1, 2].map(() => request(app)
+        .post(`/api/schedules/${draft.body.data._id}/publish`)
+        .set('Authorization', `Bearer ${managerToken}`)));
+
+      expect(responses.map(response => response.status).sort()).toEqual([200, 400]);
+      expect(await RosterAssignment.countDocuments({ status: 'published' })).toBe(1);
+      expect(await Attendance.countDocuments()).toBe(1);
+    });
+
+    it('should hand back a draft it refuses to publish', async () => {
+      const draft = await createDraft();
+      await request(app)
+        .post(`/api/schedules/${draft.body.data._id}/publish`)
+        .set('Authorization', `Bearer ${managerToken}`);
+      await generate({ period: draft.body.data._id, seed: 1 });
+
+      const res = await request(app)
+        .post(`/api/schedules/${draft.body.data._id}/publish`)
+        .set('Authorization', `Bearer ${managerToken}`);
+
+      expect(res.status).toBe(200);
+    });
+
+    it('should refuse to publish a shift the staff member already holds outside the schedule', async () => {
+      await WorkingTimeRule.create({ rule: 'minRestHours', limit: 11, isActive: false });
+      const icu = await Department.create({ name: 'Intensive Care', code: 'ICU' });
+      const nurse = await Staff.findOne({ name: 'Nurse A' });
+      const live = await RosterAssignment.create({ staff: nurse._id, date: DAY, shift: 'Morning' });
+      const draft = await request(app)
+        .post('/api/schedules')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ name: 'ICU week 49', ...ONE_DAY, department: icu._id });
+      await RosterAssignment.create({
+        staff: nurse._id,
+        date: DAY,
+        shift: 'Morning',
+        department: icu._id,
+        period: draft.body.data._id,
+        status: 'draft',
+      });
+
+      const res = await request(app)
+        .post(`/api/schedules/${draft.body.data._id}/publish`)
+        .set('Authorization', `Bearer ${managerToken}`);
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Schedule repeats live assignments it does not replace');
+      expect(res.body.clashes.map(clash => clash._id)).toEqual([live._id.toString()]);
+      expect((await SchedulePeriod.findById(draft.body.data._id)).status).toBe('draft');
+      expect((await RosterAssignment.findById(live._id)).status).toBe('published');
+    });
+  });
+});
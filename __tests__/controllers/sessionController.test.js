@@ -0,0 +1,204 @@
+const request = require('supertest');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const User = require('../../models/User');
+const RefreshToken = require('../../models/RefreshToken');
+const authRoutes = require('../../routes/authRoutes');
+const userRoutes = require('../../routes/userRoutes');
+const db = require('../testSetup');
+
+process.env.JWT_SECRET = 'test_secret_key';
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+app.use('/api/users', userRoutes);
+
+let user;
+
+beforeAll(async () => await db.connect());
+
+beforeEach(async () => {
+  user = await User.create({
+    name: 'Session User',
+    userName: 'sessionuser',
+    email: 'session@example.com',
+    password: 'password123',
+  });
+});
+
+afterEach(async () => await db.clearDatabase());
+afterAll(async () => await db.closeDatabase());
+
+const login = async (userAgent) => {
+  const response = await request(app)
+    .post('/api/auth/login')
+    .set('User-Agent', userAgent)
+    .send({ userName: 'sessionuser', password: 'password123' });
+  return response.body.data;
+};
+
+describe('Session Controller Tests', () => {
+  describe('GET /api/auth/sessions', () => {
+    it('should list each login with its device details', async () => {
+      const phone = await login('Phone');
+      await login('Kiosk browser');
+
+      const response = await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${phone.token}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.count).toBe(2);
+
+      const current = response.body.data.find(session => session.current);
+      expect(current.userAgent).toBe('Phone');
+      expect(current.ip).toBeDefined();
+      expect(current.issuedAt).toBeDefined();
+      expect(current.lastSeenAt).toBeDefined();
+      expect(response.body.data.filter(session => session.current)).toHaveLength(1);
+    });
+
+    it('should keep the session id and start time across refreshes', async () => {
+      const phone = await login('Phone');
+      const before = await RefreshToken.findOne({ user: user._id });
+
+      const refreshed = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: phone.refreshToken });
+
+      const response = await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${refreshed.body.data.token}`);
+
+      expect(response.body.count).toBe(1);
+      expect(response.body.data[0].id).toBe(before.family);
+      expect(new Date(response.body.data[0].issuedAt).getTime()).toBe(before.sessionStartedAt.getTime());
+      expect(response.body.data[0].userAgent).toBe('Phone');
+    });
+
+    it('should not list logged out sessions', async () => {
+      const phone = await login('Phone');
+      const kiosk = await login('Kiosk browser');
+
+      await request(app)
+        .post('/api/auth/logout')
+        .send({ refreshToken: kiosk.refreshToken });
+
+      const response = await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${phone.token}`);
+
+      expect(response.body.count).toBe(1);
+    });
+  });
+
+  describe('DELETE /api/auth/sessions/:sessionId', () => {
+    it('should sign out another device', async () => {
+      const phone = await login('Phone');
+      const kiosk = await login('Kiosk browser');
+      const { sid } = jwt.decode(kiosk.token);
+
+      const response = await request(app)
+        .delete(`/api/auth/sessions/${sid}`)
+        .set('Authorization', `Bearer ${phone.token}`);
+
+      expect(response.status).toBe(200);
+
+      const kioskAccess = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${kiosk.token}`);
+      expect(kioskAccess.status).toBe(401);
+
+      const kioskRefresh = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: kiosk.refreshToken });
+      expect(kioskRefresh.status).toBe(401);
+
+      const phoneAccess = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${phone.token}`);
+      expect(phoneAccess.status).toBe(200);
+    });
+
+    it('should not sign out another user\'s session', async () => {
+      await User.create({
+        name: 'Other',
+        userName: 'other',
+        email: 'other@example.com',
+        password: 'password123',
+      });
+      const other = (await request(app)
+        .post('/api/auth/login')
+        .send({ userName: 'other', password: 'password123' })).body.data;
+      const phone = await login('Phone');
+
+      const response = await request(app)
+        .delete(`/api/auth/sessions/${jwt.decode(other.token).sid}`)
+        .set('Authorization', `Bearer ${phone.token}`);
+
+      expect(response.status).toBe(404);
+
+      const otherAccess = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${other.token}`);
+      expect(otherAccess.status).toBe(200);
+    });
+  });
+
+  describe('Admin session management', () => {
+    let adminToken;
+
+    beforeEach(async () => {
+      const admin = await User.create({
+        name: 'Admin',
+        userName: 'admin',
+        email: 'admin@example.com',
+        password: 'password',
+        role: 'admin',
+        twoFactorEnabled: true,
+      });
+      adminToken = jwt.sign({ id: admin._id, mfa: true }, process.env.JWT_SECRET, { expiresIn: '30d' });
+    });
+
+    it('should list and revoke sessions of any user', async () => {
+      const phone = await login('Phone');
+
+      const list = await request(app)
+        .get(`/api/users/${user._id}/sessions`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(list.status).toBe(200);
+      expect(list.body.count).toBe(1);
+
+      const revoke = await request(app)
+        .delete(`/api/users/${user._id}/sessions/${list.body.data[0].id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(revoke.status).toBe(200);
+
+      const phoneAccess = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${phone.token}`);
+      expect(phoneAccess.status).toBe(401);
+    });
+
+    it('should forbid non-admin users', async () => {
+      const phone = await login('Phone');
+
+      const response = await request(app)
+        .get(`/api/users/${user._id}/sessions`)
+        .set('Authorization', `Bearer ${phone.token}`);
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should return 404 for non-existent user', async () => {
+      const response = await request(app)
+        .get('/api/users/507f1f77bcf86cd799439011/sessions')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(404);
+    });
+  });
+});
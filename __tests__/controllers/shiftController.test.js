@@ -0,0 +1,259 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const Shift = require('../../models/Shift');
+const Staff = require('../../models/Staff');
+const Attendance = require('../../models/Attendance');
+const RosterAssignment = require('../../models/RosterAssignment');
+const OpenShift = require('../../models/OpenShift');
+const RotationPattern = require('../../models/RotationPattern');
+const StaffAvailability = require('../../models/StaffAvailability');
+const AuditLog = require('../../models/AuditLog');
+const User = require('../../models/User');
+const shiftRoutes = require('../../routes/shiftRoutes');
+const staffRoutes = require('../../routes/staffRoutes');
+const db = require('../testSetup');
+
+process.env.JWT_SECRET = 'test_secret_key';
+
+const app = express();
+app.use(express.json());
+app.use('/api/shifts', shiftRoutes);
+app.use('/api/staff', staffRoutes);
+
+const morning = { name: 'Morning', code: 'M', startTime: '08:00', endTime: '16:00', breakMinutes: 30 };
+
+let adminToken, managerToken, viewerToken;
+
+beforeAll(async () => await db.connect());
+
+beforeEach(async () => {
+  const admin = await User.create({
+    name: 'Admin',
+    userName: 'admin',
+    email: 'admin@example.com',
+    password: 'password',
+    role: 'admin',
+    twoFactorEnabled: true,
+  });
+  const manager = await User.create({
+    name: 'Manager',
+    userName: 'manager',
+    email: 'manager@example.com',
+    password: 'password',
+    role: 'ward_manager',
+  });
+  const viewer = await User.create({
+    name: 'Viewer',
+    userName: 'viewer',
+    email: 'viewer@example.com',
+    password: 'password',
+    role: 'viewer',
+  });
+  adminToken = jwt.sign({ id: admin._id, mfa: true }, process.env.JWT_SECRET, { expiresIn: '30d' });
+  managerToken = jwt.sign({ id: manager._id }, process.env.JWT_SECRET, { expiresIn: '30d' });
+  viewerToken = jwt.sign({ id: viewer._id }, process.env.JWT_SECRET, { expiresIn: '30d' });
+});
+
+afterEach(async () => await db.clearDatabase());
+afterAll(async () => await db.closeDatabase());
+
+describe('Shift Controller Tests', () => {
+  describe('POST /api/shifts', () => {
+    it('should let a ward manager create a shift', async () => {
+      const res = await request(app)
+        .post('/api/shifts')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send(morning);
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.code).toBe('M');
+      expect(res.body.data.workMinutes).toBe(450);
+      expect(await AuditLog.countDocuments({ entityType: 'Shift', action: 'create' })).toBe(1);
+    });
+
+    it('should reject an overnight shift without crossesMidnight', async () => {
+      const res = await request(app)
+        .post('/api/shifts')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ name: 'Night', code: 'N', startTime: '22:00', endTime: '08:00' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toMatch(/crosses midnight/);
+    });
+
+    it('should reject a duplicate code', async () => {
+      await Shift.init();
+      await Shift.create(morning);
+
+      const res = await request(app)
+        .post('/api/shifts')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ ...morning, name: 'Early' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('A shift with this code already exists');
+    });
+
+    it('should forbid viewers', async () => {
+      const res = await request(app)
+        .post('/api/shifts')
+        .set('Authorization', `Bearer ${viewerToken}`)
+        .send(morning);
+
+      expect(res.status).toBe(403);
+    });
+  });
+
+  describe('GET /api/shifts', () => {
+    it('should list shifts by start time and filter by active', async () => {
+      await Shift.create({ name: 'Night', code: 'N', startTime: '22:00', endTime: '08:00', crossesMidnight: true });
+      await Shift.create(morning);
+      await Shift.create({ name: 'Evening', code: 'E', startTime: '16:00', endTime: '22:00', isActive: false });
+
+      const all = await request(app)
+        .get('/api/shifts')
+        .set('Authorization', `Bearer ${viewerToken}`);
+      expect(all.status).toBe(200);
+      expect(all.body.data.map(s => s.code)).toEqual(['M', 'E', 'N']);
+
+      const active = await request(app)
+        .get('/api/shifts?active=true')
+        .set('Authorization', `Bearer ${viewerToken}`);
+      expect(active.body.count).toBe(2);
+    });
+  });
+
+  describe('PUT /api/shifts/:id', () => {
+    it('should rename the shift on the records that use it', async () => {
+      const shift = await Shift.create(morning);
+      const staff = await Staff.create({ name: 'Nurse', role: 'Nurse', shift: 'Morning' });
+      await Attendance.create({ staffId: staff._id, date: new Date('2025-12-12'), shift: 'Morning' });
+      await RosterAssignment.create({ staff: staff._id, date: new Date('2025-12-12'), shift: 'Morning' });
+      await OpenShift.create({ date: new Date('2025-12-12'), shift: 'Morning', role: 'Nurse', slots: 1 });
+      await RotationPattern.create({ name: 'Days', steps: ['Morning', 'Off'], anchorDate: new Date('2025-12-01') });
+      await StaffAvailability.create({ staff: staff._id, preferredShifts: ['Morning'] });
+
+      const res = await request(app)
+        .put(`/api/shifts/${shift._id}`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ name: 'Day' });
+
+      expect(res.status).toBe(200);
+      expect((await Staff.findById(staff._id)).shift).toBe('Day');
+      expect((await Attendance.findOne({ staffId: staff._id })).shift).toBe('Day');
+      expect((await RosterAssignment.findOne({ staff: staff._id })).shift).toBe('Day');
+      expect((await OpenShift.findOne()).shift).toBe('Day');
+      expect((await RotationPattern.findOne()).steps).toEqual(['Day', 'Off']);
+      expect((await StaffAvailability.findOne({ staff: staff._id })).preferredShifts).toEqual(['Day']);
+    });
+
+    it('should not touch another facility\'s shift', async () => {
+      const shift = await Shift.create({ ...morning, facility: new mongoose.Types.ObjectId() });
+
+      const res = await request(app)
+        .put(`/api/shifts/${shift._id}`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ name: 'Day' });
+
+      expect(res.status).toBe(404);
+      expect((await Shift.findById(shift._id)).name).toBe('Morning');
+    });
+
+    it('should return 404 for an unknown shift', async () => {
+      const res = await request(app)
+        .put('/api/shifts/674b1234567890abcdef1234')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ name: 'Day' });
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('DELETE /api/shifts/:id', () => {
+    it('should refuse to delete a shift in use', async () => {
+      const shift = await Shift.create(morning);
+      await Staff.create({ name: 'Nurse', role: 'Nurse', shift: 'Morning' });
+
+      const res = await request(app)
+        .delete(`/api/shifts/${shift._id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.status).toBe(400);
+      expect(await Shift.exists({ _id: shift._id })).toBeTruthy();
+    });
+
+    it('should refuse to delete a shift a rotation pattern uses', async () => {
+      const shift = await Shift.create(morning);
+      await RotationPattern.create({ name: 'Days', steps: ['Morning', 'Off'], anchorDate: new Date('2025-12-01') });
+
+      const res = await request(app)
+        .delete(`/api/shifts/${shift._id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.status).toBe(400);
+      expect(await Shift.exists({ _id: shift._id })).toBeTruthy();
+    });
+
+    it('should delete an unused shift', async () => {
+      const shift = await Shift.create(morning);
+
+      const res = await request(app)
+        .delete(`/api/shifts/${shift._id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.status).toBe(200);
+      expect(await Shift.exists({ _id: shift._id })).toBeNull();
+    });
+
+    it('should only allow admins to delete', async () => {
+      const shift = await Shift.create(morning);
+
+      const res = await request(app)
+        .delete(`/api/shifts/${shift._id}`)
+        .set('Authorization', `Bearer ${managerToken}`);
+
+      expect(res.status).toBe(403);
+    });
+  });
+
+  describe('Staff shift validation', () => {
+    it('should reject staff with an undefined shift', async () => {
+      await Shift.create(morning);
+
+      const res = await request(app)
+        .post('/api/staff')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ name: 'Nurse', role: 'Nurse', shift: 'Afternoon' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toMatch(/Unknown or inactive shift 'Afternoon'/);
+    });
+
+    it('should move future attendance to the new shift when staff change shift', async () => {
+      await Shift.create(morning);
+      const night = await Shift.create({ name: 'Night', code: 'N', startTime: '22:00', endTime: '08:00', crossesMidnight: true });
+
+      const created = await request(app)
+        .post('/api/staff')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ name: 'Nurse', role: 'Nurse', shift: 'm' });
+      expect(created.body.data.shift).toBe('Morning');
+
+      const res = await request(app)
+        .put(`/api/staff/${created.body.data._id}`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ shift: 'night' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.shift).toBe('Night');
+      const future = await Attendance.find({ staffId: created.body.data._id });
+      expect(future).toHaveLength(7);
+      future.forEach(record => {
+        expect(record.shift).toBe('Night');
+        expect(record.shiftDefinition.toString()).toBe(night._id.toString());
+      });
+    });
+  });
+});
@@ -26,9 +26,11 @@ beforeEach(async () => {
     userName: 'admin',
     email: 'admin@example.com',
     password: 'password',
+    role: 'admin',
+    twoFactorEnabled: true,
   });
   userId = user._id;
-  token = jwt.sign({ id: userId }, process.env.JWT_SECRET, { expiresIn: '30d' });
+  token = jwt.sign({ id: userId, mfa: true }, process.env.JWT_SECRET, { expiresIn: '30d' });
 });
 
 afterEach(async () => await db.clearDatabase());
@@ -222,6 +224,22 @@ describe('Staff Controller Tests', () => {
       expect(deletedStaff).toBeNull();
     });
 
+    it('should unlink user accounts from deleted staff', async () => {
+      const linked = await User.create({
+        name: 'Linked',
+        userName: 'linked',
+        email: 'linked@test.com',
+        password: 'password',
+        staff: staffId,
+      });
+
+      await request(app)
+        .delete(`/api/staff/${staffId}`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect((await User.findById(linked._id)).staff).toBeNull();
+    });
+
     it('should return 404 for non-existent staff', async () => {
       const fakeId = '507f1f77bcf86cd799439011';
       const response = await request(app)
@@ -361,4 +379,66 @@ describe('Staff Controller Tests', () => {
       expect(response.body.success).toBe(false);
     });
   });
+
+  describe('Role-based access', () => {
+    let viewerToken;
+    let managerToken;
+    let staff;
+
+    beforeEach(async () => {
+      const viewer = await User.create({
+        name: 'Viewer',
+        userName: 'viewer',
+        email: 'viewer@example.com',
+        password: 'password',
+        role: 'viewer',
+      });
+      const manager = await User.create({
+        name: 'Manager',
+        userName: 'manager',
+        email: 'manager@example.com',
+        password: 'password',
+        role: 'ward_manager',
+      });
+      viewerToken = jwt.sign({ id: viewer._id }, process.env.JWT_SECRET, { expiresIn: '30d' });
+      managerToken = jwt.sign({ id: manager._id }, process.env.JWT_SECRET, { expiresIn: '30d' });
+      staff = await Staff.create({ name: 'Dr. Role', role: 'Doctor', shift: 'Morning' });
+    });
+
+    it('should allow a viewer to list staff', async () => {
+      const response = await request(app)
+        .get('/api/staff')
+        .set('Authorization', `Bearer ${viewerToken}`);
+
+      expect(response.status).toBe(200);
+    });
+
+    it('should forbid a viewer from creating staff', async () => {
+      const response = await request(app)
+        .post('/api/staff')
+        .set('Authorization', `Bearer ${viewerToken}`)
+        .send({ name: 'Blocked', role: 'Nurse', shift: 'Morning' });
+
+      expect(response.status).toBe(403);
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should allow a ward manager to update staff', async () => {
+      const response = await request(app)
+        .put(`/api/staff/${staff._id}`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ name: 'Dr. Renamed' });
+
+      expect(response.status).toBe(200);
+    });
+
+    it('should forbid a ward manager from deleting staff', async () => {
+      const response = await request(app)
+        .delete(`/api/staff/${staff._id}`)
+        .set('Authorization', `Bearer ${managerToken}`);
+
+      expect(response.status).toBe(403);
+      expect(await Staff.findById(staff._id)).not.toBeNull();
+    });
+  });
 });
@@ -0,0 +1,206 @@
+const request = require('supertest');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const Shift = require('../../models/Shift');
+const Department = require('../../models/Department');
+const Staff = require('../../models/Staff');
+const StaffingRequirement = require('../../models/StaffingRequirement');
+const AuditLog = require('../../models/AuditLog');
+const User = require('../../models/User');
+const staffingRequirementRoutes = require('../../routes/staffingRequirementRoutes');
+const staffRoutes = require('../../routes/staffRoutes');
+const db = require('../testSetup');
+
+process.env.JWT_SECRET = 'test_secret_key';
+
+const app = express();
+app.use(express.json());
+app.use('/api/staffing-requirements', staffingRequirementRoutes);
+app.use('/api/staff', staffRoutes);
+
+let managerToken, viewerToken, night, icu;
+
+beforeAll(async () => await db.connect());
+
+beforeEach(async () => {
+  const manager = await User.create({
+    name: 'Manager',
+    userName: 'manager',
+    email: 'manager@example.com',
+    password: 'password',
+    role: 'ward_manager',
+  });
+  const viewer = await User.create({
+    name: 'Viewer',
+    userName: 'viewer',
+    email: 'viewer@example.com',
+    password: 'password',
+    role: 'viewer',
+  });
+  managerToken = jwt.sign({ id: manager._id }, process.env.JWT_SECRET, { expiresIn: '30d' });
+  viewerToken = jwt.sign({ id: viewer._id }, process.env.JWT_SECRET, { expiresIn: '30d' });
+
+  await Shift.create({ name: 'Morning', code: 'M', startTime: '08:00', endTime: '16:00' });
+  night = await Shift.create({ name: 'Night', code: 'N', startTime: '22:00', endTime: '08:00', crossesMidnight: true });
+  icu = await Department.create({ name: 'Intensive Care', code: 'ICU' });
+});
+
+afterEach(async () => await db.clearDatabase());
+afterAll(async () => await db.closeDatabase());
+
+const icuWeekendNights = {
+  description: 'ICU nights at the weekend',
+  department: 'ICU',
+  shift: 'Night',
+  daysOfWeek: [0, 6],
+  minimums: [{ role: 'Doctor', required: 2 }, { role: 'Nurse', required: 4 }],
+};
+
+describe('Staffing Requirement Controller Tests', () => {
+  describe('POST /api/staffing-requirements', () => {
+    it('should create a rule, resolving the department by code and the shift by name', async () => {
+      const res = await request(app)
+        .post('/api/staffing-requirements')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send(icuWeekendNights);
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.department).toBe(icu._id.toString());
+      expect(res.body.data.shift).toBe(night._id.toString());
+      expect(res.body.data.daysOfWeek).toEqual([0, 6]);
+      expect(await AuditLog.countDocuments({ entityType: 'StaffingRequirement' })).toBe(1);
+    });
+
+    it('should reject an unknown shift', async () => {
+      const res = await request(app)
+        .post('/api/staffing-requirements')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ ...icuWeekendNights, shift: 'Afternoon' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Shift not found');
+    });
+
+    it('should reject an unknown department', async () => {
+      const res = await request(app)
+        .post('/api/staffing-requirements')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ ...icuWeekendNights, department: 'Ward 9' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Department not found');
+    });
+
+    it('should forbid viewers', async () => {
+      const res = await request(app)
+        .post('/api/staffing-requirements')
+        .set('Authorization', `Bearer ${viewerToken}`)
+        .send(icuWeekendNights);
+
+      expect(res.status).toBe(403);
+    });
+  });
+
+  describe('GET /api/staffing-requirements', () => {
+    it('should list and filter rules', async () => {
+      await StaffingRequirement.create({ ...icuWeekendNights, department: icu._id, shift: night._id });
+      const ward3 = await Department.create({ name: 'Ward 3', code: 'W3' });
+      await StaffingRequirement.create({ department: ward3._id, minimums: [{ role: 'Nurse', required: 2 }] });
+
+      const all = await request(app)
+        .get('/api/staffing-requirements')
+        .set('Authorization', `Bearer ${viewerToken}`);
+      expect(all.body.count).toBe(2);
+
+      const icuRules = await request(app)
+        .get('/api/staffing-requirements?department=ICU')
+        .set('Authorization', `Bearer ${viewerToken}`);
+      expect(icuRules.body.count).toBe(1);
+      expect(icuRules.body.data[0].department.name).toBe('Intensive Care');
+      expect(icuRules.body.data[0].shift.name).toBe('Night');
+    });
+
+    it('should report which rule applies', async () => {
+      const rule = await StaffingRequirement.create({ ...icuWeekendNights, department: icu._id, shift: night._id });
+
+      const saturday = await request(app)
+        .get('/api/staffing-requirements/applicable?department=ICU&shift=N&date=2025-12-13')
+        .set('Authorization', `Bearer ${viewerToken}`);
+      expect(saturday.body.data.rule._id).toBe(rule._id.toString());
+      expect(saturday.body.data.minimums).toHaveLength(2);
+
+      const monday = await request(app)
+        .get('/api/staffing-requirements/applicable?department=ICU&shift=N&date=2025-12-15')
+        .set('Authorization', `Bearer ${viewerToken}`);
+      expect(monday.body.data.rule).toBeNull();
+      expect(monday.body.data.minimums).toHaveLength(3);
+    });
+  });
+
+  describe('PUT and DELETE /api/staffing-requirements/:id', () => {
+    it('should update the minimums', async () => {
+      const rule = await StaffingRequirement.create({ ...icuWeekendNights, department: icu._id, shift: night._id });
+
+      const res = await request(app)
+        .put(`/api/staffing-requirements/${rule._id}`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ minimums: [{ role: 'Nurse', required: 5 }] });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.minimums).toEqual([{ role: 'Nurse', required: 5 }]);
+    });
+
+    it('should delete a rule', async () => {
+      const rule = await StaffingRequirement.create({ ...icuWeekendNights, department: icu._id, shift: night._id });
+
+      const res = await request(app)
+        .delete(`/api/staffing-requirements/${rule._id}`)
+        .set('Authorization', `Bearer ${managerToken}`);
+
+      expect(res.status).toBe(200);
+      expect(await StaffingRequirement.countDocuments()).toBe(0);
+    });
+
+    it('should return 404 for an unknown rule', async () => {
+      const res = await request(app)
+        .put('/api/staffing-requirements/674b1234567890abcdef1234')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ minimums: [{ role: 'Nurse', required: 5 }] });
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('Shift status in GET /api/staff', () => {
+    beforeEach(async () => {
+      await Staff.create({ name: 'Dr. A', role: 'Doctor', shift: 'Night', department: icu._id });
+      await Staff.create({ name: 'Nurse B', role: 'Nurse', shift: 'Night', department: icu._id });
+      await Staff.create({ name: 'Nurse C', role: 'Nurse', shift: 'Night', department: icu._id });
+      await Staff.create({ name: 'Tech D', role: 'Technician', shift: 'Night', department: icu._id });
+      await StaffingRequirement.create({ ...icuWeekendNights, department: icu._id, shift: night._id });
+    });
+
+    it('should use the applicable rule for the department and day', async () => {
+      const res = await request(app)
+        .get('/api/staff?department=ICU&date=2025-12-13')
+        .set('Authorization', `Bearer ${viewerToken}`);
+
+      const status = res.body.shiftStatus.Night;
+      expect(status.isFullyStaffed).toBe(false);
+      expect(status.requirements).toEqual({ Doctor: 2, Nurse: 4 });
+      expect(status.missingStaff).toEqual({ Doctor: 1, Nurse: 2 });
+      expect(status.rule).toBeDefined();
+    });
+
+    it('should fall back to the default minimums when no rule applies', async () => {
+      const res = await request(app)
+        .get('/api/staff?department=ICU&date=2025-12-15')
+        .set('Authorization', `Bearer ${viewerToken}`);
+
+      const status = res.body.shiftStatus.Night;
+      expect(status.isFullyStaffed).toBe(true);
+      expect(status.requirements).toEqual({ Doctor: 1, Nurse: 2, Technician: 1 });
+      expect(status.rule).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,218 @@
+const request = require('supertest');
+const express = require('express');
+const ShiftSwap = require('../../models/ShiftSwap');
+const Staff = require('../../models/Staff');
+const Attendance = require('../../models/Attendance');
+const RosterAssignment = require('../../models/RosterAssignment');
+const StaffingRequirement = require('../../models/StaffingRequirement');
+const AuditLog = require('../../models/AuditLog');
+const swapRoutes = require('../../routes/swapRoutes');
+const db = require('../testSetup');
+
+process.env.JWT_SECRET = 'test_secret_key';
+
+const app = express();
+app.use(express.json());
+app.use('/api/swaps', swapRoutes);
+
+const tomorrow = new Date(new Date().setHours(0, 0, 0, 0));
+tomorrow.setDate(tomorrow.getDate() + 1);
+const DAY = tomorrow.toISOString();
+
+let managerToken, aliceToken, bobToken, otherToken, alice, bob, doctor;
+
+beforeAll(async () => await db.connect());
+
+beforeEach(async () => {
+  alice = await Staff.create({ name: 'Alice', role: 'Nurse', shift: 'Morning' });
+  bob = await Staff.create({ name: 'Bob', role: 'Nurse', shift: 'Night' });
+  doctor = await Staff.create({ name: 'Dr. Carol', role: 'Doctor', shift: 'Night' });
+
+  managerToken = await db.userFor('manager', 'ward_manager');
+  aliceToken = await db.userFor('alice', 'viewer', alice);
+  bobToken = await db.userFor('bob', 'viewer', bob);
+  otherToken = await db.userFor('other', 'viewer', doctor);
+
+  await StaffingRequirement.create({ minimums: [{ role: 'Nurse', required: 1 }] });
+  await RosterAssignment.create({ staff: alice._id, date: tomorrow, shift: 'Morning' });
+  await RosterAssignment.create({ staff: bob._id, date: tomorrow, shift: 'Night' });
+});
+
+afterEach(async () => await db.clearDatabase());
+afterAll(async () => await db.closeDatabase());
+
+const propose = (body = { counterpartId: bob.staffId, dates: [DAY] }, token = aliceToken) => request(app)
+  .post('/api/swaps')
+  .set('Authorization', `Bearer ${token}`)
+  .send(body);
+
+const act = (swap, action, token) => request(app)
+  .post(`/api/swaps/${swap._id}/${action}`)
+  .set('Authorization', `Bearer ${token}`)
+  .send({});
+
+describe('Swap Controller Tests', () => {
+  describe('POST /api/swaps', () => {
+    it('should let linked staff propose a swap', async () => {
+      const res = await propose();
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.status).toBe('pending');
+      expect(res.body.data.requester).toBe(alice._id.toString());
+      expect(await AuditLog.countDocuments({ entityType: 'ShiftSwap', action: 'create' })).toBe(1);
+    });
+
+    it('should need a linked staff record', async () => {
+      const res = await propose(undefined, managerToken);
+
+      expect(res.status).toBe(404);
+      expect(res.body.error).toBe('No staff record is linked to this account');
+    });
+
+    it('should reject past dates', async () => {
+      const res = await propose({ counterpartId: bob._id, dates: ['2020-01-01'] });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Swap dates cannot be in the past');
+    });
+
+    it('should reject days neither of them works', async () => {
+      const later = new Date(tomorrow);
+      later.setDate(later.getDate() + 3);
+
+      const res = await propose({ counterpartId: bob._id, dates: [later.toISOString()] });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('should reject a second open swap for the same day', async () => {
+      await propose();
+
+      const res = await propose({ counterpartId: alice._id, dates: [DAY] }, bobToken);
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Another open swap already covers one of these dates');
+    });
+
+    it('should reject a swap with yourself', async () => {
+      const res = await propose({ counterpartId: alice.staffId, dates: [DAY] });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Cannot swap shifts with yourself');
+    });
+  });
+
+  describe('Workflow', () => {
+    it('should only let the counterpart accept', async () => {
+      const { body } = await propose();
+
+      expect((await act(body.data, 'accept', aliceToken)).status).toBe(403);
+      const res = await act(body.data, 'accept', bobToken);
+      expect(res.status).toBe(200);
+      expect(res.body.data.status).toBe('accepted');
+    });
+
+    it('should not approve a swap the counterpart has not accepted', async () => {
+      const { body } = await propose();
+
+      const res = await act(body.data, 'approve', managerToken);
+
+      expect(res.status).toBe(400);
+    });
+
+    it('should not approve a swap whose dates have passed', async () => {
+      const { body } = await propose();
+      await act(body.data, 'accept', bobToken);
+      const yesterday = new Date(tomorrow);
+      yesterday.setDate(yesterday.getDate() - 2);
+      await ShiftSwap.updateOne({ _id: body.data._id }, { dates: [yesterday] });
+
+      const res = await act(body.data, 'approve', managerToken);
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Swap dates cannot be in the past');
+      expect((await RosterAssignment.findOne({ shift: 'Morning' })).staff.toString()).toBe(alice._id.toString());
+    });
+
+    it('should apply an approved swap to the roster and its attendance', async () => {
+      const morning = await RosterAssignment.findOne({ staff: alice._id });
+      await Attendance.create({ staffId: alice._id, date: tomorrow, shift: 'Morning', assignment: morning._id });
+      const { body } = await propose();
+      await act(body.data, 'accept', bobToken);
+
+      const res = await act(body.data, 'approve', managerToken);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.status).toBe('approved');
+      expect((await RosterAssignment.findOne({ shift: 'Morning' })).staff.toString()).toBe(bob._id.toString());
+      expect((await RosterAssignment.findOne({ shift: 'Night' })).staff.toString()).toBe(alice._id.toString());
+      expect((await Attendance.findOne({ assignment: morning._id })).staffId.toString()).toBe(bob._id.toString());
+    });
+
+    it('should apply a swap approved twice at the same time only once', async () => {
+      const { body } = await propose();
+      await act(body.data, 'accept', bobToken);
+
+      const responses = await Promise.all([1, 2].map(() => act(body.data, 'approve', managerToken)));
+
+      expect(responses.map(response => response.status).sort()).toEqual([200, 400]);
+      expect((await RosterAssignment.findOne({ shift: 'Morning' })).staff.toString()).toBe(bob._id.toString());
+      expect((await RosterAssignment.findOne({ shift: 'Night' })).staff.toString()).toBe(alice._id.toString());
+      expect(await AuditLog.countDocuments({ entityType: 'ShiftSwap', action: 'update', 'after.status': 'approved' })).toBe(1);
+    });
+
+    it('should refuse a swap that leaves a shift short', async () => {
+      await RosterAssignment.create({ staff: doctor._id, date: tomorrow, shift: 'Evening' });
+      const { body } = await propose({ counterpartId: doctor._id, dates: [DAY] });
+      await act(body.data, 'accept', otherToken);
+
+      const res = await act(body.data, 'approve', managerToken);
+
+      expect(res.status).toBe(400);
+      expect(res.body.shortfalls).toEqual([
+        expect.objectContaining({ shift: 'Morning', role: 'Nurse', needed: 1 }),
+      ]);
+      expect((await ShiftSwap.findById(body.data._id)).status).toBe('accepted');
+    });
+
+    it('should refuse a swap that leaves too little rest between shifts', async () => {
+      const today = new Date(tomorrow);
+      today.setDate(today.getDate() - 1);
+      await RosterAssignment.create({ staff: alice._id, date: today, shift: 'Evening' });
+      const { body } = await propose();
+      await act(body.data, 'accept', bobToken);
+
+      const res = await act(body.data, 'approve', managerToken);
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Swap breaks working-time rules');
+      expect(res.body.violations).toEqual([
+        expect.objectContaining({ staff: 'Alice', shift: 'Night', rule: 'minRestHours' }),
+      ]);
+      expect((await RosterAssignment.findOne({ shift: 'Night' })).staff.toString()).toBe(bob._id.toString());
+    });
+
+    it('should let the counterpart decline and the requester cancel', async () => {
+      const first = await propose();
+      expect((await act(first.body.data, 'decline', bobToken)).body.data.status).toBe('rejected');
+
+      const second = await propose();
+      expect((await act(second.body.data, 'cancel', aliceToken)).body.data.status).toBe('cancelled');
+    });
+  });
+
+  describe('GET /api/swaps', () => {
+    it('should show staff only their own swaps and managers all of them', async () => {
+      await propose();
+
+      const own = await request(app).get('/api/swaps').set('Authorization', `Bearer ${bobToken}`);
+      const other = await request(app).get('/api/swaps').set('Authorization', `Bearer ${otherToken}`);
+      const manager = await request(app).get('/api/swaps?status=pending').set('Authorization', `Bearer ${managerToken}`);
+
+      expect(own.body.count).toBe(1);
+      expect(other.body.count).toBe(0);
+      expect(manager.body.count).toBe(1);
+      expect(manager.body.data[0].requester.name).toBe('Alice');
+    });
+  });
+});
@@ -0,0 +1,227 @@
+const request = require('supertest');
+const express = require('express');
+const User = require('../../models/User');
+const Staff = require('../../models/Staff');
+const authRoutes = require('../../routes/authRoutes');
+const staffRoutes = require('../../routes/staffRoutes');
+const { generateCode } = require('../../utils/totp');
+const db = require('../testSetup');
+
+process.env.JWT_SECRET = 'test_secret_key';
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+app.use('/api/staff', staffRoutes);
+
+// Fixed clock so TOTP codes are deterministic
+const FIXED_NOW = new Date('2025-12-12T09:00:00.000Z').getTime();
+const STEP = 30 * 1000;
+
+beforeAll(async () => await db.connect());
+beforeEach(() => jest.spyOn(Date, 'now').mockReturnValue(FIXED_NOW));
+afterEach(async () => {
+  jest.restoreAllMocks();
+  await db.clearDatabase();
+});
+afterAll(async () => await db.closeDatabase());
+
+const login = (userName) => request(app)
+  .post('/api/auth/login')
+  .send({ userName, password: 'password123' });
+
+// Runs setup + enable and returns the secret, recovery codes and new session token
+const enrol = async (token) => {
+  const setup = await request(app)
+    .post('/api/auth/2fa/setup')
+    .set('Authorization', `Bearer ${token}`);
+  const { secret } = setup.body.data;
+
+  const enable = await request(app)
+    .post('/api/auth/2fa/enable')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ code: generateCode(secret, FIXED_NOW) });
+
+  return { secret, ...enable.body.data };
+};
+
+describe('Two-Factor Authentication', () => {
+  let token;
+
+  beforeEach(async () => {
+    await User.create({
+      name: 'Admin',
+      userName: 'admin',
+      email: 'admin@example.com',
+      password: 'password123',
+      role: 'admin',
+    });
+    token = (await login('admin')).body.data.token;
+  });
+
+  describe('Enrolment', () => {
+    it('should return a secret and otpauth URI on setup', async () => {
+      const response = await request(app)
+        .post('/api/auth/2fa/setup')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.secret).toMatch(/^[A-Z2-7]+$/);
+      expect(response.body.data.otpauthUrl).toMatch(/^otpauth:\/\/totp\//);
+    });
+
+    it('should enable two-factor with a valid code and return recovery codes', async () => {
+      const result = await enrol(token);
+
+      expect(result.recoveryCodes).toHaveLength(10);
+      expect(result.token).toBeDefined();
+
+      const user = await User.findOne({ userName: 'admin' });
+      expect(user.twoFactorEnabled).toBe(true);
+    });
+
+    it('should reject an invalid enrolment code', async () => {
+      await request(app)
+        .post('/api/auth/2fa/setup')
+        .set('Authorization', `Bearer ${token}`);
+
+      const response = await request(app)
+        .post('/api/auth/2fa/enable')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ code: '000000' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Invalid two-factor code');
+    });
+
+    it('should refuse to disable two-factor for admins', async () => {
+      const { secret, token: mfaToken } = await enrol(token);
+
+      const response = await request(app)
+        .post('/api/auth/2fa/disable')
+        .set('Authorization', `Bearer ${mfaToken}`)
+        .send({ password: 'password123', code: generateCode(secret, FIXED_NOW) });
+
+      expect(response.status).toBe(403);
+      expect(response.body.code).toBe('TWO_FACTOR_REQUIRED_BY_ROLE');
+    });
+  });
+
+  describe('Two-step login', () => {
+    let secret;
+    let recoveryCodes;
+
+    beforeEach(async () => {
+      ({ secret, recoveryCodes } = await enrol(token));
+    });
+
+    it('should return a challenge token instead of a session', async () => {
+      const response = await login('admin');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.twoFactorRequired).toBe(true);
+      expect(response.body.data.challengeToken).toBeDefined();
+      expect(response.body.data.token).toBeUndefined();
+    });
+
+    it('should issue a session for a valid TOTP code', async () => {
+      const { challengeToken } = (await login('admin')).body.data;
+
+      const response = await request(app)
+        .post('/api/auth/2fa/verify')
+        .send({ challengeToken, code: generateCode(secret, FIXED_NOW + STEP) });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.token).toBeDefined();
+      expect(response.body.data.refreshToken).toBeDefined();
+    });
+
+    it('should not accept the same code twice', async () => {
+      const { challengeToken } = (await login('admin')).body.data;
+
+      const response = await request(app)
+        .post('/api/auth/2fa/verify')
+        .send({ challengeToken, code: generateCode(secret, FIXED_NOW) });
+
+      expect(response.status).toBe(401);
+      expect(response.body.error).toBe('Invalid two-factor code');
+    });
+
+    it('should accept a recovery code only once', async () => {
+      const first = (await login('admin')).body.data.challengeToken;
+      const ok = await request(app)
+        .post('/api/auth/2fa/verify')
+        .send({ challengeToken: first, recoveryCode: recoveryCodes[0] });
+      expect(ok.status).toBe(200);
+
+      const second = (await login('admin')).body.data.challengeToken;
+      const reused = await request(app)
+        .post('/api/auth/2fa/verify')
+        .send({ challengeToken: second, recoveryCode: recoveryCodes[0] });
+      expect(reused.status).toBe(401);
+    });
+
+    it('should reject a recovery code that is not a string', async () => {
+      const { challengeToken } = (await login('admin')).body.data;
+
+      const response = await request(app)
+        .post('/api/auth/2fa/verify')
+        .send({ challengeToken, recoveryCode: { code: recoveryCodes[0] } });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should not accept the code used to log in for new recovery codes', async () => {
+      const { challengeToken } = (await login('admin')).body.data;
+      const code = generateCode(secret, FIXED_NOW + STEP);
+      const session = await request(app)
+        .post('/api/auth/2fa/verify')
+        .send({ challengeToken, code });
+
+      const response = await request(app)
+        .post('/api/auth/2fa/recovery-codes')
+        .set('Authorization', `Bearer ${session.body.data.token}`)
+        .send({ code });
+
+      expect(response.status).toBe(401);
+      expect(response.body.error).toBe('Invalid two-factor code');
+    });
+
+    it('should not accept a challenge token as an access token', async () => {
+      const { challengeToken } = (await login('admin')).body.data;
+
+      const response = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${challengeToken}`);
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('Role policy', () => {
+    let staff;
+
+    beforeEach(async () => {
+      staff = await Staff.create({ name: 'Dr. Policy', role: 'Doctor', shift: 'Morning' });
+    });
+
+    it('should block admins without two-factor from deleting staff', async () => {
+      const response = await request(app)
+        .delete(`/api/staff/${staff._id}`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(403);
+      expect(response.body.code).toBe('TWO_FACTOR_SETUP_REQUIRED');
+    });
+
+    it('should let a two-factor admin delete staff', async () => {
+      const { token: mfaToken } = await enrol(token);
+
+      const response = await request(app)
+        .delete(`/api/staff/${staff._id}`)
+        .set('Authorization', `Bearer ${mfaToken}`);
+
+      expect(response.status).toBe(200);
+    });
+  });
+});
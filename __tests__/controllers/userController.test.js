@@ -2,6 +2,9 @@ const request = require('supertest');
 const express = require('express');
 const jwt = require('jsonwebtoken');
 const User = require('../../models/User');
+const Staff = require('../../models/Staff');
+const RefreshToken = require('../../models/RefreshToken');
+const { issueTokens } = require('../../utils/tokens');
 const userRoutes = require('../../routes/userRoutes');
 const db = require('../testSetup');
 
@@ -23,8 +26,10 @@ beforeEach(async () => {
     userName: 'admin',
     email: 'admin@example.com',
     password: 'password',
+    role: 'admin',
+    twoFactorEnabled: true,
   });
-  token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, { expiresIn: '30d' });
+  token = jwt.sign({ id: user._id, mfa: true }, process.env.JWT_SECRET, { expiresIn: '30d' });
 });
 
 afterEach(async () => await db.clearDatabase());
@@ -90,32 +95,66 @@ describe('User Controller Tests', () => {
   });
 
   describe('POST /api/users', () => {
-    it('should create new user and return JWT token without authentication', async () => {
+    it('should let an admin create a user with a role', async () => {
       const newUser = {
         name: 'New User',
         userName: 'newuser',
         email: 'new@test.com',
-        password: 'password123',
+        password: 'Correct-Horse-9',
+        role: 'charge_nurse',
       };
 
       const response = await request(app)
         .post('/api/users')
+        .set('Authorization', `Bearer ${token}`)
         .send(newUser);
 
       expect(response.status).toBe(201);
       expect(response.body.success).toBe(true);
       expect(response.body.data.userName).toBe('newuser');
-      expect(response.body.data.token).toBeDefined();
-      expect(typeof response.body.data.token).toBe('string');
+      expect(response.body.data.role).toBe('charge_nurse');
+      expect(response.body.data.token).toBeUndefined();
+      expect(response.body.data.password).toBeUndefined();
     });
 
     it('should fail without required fields', async () => {
       const response = await request(app)
         .post('/api/users')
+        .set('Authorization', `Bearer ${token}`)
         .send({ name: 'Incomplete' });
 
       expect(response.status).toBe(400);
     });
+
+    it('should reject a password that breaks the policy', async () => {
+      const response = await request(app)
+        .post('/api/users')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          name: 'Weak',
+          userName: 'weak',
+          email: 'weak@test.com',
+          password: 'password123',
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.code).toBe('PASSWORD_POLICY');
+      expect(response.body.violations.map(v => v.rule)).toEqual(['uppercase', 'common']);
+    });
+
+    it('should reject unauthenticated signup', async () => {
+      const response = await request(app)
+        .post('/api/users')
+        .send({
+          name: 'Anonymous',
+          userName: 'anonymous',
+          email: 'anonymous@test.com',
+          password: 'password123',
+        });
+
+      expect(response.status).toBe(401);
+      expect(await User.findOne({ userName: 'anonymous' })).toBeNull();
+    });
   });
 
   describe('PUT /api/users/:id', () => {
@@ -142,6 +181,20 @@ describe('User Controller Tests', () => {
       expect(response.body.data.name).toBe('Updated Name');
     });
 
+    it('should hash a password set through update', async () => {
+      const response = await request(app)
+        .put(`/api/users/${userId}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ password: 'NewPassword9' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.password).toBeUndefined();
+
+      const user = await User.findById(userId).select('+password');
+      expect(user.password).not.toBe('NewPassword9');
+      expect(await user.matchPassword('NewPassword9')).toBe(true);
+    });
+
     it('should return 404 for non-existent user', async () => {
       const fakeId = '507f1f77bcf86cd799439011';
       const response = await request(app)
@@ -187,4 +240,213 @@ describe('User Controller Tests', () => {
       expect(response.status).toBe(404);
     });
   });
+
+  describe('Role-based access', () => {
+    let viewerToken;
+
+    beforeEach(async () => {
+      const viewer = await User.create({
+        name: 'Viewer',
+        userName: 'viewer',
+        email: 'viewer@test.com',
+        password: 'password',
+      });
+      viewerToken = jwt.sign({ id: viewer._id }, process.env.JWT_SECRET, { expiresIn: '30d' });
+    });
+
+    it('should forbid non-admin users from listing users', async () => {
+      const response = await request(app)
+        .get('/api/users')
+        .set('Authorization', `Bearer ${viewerToken}`);
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should forbid non-admin users from deleting users', async () => {
+      const other = await User.create({
+        name: 'Other',
+        userName: 'other',
+        email: 'other@test.com',
+        password: 'password',
+      });
+
+      const response = await request(app)
+        .delete(`/api/users/${other._id}`)
+        .set('Authorization', `Bearer ${viewerToken}`);
+
+      expect(response.status).toBe(403);
+      expect(await User.findById(other._id)).not.toBeNull();
+    });
+
+    it('should forbid non-admin users from creating users', async () => {
+      const response = await request(app)
+        .post('/api/users')
+        .set('Authorization', `Bearer ${viewerToken}`)
+        .send({
+          name: 'Sneaky',
+          userName: 'sneaky',
+          email: 'sneaky@test.com',
+          password: 'password123',
+          role: 'admin',
+        });
+
+      expect(response.status).toBe(403);
+      expect(await User.findOne({ userName: 'sneaky' })).toBeNull();
+    });
+
+    it('should let an admin change a user role', async () => {
+      const other = await User.create({
+        name: 'Promote',
+        userName: 'promote',
+        email: 'promote@test.com',
+        password: 'password',
+      });
+
+      const response = await request(app)
+        .put(`/api/users/${other._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ role: 'charge_nurse' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.role).toBe('charge_nurse');
+    });
+  });
+
+  describe('Session revocation', () => {
+    let target;
+
+    beforeEach(async () => {
+      target = await User.create({
+        name: 'Session User',
+        userName: 'sessionuser',
+        email: 'session@test.com',
+        password: 'password',
+      });
+    });
+
+    it('should revoke all sessions when a user is disabled', async () => {
+      const { token: userToken } = await issueTokens(target);
+
+      const response = await request(app)
+        .put(`/api/users/${target._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ isActive: false });
+
+      expect(response.status).toBe(200);
+
+      const activeTokens = await RefreshToken.countDocuments({ user: target._id, revokedAt: null });
+      expect(activeTokens).toBe(0);
+
+      const updated = await User.findById(target._id);
+      expect(updated.tokenVersion).toBe(1);
+
+      const revokedResponse = await request(app)
+        .get(`/api/users/${target._id}`)
+        .set('Authorization', `Bearer ${userToken}`);
+      expect(revokedResponse.status).toBe(401);
+    });
+
+    it('should revoke all sessions when a user is deleted', async () => {
+      await issueTokens(target);
+
+      await request(app)
+        .delete(`/api/users/${target._id}`)
+        .set('Authorization', `Bearer ${token}`);
+
+      const activeTokens = await RefreshToken.countDocuments({ user: target._id, revokedAt: null });
+      expect(activeTokens).toBe(0);
+    });
+  });
+
+  describe('Staff link', () => {
+    let staff, user;
+
+    beforeEach(async () => {
+      staff = await Staff.create({ name: 'Nurse', role: 'Nurse', shift: 'Morning' });
+      user = await User.create({
+        name: 'Linked',
+        userName: 'linked',
+        email: 'linked@test.com',
+        password: 'password',
+      });
+    });
+
+    it('should link a user to a staff record', async () => {
+      const response = await request(app)
+        .put(`/api/users/${user._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ staff: staff._id });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.staff).toBe(staff._id.toString());
+    });
+
+    it('should not link a staff record to two users', async () => {
+      await User.findByIdAndUpdate(user._id, { staff: staff._id });
+
+      const response = await request(app)
+        .post('/api/users')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          name: 'Second',
+          userName: 'second',
+          email: 'second@test.com',
+          password: 'Correct-Horse-9',
+          staff: staff._id,
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Staff record is already linked to another user');
+    });
+
+    it('should reject an unknown staff record', async () => {
+      const response = await request(app)
+        .put(`/api/users/${user._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ staff: '507f1f77bcf86cd799439011' });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should unlink with null', async () => {
+      await User.findByIdAndUpdate(user._id, { staff: staff._id });
+
+      const response = await request(app)
+        .put(`/api/users/${user._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ staff: null });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.staff).toBeNull();
+    });
+  });
+
+  describe('POST /api/users/:id/unlock', () => {
+    it('should clear a lockout', async () => {
+      const locked = await User.create({
+        name: 'Locked',
+        userName: 'locked',
+        email: 'locked@test.com',
+        password: 'password',
+        failedLoginCount: 5,
+        lockUntil: new Date(Date.now() + 15 * 60 * 1000),
+      });
+
+      const response = await request(app)
+        .post(`/api/users/${locked._id}/unlock`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.failedLoginCount).toBe(0);
+      expect(response.body.data.lockUntil).toBeNull();
+    });
+
+    it('should return 404 for non-existent user', async () => {
+      const response = await request(app)
+        .post('/api/users/507f1f77bcf86cd799439011/unlock')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(404);
+    });
+  });
 });
@@ -0,0 +1,148 @@
+const request = require('supertest');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const WorkingTimeRule = require('../../models/WorkingTimeRule');
+const RosterAssignment = require('../../models/RosterAssignment');
+const Staff = require('../../models/Staff');
+const AuditLog = require('../../models/AuditLog');
+const User = require('../../models/User');
+const workingTimeRuleRoutes = require('../../routes/workingTimeRuleRoutes');
+const rosterRoutes = require('../../routes/rosterRoutes');
+const db = require('../testSetup');
+
+process.env.JWT_SECRET = 'test_secret_key';
+
+const app = express();
+app.use(express.json());
+app.use('/api/working-time-rules', workingTimeRuleRoutes);
+app.use('/api/roster', rosterRoutes);
+
+let adminToken, managerToken, nurse;
+
+beforeAll(async () => await db.connect());
+
+beforeEach(async () => {
+  const admin = await User.create({
+    name: 'Admin',
+    userName: 'admin',
+    email: 'admin@example.com',
+    password: 'password',
+    role: 'admin',
+    twoFactorEnabled: true,
+  });
+  const manager = await User.create({
+    name: 'Manager',
+    userName: 'manager',
+    email: 'manager@example.com',
+    password: 'password',
+    role: 'ward_manager',
+  });
+  adminToken = jwt.sign({ id: admin._id, mfa: true }, process.env.JWT_SECRET, { expiresIn: '30d' });
+  managerToken = jwt.sign({ id: manager._id }, process.env.JWT_SECRET, { expiresIn: '30d' });
+  nurse = await Staff.create({ name: 'Nina', role: 'Nurse', shift: 'Night' });
+});
+
+afterEach(async () => await db.clearDatabase());
+afterAll(async () => await db.closeDatabase());
+
+const setRule = (rule, body, token = adminToken) => request(app)
+  .put(`/api/working-time-rules/${rule}`)
+  .set('Authorization', `Bearer ${token}`)
+  .send(body);
+
+describe('Working-time Rule Controller Tests', () => {
+  describe('GET /api/working-time-rules', () => {
+    it('should list every rule with its default', async () => {
+      const res = await request(app)
+        .get('/api/working-time-rules')
+        .set('Authorization', `Bearer ${managerToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.count).toBe(4);
+      expect(res.body.data.every(rule => rule.isDefault)).toBe(true);
+    });
+  });
+
+  describe('PUT and DELETE /api/working-time-rules/:rule', () => {
+    it('should let an admin change a rule and reset it to the default', async () => {
+      const res = await setRule('maxNightShifts', { limit: 2, severity: 'error' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toEqual(expect.objectContaining({
+        rule: 'maxNightShifts',
+        limit: 2,
+        periodDays: 7,
+        severity: 'error',
+        isDefault: false,
+      }));
+      expect(await AuditLog.countDocuments({ entityType: 'WorkingTimeRule', action: 'create' })).toBe(1);
+
+      const reset = await request(app)
+        .delete('/api/working-time-rules/maxNightShifts')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(reset.body.data).toEqual(expect.objectContaining({ limit: 4, severity: 'warning', isDefault: true }));
+      expect(await WorkingTimeRule.countDocuments()).toBe(0);
+    });
+
+    it('should only let admins change rules', async () => {
+      const res = await setRule('maxNightShifts', { limit: 2 }, managerToken);
+
+      expect(res.status).toBe(403);
+    });
+
+    it('should return 404 for an unknown rule', async () => {
+      const res = await setRule('maxOvertime', { limit: 2 });
+
+      expect(res.status).toBe(404);
+      expect(res.body.error).toBe('Working-time rule not found');
+    });
+
+    it('should reject an invalid severity', async () => {
+      const res = await setRule('maxWeeklyHours', { severity: 'fatal' });
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('POST /api/working-time-rules/check', () => {
+    it('should preview the rules a shift would break', async () => {
+      for (const date of ['2025-12-01', '2025-12-02', '2025-12-03', '2025-12-04']) {
+        await RosterAssignment.create({ staff: nurse._id, date, shift: 'Night' });
+      }
+
+      const res = await request(app)
+        .post('/api/working-time-rules/check')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ staffId: nurse.staffId, date: '2025-12-05' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.shift).toBe('Night');
+      expect(res.body.data.allowed).toBe(true);
+      expect(res.body.data.warnings.map(warning => warning.rule)).toEqual(['maxNightShifts']);
+      expect(await RosterAssignment.countDocuments()).toBe(4);
+    });
+
+    it('should apply a rule made an error to roster writes', async () => {
+      await setRule('maxNightShifts', { limit: 1, severity: 'error' });
+      await RosterAssignment.create({ staff: nurse._id, date: '2025-12-01', shift: 'Night' });
+
+      const res = await request(app)
+        .post('/api/roster')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ staffId: nurse._id, date: '2025-12-03' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.violations).toEqual([expect.objectContaining({ rule: 'maxNightShifts', limit: 1 })]);
+    });
+
+    it('should require a staff member and a date', async () => {
+      const res = await request(app)
+        .post('/api/working-time-rules/check')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ date: '2025-12-05' });
+
+      expect(res.status).toBe(400);
+    });
+  });
+});
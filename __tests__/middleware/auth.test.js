@@ -1,5 +1,5 @@
 const jwt = require('jsonwebtoken');
-const { protect } = require('../../middleware/auth');
+const { protect, authorize, allowExpiredPassword } = require('../../middleware/auth');
 const User = require('../../models/User');
 const db = require('../testSetup');
 
@@ -145,5 +145,162 @@ describe('Auth Middleware Tests', () => {
       await protect(mockReq, mockRes, mockNext);
       expect(mockNext).toHaveBeenCalled();
     });
+
+    it('should reject a two-factor challenge token', async () => {
+      const user = await User.create({
+        name: 'Challenge User',
+        userName: 'challengeuser',
+        email: 'challenge@example.com',
+        password: 'password123',
+      });
+
+      const token = jwt.sign({ id: user._id, purpose: '2fa' }, process.env.JWT_SECRET, { expiresIn: '5m' });
+      mockReq.headers.authorization = `Bearer ${token}`;
+
+      await protect(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(401);
+      expect(mockNext).not.toHaveBeenCalled();
+    });
+
+    it('should fail when the token version is stale', async () => {
+      const user = await User.create({
+        name: 'Revoked User',
+        userName: 'revokeduser',
+        email: 'revoked@example.com',
+        password: 'password123',
+        tokenVersion: 1,
+      });
+
+      const token = jwt.sign({ id: user._id, tv: 0 }, process.env.JWT_SECRET, { expiresIn: '15m' });
+      mockReq.headers.authorization = `Bearer ${token}`;
+
+      await protect(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(401);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: false,
+        error: 'Not authorized, token revoked',
+      });
+      expect(mockNext).not.toHaveBeenCalled();
+    });
+
+    it('should fail when the account is disabled', async () => {
+      const user = await User.create({
+        name: 'Disabled User',
+        userName: 'disableduser',
+        email: 'disabled@example.com',
+        password: 'password123',
+        isActive: false,
+      });
+
+      const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, { expiresIn: '15m' });
+      mockReq.headers.authorization = `Bearer ${token}`;
+
+      await protect(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(401);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: false,
+        error: 'Not authorized, account disabled',
+      });
+    });
+
+    describe('expired password', () => {
+      let token;
+
+      beforeEach(async () => {
+        const user = await User.create({
+          name: 'Expired User',
+          userName: 'expireduser',
+          email: 'expired@example.com',
+          password: 'password123',
+          passwordChangedAt: Date.now() - 100 * 24 * 60 * 60 * 1000,
+        });
+        token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, { expiresIn: '15m' });
+        mockReq.headers.authorization = `Bearer ${token}`;
+      });
+
+      it('should block routes until the password is changed', async () => {
+        await protect(mockReq, mockRes, mockNext);
+
+        expect(mockRes.status).toHaveBeenCalledWith(403);
+        expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'PASSWORD_EXPIRED' }));
+        expect(mockNext).not.toHaveBeenCalled();
+      });
+
+      it('should allow routes registered with allowExpiredPassword', async () => {
+        allowExpiredPassword(mockReq, mockRes, jest.fn());
+        await protect(mockReq, mockRes, mockNext);
+
+        expect(mockNext).toHaveBeenCalled();
+      });
+    });
+  });
+
+  describe('authorize middleware', () => {
+    it('should call next when user role is allowed', () => {
+      mockReq.user = { role: 'admin', twoFactorEnabled: true };
+      mockReq.auth = { mfa: true };
+
+      authorize('admin', 'ward_manager')(mockReq, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalled();
+      expect(mockRes.status).not.toHaveBeenCalled();
+    });
+
+    it('should return 403 when user role is not allowed', () => {
+      mockReq.user = { role: 'viewer' };
+
+      authorize('admin')(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(403);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: false,
+        error: "User role 'viewer' is not authorized to access this route",
+      });
+      expect(mockNext).not.toHaveBeenCalled();
+    });
+
+    it('should require two-factor enrolment for admins', () => {
+      mockReq.user = { role: 'admin', twoFactorEnabled: false };
+      mockReq.auth = { mfa: false };
+
+      authorize('admin')(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(403);
+      expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({
+        code: 'TWO_FACTOR_SETUP_REQUIRED',
+      }));
+      expect(mockNext).not.toHaveBeenCalled();
+    });
+
+    it('should require a two-factor session for admins', () => {
+      mockReq.user = { role: 'admin', twoFactorEnabled: true };
+      mockReq.auth = { mfa: false };
+
+      authorize('admin')(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(403);
+      expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({
+        code: 'TWO_FACTOR_REQUIRED',
+      }));
+    });
+
+    it('should not require two-factor for other roles', () => {
+      mockReq.user = { role: 'ward_manager', twoFactorEnabled: false };
+      mockReq.auth = { mfa: false };
+
+      authorize('admin', 'ward_manager')(mockReq, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalled();
+    });
+
+    it('should return 403 when no user is attached to the request', () => {
+      authorize('admin')(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(403);
+      expect(mockNext).not.toHaveBeenCalled();
+    });
   });
 });
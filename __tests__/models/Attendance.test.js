@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const Attendance = require('../../models/Attendance');
+const AttendanceRevision = require('../../models/AttendanceRevision');
 const Staff = require('../../models/Staff');
 const User = require('../../models/User');
 const { connect, closeDatabase, clearDatabase } = require('../testSetup');
@@ -254,4 +255,27 @@ describe('Attendance Model', () => {
       expect(attendance.markedAt).toBeDefined();
     });
   });
+
+  describe('Revisions', () => {
+    it('should keep the first version of a record that has no stored revisions', async () => {
+      const attendance = await Attendance.create({
+        staffId,
+        date: new Date('2024-12-11'),
+        shift: 'Morning',
+        status: 'Absent',
+        markedBy: userId,
+      });
+      // As for records marked before revisions were kept
+      await AttendanceRevision.deleteMany({});
+
+      attendance.status = 'Present';
+      await attendance.save();
+
+      const revisions = await AttendanceRevision.find({ attendance: attendance._id }).sort({ revision: 1 });
+      expect(revisions.map(revision => [revision.revision, revision.status])).toEqual([
+        [1, 'Absent'],
+        [2, 'Present'],
+      ]);
+    });
+  });
 });
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../../models/AuditLog');
+const db = require('../testSetup');
+
+beforeAll(async () => await db.connect());
+afterEach(async () => await db.clearDatabase());
+afterAll(async () => await db.closeDatabase());
+
+describe('AuditLog Model Test', () => {
+  let entry;
+
+  beforeEach(async () => {
+    entry = await AuditLog.create({
+      action: 'update',
+      entityType: 'Attendance',
+      entityId: new mongoose.Types.ObjectId(),
+      before: { status: 'Absent' },
+      after: { status: 'Present' },
+    });
+  });
+
+  it('should record when the entry was written', () => {
+    expect(entry.createdAt).toBeDefined();
+    expect(entry.updatedAt).toBeUndefined();
+  });
+
+  it('should reject an unknown entity type', async () => {
+    await expect(AuditLog.create({
+      action: 'update',
+      entityType: 'Invoice',
+      entityId: new mongoose.Types.ObjectId(),
+    })).rejects.toThrow(mongoose.Error.ValidationError);
+  });
+
+  it('should not allow entries to be updated', async () => {
+    await expect(AuditLog.updateOne({ _id: entry._id }, { after: { status: 'Leave' } }))
+      .rejects.toThrow('Audit log entries cannot be modified');
+    await expect(AuditLog.findByIdAndUpdate(entry._id, { action: 'delete' }))
+      .rejects.toThrow('Audit log entries cannot be modified');
+
+    entry.after = { status: 'Leave' };
+    await expect(entry.save()).rejects.toThrow('Audit log entries cannot be modified');
+
+    const stored = await AuditLog.findById(entry._id);
+    expect(stored.after).toEqual({ status: 'Present' });
+  });
+
+  it('should not allow entries to be deleted', async () => {
+    await expect(AuditLog.deleteOne({ _id: entry._id })).rejects.toThrow('Audit log entries cannot be modified');
+    await expect(AuditLog.deleteMany({})).rejects.toThrow('Audit log entries cannot be modified');
+    await expect(AuditLog.findByIdAndDelete(entry._id)).rejects.toThrow('Audit log entries cannot be modified');
+    await expect(entry.deleteOne()).rejects.toThrow('Audit log entries cannot be modified');
+
+    expect(await AuditLog.countDocuments()).toBe(1);
+  });
+});
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+const Department = require('../../models/Department');
+const Staff = require('../../models/Staff');
+const db = require('../testSetup');
+
+beforeAll(async () => await db.connect());
+afterEach(async () => await db.clearDatabase());
+afterAll(async () => await db.closeDatabase());
+
+describe('Department Model Test', () => {
+  it('should upper-case the code and default to active', async () => {
+    const department = await Department.create({ name: 'Intensive Care', code: 'icu' });
+
+    expect(department.code).toBe('ICU');
+    expect(department.isActive).toBe(true);
+  });
+
+  it('should require a name and code', async () => {
+    const err = await new Department({}).validate().catch(e => e);
+
+    expect(err).toBeInstanceOf(mongoose.Error.ValidationError);
+    expect(err.errors.name).toBeDefined();
+    expect(err.errors.code).toBeDefined();
+  });
+
+  it('should resolve by _id, name in any case or code', async () => {
+    const icu = await Department.create({ name: 'Intensive Care', code: 'ICU' });
+
+    expect((await Department.resolve(icu._id))._id).toEqual(icu._id);
+    expect((await Department.resolve('intensive care'))._id).toEqual(icu._id);
+    expect((await Department.resolve('icu'))._id).toEqual(icu._id);
+    expect(await Department.resolve('Pediatrics')).toBeNull();
+  });
+
+  it('should only resolve inactive departments when asked', async () => {
+    await Department.create({ name: 'Old Ward', code: 'OLD', isActive: false });
+
+    expect(await Department.resolve('OLD')).toBeNull();
+    expect(await Department.resolve('OLD', { includeInactive: true })).not.toBeNull();
+  });
+
+  describe('Staff department', () => {
+    it('should assign staff to an active department', async () => {
+      const icu = await Department.create({ name: 'Intensive Care', code: 'ICU' });
+      const staff = await Staff.create({ name: 'Nurse A', role: 'Nurse', shift: 'Morning', department: icu._id });
+
+      expect(staff.department).toEqual(icu._id);
+    });
+
+    it('should reject an inactive department', async () => {
+      const old = await Department.create({ name: 'Old Ward', code: 'OLD', isActive: false });
+
+      await expect(Staff.create({ name: 'Nurse A', role: 'Nurse', shift: 'Morning', department: old._id }))
+        .rejects.toThrow('Unknown or inactive department');
+    });
+  });
+});
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+const Facility = require('../../models/Facility');
+const Department = require('../../models/Department');
+const Staff = require('../../models/Staff');
+const Attendance = require('../../models/Attendance');
+const db = require('../testSetup');
+
+beforeAll(async () => await db.connect());
+afterEach(async () => await db.clearDatabase());
+afterAll(async () => await db.closeDatabase());
+
+describe('Facility Model Test', () => {
+  it('should upper-case the code and default the time zone to UTC', async () => {
+    const facility = await Facility.create({ name: 'City General', code: 'cgh' });
+
+    expect(facility.code).toBe('CGH');
+    expect(facility.timezone).toBe('UTC');
+  });
+
+  it('should reject an unknown time zone', async () => {
+    const err = await new Facility({ name: 'City General', code: 'CGH', timezone: 'Mars/Olympus' })
+      .validate()
+      .catch(e => e);
+
+    expect(err).toBeInstanceOf(mongoose.Error.ValidationError);
+    expect(err.errors.timezone.message).toBe("'Mars/Olympus' is not a valid time zone");
+  });
+
+  it('should resolve by _id, name in any case or code', async () => {
+    const facility = await Facility.create({ name: 'City General', code: 'CGH' });
+
+    expect((await Facility.resolve(facility._id))._id).toEqual(facility._id);
+    expect((await Facility.resolve('city general'))._id).toEqual(facility._id);
+    expect((await Facility.resolve('cgh'))._id).toEqual(facility._id);
+    expect(await Facility.resolve('Riverside')).toBeNull();
+  });
+
+  it('should allow the same department code in two facilities', async () => {
+    await Department.init();
+    const cityGeneral = await Facility.create({ name: 'City General', code: 'CGH' });
+    const riverside = await Facility.create({ name: 'Riverside', code: 'RSC' });
+
+    await Department.create({ name: 'Intensive Care', code: 'ICU', facility: cityGeneral._id });
+    await Department.create({ name: 'Intensive Care', code: 'ICU', facility: riverside._id });
+
+    expect(await Department.countDocuments({ code: 'ICU' })).toBe(2);
+  });
+
+  it('should not assign staff to another facility\'s department', async () => {
+    const cityGeneral = await Facility.create({ name: 'City General', code: 'CGH' });
+    const riverside = await Facility.create({ name: 'Riverside', code: 'RSC' });
+    const icu = await Department.create({ name: 'Intensive Care', code: 'ICU', facility: riverside._id });
+
+    await expect(Staff.create({
+      name: 'Nurse A', role: 'Nurse', shift: 'Morning', facility: cityGeneral._id, department: icu._id,
+    })).rejects.toThrow('Unknown or inactive department');
+  });
+
+  it('should give attendance the facility of its staff member', async () => {
+    const cityGeneral = await Facility.create({ name: 'City General', code: 'CGH' });
+    const staff = await Staff.create({ name: 'Nurse A', role: 'Nurse', shift: 'Morning', facility: cityGeneral._id });
+
+    const attendance = await Attendance.create({
+      staffId: staff._id, date: new Date('2025-12-12'), shift: 'Morning', status: 'Present',
+    });
+
+    expect(attendance.facility).toEqual(cityGeneral._id);
+  });
+});
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+const OpenShift = require('../../models/OpenShift');
+const db = require('../testSetup');
+
+beforeAll(async () => await db.connect());
+afterEach(async () => await db.clearDatabase());
+afterAll(async () => await db.closeDatabase());
+
+describe('OpenShift Model Test', () => {
+  it('should start open on the start of its day', async () => {
+    const posting = await OpenShift.create({
+      date: new Date(2025, 11, 2, 15, 30),
+      shift: 'Night',
+      role: 'Nurse',
+      slots: 2,
+    });
+
+    expect(posting.status).toBe('open');
+    expect(posting.date).toEqual(new Date(2025, 11, 2));
+    expect(posting.filledSlots).toBe(0);
+  });
+
+  it('should count confirmed claims as filled slots', async () => {
+    const posting = await OpenShift.create({
+      date: new Date(2025, 11, 2),
+      shift: 'Night',
+      role: 'Nurse',
+      slots: 2,
+      claims: [
+        { staff: new mongoose.Types.ObjectId(), status: 'confirmed' },
+        { staff: new mongoose.Types.ObjectId() },
+      ],
+    });
+
+    expect(posting.claims[1].status).toBe('pending');
+    expect(posting.filledSlots).toBe(1);
+    expect(posting.toJSON().filledSlots).toBe(1);
+  });
+
+  it('should need at least one slot', async () => {
+    const err = await new OpenShift({ date: new Date(), shift: 'Night', role: 'Nurse', slots: 0 })
+      .validate().catch(e => e);
+
+    expect(err).toBeInstanceOf(mongoose.Error.ValidationError);
+    expect(err.errors.slots.message).toBe('An open shift needs at least one slot');
+  });
+});
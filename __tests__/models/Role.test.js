@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+const Role = require('../../models/Role');
+const Staff = require('../../models/Staff');
+const db = require('../testSetup');
+
+beforeAll(async () => await db.connect());
+afterEach(async () => await db.clearDatabase());
+afterAll(async () => await db.closeDatabase());
+
+const nurse = { name: 'Nurse', code: 'rn', staffIdPrefix: 'n' };
+
+describe('Role Model Test', () => {
+  it('should upper-case the code and prefix', async () => {
+    const role = await Role.create(nurse);
+
+    expect(role.code).toBe('RN');
+    expect(role.staffIdPrefix).toBe('N');
+    expect(role.countsAs).toBeNull();
+    expect(role.isActive).toBe(true);
+  });
+
+  it('should reject a prefix that is not 1 to 3 letters', async () => {
+    const err = await new Role({ ...nurse, staffIdPrefix: 'N1' }).validate().catch(e => e);
+
+    expect(err).toBeInstanceOf(mongoose.Error.ValidationError);
+    expect(err.errors.staffIdPrefix).toBeDefined();
+  });
+
+  it('should store countsAs as the catalogue name of the target role', async () => {
+    await Role.create(nurse);
+    const senior = await Role.create({ name: 'Senior Nurse', code: 'SRN', staffIdPrefix: 'N', countsAs: 'rn' });
+
+    expect(senior.countsAs).toBe('Nurse');
+  });
+
+  it('should reject countsAs for an unknown role', async () => {
+    await expect(Role.create({ name: 'Senior Nurse', code: 'SRN', staffIdPrefix: 'N', countsAs: 'Nurse' }))
+      .rejects.toThrow("Unknown role 'Nurse'");
+  });
+
+  it('should not chain countsAs', async () => {
+    await Role.create(nurse);
+    await Role.create({ name: 'Senior Nurse', code: 'SRN', staffIdPrefix: 'N', countsAs: 'Nurse' });
+
+    await expect(Role.create({ name: 'Nurse Lead', code: 'NL', staffIdPrefix: 'N', countsAs: 'Senior Nurse' }))
+      .rejects.toThrow("'Senior Nurse' already counts as Nurse");
+  });
+
+  it('should map roles to the role they count as', async () => {
+    await Role.create(nurse);
+    await Role.create({ name: 'Senior Nurse', code: 'SRN', staffIdPrefix: 'N', countsAs: 'Nurse' });
+
+    const aliases = await Role.aliasMap();
+
+    expect(aliases['Senior Nurse']).toBe('Nurse');
+    expect(aliases['Lab Technician']).toBe('Technician');
+  });
+
+  it('should keep each facility\'s catalogue to itself', async () => {
+    await Role.init();
+    const facility = new mongoose.Types.ObjectId();
+    await Role.create(nurse);
+    await Role.create({ ...nurse, facility });
+    await Role.create({ name: 'Senior Nurse', code: 'SRN', staffIdPrefix: 'N', countsAs: 'Nurse', facility });
+
+    expect((await Role.aliasMap(facility))['Senior Nurse']).toBe('Nurse');
+    expect((await Role.aliasMap())['Senior Nurse']).toBeUndefined();
+    await expect(Staff.create({ name: 'Sam', role: 'Senior Nurse', shift: 'Morning' }))
+      .rejects.toThrow("Unknown or inactive role 'Senior Nurse'");
+  });
+
+  describe('Assigning roles to staff', () => {
+    it('should accept only the built-in roles while no roles are defined', async () => {
+      const staff = await Staff.create({ name: 'Tech', role: 'lab technician', shift: 'Morning' });
+
+      expect(staff.role).toBe('Lab Technician');
+      expect(staff.staffId).toBe('T001');
+      await expect(Staff.create({ name: 'Porter', role: 'Porter', shift: 'Morning' }))
+        .rejects.toThrow("Unknown or inactive role 'Porter'");
+    });
+
+    it('should store the catalogue name and use its staffId prefix', async () => {
+      await Role.create({ name: 'Healthcare Assistant', code: 'HCA', staffIdPrefix: 'HCA' });
+
+      const staff = await Staff.create({ name: 'Sam', role: 'hca', shift: 'Morning' });
+
+      expect(staff.role).toBe('Healthcare Assistant');
+      expect(staff.staffId).toBe('HCA001');
+    });
+
+    it('should reject unknown roles once roles are defined', async () => {
+      await Role.create(nurse);
+
+      await expect(Staff.create({ name: 'Porter', role: 'Porter', shift: 'Morning' }))
+        .rejects.toThrow("Unknown or inactive role 'Porter'");
+    });
+
+    it('should reject inactive roles for new staff', async () => {
+      await Role.create({ ...nurse, isActive: false });
+
+      await expect(Staff.create({ name: 'Nurse', role: 'Nurse', shift: 'Morning' }))
+        .rejects.toThrow(mongoose.Error.ValidationError);
+    });
+  });
+});
@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+const RosterAssignment = require('../../models/RosterAssignment');
+const Staff = require('../../models/Staff');
+const Shift = require('../../models/Shift');
+const Department = require('../../models/Department');
+const Facility = require('../../models/Facility');
+const db = require('../testSetup');
+
+beforeAll(async () => await db.connect());
+afterEach(async () => await db.clearDatabase());
+afterAll(async () => await db.closeDatabase());
+
+describe('RosterAssignment Model Test', () => {
+  let staff;
+
+  beforeEach(async () => {
+    staff = await Staff.create({ name: 'Nurse A', role: 'Nurse', shift: 'Morning' });
+  });
+
+  it('should normalise the date to the start of the day and default to manual', async () => {
+    const assignment = await RosterAssignment.create({
+      staff: staff._id,
+      date: new Date(2025, 11, 1, 14, 30),
+      shift: 'Morning',
+    });
+
+    expect(assignment.date).toEqual(new Date(2025, 11, 1));
+    expect(assignment.source).toBe('manual');
+  });
+
+  it('should require staff, date and shift', async () => {
+    const err = await new RosterAssignment({}).validate().catch(e => e);
+
+    expect(err).toBeInstanceOf(mongoose.Error.ValidationError);
+    expect(err.errors.staff).toBeDefined();
+    expect(err.errors.date).toBeDefined();
+    expect(err.errors.shift).toBeDefined();
+  });
+
+  it('should resolve the shift against its definition', async () => {
+    const night = await Shift.create({ name: 'Night', code: 'N', startTime: '22:00', endTime: '08:00', crossesMidnight: true });
+
+    const assignment = await RosterAssignment.create({ staff: staff._id, date: new Date(), shift: 'n' });
+
+    expect(assignment.shift).toBe('Night');
+    expect(assignment.shiftDefinition).toEqual(night._id);
+  });
+
+  it('should take the facility of the staff member', async () => {
+    const facility = await Facility.create({ name: 'North', code: 'N' });
+    const member = await Staff.create({ name: 'Nurse B', role: 'Nurse', shift: 'Morning', facility: facility._id });
+
+    const assignment = await RosterAssignment.create({ staff: member._id, date: new Date(), shift: 'Morning' });
+
+    expect(assignment.facility).toEqual(facility._id);
+  });
+
+  it('should reject a department of another facility', async () => {
+    const facility = await Facility.create({ name: 'North', code: 'N' });
+    const elsewhere = await Department.create({ name: 'Intensive Care', code: 'ICU', facility: facility._id });
+
+    const err = await RosterAssignment.create({
+      staff: staff._id,
+      date: new Date(),
+      shift: 'Morning',
+      department: elsewhere._id,
+    }).catch(e => e);
+
+    expect(err).toBeInstanceOf(mongoose.Error.ValidationError);
+    expect(err.errors.department).toBeDefined();
+  });
+
+  it('should not assign a staff member to the same shift twice on one day', async () => {
+    await RosterAssignment.init();
+    await RosterAssignment.create({ staff: staff._id, date: new Date(2025, 11, 1, 9), shift: 'Morning' });
+
+    const err = await RosterAssignment.create({ staff: staff._id, date: new Date(2025, 11, 1, 17), shift: 'Morning' })
+      .catch(e => e);
+
+    expect(err.code).toBe(11000);
+  });
+
+  it('should keep one live assignment per shift and day across schedules', async () => {
+    await RosterAssignment.init();
+    const period = new mongoose.Types.ObjectId();
+    await RosterAssignment.create({ staff: staff._id, date: new Date(2025, 11, 1), shift: 'Morning' });
+    await RosterAssignment.create({ staff: staff._id, date: new Date(2025, 11, 1), shift: 'Morning', period, status: 'draft' });
+
+    const err = await RosterAssignment.create({
+      staff: staff._id,
+      date: new Date(2025, 11, 1),
+      shift: 'Morning',
+      period: new mongoose.Types.ObjectId(),
+      status: 'published',
+    }).catch(e => e);
+
+    expect(err.code).toBe(11000);
+  });
+});
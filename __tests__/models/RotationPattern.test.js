@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+const RotationPattern = require('../../models/RotationPattern');
+const Shift = require('../../models/Shift');
+const db = require('../testSetup');
+
+beforeAll(async () => await db.connect());
+afterEach(async () => await db.clearDatabase());
+afterAll(async () => await db.closeDatabase());
+
+const anchorDate = new Date(2025, 11, 1, 15, 30);
+
+describe('RotationPattern Model Test', () => {
+  it('should store shift codes as shift names, days off as Off and the anchor as a day', async () => {
+    await Shift.create([
+      { name: 'Morning', code: 'M', startTime: '08:00', endTime: '16:00' },
+      { name: 'Night', code: 'N', startTime: '22:00', endTime: '08:00', crossesMidnight: true },
+    ]);
+
+    const pattern = await RotationPattern.create({ name: 'Rolling', steps: ['m', 'Morning', 'N', 'off'], anchorDate });
+
+    expect(pattern.steps).toEqual(['Morning', 'Morning', 'Night', 'Off']);
+    expect(pattern.anchorDate).toEqual(new Date(2025, 11, 1));
+    expect(pattern.isActive).toBe(true);
+  });
+
+  it('should reject unknown shifts once shifts are defined', async () => {
+    await Shift.create({ name: 'Morning', code: 'M', startTime: '08:00', endTime: '16:00' });
+
+    const err = await new RotationPattern({ name: 'Bad', steps: ['Morning', 'Twilight'], anchorDate })
+      .validate().catch(e => e);
+
+    expect(err).toBeInstanceOf(mongoose.Error.ValidationError);
+    expect(err.errors.steps.message).toBe("Unknown or inactive shift 'Twilight'");
+  });
+
+  it('should need a name, an anchor date and at least one day', async () => {
+    const err = await new RotationPattern({ steps: [] }).validate().catch(e => e);
+
+    expect(err.errors.name.message).toBe('Please add a name');
+    expect(err.errors.anchorDate.message).toBe('Please add an anchor date');
+    expect(err.errors.steps.message).toBe('A rotation needs at least one day');
+  });
+
+  it('should keep names unique in a facility, ignoring case', async () => {
+    await RotationPattern.init();
+    await RotationPattern.create({ name: '4 on 4 off', steps: ['Morning', 'Off'], anchorDate });
+
+    const err = await RotationPattern.create({ name: '4 ON 4 OFF', steps: ['Night'], anchorDate }).catch(e => e);
+
+    expect(err.code).toBe(11000);
+  });
+
+  it('should resolve active patterns by _id or name', async () => {
+    const pattern = await RotationPattern.create({ name: 'Nights', steps: ['Night', 'Off'], anchorDate });
+    await RotationPattern.create({ name: 'Old', steps: ['Morning'], anchorDate, isActive: false });
+
+    expect((await RotationPattern.resolve('nights'))._id).toEqual(pattern._id);
+    expect((await RotationPattern.resolve(pattern._id.toString())).name).toBe('Nights');
+    expect(await RotationPattern.resolve('Old')).toBeNull();
+    expect((await RotationPattern.resolve('Old', { includeInactive: true })).name).toBe('Old');
+    expect(await RotationPattern.resolve('Nights', { facility: new mongoose.Types.ObjectId() })).toBeNull();
+  });
+});
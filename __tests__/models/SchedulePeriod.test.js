@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+const SchedulePeriod = require('../../models/SchedulePeriod');
+const db = require('../testSetup');
+
+beforeAll(async () => await db.connect());
+afterEach(async () => await db.clearDatabase());
+afterAll(async () => await db.closeDatabase());
+
+describe('SchedulePeriod Model Test', () => {
+  it('should start as a draft with dates at the start of the day', async () => {
+    const period = await SchedulePeriod.create({
+      startDate: new Date(2025, 11, 1, 9),
+      endDate: new Date(2025, 11, 7, 18),
+    });
+
+    expect(period.status).toBe('draft');
+    expect(period.startDate).toEqual(new Date(2025, 11, 1));
+    expect(period.endDate).toEqual(new Date(2025, 11, 7));
+  });
+
+  it('should require both dates', async () => {
+    const err = await new SchedulePeriod({}).validate().catch(e => e);
+
+    expect(err).toBeInstanceOf(mongoose.Error.ValidationError);
+    expect(err.errors.startDate).toBeDefined();
+    expect(err.errors.endDate).toBeDefined();
+  });
+
+  it('should reject an end date before the start date', async () => {
+    const err = await new SchedulePeriod({
+      startDate: new Date(2025, 11, 7),
+      endDate: new Date(2025, 11, 1),
+    }).validate().catch(e => e);
+
+    expect(err.errors.endDate.message).toBe('End date cannot be before start date');
+  });
+
+  it('should reject unknown statuses', async () => {
+    const err = await new SchedulePeriod({
+      startDate: new Date(2025, 11, 1),
+      endDate: new Date(2025, 11, 1),
+      status: 'final',
+    }).validate().catch(e => e);
+
+    expect(err.errors.status).toBeDefined();
+  });
+});
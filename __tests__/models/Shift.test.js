@@ -0,0 +1,199 @@
+const mongoose = require('mongoose');
+const Shift = require('../../models/Shift');
+const Staff = require('../../models/Staff');
+const Attendance = require('../../models/Attendance');
+const { migrateShifts } = require('../../utils/shiftMigration');
+const db = require('../testSetup');
+
+beforeAll(async () => await db.connect());
+afterEach(async () => await db.clearDatabase());
+afterAll(async () => await db.closeDatabase());
+
+const morning = { name: 'Morning', code: 'm', startTime: '08:00', endTime: '16:00', breakMinutes: 30 };
+const night = { name: 'Night', code: 'N', startTime: '22:00', endTime: '08:00', crossesMidnight: true, breakMinutes: 60 };
+
+describe('Shift Model Test', () => {
+  it('should save a shift with an upper-case code and computed durations', async () => {
+    const shift = await Shift.create(morning);
+
+    expect(shift.code).toBe('M');
+    expect(shift.isActive).toBe(true);
+    expect(shift.durationMinutes).toBe(480);
+    expect(shift.workMinutes).toBe(450);
+  });
+
+  it('should count the hours past midnight for overnight shifts', async () => {
+    const shift = await Shift.create(night);
+
+    expect(shift.durationMinutes).toBe(600);
+    expect(shift.workMinutes).toBe(540);
+  });
+
+  it('should reject times that are not HH:mm', async () => {
+    const err = await new Shift({ ...morning, startTime: '8am' }).validate().catch(e => e);
+
+    expect(err).toBeInstanceOf(mongoose.Error.ValidationError);
+    expect(err.errors.startTime).toBeDefined();
+  });
+
+  it('should require crossesMidnight when the end time is not after the start', async () => {
+    const err = await new Shift({ ...night, crossesMidnight: false }).validate().catch(e => e);
+
+    expect(err.errors.endTime).toBeDefined();
+  });
+
+  it('should reject crossesMidnight on a shift that ends the same day', async () => {
+    const err = await new Shift({ ...morning, crossesMidnight: true }).validate().catch(e => e);
+
+    expect(err.errors.crossesMidnight).toBeDefined();
+  });
+
+  it('should reject a break as long as the shift', async () => {
+    const err = await new Shift({ ...morning, breakMinutes: 480 }).validate().catch(e => e);
+
+    expect(err.errors.breakMinutes).toBeDefined();
+  });
+
+  it('should treat names differing only in case as duplicates', async () => {
+    await Shift.init();
+    await Shift.create(morning);
+
+    await expect(Shift.create({ ...morning, name: 'MORNING', code: 'AM' })).rejects.toThrow();
+  });
+
+  it('should let each facility define its own shifts', async () => {
+    await Shift.init();
+    const facility = new mongoose.Types.ObjectId();
+    await Shift.create(morning);
+    const own = await Shift.create({ ...morning, facility });
+
+    expect((await Shift.resolve('Morning', { facility }))._id).toEqual(own._id);
+    expect(await Shift.resolve('Night', { facility })).toBeNull();
+  });
+
+  describe('Assigning shifts to staff and attendance', () => {
+    it('should accept any shift name while no shifts are defined', async () => {
+      const staff = await Staff.create({ name: 'Nurse', role: 'Nurse', shift: 'Afternoon' });
+
+      expect(staff.shift).toBe('Afternoon');
+      expect(staff.shiftDefinition).toBeNull();
+    });
+
+    it('should store the canonical name and reference for a name in any case', async () => {
+      const shift = await Shift.create(morning);
+      const staff = await Staff.create({ name: 'Nurse', role: 'Nurse', shift: 'morning' });
+
+      expect(staff.shift).toBe('Morning');
+      expect(staff.shiftDefinition.toString()).toBe(shift._id.toString());
+    });
+
+    it('should resolve a shift code', async () => {
+      await Shift.create(night);
+      const staff = await Staff.create({ name: 'Nurse', role: 'Nurse', shift: 'n' });
+
+      expect(staff.shift).toBe('Night');
+    });
+
+    it('should only use the shifts of the staff member\'s facility', async () => {
+      const facility = new mongoose.Types.ObjectId();
+      await Shift.create({ ...morning, facility });
+
+      const staff = await Staff.create({ name: 'Nurse', role: 'Nurse', shift: 'Afternoon' });
+
+      expect(staff.shiftDefinition).toBeNull();
+      await expect(Staff.create({ name: 'Nurse', role: 'Nurse', shift: 'Afternoon', facility }))
+        .rejects.toThrow("Unknown or inactive shift 'Afternoon'");
+    });
+
+    it('should reject unknown shifts once shifts are defined', async () => {
+      await Shift.create(morning);
+
+      await expect(Staff.create({ name: 'Nurse', role: 'Nurse', shift: 'Afternoon' }))
+        .rejects.toThrow("Unknown or inactive shift 'Afternoon'");
+    });
+
+    it('should reject inactive shifts for new assignments', async () => {
+      await Shift.create({ ...morning, isActive: false });
+      await Shift.create(night);
+
+      await expect(Staff.create({ name: 'Nurse', role: 'Nurse', shift: 'Morning' }))
+        .rejects.toThrow(mongoose.Error.ValidationError);
+    });
+
+    it('should keep an existing assignment when its shift is later deactivated', async () => {
+      const shift = await Shift.create(morning);
+      const staff = await Staff.create({ name: 'Nurse', role: 'Nurse', shift: 'Morning' });
+      await Shift.updateOne({ _id: shift._id }, { isActive: false });
+
+      staff.name = 'Senior Nurse';
+      await expect(staff.save()).resolves.toBeDefined();
+    });
+
+    it('should link attendance to the shift definition', async () => {
+      const shift = await Shift.create(morning);
+      const staff = await Staff.create({ name: 'Nurse', role: 'Nurse', shift: 'Morning' });
+      const attendance = await Attendance.create({
+        staffId: staff._id,
+        date: new Date('2025-12-12'),
+        shift: 'M',
+        status: 'Present',
+      });
+
+      expect(attendance.shift).toBe('Morning');
+      expect(attendance.shiftDefinition.toString()).toBe(shift._id.toString());
+    });
+  });
+
+  describe('Migrating free-form shifts', () => {
+    it('should create definitions and link existing staff and attendance', async () => {
+      const nurse = await Staff.create({ name: 'Nurse', role: 'Nurse', shift: 'morning' });
+      await Staff.create({ name: 'Doctor', role: 'Doctor', shift: 'Morning' });
+      await Staff.create({ name: 'Tech', role: 'Technician', shift: 'Evening (4:00 PM - 12:00 AM)' });
+      await Attendance.create({ staffId: nurse._id, date: new Date('2025-12-12'), shift: 'morning' });
+
+      const report = await migrateShifts();
+
+      expect(report.created.sort()).toEqual(['Evening (4:00 PM - 12:00 AM)', 'Morning']);
+      expect(report.mapped).toMatchObject({ morning: 'Morning', Morning: 'Morning' });
+      expect(report.staffUpdated).toBe(3);
+      expect(report.attendanceUpdated).toBe(1);
+
+      const shift = await Shift.findOne({ name: 'Morning' });
+      expect(shift.code).toBe('MORNING');
+      const linked = await Staff.find({ shiftDefinition: shift._id });
+      expect(linked.map(s => s.shift)).toEqual(['Morning', 'Morning']);
+      const attendance = await Attendance.findOne({ staffId: nurse._id });
+      expect(attendance.shiftDefinition.toString()).toBe(shift._id.toString());
+    });
+
+    it('should report values without known times and leave them alone', async () => {
+      await Staff.create({ name: 'Nurse', role: 'Nurse', shift: 'Afternoon' });
+
+      const report = await migrateShifts();
+
+      expect(report.unmapped).toEqual(['Afternoon']);
+      expect(await Shift.countDocuments()).toBe(0);
+    });
+
+    it('should report attendance that would clash after merging spellings', async () => {
+      const nurse = await Staff.create({ name: 'Nurse', role: 'Nurse', shift: 'Morning' });
+      const date = new Date('2025-12-12');
+      await Attendance.create({ staffId: nurse._id, date, shift: 'Morning' });
+      const clash = await Attendance.create({ staffId: nurse._id, date, shift: 'morning' });
+
+      const report = await migrateShifts();
+
+      expect(report.attendanceConflicts.map(String)).toEqual([clash._id.toString()]);
+    });
+
+    it('should change nothing on a dry run', async () => {
+      await Staff.create({ name: 'Nurse', role: 'Nurse', shift: 'Night' });
+
+      const report = await migrateShifts({ dryRun: true });
+
+      expect(report.created).toEqual(['Night']);
+      expect(await Shift.countDocuments()).toBe(0);
+      expect((await Staff.findOne()).shiftDefinition).toBeNull();
+    });
+  });
+});
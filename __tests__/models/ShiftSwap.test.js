@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+const ShiftSwap = require('../../models/ShiftSwap');
+const db = require('../testSetup');
+
+beforeAll(async () => await db.connect());
+afterEach(async () => await db.clearDatabase());
+afterAll(async () => await db.closeDatabase());
+
+describe('ShiftSwap Model Test', () => {
+  const requester = new mongoose.Types.ObjectId();
+  const counterpart = new mongoose.Types.ObjectId();
+
+  it('should start pending with sorted, distinct days', async () => {
+    const swap = await ShiftSwap.create({
+      requester,
+      counterpart,
+      dates: [new Date(2025, 11, 3, 12), new Date(2025, 11, 1), new Date(2025, 11, 3, 8)],
+    });
+
+    expect(swap.status).toBe('pending');
+    expect(swap.dates).toEqual([new Date(2025, 11, 1), new Date(2025, 11, 3)]);
+  });
+
+  it('should require at least one date', async () => {
+    const err = await new ShiftSwap({ requester, counterpart, dates: [] }).validate().catch(e => e);
+
+    expect(err).toBeInstanceOf(mongoose.Error.ValidationError);
+    expect(err.errors.dates.message).toBe('Please add at least one date');
+  });
+
+  it('should not let staff swap with themselves', async () => {
+    const err = await new ShiftSwap({ requester, counterpart: requester, dates: [new Date()] })
+      .validate().catch(e => e);
+
+    expect(err.errors.counterpart.message).toBe('Staff cannot swap shifts with themselves');
+  });
+});
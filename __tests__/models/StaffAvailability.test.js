@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+const StaffAvailability = require('../../models/StaffAvailability');
+const db = require('../testSetup');
+
+beforeAll(async () => await db.connect());
+afterEach(async () => await db.clearDatabase());
+afterAll(async () => await db.closeDatabase());
+
+describe('StaffAvailability Model Test', () => {
+  const staff = new mongoose.Types.ObjectId();
+
+  it('should keep days, shifts and blackout dates distinct and in order', async () => {
+    const availability = await StaffAvailability.create({
+      staff,
+      unavailableDays: [6, 0, 6],
+      preferredShifts: ['Morning', 'Morning'],
+      blackoutDates: [
+        { date: new Date(2025, 11, 24, 10), reason: 'Family event' },
+        { date: new Date(2025, 11, 2) },
+        { date: new Date(2025, 11, 24) },
+      ],
+    });
+
+    expect(availability.unavailableDays).toEqual([0, 6]);
+    expect(availability.preferredShifts).toEqual(['Morning']);
+    expect(availability.blackoutDates.map(blackout => blackout.date)).toEqual([
+      new Date(2025, 11, 2),
+      new Date(2025, 11, 24),
+    ]);
+    expect(availability.blackoutDates[1].reason).toBe('Family event');
+  });
+
+  it('should reject days outside the week', async () => {
+    const err = await new StaffAvailability({ staff, unavailableDays: [7] }).validate().catch(e => e);
+
+    expect(err).toBeInstanceOf(mongoose.Error.ValidationError);
+    expect(err.errors['unavailableDays.0'].message).toBe('Days of the week run from 0 (Sunday) to 6 (Saturday)');
+  });
+
+  it('should allow one record per staff member', async () => {
+    await StaffAvailability.create({ staff });
+    await StaffAvailability.init();
+
+    await expect(StaffAvailability.create({ staff })).rejects.toThrow();
+  });
+});
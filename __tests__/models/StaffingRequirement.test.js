@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const StaffingRequirement = require('../../models/StaffingRequirement');
+const db = require('../testSetup');
+
+beforeAll(async () => await db.connect());
+afterEach(async () => await db.clearDatabase());
+afterAll(async () => await db.closeDatabase());
+
+const minimums = [{ role: 'Nurse', required: 3 }];
+
+describe('StaffingRequirement Model Test', () => {
+  it('should default to covering every department, shift and day', async () => {
+    const requirement = await StaffingRequirement.create({ minimums });
+
+    expect(requirement.department).toBeNull();
+    expect(requirement.shift).toBeNull();
+    expect(requirement.daysOfWeek).toEqual([]);
+    expect(requirement.date).toBeNull();
+  });
+
+  it('should store a date override at the start of the day', async () => {
+    const requirement = await StaffingRequirement.create({ minimums, date: new Date(2025, 11, 25, 14, 30) });
+
+    expect(requirement.date.getHours()).toBe(0);
+    expect(requirement.date.getDate()).toBe(25);
+  });
+
+  it('should require at least one minimum', async () => {
+    const err = await new StaffingRequirement({ minimums: [] }).validate().catch(e => e);
+
+    expect(err).toBeInstanceOf(mongoose.Error.ValidationError);
+    expect(err.errors.minimums).toBeDefined();
+  });
+
+  it('should reject fractional, negative and repeated minimums', async () => {
+    const fractional = await new StaffingRequirement({ minimums: [{ role: 'Nurse', required: 1.5 }] })
+      .validate().catch(e => e);
+    const negative = await new StaffingRequirement({ minimums: [{ role: 'Nurse', required: -1 }] })
+      .validate().catch(e => e);
+    const repeated = await new StaffingRequirement({ minimums: [...minimums, { role: 'Nurse', required: 1 }] })
+      .validate().catch(e => e);
+
+    expect(fractional).toBeInstanceOf(mongoose.Error.ValidationError);
+    expect(negative).toBeInstanceOf(mongoose.Error.ValidationError);
+    expect(repeated.errors.minimums).toBeDefined();
+  });
+
+  it('should reject invalid or repeated days of the week', async () => {
+    const invalid = await new StaffingRequirement({ minimums, daysOfWeek: [7] }).validate().catch(e => e);
+    const repeated = await new StaffingRequirement({ minimums, daysOfWeek: [6, 6] }).validate().catch(e => e);
+
+    expect(invalid).toBeInstanceOf(mongoose.Error.ValidationError);
+    expect(repeated.errors.daysOfWeek).toBeDefined();
+  });
+
+  it('should not allow a date override with days of the week', async () => {
+    const err = await new StaffingRequirement({ minimums, date: new Date(), daysOfWeek: [1] })
+      .validate().catch(e => e);
+
+    expect(err.errors.daysOfWeek).toBeDefined();
+  });
+});
@@ -119,4 +119,74 @@ describe('User Model Test', () => {
     }
     expect(err).toBeDefined();
   });
+
+  it('should default role to viewer', async () => {
+    const user = await User.create({
+      name: 'Role Test',
+      userName: 'roletest',
+      email: 'role@example.com',
+      password: 'password',
+    });
+
+    expect(user.role).toBe('viewer');
+  });
+
+  it('should reject an unknown role', async () => {
+    let err;
+    try {
+      await User.create({
+        name: 'Bad Role',
+        userName: 'badrole',
+        email: 'badrole@example.com',
+        password: 'password',
+        role: 'superuser',
+      });
+    } catch (error) {
+      err = error;
+    }
+    expect(err).toBeInstanceOf(mongoose.Error.ValidationError);
+    expect(err.errors.role).toBeDefined();
+  });
+
+  it('should hash a changed password on save', async () => {
+    const user = await User.create({
+      name: 'Rehash',
+      userName: 'rehash',
+      email: 'rehash@example.com',
+      password: 'password',
+    });
+
+    const found = await User.findById(user._id).select('+password');
+    found.password = 'changed123';
+    await found.save();
+
+    const reloaded = await User.findById(user._id).select('+password');
+    expect(reloaded.password).not.toBe('changed123');
+    expect(await reloaded.matchPassword('changed123')).toBe(true);
+    expect(reloaded.passwordChangedAt).toBeDefined();
+  });
+
+  it('should refuse to write a password through a query update', async () => {
+    const user = await User.create({
+      name: 'Query Update',
+      userName: 'queryupdate',
+      email: 'query@example.com',
+      password: 'password',
+    });
+
+    await expect(
+      User.findByIdAndUpdate(user._id, { password: 'plaintext' })
+    ).rejects.toThrow('Password can only be changed through document save');
+  });
+
+  it('should not include password fields in JSON output', async () => {
+    const user = await User.create({
+      name: 'Json',
+      userName: 'json',
+      email: 'json@example.com',
+      password: 'password',
+    });
+
+    expect(user.toJSON().password).toBeUndefined();
+  });
 });
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+const WorkingTimeRule = require('../../models/WorkingTimeRule');
+const db = require('../testSetup');
+
+beforeAll(async () => await db.connect());
+afterEach(async () => await db.clearDatabase());
+afterAll(async () => await db.closeDatabase());
+
+describe('WorkingTimeRule Model Test', () => {
+  it('should give the defaults for a facility without settings', async () => {
+    const rules = await WorkingTimeRule.effectiveFor(null);
+
+    expect(rules.map(rule => rule.rule)).toEqual(['minRestHours', 'maxConsecutiveDays', 'maxWeeklyHours', 'maxNightShifts']);
+    expect(rules[0]).toEqual(expect.objectContaining({ limit: 11, severity: 'error', isActive: true, isDefault: true }));
+    expect(rules[3]).toEqual(expect.objectContaining({ limit: 4, periodDays: 7 }));
+  });
+
+  it('should put a facility setting in place of the default', async () => {
+    const facility = new mongoose.Types.ObjectId();
+    await WorkingTimeRule.create({ facility, rule: 'maxWeeklyHours', limit: 40, severity: 'error' });
+
+    const own = await WorkingTimeRule.effectiveFor(facility);
+    const other = await WorkingTimeRule.effectiveFor(null);
+
+    expect(own.find(rule => rule.rule === 'maxWeeklyHours'))
+      .toEqual(expect.objectContaining({ limit: 40, severity: 'error', isDefault: false }));
+    expect(other.find(rule => rule.rule === 'maxWeeklyHours'))
+      .toEqual(expect.objectContaining({ limit: 48, isDefault: true }));
+  });
+
+  it('should reject unknown rules and negative limits', async () => {
+    const err = await new WorkingTimeRule({ rule: 'maxOvertime', limit: -1 }).validate().catch(e => e);
+
+    expect(err).toBeInstanceOf(mongoose.Error.ValidationError);
+    expect(err.errors.rule).toBeDefined();
+    expect(err.errors.limit.message).toBe('Limit cannot be negative');
+  });
+
+  it('should allow one setting per rule and facility', async () => {
+    await WorkingTimeRule.init();
+    await WorkingTimeRule.create({ rule: 'minRestHours', limit: 12 });
+
+    await expect(WorkingTimeRule.create({ rule: 'minRestHours', limit: 10 })).rejects.toThrow();
+  });
+});
@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
 const { MongoMemoryServer } = require('mongodb-memory-server');
+const User = require('../models/User');
 
 let mongoServer;
 
@@ -25,8 +27,23 @@ const clearDatabase = async () => {
   }
 };
 
+// Creates a user with the role, linked to the staff member if given, and
+// returns a token signed in as them
+const userFor = async (userName, role, staff) => {
+  const user = await User.create({
+    name: userName,
+    userName,
+    email: `${userName}@example.com`,
+    password: 'password',
+    role,
+    staff: staff ? staff._id : null,
+  });
+  return jwt.sign({ id: user._id }, process.env.JWT_SECRET, { expiresIn: '30d' });
+};
+
 module.exports = {
   connect,
   closeDatabase,
   clearDatabase,
+  userFor,
 };
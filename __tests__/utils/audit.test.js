@@ -0,0 +1,50 @@
+const { diff, snapshot } = require('../../utils/audit');
+
+describe('Audit helpers', () => {
+  describe('diff', () => {
+    it('should keep only the changed fields', () => {
+      expect(diff(
+        { status: 'Absent', remarks: '', shift: 'Morning' },
+        { status: 'Present', remarks: '', shift: 'Morning' }
+      )).toEqual({
+        before: { status: 'Absent' },
+        after: { status: 'Present' },
+      });
+    });
+
+    it('should report added and removed fields as null on the missing side', () => {
+      expect(diff({ staff: 'abc' }, { remarks: 'Late' })).toEqual({
+        before: { staff: 'abc', remarks: null },
+        after: { staff: null, remarks: 'Late' },
+      });
+    });
+
+    it('should redact secret fields but still show they changed', () => {
+      expect(diff({ password: 'old-hash' }, { password: 'new-hash' })).toEqual({
+        before: { password: '[REDACTED]' },
+        after: { password: '[REDACTED]' },
+      });
+    });
+
+    it('should ignore bookkeeping fields', () => {
+      expect(diff(
+        { updatedAt: '2025-12-11', __v: 0 },
+        { updatedAt: '2025-12-12', __v: 1 }
+      )).toEqual({ before: {}, after: {} });
+    });
+  });
+
+  describe('snapshot', () => {
+    it('should copy plain objects', () => {
+      const original = { status: 'Absent', date: new Date('2025-12-12T00:00:00.000Z') };
+      const copy = snapshot(original);
+
+      original.status = 'Present';
+      expect(copy).toEqual({ status: 'Absent', date: '2025-12-12T00:00:00.000Z' });
+    });
+
+    it('should return null for a missing document', () => {
+      expect(snapshot(null)).toBeNull();
+    });
+  });
+});
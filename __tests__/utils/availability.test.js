@@ -0,0 +1,40 @@
+const { availabilityConflicts } = require('../../utils/availability');
+
+const availability = {
+  unavailableDays: [0],
+  preferredShifts: ['Morning'],
+  blackoutDates: [{ date: new Date(2025, 11, 24), reason: 'Family event' }],
+};
+
+describe('Availability helpers', () => {
+  describe('availabilityConflicts', () => {
+    it('should find nothing without declared availability', () => {
+      expect(availabilityConflicts(null, new Date(2025, 11, 7), 'Night')).toEqual([]);
+    });
+
+    it('should flag recurring days off', () => {
+      // 7 December 2025 is a Sunday
+      expect(availabilityConflicts(availability, new Date(2025, 11, 7), 'Morning')).toEqual([
+        { type: 'unavailableDay', message: 'Unavailable on Sundays' },
+      ]);
+    });
+
+    it('should flag blackout dates with their reason', () => {
+      const conflicts = availabilityConflicts(availability, new Date(2025, 11, 24, 9), 'Morning');
+
+      expect(conflicts.map(conflict => conflict.type)).toEqual(['blackout']);
+      expect(conflicts[0].message).toMatch(/Family event$/);
+    });
+
+    it('should flag shifts other than the preferred ones', () => {
+      expect(availabilityConflicts(availability, new Date(2025, 11, 8), 'Night')).toEqual([
+        { type: 'preference', message: 'Prefers Morning shifts' },
+      ]);
+      expect(availabilityConflicts(availability, new Date(2025, 11, 8), 'Morning')).toEqual([]);
+    });
+
+    it('should only check the days when no shift is given', () => {
+      expect(availabilityConflicts(availability, new Date(2025, 11, 8))).toEqual([]);
+    });
+  });
+});
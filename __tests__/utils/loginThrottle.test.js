@@ -0,0 +1,58 @@
+const { getDelaySeconds, checkAccount } = require('../../utils/loginThrottle');
+
+describe('Login throttle helpers', () => {
+  describe('getDelaySeconds', () => {
+    it('should not delay the first few failures', () => {
+      expect(getDelaySeconds(0)).toBe(0);
+      expect(getDelaySeconds(2)).toBe(0);
+    });
+
+    it('should double the delay for each further failure', () => {
+      expect(getDelaySeconds(3)).toBe(1);
+      expect(getDelaySeconds(4)).toBe(2);
+      expect(getDelaySeconds(5)).toBe(4);
+    });
+
+    it('should cap the delay', () => {
+      expect(getDelaySeconds(50)).toBe(30);
+    });
+  });
+
+  describe('checkAccount', () => {
+    const now = new Date('2025-12-12T10:00:00.000Z');
+
+    it('should allow an account with no failures', () => {
+      expect(checkAccount({ failedLoginCount: 0 }, now)).toBeNull();
+    });
+
+    it('should report a locked account', () => {
+      const lockUntil = new Date('2025-12-12T10:15:00.000Z');
+      const block = checkAccount({ failedLoginCount: 5, lockUntil }, now);
+
+      expect(block.status).toBe(423);
+      expect(block.code).toBe('ACCOUNT_LOCKED');
+      expect(block.retryAfter).toBe(900);
+    });
+
+    it('should allow the account again once the lock has expired and the delay passed', () => {
+      const block = checkAccount({
+        failedLoginCount: 5,
+        lockUntil: new Date('2025-12-12T09:45:00.000Z'),
+        lastFailedLoginAt: new Date('2025-12-12T09:30:00.000Z'),
+      }, now);
+
+      expect(block).toBeNull();
+    });
+
+    it('should delay an attempt made too soon after a failure', () => {
+      const block = checkAccount({
+        failedLoginCount: 4,
+        lastFailedLoginAt: new Date('2025-12-12T09:59:59.500Z'),
+      }, now);
+
+      expect(block.status).toBe(429);
+      expect(block.code).toBe('LOGIN_DELAYED');
+      expect(block.retryAfter).toBe(2);
+    });
+  });
+});
@@ -0,0 +1,53 @@
+const { checkPasswordRules, isPasswordExpired } = require('../../utils/passwordPolicy');
+
+const rulesOf = (password) => checkPasswordRules(password).map(violation => violation.rule);
+
+describe('Password policy helpers', () => {
+  describe('checkPasswordRules', () => {
+    it('should accept a password meeting every rule', () => {
+      expect(checkPasswordRules('Correct-Horse-9')).toEqual([]);
+    });
+
+    it('should list every failed rule', () => {
+      expect(rulesOf('abc')).toEqual(['minLength', 'uppercase', 'digit']);
+    });
+
+    it('should require a password', () => {
+      expect(rulesOf('')).toEqual(['required']);
+      expect(rulesOf(undefined)).toEqual(['required']);
+    });
+
+    it('should reject common passwords regardless of case', () => {
+      expect(rulesOf('Password123')).toEqual(['common']);
+      expect(rulesOf('PASSWORD123')).toContain('common');
+    });
+
+    it('should reject passwords bcrypt would truncate', () => {
+      expect(rulesOf(`Aa1${'x'.repeat(70)}`)).toEqual(['maxLength']);
+    });
+
+    it('should describe each violation', () => {
+      const [violation] = checkPasswordRules('Short1');
+      expect(violation).toEqual({
+        rule: 'minLength',
+        message: 'Password must be at least 8 characters',
+      });
+    });
+  });
+
+  describe('isPasswordExpired', () => {
+    const now = new Date('2025-12-12T10:00:00.000Z');
+
+    it('should not expire a recently changed password', () => {
+      expect(isPasswordExpired({ passwordChangedAt: new Date('2025-12-01T10:00:00.000Z') }, now)).toBe(false);
+    });
+
+    it('should expire a password older than the maximum age', () => {
+      expect(isPasswordExpired({ passwordChangedAt: new Date('2025-08-01T10:00:00.000Z') }, now)).toBe(true);
+    });
+
+    it('should fall back to the account creation date', () => {
+      expect(isPasswordExpired({ createdAt: new Date('2025-01-01T10:00:00.000Z') }, now)).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,60 @@
+const { rotationShiftOn, expandRotation } = require('../../utils/rotation');
+
+const day = (date) => new Date(2025, 11, date);
+
+const fourOnFourOff = {
+  steps: ['Morning', 'Morning', 'Morning', 'Morning', 'Off', 'Off', 'Off', 'Off'],
+  anchorDate: day(1),
+};
+const rolling = {
+  steps: ['Morning', 'Morning', 'Evening', 'Night', 'Off'],
+  anchorDate: day(10),
+};
+
+describe('Rotation', () => {
+  describe('rotationShiftOn', () => {
+    it('should start the cycle on the anchor date and repeat it', () => {
+      expect(rotationShiftOn(fourOnFourOff, day(1))).toBe('Morning');
+      expect(rotationShiftOn(fourOnFourOff, day(4))).toBe('Morning');
+      expect(rotationShiftOn(fourOnFourOff, day(5))).toBeNull();
+      expect(rotationShiftOn(fourOnFourOff, day(9))).toBe('Morning');
+    });
+
+    it('should run the cycle back before the anchor date', () => {
+      expect(rotationShiftOn(rolling, day(9))).toBeNull();
+      expect(rotationShiftOn(rolling, day(8))).toBe('Night');
+      expect(rotationShiftOn(rolling, day(7))).toBe('Evening');
+    });
+
+    it('should start staff with an offset that many days into the cycle', () => {
+      expect(rotationShiftOn(fourOnFourOff, day(1), 4)).toBeNull();
+      expect(rotationShiftOn(fourOnFourOff, day(5), 4)).toBe('Morning');
+      expect(rotationShiftOn(rolling, day(10), 3)).toBe('Night');
+    });
+  });
+
+  describe('expandRotation', () => {
+    it('should give the dated shifts of a range, leaving out days off', () => {
+      const shifts = expandRotation(rolling, { startDate: day(10), endDate: day(16) });
+
+      expect(shifts.map(({ date, shift }) => [date.getDate(), shift])).toEqual([
+        [10, 'Morning'],
+        [11, 'Morning'],
+        [12, 'Evening'],
+        [13, 'Night'],
+        [15, 'Morning'],
+        [16, 'Morning'],
+      ]);
+    });
+
+    it('should apply the offset and include both ends of the range', () => {
+      const shifts = expandRotation(fourOnFourOff, { startDate: day(1), endDate: day(4), offset: 2 });
+
+      expect(shifts.map(({ date }) => date.getDate())).toEqual([1, 2]);
+    });
+
+    it('should give nothing for a range that ends before it starts', () => {
+      expect(expandRotation(rolling, { startDate: day(12), endDate: day(11) })).toEqual([]);
+    });
+  });
+});
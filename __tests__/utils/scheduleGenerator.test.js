@@ -0,0 +1,126 @@
+const { createRandom, generateRoster } = require('../../utils/scheduleGenerator');
+
+const shifts = [
+  { name: 'Morning', startTime: '08:00', endTime: '16:00' },
+  { name: 'Night', startTime: '22:00', endTime: '08:00', crossesMidnight: true },
+];
+
+const nurse = (id, shift = 'Morning') => ({ _id: id, role: 'Nurse', shift });
+
+const week = (count = 7) => Array.from({ length: count }, (_, i) => new Date(2025, 11, 1 + i));
+
+const twoNurses = () => [{ role: 'Nurse', required: 2 }];
+
+const key = ({ staff, date, shift }) => `${staff._id}|${date.getDate()}|${shift}`;
+
+describe('Schedule generator', () => {
+  describe('createRandom', () => {
+    it('should repeat the same numbers for the same seed', () => {
+      const first = createRandom('december');
+      const second = createRandom('december');
+
+      expect([first(), first(), first()]).toEqual([second(), second(), second()]);
+      expect(createRandom(1)()).not.toBe(createRandom(2)());
+    });
+  });
+
+  describe('generateRoster', () => {
+    const staff = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h'].map((id, i) => nurse(id, i < 4 ? 'Morning' : 'Night'));
+
+    it('should meet every minimum when there are enough staff', () => {
+      const { assignments, gaps } = generateRoster({ days: week(), shifts, staff, minimumsFor: twoNurses, seed: 1 });
+
+      expect(gaps).toEqual([]);
+      expect(assignments).toHaveLength(7 * 2 * 2);
+    });
+
+    it('should give the same roster for the same seed', () => {
+      const run = (seed) => generateRoster({ days: week(), shifts, staff, minimumsFor: twoNurses, seed })
+        .assignments.map(key);
+
+      expect(run('s1')).toEqual(run('s1'));
+    });
+
+    it('should prefer staff on their default shift', () => {
+      const { assignments } = generateRoster({ days: week(1), shifts, staff, minimumsFor: twoNurses, seed: 3 });
+
+      assignments.forEach(({ staff: member, shift }) => expect(member.shift).toBe(shift));
+    });
+
+    it('should never exceed the consecutive shift limit', () => {
+      const { assignments } = generateRoster({
+        days: week(),
+        shifts: [shifts[0]],
+        staff: [nurse('a'), nurse('b'), nurse('c')],
+        minimumsFor: twoNurses,
+        maxConsecutiveShifts: 3,
+      });
+
+      ['a', 'b', 'c'].forEach(id => {
+        const days = assignments.filter(a => a.staff._id === id).map(a => a.date.getDate()).sort((x, y) => x - y);
+        let run = 1;
+        for (let i = 1; i < days.length; i++) {
+          run = days[i] === days[i - 1] + 1 ? run + 1 : 1;
+          expect(run).toBeLessThanOrEqual(3);
+        }
+      });
+    });
+
+    it('should leave enough rest between a night and the next morning', () => {
+      const { assignments, gaps } = generateRoster({
+        days: week(1),
+        shifts,
+        staff: [nurse('a')],
+        minimumsFor: () => [{ role: 'Nurse', required: 1 }],
+        fixed: [{ staff: nurse('a'), date: new Date(2025, 10, 30), shift: 'Night' }],
+      });
+
+      expect(assignments.map(a => a.shift)).toEqual(['Night']);
+      expect(gaps).toEqual([
+        expect.objectContaining({ shift: 'Morning', role: 'Nurse', required: 1, current: 0, needed: 1 }),
+      ]);
+    });
+
+    it('should skip unavailable staff and report the gap', () => {
+      const { assignments, gaps } = generateRoster({
+        days: week(1),
+        shifts: [shifts[0]],
+        staff: [nurse('a'), nurse('b')],
+        minimumsFor: twoNurses,
+        unavailable: [{ staff: 'b', date: new Date(2025, 11, 1) }],
+      });
+
+      expect(assignments.map(a => a.staff._id)).toEqual(['a']);
+      expect(gaps).toHaveLength(1);
+      expect(gaps[0].needed).toBe(1);
+    });
+
+    it('should pick declared preferences before default shifts', () => {
+      const { assignments } = generateRoster({
+        days: week(1),
+        shifts: [shifts[0]],
+        staff: [nurse('a'), nurse('b'), nurse('c', 'Night')],
+        minimumsFor: () => [{ role: 'Nurse', required: 1 }],
+        preferences: { c: ['Morning'] },
+      });
+
+      expect(assignments.map(a => a.staff._id)).toEqual(['c']);
+    });
+
+    it('should count fixed assignments and role aliases towards coverage', () => {
+      const senior = { _id: 's', role: 'Senior Nurse', shift: 'Morning' };
+      const { assignments, gaps } = generateRoster({
+        days: week(1),
+        shifts: [shifts[0]],
+        staff: [nurse('a'), nurse('b'), senior],
+        minimumsFor: twoNurses,
+        aliases: { 'Senior Nurse': 'Nurse' },
+        fixed: [{ staff: senior, date: new Date(2025, 11, 1), shift: 'Morning', counts: true }],
+        seed: 7,
+      });
+
+      expect(assignments).toHaveLength(1);
+      expect(gaps).toEqual([]);
+    });
+  });
+});
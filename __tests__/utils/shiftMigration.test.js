@@ -0,0 +1,40 @@
+const { parseShiftLabel } = require('../../utils/shiftMigration');
+
+describe('parseShiftLabel', () => {
+  it('should read the times from a labelled shift', () => {
+    expect(parseShiftLabel('Morning (8:00 AM - 4:00 PM)')).toEqual({
+      name: 'Morning (8:00 AM - 4:00 PM)',
+      startTime: '08:00',
+      endTime: '16:00',
+      crossesMidnight: false,
+    });
+  });
+
+  it('should mark labels ending at or after midnight as overnight', () => {
+    expect(parseShiftLabel('Evening (4:00 PM - 12:00 AM)')).toMatchObject({
+      startTime: '16:00',
+      endTime: '00:00',
+      crossesMidnight: true,
+    });
+    expect(parseShiftLabel('Night (10:30 pm - 6:30 am)')).toMatchObject({
+      startTime: '22:30',
+      endTime: '06:30',
+      crossesMidnight: true,
+    });
+  });
+
+  it('should use the default times for bare shift names in any case', () => {
+    expect(parseShiftLabel(' morning ')).toEqual({
+      name: 'Morning',
+      startTime: '08:00',
+      endTime: '16:00',
+      crossesMidnight: false,
+    });
+  });
+
+  it('should return null when the times cannot be worked out', () => {
+    expect(parseShiftLabel('Afternoon')).toBeNull();
+    expect(parseShiftLabel('')).toBeNull();
+    expect(parseShiftLabel(null)).toBeNull();
+  });
+});
@@ -0,0 +1,100 @@
+const { findApplicableRequirement, checkStaffing } = require('../../utils/staffing');
+
+const rule = (fields) => ({
+  department: null,
+  shift: null,
+  daysOfWeek: [],
+  date: null,
+  minimums: [],
+  ...fields,
+});
+
+// 2025-12-13 is a Saturday
+const saturday = new Date(2025, 11, 13);
+const monday = new Date(2025, 11, 15);
+
+describe('Staffing helpers', () => {
+  describe('findApplicableRequirement', () => {
+    const everyShift = rule({ _id: 'every' });
+    const weekend = rule({ _id: 'weekend', daysOfWeek: [0, 6] });
+    const nights = rule({ _id: 'nights', shift: 'night-id' });
+    const icu = rule({ _id: 'icu', department: 'icu-id' });
+    const holiday = rule({ _id: 'holiday', date: new Date(2025, 11, 25) });
+
+    const find = (rules, context) => {
+      const found = findApplicableRequirement(rules, context);
+      return found && found._id;
+    };
+
+    it('should return null when no rule applies', () => {
+      expect(find([icu], { department: 'ward-3-id', date: monday })).toBeNull();
+      expect(find([icu], { date: monday })).toBeNull();
+    });
+
+    it('should only apply day-of-week rules on those days', () => {
+      expect(find([everyShift, weekend], { date: saturday })).toBe('weekend');
+      expect(find([everyShift, weekend], { date: monday })).toBe('every');
+    });
+
+    it('should prefer a shift rule over a day-of-week rule', () => {
+      expect(find([weekend, nights], { shiftId: 'night-id', date: saturday })).toBe('nights');
+      expect(find([weekend, nights], { shiftId: 'day-id', date: saturday })).toBe('weekend');
+    });
+
+    it('should prefer a department rule over a shift rule', () => {
+      expect(find([nights, icu], { department: 'icu-id', shiftId: 'night-id', date: monday })).toBe('icu');
+    });
+
+    it('should let a date override beat everything else on that day only', () => {
+      const rules = [everyShift, weekend, nights, icu, holiday];
+      expect(find(rules, { department: 'icu-id', shiftId: 'night-id', date: new Date(2025, 11, 25, 15) })).toBe('holiday');
+      expect(find(rules, { department: 'icu-id', shiftId: 'night-id', date: new Date(2025, 11, 26) })).toBe('icu');
+    });
+
+    it('should prefer the rule covering fewer days', () => {
+      const saturdays = rule({ _id: 'saturdays', daysOfWeek: [6] });
+      expect(find([weekend, saturdays], { date: saturday })).toBe('saturdays');
+    });
+
+    it('should break ties with the most recently updated rule', () => {
+      const older = rule({ _id: 'older', updatedAt: new Date(2025, 0, 1) });
+      const newer = rule({ _id: 'newer', updatedAt: new Date(2025, 5, 1) });
+      expect(find([older, newer], { date: monday })).toBe('newer');
+    });
+  });
+
+  describe('checkStaffing', () => {
+    const minimums = [
+      { role: 'Doctor', required: 1 },
+      { role: 'Technician', required: 2 },
+    ];
+
+    it('should report a fully staffed shift', () => {
+      const status = checkStaffing(
+        [{ role: 'Doctor' }, { role: 'Technician' }, { role: 'Lab Technician' }, { role: 'Porter' }],
+        minimums
+      );
+
+      expect(status).toEqual({
+        isFullyStaffed: true,
+        staffCount: { Doctor: 1, Technician: 2 },
+        requirements: { Doctor: 1, Technician: 2 },
+        shortages: null,
+        missingStaff: null,
+        message: 'Fully staffed',
+      });
+    });
+
+    it('should list shortages by role', () => {
+      const status = checkStaffing([{ role: 'Technician' }], minimums);
+
+      expect(status.isFullyStaffed).toBe(false);
+      expect(status.shortages).toEqual([
+        { role: 'Doctor', required: 1, current: 0, needed: 1 },
+        { role: 'Technician', required: 2, current: 1, needed: 1 },
+      ]);
+      expect(status.missingStaff).toEqual({ Doctor: 1, Technician: 1 });
+      expect(status.message).toBe('Short staffed');
+    });
+  });
+});
@@ -0,0 +1,68 @@
+const { requestFacility, facilityFilter, inFacility, newRecordFacility, dayIn } = require('../../utils/tenancy');
+
+const siteA = '674b1234567890abcdefaaaa';
+const siteB = '674b1234567890abcdefbbbb';
+
+const userRequest = (user, headers = {}) => ({ user, headers });
+
+describe('Tenancy helpers', () => {
+  describe('requestFacility', () => {
+    it('should bind users to their own facility and ignore the header', () => {
+      const req = userRequest({ role: 'admin', facility: siteA }, { 'x-facility-id': siteB });
+
+      expect(requestFacility(req)).toBe(siteA);
+      expect(facilityFilter(req)).toEqual({ facility: siteA });
+    });
+
+    it('should keep users without a facility to records without one', () => {
+      const req = userRequest({ role: 'ward_manager', facility: null });
+
+      expect(requestFacility(req)).toBeNull();
+      expect(facilityFilter(req)).toEqual({ facility: null });
+    });
+
+    it('should bind API keys to their facility', () => {
+      expect(requestFacility({ user: null, apiKey: { facility: siteB }, headers: {} })).toBe(siteB);
+    });
+
+    it('should let super admins work across facilities or pick one', () => {
+      const across = userRequest({ role: 'super_admin', facility: null });
+      const picked = userRequest({ role: 'super_admin', facility: null }, { 'x-facility-id': siteB });
+
+      expect(requestFacility(across)).toBeUndefined();
+      expect(facilityFilter(across)).toEqual({});
+      expect(newRecordFacility(across)).toBeNull();
+      expect(facilityFilter(picked)).toEqual({ facility: siteB });
+    });
+  });
+
+  describe('inFacility', () => {
+    it('should compare the record facility with the request facility', () => {
+      const req = userRequest({ role: 'admin', facility: siteA });
+
+      expect(inFacility(req, { facility: siteA })).toBe(true);
+      expect(inFacility(req, { facility: { _id: siteA, name: 'Site A' } })).toBe(true);
+      expect(inFacility(req, { facility: siteB })).toBe(false);
+      expect(inFacility(req, { facility: null })).toBe(false);
+    });
+
+    it('should accept any record for a super admin working across facilities', () => {
+      expect(inFacility(userRequest({ role: 'super_admin' }), { facility: siteB })).toBe(true);
+    });
+  });
+
+  describe('dayIn', () => {
+    it('should give the calendar day in the time zone', () => {
+      const now = new Date('2025-12-12T22:30:00Z');
+
+      expect(dayIn('Asia/Kolkata', now)).toEqual(new Date(2025, 11, 13));
+      expect(dayIn('America/New_York', now)).toEqual(new Date(2025, 11, 12));
+    });
+
+    it('should use the server\'s day without a time zone', () => {
+      const now = new Date(2025, 11, 12, 15, 30);
+
+      expect(dayIn(null, now)).toEqual(new Date(2025, 11, 12));
+    });
+  });
+});
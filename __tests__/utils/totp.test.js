@@ -0,0 +1,46 @@
+const {
+  base32Encode,
+  base32Decode,
+  generateCode,
+  verifyCode,
+  buildOtpauthUrl,
+} = require('../../utils/totp');
+
+// RFC 6238 appendix B SHA-1 secret, truncated to 6 digits
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('TOTP helpers', () => {
+  it('should round-trip base32', () => {
+    expect(RFC_SECRET).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    expect(base32Decode(RFC_SECRET).toString()).toBe('12345678901234567890');
+  });
+
+  it('should match the RFC 6238 test vectors', () => {
+    expect(generateCode(RFC_SECRET, 59 * 1000)).toBe('287082');
+    expect(generateCode(RFC_SECRET, 1111111109 * 1000)).toBe('081804');
+    expect(generateCode(RFC_SECRET, 2000000000 * 1000)).toBe('279037');
+  });
+
+  it('should accept a code from the adjacent time step', () => {
+    const now = 1111111109 * 1000;
+    const previousCode = generateCode(RFC_SECRET, now - 30 * 1000);
+
+    expect(verifyCode(RFC_SECRET, previousCode, now)).toBe(Math.floor(now / 1000 / 30) - 1);
+  });
+
+  it('should reject stale and malformed codes', () => {
+    const now = 1111111109 * 1000;
+    const staleCode = generateCode(RFC_SECRET, now - 5 * 60 * 1000);
+
+    expect(verifyCode(RFC_SECRET, staleCode, now)).toBeNull();
+    expect(verifyCode(RFC_SECRET, 'abc123', now)).toBeNull();
+    expect(verifyCode(undefined, '123456', now)).toBeNull();
+  });
+
+  it('should build an otpauth URI', () => {
+    const url = buildOtpauthUrl(RFC_SECRET, 'admin', 'Health Staff Scheduler');
+
+    expect(url).toMatch(/^otpauth:\/\/totp\/Health%20Staff%20Scheduler%3Aadmin\?/);
+    expect(url).toContain(`secret=${RFC_SECRET}`);
+  });
+});
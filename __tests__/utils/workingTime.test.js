@@ -0,0 +1,115 @@
+const { shiftTimes, evaluateWorkingTime } = require('../../utils/workingTime');
+
+const shifts = [
+  { name: 'Morning', startTime: '08:00', endTime: '16:00', breakMinutes: 30 },
+  { name: 'Long', startTime: '07:00', endTime: '19:00', breakMinutes: 0 },
+  { name: 'Night', startTime: '22:00', endTime: '08:00', crossesMidnight: true },
+];
+
+const day = (date) => new Date(2025, 11, date);
+
+const rule = (name, limit, extra = {}) => [{ rule: name, limit, severity: 'warning', ...extra }];
+
+describe('Working time', () => {
+  describe('shiftTimes', () => {
+    it('should read times from a definition or the bare shift defaults', () => {
+      expect(shiftTimes(shifts[2])).toEqual({ start: 22 * 60, length: 10 * 60 });
+      expect(shiftTimes({ name: 'Evening' })).toEqual({ start: 16 * 60, length: 8 * 60 });
+      expect(shiftTimes({ name: 'Unknown' })).toBeNull();
+    });
+  });
+
+  describe('evaluateWorkingTime', () => {
+    it('should allow a shift that fits the default rules', () => {
+      const worked = [{ date: day(1), shift: 'Morning' }, { date: day(3), shift: 'Morning' }];
+
+      expect(evaluateWorkingTime({ date: day(2), shift: 'Morning', worked, shifts })).toEqual([]);
+    });
+
+    it('should flag too little rest after a night shift with the rule severity', () => {
+      const worked = [{ date: day(1), shift: 'Night' }];
+
+      const violations = evaluateWorkingTime({
+        date: day(2),
+        shift: 'Morning',
+        worked,
+        shifts,
+        rules: rule('minRestHours', 11, { severity: 'error' }),
+      });
+
+      expect(violations).toEqual([{
+        rule: 'minRestHours',
+        severity: 'error',
+        limit: 11,
+        message: 'Less than 11 hours of rest between shifts',
+      }]);
+    });
+
+    it('should flag too little rest before a later shift', () => {
+      const worked = [{ date: day(2), shift: 'Morning' }];
+
+      const violations = evaluateWorkingTime({ date: day(1), shift: 'Night', worked, shifts });
+
+      expect(violations.map(violation => violation.rule)).toEqual(['minRestHours']);
+    });
+
+    it('should flag more days in a row than allowed, counting both sides', () => {
+      const worked = [1, 2, 4, 5].map(date => ({ date: day(date), shift: 'Morning' }));
+
+      expect(evaluateWorkingTime({ date: day(3), shift: 'Morning', worked, shifts, rules: rule('maxConsecutiveDays', 5) }))
+        .toEqual([]);
+      expect(evaluateWorkingTime({ date: day(3), shift: 'Morning', worked, shifts, rules: rule('maxConsecutiveDays', 4) }))
+        .toEqual([expect.objectContaining({ rule: 'maxConsecutiveDays', message: 'More than 4 days worked in a row' })]);
+    });
+
+    it('should flag more weekly hours than allowed, less breaks', () => {
+      const worked = [1, 2, 3].map(date => ({ date: day(date), shift: 'Long' }));
+
+      expect(evaluateWorkingTime({ date: day(4), shift: 'Long', worked, shifts, rules: rule('maxWeeklyHours', 48) }))
+        .toEqual([]);
+      expect(evaluateWorkingTime({ date: day(5), shift: 'Long', worked, shifts, rules: rule('maxWeeklyHours', 47) }))
+        .toEqual([expect.objectContaining({ rule: 'maxWeeklyHours', message: 'More than 47 hours of work in 7 days' })]);
+    });
+
+    it('should only count shifts within 7 days of each other', () => {
+      const worked = [1, 2, 3].map(date => ({ date: day(date), shift: 'Long' }));
+
+      expect(evaluateWorkingTime({ date: day(8), shift: 'Long', worked, shifts, rules: rule('maxWeeklyHours', 40) }))
+        .toEqual([]);
+    });
+
+    it('should flag more night shifts in the period than allowed', () => {
+      const worked = [1, 3, 5].map(date => ({ date: day(date), shift: 'Night' }));
+      const rules = rule('maxNightShifts', 3, { periodDays: 7 });
+
+      expect(evaluateWorkingTime({ date: day(7), shift: 'Night', worked, shifts, rules }))
+        .toEqual([expect.objectContaining({ rule: 'maxNightShifts', message: 'More than 3 night shifts in 7 days' })]);
+      expect(evaluateWorkingTime({ date: day(8), shift: 'Night', worked, shifts, rules })).toEqual([]);
+      expect(evaluateWorkingTime({ date: day(7), shift: 'Morning', worked, shifts, rules })).toEqual([]);
+    });
+
+    it('should count shifts starting in the early hours as night shifts', () => {
+      const worked = [{ date: day(1), shift: 'Night' }];
+
+      expect(evaluateWorkingTime({ date: day(3), shift: 'Night', worked, rules: rule('maxNightShifts', 1) }))
+        .toEqual([expect.objectContaining({ rule: 'maxNightShifts' })]);
+    });
+
+    it('should skip inactive rules', () => {
+      const worked = [{ date: day(1), shift: 'Night' }];
+
+      expect(evaluateWorkingTime({
+        date: day(2),
+        shift: 'Morning',
+        worked,
+        shifts,
+        rules: rule('minRestHours', 11, { isActive: false }),
+      })).toEqual([]);
+    });
+
+    it('should skip shifts without known times for time-based rules', () => {
+      expect(evaluateWorkingTime({ date: day(1), shift: 'On call', worked: [{ date: day(1), shift: 'Morning' }] }))
+        .toEqual([]);
+    });
+  });
+});
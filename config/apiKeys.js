@@ -0,0 +1,14 @@
+// Permissions an API key can be granted. Routes opt in with allowApiKey(scope).
+const API_KEY_SCOPES = {
+  ATTENDANCE_READ: 'attendance:read',
+  ATTENDANCE_MARK: 'attendance:mark',
+};
+
+// Header machine clients send their key in
+const API_KEY_HEADER = 'x-api-key';
+
+module.exports = {
+  API_KEY_SCOPES,
+  API_KEY_SCOPE_VALUES: Object.values(API_KEY_SCOPES),
+  API_KEY_HEADER,
+};
@@ -0,0 +1,14 @@
+const toInt = (value, fallback) => parseInt(value, 10) || fallback;
+
+module.exports = {
+  // Failures allowed before each further attempt is delayed
+  FREE_ATTEMPTS: toInt(process.env.LOGIN_FREE_ATTEMPTS, 3),
+  BASE_DELAY_SECONDS: toInt(process.env.LOGIN_BASE_DELAY_SECONDS, 1),
+  MAX_DELAY_SECONDS: toInt(process.env.LOGIN_MAX_DELAY_SECONDS, 30),
+  // Per-account lockout
+  MAX_FAILED_ATTEMPTS: toInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS, 5),
+  LOCK_MINUTES: toInt(process.env.LOGIN_LOCK_MINUTES, 15),
+  // Per-IP lockout, counted over a sliding window
+  IP_MAX_FAILED_ATTEMPTS: toInt(process.env.LOGIN_IP_MAX_FAILED_ATTEMPTS, 20),
+  IP_WINDOW_MINUTES: toInt(process.env.LOGIN_IP_WINDOW_MINUTES, 15),
+};
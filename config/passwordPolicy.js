@@ -0,0 +1,22 @@
+// Unlike the login throttle settings, 0 is meaningful here (it disables a rule)
+const toInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+const toBool = (value, fallback) => (value === undefined ? fallback : value === 'true');
+
+module.exports = {
+  MIN_LENGTH: toInt(process.env.PASSWORD_MIN_LENGTH, 8),
+  // bcrypt ignores everything past 72 bytes
+  MAX_LENGTH: 72,
+  REQUIRE_UPPERCASE: toBool(process.env.PASSWORD_REQUIRE_UPPERCASE, true),
+  REQUIRE_LOWERCASE: toBool(process.env.PASSWORD_REQUIRE_LOWERCASE, true),
+  REQUIRE_DIGIT: toBool(process.env.PASSWORD_REQUIRE_DIGIT, true),
+  REQUIRE_SYMBOL: toBool(process.env.PASSWORD_REQUIRE_SYMBOL, false),
+  // Number of previous passwords that cannot be reused (0 disables the check)
+  HISTORY_COUNT: toInt(process.env.PASSWORD_HISTORY_COUNT, 5),
+  // Days before a password must be changed (0 disables expiry)
+  MAX_AGE_DAYS: toInt(process.env.PASSWORD_MAX_AGE_DAYS, 90),
+  // Reject passwords found in config/common-passwords.txt
+  CHECK_COMMON: toBool(process.env.PASSWORD_CHECK_COMMON, true),
+};
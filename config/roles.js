@@ -0,0 +1,26 @@
+const ROLES = {
+  // Operates across every facility of the group
+  SUPER_ADMIN: 'super_admin',
+  ADMIN: 'admin',
+  WARD_MANAGER: 'ward_manager',
+  CHARGE_NURSE: 'charge_nurse',
+  VIEWER: 'viewer',
+};
+
+// Role groups reused by the route definitions
+const ROSTER_MANAGERS = [ROLES.ADMIN, ROLES.WARD_MANAGER];
+const ATTENDANCE_MARKERS = [ROLES.ADMIN, ROLES.WARD_MANAGER, ROLES.CHARGE_NURSE];
+
+// Roles that must pass TOTP two-factor authentication before using role-restricted routes
+const TWO_FACTOR_REQUIRED_ROLES = (process.env.TWO_FACTOR_REQUIRED_ROLES || `${ROLES.SUPER_ADMIN},${ROLES.ADMIN}`)
+  .split(',')
+  .map(role => role.trim())
+  .filter(Boolean);
+
+module.exports = {
+  ROLES,
+  ROLE_VALUES: Object.values(ROLES),
+  ROSTER_MANAGERS,
+  ATTENDANCE_MARKERS,
+  TWO_FACTOR_REQUIRED_ROLES,
+};
@@ -0,0 +1,35 @@
+const toInt = (value, fallback) => parseInt(value, 10) || fallback;
+
+// Working-time limits the roster generator keeps to, and the defaults of the
+// working-time rules
+const MAX_CONSECUTIVE_SHIFTS = toInt(process.env.MAX_CONSECUTIVE_SHIFTS, 5);
+const MIN_REST_HOURS = toInt(process.env.MIN_REST_HOURS, 11);
+// Most hours anyone may work in 7 days
+const MAX_WEEKLY_HOURS = toInt(process.env.MAX_WEEKLY_HOURS, 48);
+// Most night shifts in NIGHT_SHIFT_PERIOD_DAYS days
+const MAX_NIGHT_SHIFTS = toInt(process.env.MAX_NIGHT_SHIFTS, 4);
+const NIGHT_SHIFT_PERIOD_DAYS = toInt(process.env.NIGHT_SHIFT_PERIOD_DAYS, 7);
+
+// Working-time rules of a facility that has not set its own. Errors stop an
+// assignment or attendance record from being saved; warnings are reported
+// with it.
+const DEFAULT_WORKING_TIME_RULES = [
+  { rule: 'minRestHours', limit: MIN_REST_HOURS, severity: 'error' },
+  { rule: 'maxConsecutiveDays', limit: MAX_CONSECUTIVE_SHIFTS, severity: 'warning' },
+  { rule: 'maxWeeklyHours', limit: MAX_WEEKLY_HOURS, severity: 'warning' },
+  { rule: 'maxNightShifts', limit: MAX_NIGHT_SHIFTS, periodDays: NIGHT_SHIFT_PERIOD_DAYS, severity: 'warning' },
+];
+
+module.exports = {
+  MAX_CONSECUTIVE_SHIFTS,
+  MIN_REST_HOURS,
+  MAX_WEEKLY_HOURS,
+  MAX_NIGHT_SHIFTS,
+  NIGHT_SHIFT_PERIOD_DAYS,
+  DEFAULT_WORKING_TIME_RULES,
+  // Longest range one generator run may cover
+  GENERATE_MAX_DAYS: toInt(process.env.SCHEDULE_GENERATE_MAX_DAYS, 31),
+  // Days a new staff member is rostered for from their rotation or default
+  // shift, starting the day they are added
+  INITIAL_ROSTER_DAYS: toInt(process.env.INITIAL_ROSTER_DAYS, 7),
+};
@@ -0,0 +1,10 @@
+// Times used when migrating bare shift names that carry no times of their own
+const DEFAULT_SHIFT_TIMES = {
+  Morning: { startTime: '08:00', endTime: '16:00' },
+  Evening: { startTime: '16:00', endTime: '00:00' },
+  Night: { startTime: '00:00', endTime: '08:00' },
+};
+
+module.exports = {
+  DEFAULT_SHIFT_TIMES,
+};
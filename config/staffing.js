@@ -0,0 +1,26 @@
+// Minimum staff per role on a shift when no staffing requirement applies
+const DEFAULT_MINIMUMS = [
+  { role: 'Doctor', required: 1 },
+  { role: 'Nurse', required: 2 },
+  { role: 'Technician', required: 1 },
+];
+
+// Staff roles that count towards another role's minimum
+const ROLE_ALIASES = {
+  'Lab Technician': 'Technician',
+};
+
+// Staff roles accepted, with their staffId prefixes, until roles are
+// defined under /api/roles
+const BUILT_IN_ROLES = [
+  { name: 'Doctor', staffIdPrefix: 'D' },
+  { name: 'Nurse', staffIdPrefix: 'N' },
+  { name: 'Technician', staffIdPrefix: 'T' },
+  { name: 'Lab Technician', staffIdPrefix: 'T' },
+];
+
+module.exports = {
+  DEFAULT_MINIMUMS,
+  ROLE_ALIASES,
+  BUILT_IN_ROLES,
+};
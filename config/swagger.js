@@ -1,4 +1,6 @@
 const swaggerJsdoc = require('swagger-jsdoc');
+const { ROLE_VALUES } = require('./roles');
+const passwordPolicy = require('./passwordPolicy');
 
 const getServers = () => {
   try {
@@ -47,7 +49,7 @@ const options = {
     info: {
       title: 'Health Staff Scheduler & Attendance Tracker API',
       version: '1.0.0',
-      description: 'API documentation for the Health Staff Shift Scheduler and Attendance Tracker application. Manage staff, track attendance, and monitor shift requirements.',
+      description: 'API documentation for the Health Staff Shift Scheduler and Attendance Tracker application. Manage staff, track attendance, and monitor shift requirements. Every user works inside their own facility; super admins work across all of them, or inside one by sending its _id in the X-Facility-Id header.',
       contact: {
         name: 'API Support',
       },
@@ -61,6 +63,25 @@ const options = {
           bearerFormat: 'JWT',
           description: 'Enter JWT token obtained from /api/auth/login',
         },
+        apiKeyAuth: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-API-Key',
+          description: 'API key for machine clients, created via /api/api-keys. Only accepted by operations listing x-api-key-scopes',
+        },
+      },
+      responses: {
+        Forbidden: {
+          description: 'Authenticated user does not have a role allowed to perform this operation, or the role requires a two-factor session (code TWO_FACTOR_SETUP_REQUIRED or TWO_FACTOR_REQUIRED)',
+          content: {
+            'application/json': {
+              example: {
+                success: false,
+                error: "User role 'viewer' is not authorized to access this route",
+              },
+            },
+          },
+        },
       },
       schemas: {
         User: {
@@ -82,8 +103,30 @@ const options = {
             },
             password: {
               type: 'string',
-              minLength: 6,
-              description: 'User password (min 6 characters)',
+              minLength: passwordPolicy.MIN_LENGTH,
+              maxLength: passwordPolicy.MAX_LENGTH,
+              description: 'User password; must meet the password policy (by default at least 8 characters with upper and lower case letters and a digit)',
+            },
+            role: {
+              type: 'string',
+              enum: ROLE_VALUES,
+              default: 'viewer',
+              description: 'Access role. Operations list their required role in the description and in x-required-roles',
+            },
+            staff: {
+              type: 'string',
+              nullable: true,
+              description: 'Linked Staff _id, used by the /api/me self-service endpoints',
+            },
+            facility: {
+              type: 'string',
+              nullable: true,
+              description: 'Facility _id the user works at. Only super admins can set it; other users\' accounts join their own facility',
+            },
+            department: {
+              type: 'string',
+              nullable: true,
+              description: 'Department _id. Non-admin users with a department only see and change that department\'s staff and attendance',
             },
           },
         },
@@ -105,11 +148,43 @@ const options = {
             },
             role: {
               type: 'string',
-              description: 'Staff role (Doctor, Nurse, Technician)',
+              description: 'Staff role name or code from /api/roles, stored as the role name',
             },
             shift: {
               type: 'string',
-              description: 'Assigned shift',
+              description: 'Assigned shift name. Accepts a shift name (any case) or code; stored as the shift name',
+            },
+            shiftDefinition: {
+              type: 'string',
+              nullable: true,
+              description: 'Shift _id; null for shift names that predate shift definitions',
+            },
+            facility: {
+              type: 'string',
+              nullable: true,
+              readOnly: true,
+              description: 'Facility _id, taken from the user who created the staff member',
+            },
+            department: {
+              type: 'string',
+              nullable: true,
+              description: 'Home department _id. Accepts a department _id, name or code',
+            },
+            rotation: {
+              type: 'object',
+              description: 'Rotation pattern the staff member is rostered from instead of their shift. Set with PUT /api/staff/{id}/rotation',
+              properties: {
+                pattern: {
+                  type: 'string',
+                  nullable: true,
+                  description: 'Rotation pattern _id; null when they follow none',
+                },
+                offset: {
+                  type: 'integer',
+                  minimum: 0,
+                  description: 'Days into the cycle',
+                },
+              },
             },
             attendanceStatus: {
               type: 'string',
@@ -154,7 +229,12 @@ const options = {
             },
             shift: {
               type: 'string',
-              description: 'Shift for attendance',
+              description: 'Shift name for attendance',
+            },
+            shiftDefinition: {
+              type: 'string',
+              nullable: true,
+              description: 'Shift _id; null for shift names that predate shift definitions',
             },
             status: {
               type: 'string',
@@ -168,6 +248,447 @@ const options = {
             },
           },
         },
+        Shift: {
+          type: 'object',
+          required: ['name', 'code', 'startTime', 'endTime'],
+          properties: {
+            _id: {
+              type: 'string',
+            },
+            name: {
+              type: 'string',
+              description: 'Unique shift name, matched case-insensitively',
+            },
+            code: {
+              type: 'string',
+              maxLength: 10,
+              description: 'Unique short code, stored in upper case',
+            },
+            startTime: {
+              type: 'string',
+              pattern: '^([01]\\d|2[0-3]):[0-5]\\d$',
+              example: '08:00',
+            },
+            endTime: {
+              type: 'string',
+              pattern: '^([01]\\d|2[0-3]):[0-5]\\d$',
+              example: '16:00',
+            },
+            crossesMidnight: {
+              type: 'boolean',
+              default: false,
+              description: 'Set when the shift ends on the following day',
+            },
+            breakMinutes: {
+              type: 'integer',
+              minimum: 0,
+              default: 0,
+            },
+            isActive: {
+              type: 'boolean',
+              default: true,
+              description: 'Inactive shifts stay on existing records but cannot be newly assigned',
+            },
+            durationMinutes: {
+              type: 'integer',
+              readOnly: true,
+            },
+            workMinutes: {
+              type: 'integer',
+              readOnly: true,
+              description: 'Duration less the break',
+            },
+          },
+        },
+        Role: {
+          type: 'object',
+          required: ['name', 'code', 'staffIdPrefix'],
+          properties: {
+            _id: {
+              type: 'string',
+            },
+            name: {
+              type: 'string',
+              description: 'Unique display name, matched case-insensitively. Staff store this as their role',
+            },
+            code: {
+              type: 'string',
+              maxLength: 10,
+              description: 'Unique short code, stored in upper case',
+            },
+            staffIdPrefix: {
+              type: 'string',
+              pattern: '^[A-Z]{1,3}$',
+              description: 'Prefix of generated staffIds, e.g. D for D001',
+            },
+            countsAs: {
+              type: 'string',
+              nullable: true,
+              description: 'Role whose staffing minimum this role counts towards, e.g. Senior Nurse counts as Nurse',
+            },
+            isActive: {
+              type: 'boolean',
+              default: true,
+              description: 'Inactive roles stay on existing staff but cannot be newly assigned',
+            },
+          },
+        },
+        Facility: {
+          type: 'object',
+          required: ['name', 'code'],
+          properties: {
+            _id: {
+              type: 'string',
+            },
+            name: {
+              type: 'string',
+              description: 'Unique facility name, matched case-insensitively',
+            },
+            code: {
+              type: 'string',
+              maxLength: 10,
+              description: 'Unique short code, stored in upper case',
+            },
+            timezone: {
+              type: 'string',
+              default: 'UTC',
+              description: 'IANA time zone of the site, e.g. Europe/London',
+            },
+            address: {
+              type: 'string',
+              maxLength: 200,
+            },
+          },
+        },
+        Department: {
+          type: 'object',
+          required: ['name', 'code'],
+          properties: {
+            _id: {
+              type: 'string',
+            },
+            name: {
+              type: 'string',
+              description: 'Unique department or ward name, matched case-insensitively',
+            },
+            code: {
+              type: 'string',
+              maxLength: 10,
+              description: 'Unique short code, stored in upper case',
+            },
+            description: {
+              type: 'string',
+              maxLength: 200,
+            },
+            isActive: {
+              type: 'boolean',
+              default: true,
+              description: 'Inactive departments keep their staff but cannot take new ones',
+            },
+          },
+        },
+        RosterAssignment: {
+          type: 'object',
+          required: ['staff', 'date', 'shift'],
+          properties: {
+            _id: {
+              type: 'string',
+            },
+            staff: {
+              type: 'string',
+              description: 'Staff member working the shift',
+            },
+            date: {
+              type: 'string',
+              format: 'date',
+            },
+            shift: {
+              type: 'string',
+            },
+            department: {
+              type: 'string',
+              nullable: true,
+              description: 'Department or ward worked in that day, which may differ from the home department',
+            },
+            period: {
+              type: 'string',
+              nullable: true,
+              description: 'Schedule the assignment belongs to; null when made straight on the live roster',
+            },
+            status: {
+              type: 'string',
+              enum: ['draft', 'published', 'archived'],
+              description: 'Only published assignments are on the live roster',
+            },
+            source: {
+              type: 'string',
+              enum: ['default', 'rotation', 'manual', 'generated'],
+              description: "default assignments come from the staff member's shift and follow it when it changes; rotation ones come from their rotation pattern and follow it",
+            },
+            notes: {
+              type: 'string',
+              maxLength: 200,
+            },
+          },
+        },
+        SchedulePeriod: {
+          type: 'object',
+          required: ['startDate', 'endDate'],
+          properties: {
+            _id: {
+              type: 'string',
+            },
+            name: {
+              type: 'string',
+              maxLength: 100,
+            },
+            startDate: {
+              type: 'string',
+              format: 'date',
+            },
+            endDate: {
+              type: 'string',
+              format: 'date',
+            },
+            department: {
+              type: 'string',
+              nullable: true,
+              description: 'Department _id, name or code; none for the whole facility',
+            },
+            status: {
+              type: 'string',
+              enum: ['draft', 'publishing', 'published', 'archived'],
+              readOnly: true,
+            },
+            publishedAt: {
+              type: 'string',
+              format: 'date-time',
+              readOnly: true,
+            },
+          },
+        },
+        ShiftSwap: {
+          type: 'object',
+          required: ['requester', 'counterpart', 'dates'],
+          properties: {
+            _id: {
+              type: 'string',
+            },
+            requester: {
+              type: 'string',
+              description: 'Staff member who proposed the swap',
+            },
+            counterpart: {
+              type: 'string',
+              description: 'Staff member taking over the requester\'s shifts, and giving up theirs, on the swap dates',
+            },
+            dates: {
+              type: 'array',
+              items: {
+                type: 'string',
+                format: 'date',
+              },
+            },
+            reason: {
+              type: 'string',
+              maxLength: 200,
+            },
+            status: {
+              type: 'string',
+              enum: ['pending', 'accepted', 'approved', 'rejected', 'cancelled'],
+              readOnly: true,
+              description: 'pending until the counterpart accepts, then accepted until a manager approves or rejects it',
+            },
+            reviewNote: {
+              type: 'string',
+              maxLength: 200,
+              readOnly: true,
+            },
+          },
+        },
+        OpenShift: {
+          type: 'object',
+          properties: {
+            _id: {
+              type: 'string',
+            },
+            date: {
+              type: 'string',
+              format: 'date',
+            },
+            shift: {
+              type: 'string',
+            },
+            role: {
+              type: 'string',
+              description: 'Staff role needed; staff whose role counts as it can claim the shift',
+            },
+            department: {
+              type: 'string',
+              nullable: true,
+              description: 'Ward the shift is worked in; null for the whole facility',
+            },
+            slots: {
+              type: 'integer',
+              minimum: 1,
+              description: 'Number of staff needed',
+            },
+            filledSlots: {
+              type: 'integer',
+              readOnly: true,
+            },
+            status: {
+              type: 'string',
+              enum: ['open', 'filled', 'cancelled'],
+              readOnly: true,
+            },
+            claims: {
+              type: 'array',
+              readOnly: true,
+              items: {
+                type: 'object',
+                properties: {
+                  _id: {
+                    type: 'string',
+                  },
+                  staff: {
+                    type: 'string',
+                  },
+                  status: {
+                    type: 'string',
+                    enum: ['pending', 'confirmed', 'rejected'],
+                  },
+                  reason: {
+                    type: 'string',
+                    description: 'Why the claim was rejected, including the working-time limits it broke',
+                  },
+                  claimedAt: {
+                    type: 'string',
+                    format: 'date-time',
+                  },
+                },
+              },
+            },
+          },
+        },
+        StaffAvailability: {
+          type: 'object',
+          properties: {
+            staff: {
+              type: 'string',
+              readOnly: true,
+            },
+            unavailableDays: {
+              type: 'array',
+              items: {
+                type: 'integer',
+                minimum: 0,
+                maximum: 6,
+              },
+              description: 'Days of the week never worked, 0 (Sunday) to 6 (Saturday)',
+            },
+            preferredShifts: {
+              type: 'array',
+              items: {
+                type: 'string',
+              },
+              description: 'Shift names or codes; any shift when empty',
+            },
+            blackoutDates: {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['date'],
+                properties: {
+                  date: {
+                    type: 'string',
+                    format: 'date',
+                  },
+                  reason: {
+                    type: 'string',
+                    maxLength: 200,
+                  },
+                },
+              },
+            },
+            notes: {
+              type: 'string',
+              maxLength: 200,
+            },
+          },
+        },
+        WorkingTimeRule: {
+          type: 'object',
+          properties: {
+            rule: {
+              type: 'string',
+              enum: ['minRestHours', 'maxConsecutiveDays', 'maxWeeklyHours', 'maxNightShifts'],
+              readOnly: true,
+            },
+            limit: {
+              type: 'number',
+              minimum: 0,
+              description: 'Hours of rest, days in a row, hours in 7 days or night shifts in periodDays days',
+            },
+            periodDays: {
+              type: 'integer',
+              minimum: 1,
+              nullable: true,
+              description: 'Days the night-shift limit is counted over',
+            },
+            severity: {
+              type: 'string',
+              enum: ['warning', 'error'],
+              description: 'error stops the write; warning is reported with it',
+            },
+            isActive: {
+              type: 'boolean',
+            },
+            isDefault: {
+              type: 'boolean',
+              readOnly: true,
+              description: 'Whether the default applies because the facility has not set the rule',
+            },
+          },
+        },
+        RotationPattern: {
+          type: 'object',
+          required: ['name', 'steps', 'anchorDate'],
+          properties: {
+            _id: {
+              type: 'string',
+              readOnly: true,
+            },
+            name: {
+              type: 'string',
+              maxLength: 100,
+              description: 'Unique within the facility, ignoring case',
+            },
+            description: {
+              type: 'string',
+              maxLength: 200,
+            },
+            steps: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'One entry per day: a shift name or code, stored as the shift name, or Off',
+            },
+            anchorDate: {
+              type: 'string',
+              format: 'date',
+              description: 'Day the first step falls on; the steps repeat before and after it',
+            },
+            facility: {
+              type: 'string',
+              nullable: true,
+              readOnly: true,
+            },
+            isActive: {
+              type: 'boolean',
+              description: 'Staff on an inactive pattern are rostered on their default shift',
+            },
+          },
+        },
         Error: {
           type: 'object',
           properties: {
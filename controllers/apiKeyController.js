@@ -0,0 +1,115 @@
+const crypto = require('crypto');
+const ApiKey = require('../models/ApiKey');
+const { hashToken } = require('../utils/tokens');
+const { facilityFilter, newRecordFacility } = require('../utils/tenancy');
+
+const KEY_PREFIX = 'hss_';
+const MAX_EXPIRES_DAYS = 365;
+
+const createApiKey = async (req, res) => {
+  try {
+    const { name, scopes } = req.body;
+    let expiresAt = null;
+
+    if (req.body.expiresInDays !== undefined && req.body.expiresInDays !== null) {
+      const expiresInDays = Number(req.body.expiresInDays);
+      if (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > MAX_EXPIRES_DAYS) {
+        return res.status(400).json({
+          success: false,
+          error: `expiresInDays must be between 1 and ${MAX_EXPIRES_DAYS}`
+        });
+      }
+      expiresAt = new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000);
+    }
+
+    if (!Array.isArray(scopes)) {
+      return res.status(400).json({
+        success: false,
+        error: 'scopes must be an array'
+      });
+    }
+
+    const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+    const apiKey = await ApiKey.create({
+      name,
+      scopes,
+      expiresAt,
+      prefix: key.slice(0, KEY_PREFIX.length + 8),
+      keyHash: hashToken(key),
+      createdBy: req.user.id,
+      facility: newRecordFacility(req),
+    });
+
+    // The only time the key is returned; it cannot be recovered afterwards
+    res.status(201).json({
+      success: true,
+      data: {
+        ...apiKey.toJSON(),
+        key,
+      },
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+const getApiKeys = async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find(facilityFilter(req))
+      .populate('createdBy', 'name userName')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: apiKeys.length,
+      data: apiKeys,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+const revokeApiKey = async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findOne({ ...facilityFilter(req), _id: req.params.id });
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found'
+      });
+    }
+
+    if (apiKey.revokedAt) {
+      return res.status(400).json({
+        success: false,
+        error: 'API key is already revoked'
+      });
+    }
+
+    apiKey.revokedAt = Date.now();
+    await apiKey.save();
+
+    res.json({
+      success: true,
+      data: apiKey,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  createApiKey,
+  getApiKeys,
+  revokeApiKey,
+};
@@ -1,18 +1,66 @@
 const Attendance = require('../models/Attendance');
 const Staff = require('../models/Staff');
+const Shift = require('../models/Shift');
+const AttendanceRevision = require('../models/AttendanceRevision');
+const { findStaff, getStaffAttendance } = require('../utils/staffAttendance');
+const { snapshot, recordAudit } = require('../utils/audit');
+const { checkAttendance } = require('../utils/workingTime');
+const { scheduledShiftOn } = require('../utils/roster');
+const {
+  OUT_OF_SCOPE,
+  OTHER_STAFF,
+  canAccessStaff,
+  canAccessAttendance,
+  linkedStaffOnly,
+  canReadStaff,
+  departmentFilter,
+} = require('../utils/departmentScope');
+const { requestFacility, facilityFilter, inFacility } = require('../utils/tenancy');
+
+const BREAKS_RULES = 'Attendance breaks working-time rules';
+const DAY_OFF = 'Staff member is not working on this day';
+
+// Who marked a record: a signed-in user, or an API key used by a kiosk
+const markedByFields = (req) => ({
+  markedBy: req.user ? req.user.id : null,
+  markedByApiKey: req.apiKey ? req.apiKey._id : null,
+});
+
+// Working-time warnings for a record about to be saved as worked. Breaking a
+// rule with error severity answers the request instead and returns null.
+const checkRules = async (res, attendance) => {
+  await attendance.validate();
+  const { errors, warnings } = await checkAttendance(attendance);
+  if (errors.length) {
+    res.status(400).json({
+      success: false,
+      message: BREAKS_RULES,
+      violations: errors
+    });
+    return null;
+  }
+  return warnings;
+};
 
 const markAttendance = async (req, res) => {
   try {
-    const { staffId, date, shift, status, remarks } = req.body;
+    const { staffId, date, status, remarks } = req.body;
 
     // Validate staff exists
-    const staff = await Staff.findById(staffId);
+    const staff = await Staff.findOne({ ...facilityFilter(req), _id: staffId });
     if (!staff) {
       return res.status(404).json({ 
         success: false, 
         message: 'Staff not found' 
       });
     }
+    if (!canAccessStaff(req, staff)) {
+      return res.status(403).json({
+        success: false,
+        message: OUT_OF_SCOPE
+      });
+    }
+    const shift = await Shift.canonicalName(req.body.shift, { facility: staff.facility || null });
 
     // Check if attendance already marked for this date and shift
     const existingAttendance = await Attendance.findOne({ 
@@ -23,22 +71,27 @@ const markAttendance = async (req, res) => {
 
     if (existingAttendance) {
       // Update existing attendance
+      const before = snapshot(existingAttendance);
       existingAttendance.status = status;
       existingAttendance.remarks = remarks;
       existingAttendance.markedBy = req.user.id;
       existingAttendance.markedAt = Date.now();
-      
+
+      const warnings = await checkRules(res, existingAttendance);
+      if (!warnings) return;
       await existingAttendance.save();
+      await recordAudit(req, { action: 'update', entityType: 'Attendance', before, after: existingAttendance });
       
       return res.json({ 
         success: true, 
         message: 'Attendance updated successfully',
-        data: existingAttendance 
+        data: existingAttendance,
+        warnings,
       });
     }
 
     // Create new attendance record
-    const attendance = await Attendance.create({
+    const attendance = new Attendance({
       staffId,
       date: new Date(date).setHours(0, 0, 0, 0),
       shift,
@@ -46,11 +99,16 @@ const markAttendance = async (req, res) => {
       remarks,
       markedBy: req.user.id,
     });
+    const warnings = await checkRules(res, attendance);
+    if (!warnings) return;
+    await attendance.save();
+    await recordAudit(req, { action: 'create', entityType: 'Attendance', after: attendance });
 
     res.status(201).json({ 
       success: true, 
       message: 'Attendance marked successfully',
-      data: attendance 
+      data: attendance,
+      warnings,
     });
   } catch (error) {
     res.status(500).json({ 
@@ -73,10 +131,34 @@ const markBulkAttendance = async (req, res) => {
 
     const results = [];
     const errors = [];
+    const warnings = [];
+
+    // Records that break a rule with error severity are left out, like any
+    // other record that fails
+    const ruleWarnings = async (attendance, staffId) => {
+      await attendance.validate();
+      const check = await checkAttendance(attendance);
+      if (check.errors.length) {
+        errors.push({ staffId, error: BREAKS_RULES, violations: check.errors });
+        return null;
+      }
+      check.warnings.forEach(violation => warnings.push({ staffId, ...violation }));
+      return check.warnings;
+    };
 
     for (const record of attendanceRecords) {
       try {
-        const { staffId, date, shift, status, remarks } = record;
+        const { staffId, date, status, remarks } = record;
+        const staff = await Staff.findById(staffId).select('facility department');
+        if (!staff || !inFacility(req, staff)) {
+          errors.push({ staffId, error: 'Staff not found' });
+          continue;
+        }
+        if (!canAccessStaff(req, staff)) {
+          errors.push({ staffId, error: OUT_OF_SCOPE });
+          continue;
+        }
+        const shift = await Shift.canonicalName(record.shift, { facility: staff.facility || null });
 
         // Check if already exists
         const existing = await Attendance.findOne({ 
@@ -86,21 +168,32 @@ const markBulkAttendance = async (req, res) => {
         });
 
         if (existing) {
+          const before = snapshot(existing);
           existing.status = status;
           existing.remarks = remarks;
           existing.markedBy = req.user.id;
           existing.markedAt = Date.now();
+          if (!(await ruleWarnings(existing, staffId))) {
+            continue;
+          }
           await existing.save();
+          await recordAudit(req, { action: 'update', entityType: 'Attendance', before, after: existing });
           results.push(existing);
         } else {
-          const attendance = await Attendance.create({
+          const attendance = new Attendance({
             staffId,
+            facility: staff.facility,
             date: new Date(date).setHours(0, 0, 0, 0),
             shift,
             status,
             remarks,
             markedBy: req.user.id,
           });
+          if (!(await ruleWarnings(attendance, staffId))) {
+            continue;
+          }
+          await attendance.save();
+          await recordAudit(req, { action: 'create', entityType: 'Attendance', after: attendance });
           results.push(attendance);
         }
       } catch (error) {
@@ -116,6 +209,7 @@ const markBulkAttendance = async (req, res) => {
       message: `Attendance marked for ${results.length} staff members`,
       data: results,
       errors: errors.length > 0 ? errors : null,
+      warnings,
     });
   } catch (error) {
     res.status(500).json({ 
@@ -129,41 +223,69 @@ const getAttendance = async (req, res) => {
   try {
     const { date, shift, staffId, status } = req.query;
 
-    // Build filter
-    const filter = {};
+    // Build filter, always within the request's facility
+    const filter = facilityFilter(req);
     
     if (date) {
       filter.date = new Date(date).setHours(0, 0, 0, 0);
     }
     
     if (shift) {
-      filter.shift = shift;
+      filter.shift = await Shift.canonicalName(shift, { facility: requestFacility(req) });
     }
     
-    if (staffId) {
+    // Managers tied to a department only ever see that department's attendance
+    const scope = await departmentFilter(req, req.query.department);
+    if (scope.error) {
+      return res.status(scope.status).json({
+        success: false,
+        message: scope.error
+      });
+    }
+
+    if (scope.department) {
+      const departmentStaff = await Staff.find({ department: scope.department }).distinct('_id');
+      filter.staffId = {
+        $in: staffId ? departmentStaff.filter(id => String(id) === String(staffId)) : departmentStaff,
+      };
+    } else if (staffId) {
       filter.staffId = staffId;
     }
+
+    // Staff-linked users only ever see their own attendance
+    const own = linkedStaffOnly(req);
+    if (own) {
+      filter.staffId = staffId && String(staffId) !== own ? { $in: [] } : own;
+    }
     
     if (status) {
       filter.status = status;
     }
 
     const attendance = await Attendance.find(filter)
-      .populate('staffId', 'name staffId role shift')
+      .populate({
+        path: 'staffId',
+        select: 'name staffId role shift department',
+        populate: { path: 'department', select: 'name code' },
+      })
       .populate('markedBy', 'name userName')
       .sort({ date: -1, shift: 1 });
 
-    // Group by date and shift for better FE consumption
+    // Group by date and shift (and department when asked) for better FE consumption
+    const byDepartment = req.query.groupBy === 'department';
     const groupedData = {};
     attendance.forEach(record => {
       const dateKey = record.date.toISOString().split('T')[0];
       const shiftKey = record.shift;
-      const key = `${dateKey}_${shiftKey}`;
+      const department = record.staffId && record.staffId.department;
+      const departmentKey = department ? department.name : 'Unassigned';
+      const key = byDepartment ? `${dateKey}_${shiftKey}_${departmentKey}` : `${dateKey}_${shiftKey}`;
       
       if (!groupedData[key]) {
         groupedData[key] = {
           date: dateKey,
           shift: shiftKey,
+          ...(byDepartment && { department: departmentKey }),
           records: [],
           summary: {
             total: 0,
@@ -184,7 +306,7 @@ const getAttendance = async (req, res) => {
     res.json({ 
       success: true, 
       count: attendance.length,
-      filter: { date, shift, staffId, status },
+      filter: { date, shift, staffId, status, department: scope.department || null },
       data: attendance,
       grouped: Object.values(groupedData),
     });
@@ -202,38 +324,27 @@ const getAttendanceByStaff = async (req, res) => {
     const { startDate, endDate } = req.query;
 
     // Validate staff exists
-    const staff = await Staff.findById(staffId);
+    const staff = await Staff.findOne({ ...facilityFilter(req), _id: staffId });
     if (!staff) {
       return res.status(404).json({ 
         success: false, 
         message: 'Staff not found' 
       });
     }
-
-    const filter = { staffId };
-    
-    if (startDate || endDate) {
-      filter.date = {};
-      if (startDate) {
-        filter.date.$gte = new Date(startDate).setHours(0, 0, 0, 0);
-      }
-      if (endDate) {
-        filter.date.$lte = new Date(endDate).setHours(23, 59, 59, 999);
-      }
+    if (!canAccessStaff(req, staff)) {
+      return res.status(403).json({
+        success: false,
+        message: OUT_OF_SCOPE
+      });
+    }
+    if (!canReadStaff(req, staff)) {
+      return res.status(403).json({
+        success: false,
+        message: OTHER_STAFF
+      });
     }
 
-    const attendance = await Attendance.find(filter)
-      .populate('markedBy', 'name userName')
-      .sort({ date: -1 });
-
-    // Calculate statistics
-    const stats = {
-      total: attendance.length,
-      present: attendance.filter(a => a.status === 'Present').length,
-      absent: attendance.filter(a => a.status === 'Absent').length,
-      leave: attendance.filter(a => a.status === 'Leave').length,
-      halfDay: attendance.filter(a => a.status === 'Half-Day').length,
-    };
+    const { statistics: stats, attendance } = await getStaffAttendance(staff, { startDate, endDate });
 
     res.json({ 
       success: true, 
@@ -259,7 +370,7 @@ const updateAttendance = async (req, res) => {
   try {
     const { status, remarks } = req.body;
 
-    const attendance = await Attendance.findById(req.params.id);
+    const attendance = await Attendance.findOne({ ...facilityFilter(req), _id: req.params.id });
     
     if (!attendance) {
       return res.status(404).json({ 
@@ -267,18 +378,29 @@ const updateAttendance = async (req, res) => {
         message: 'Attendance record not found' 
       });
     }
+    if (!(await canAccessAttendance(req, attendance))) {
+      return res.status(403).json({
+        success: false,
+        message: OUT_OF_SCOPE
+      });
+    }
 
+    const before = snapshot(attendance);
     if (status) attendance.status = status;
     if (remarks !== undefined) attendance.remarks = remarks;
     attendance.markedBy = req.user.id;
     attendance.markedAt = Date.now();
 
+    const warnings = await checkRules(res, attendance);
+    if (!warnings) return;
     await attendance.save();
+    await recordAudit(req, { action: 'update', entityType: 'Attendance', before, after: attendance });
 
     res.json({ 
       success: true, 
       message: 'Attendance updated successfully',
-      data: attendance 
+      data: attendance,
+      warnings,
     });
   } catch (error) {
     res.status(500).json({ 
@@ -290,7 +412,7 @@ const updateAttendance = async (req, res) => {
 
 const deleteAttendance = async (req, res) => {
   try {
-    const attendance = await Attendance.findById(req.params.id);
+    const attendance = await Attendance.findOne({ ...facilityFilter(req), _id: req.params.id });
     
     if (!attendance) {
       return res.status(404).json({ 
@@ -298,8 +420,16 @@ const deleteAttendance = async (req, res) => {
         message: 'Attendance record not found' 
       });
     }
+    if (!(await canAccessAttendance(req, attendance))) {
+      return res.status(403).json({
+        success: false,
+        message: OUT_OF_SCOPE
+      });
+    }
 
     await attendance.deleteOne();
+    await AttendanceRevision.deleteMany({ attendance: attendance._id });
+    await recordAudit(req, { action: 'delete', entityType: 'Attendance', before: attendance });
 
     res.json({ 
       success: true, 
@@ -325,12 +455,7 @@ const quickMarkAttendance = async (req, res) => {
     }
 
     // Support lookup by both _id and staffId
-    let staff;
-    if (staffId.match(/^[0-9a-fA-F]{24}$/)) {
-      staff = await Staff.findById(staffId);
-    } else {
-      staff = await Staff.findOne({ staffId: staffId });
-    }
+    const staff = await findStaff(staffId, facilityFilter(req));
 
     if (!staff) {
       return res.status(404).json({
@@ -338,45 +463,71 @@ const quickMarkAttendance = async (req, res) => {
         message: 'Staff not found'
       });
     }
+    if (!canAccessStaff(req, staff)) {
+      return res.status(403).json({
+        success: false,
+        message: OUT_OF_SCOPE
+      });
+    }
 
     const attendanceDate = new Date(date);
     attendanceDate.setHours(0, 0, 0, 0);
 
-    // Check if attendance already exists
+    const { shift, assignment } = await scheduledShiftOn(staff, attendanceDate);
+    if (!shift) {
+      return res.status(400).json({
+        success: false,
+        message: DAY_OFF
+      });
+    }
+
+    // Check if attendance already exists, such as the record pre-created for
+    // the assignment
     const existingAttendance = await Attendance.findOne({
       staffId: staff._id,
       date: attendanceDate,
-      shift: staff.shift
+      shift
     });
 
     if (existingAttendance) {
+      const before = snapshot(existingAttendance);
       existingAttendance.status = 'Present';
       existingAttendance.remarks = req.body.remarks || '';
-      existingAttendance.markedBy = req.user.id;
+      Object.assign(existingAttendance, markedByFields(req));
       existingAttendance.markedAt = Date.now();
+      const warnings = await checkRules(res, existingAttendance);
+      if (!warnings) return;
       await existingAttendance.save();
+      await recordAudit(req, { action: 'update', entityType: 'Attendance', before, after: existingAttendance });
 
       return res.json({
         success: true,
         message: 'Attendance marked as Present',
-        data: existingAttendance
+        data: existingAttendance,
+        warnings,
       });
     }
 
     // Create new attendance record
-    const attendance = await Attendance.create({
+    const attendance = new Attendance({
       staffId: staff._id,
       date: attendanceDate,
-      shift: staff.shift,
+      shift,
+      assignment: assignment ? assignment._id : null,
       status: 'Present',
       remarks: req.body.remarks || '',
-      markedBy: req.user.id,
+      ...markedByFields(req),
     });
+    const warnings = await checkRules(res, attendance);
+    if (!warnings) return;
+    await attendance.save();
+    await recordAudit(req, { action: 'create', entityType: 'Attendance', after: attendance });
 
     res.status(201).json({
       success: true,
       message: 'Attendance marked as Present',
-      data: attendance
+      data: attendance,
+      warnings,
     });
   } catch (error) {
     res.status(500).json({
@@ -398,12 +549,7 @@ const applyLeave = async (req, res) => {
     }
 
     // Support lookup by both _id and staffId
-    let staff;
-    if (staffId.match(/^[0-9a-fA-F]{24}$/)) {
-      staff = await Staff.findById(staffId);
-    } else {
-      staff = await Staff.findOne({ staffId: staffId });
-    }
+    const staff = await findStaff(staffId, facilityFilter(req));
 
     if (!staff) {
       return res.status(404).json({
@@ -411,23 +557,40 @@ const applyLeave = async (req, res) => {
         message: 'Staff not found'
       });
     }
+    if (!canAccessStaff(req, staff)) {
+      return res.status(403).json({
+        success: false,
+        message: OUT_OF_SCOPE
+      });
+    }
 
     const attendanceDate = new Date(date);
     attendanceDate.setHours(0, 0, 0, 0);
 
-    // Check if attendance already exists
+    const { shift, assignment } = await scheduledShiftOn(staff, attendanceDate);
+    if (!shift) {
+      return res.status(400).json({
+        success: false,
+        message: DAY_OFF
+      });
+    }
+
+    // Check if attendance already exists, such as the record pre-created for
+    // the assignment
     const existingAttendance = await Attendance.findOne({
       staffId: staff._id,
       date: attendanceDate,
-      shift: staff.shift
+      shift
     });
 
     if (existingAttendance) {
+      const before = snapshot(existingAttendance);
       existingAttendance.status = 'Leave';
       existingAttendance.remarks = remarks || 'Leave applied';
       existingAttendance.markedBy = req.user.id;
       existingAttendance.markedAt = Date.now();
       await existingAttendance.save();
+      await recordAudit(req, { action: 'update', entityType: 'Attendance', before, after: existingAttendance });
 
       return res.json({
         success: true,
@@ -440,11 +603,13 @@ const applyLeave = async (req, res) => {
     const attendance = await Attendance.create({
       staffId: staff._id,
       date: attendanceDate,
-      shift: staff.shift,
+      shift,
+      assignment: assignment ? assignment._id : null,
       status: 'Leave',
       remarks: remarks || 'Leave applied',
       markedBy: req.user.id,
     });
+    await recordAudit(req, { action: 'create', entityType: 'Attendance', after: attendance });
 
     res.status(201).json({
       success: true,
@@ -459,6 +624,125 @@ const applyLeave = async (req, res) => {
   }
 };
 
+const getAttendanceHistory = async (req, res) => {
+  try {
+    const attendance = await Attendance.findOne({ ...facilityFilter(req), _id: req.params.id })
+      .populate('staffId', 'name staffId role shift');
+
+    if (!attendance) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attendance record not found'
+      });
+    }
+    if (!(await canAccessAttendance(req, attendance))) {
+      return res.status(403).json({
+        success: false,
+        message: OUT_OF_SCOPE
+      });
+    }
+    if (!canReadStaff(req, attendance.staffId)) {
+      return res.status(403).json({
+        success: false,
+        message: OTHER_STAFF
+      });
+    }
+
+    const revisions = await AttendanceRevision.find({ attendance: attendance._id })
+      .populate('markedBy', 'name userName')
+      .populate('markedByApiKey', 'name prefix')
+      .sort({ revision: 1 });
+
+    res.json({
+      success: true,
+      attendance: {
+        _id: attendance._id,
+        staff: attendance.staffId,
+        date: attendance.date,
+        shift: attendance.shift,
+        status: attendance.status,
+        revision: attendance.revision,
+      },
+      count: revisions.length,
+      data: revisions,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+const revertAttendance = async (req, res) => {
+  try {
+    const revisionNumber = Number(req.body.revision);
+
+    if (!Number.isInteger(revisionNumber)) {
+      return res.status(400).json({
+        success: false,
+        message: 'revision is required'
+      });
+    }
+
+    const attendance = await Attendance.findOne({ ...facilityFilter(req), _id: req.params.id });
+    if (!attendance) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attendance record not found'
+      });
+    }
+    if (!(await canAccessAttendance(req, attendance))) {
+      return res.status(403).json({
+        success: false,
+        message: OUT_OF_SCOPE
+      });
+    }
+
+    const target = await AttendanceRevision.findOne({
+      attendance: attendance._id,
+      revision: revisionNumber,
+    });
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    if (revisionNumber === attendance.revision) {
+      return res.status(400).json({
+        success: false,
+        message: 'Record is already at this revision'
+      });
+    }
+
+    // Reverting restores what was marked; who reverted it and when becomes the new revision
+    const before = snapshot(attendance);
+    attendance.status = target.status;
+    attendance.remarks = target.remarks;
+    Object.assign(attendance, markedByFields(req));
+    attendance.markedAt = Date.now();
+    attendance.$locals.revertedFrom = revisionNumber;
+    const warnings = await checkRules(res, attendance);
+    if (!warnings) return;
+    await attendance.save();
+    await recordAudit(req, { action: 'update', entityType: 'Attendance', before, after: attendance });
+
+    res.json({
+      success: true,
+      message: `Attendance reverted to revision ${revisionNumber}`,
+      data: attendance,
+      warnings,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
 module.exports = {
   markAttendance,
   markBulkAttendance,
@@ -468,4 +752,6 @@ module.exports = {
   deleteAttendance,
   quickMarkAttendance,
   applyLeave,
+  getAttendanceHistory,
+  revertAttendance,
 };
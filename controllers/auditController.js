@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const { facilityFilter } = require('../utils/tenancy');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+const isObjectId = (value) => mongoose.Types.ObjectId.isValid(value);
+
+const getAuditLogs = async (req, res) => {
+  try {
+    const { entityType, entityId, actor, action, startDate, endDate } = req.query;
+    const filter = facilityFilter(req);
+
+    if (entityType) {
+      if (!AuditLog.schema.path('entityType').enumValues.includes(entityType)) {
+        return res.status(400).json({
+          success: false,
+          error: `entityType must be one of ${AuditLog.schema.path('entityType').enumValues.join(', ')}`
+        });
+      }
+      filter.entityType = entityType;
+    }
+
+    if (action) {
+      if (!AuditLog.schema.path('action').enumValues.includes(action)) {
+        return res.status(400).json({
+          success: false,
+          error: `action must be one of ${AuditLog.schema.path('action').enumValues.join(', ')}`
+        });
+      }
+      filter.action = action;
+    }
+
+    for (const [field, value] of [['entityId', entityId], ['actor', actor]]) {
+      if (value) {
+        if (!isObjectId(value)) {
+          return res.status(400).json({
+            success: false,
+            error: `${field} must be a valid id`
+          });
+        }
+        filter[field] = value;
+      }
+    }
+
+    if (startDate || endDate) {
+      filter.createdAt = {};
+      if (startDate) {
+        filter.createdAt.$gte = new Date(startDate).setHours(0, 0, 0, 0);
+      }
+      if (endDate) {
+        filter.createdAt.$lte = new Date(endDate).setHours(23, 59, 59, 999);
+      }
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+    const [total, entries] = await Promise.all([
+      AuditLog.countDocuments(filter),
+      AuditLog.find(filter)
+        .populate('actor', 'name userName')
+        .populate('actorApiKey', 'name prefix')
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+    ]);
+
+    res.json({
+      success: true,
+      count: entries.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      data: entries,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getAuditLogs,
+};
@@ -1,18 +1,72 @@
 const User = require('../models/User');
-const jwt = require('jsonwebtoken');
+const Invitation = require('../models/Invitation');
+const {
+  RefreshTokenError,
+  hashToken,
+  generateChallengeToken,
+  verifyChallengeToken,
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeUserSessions,
+  clientInfo,
+} = require('../utils/tokens');
+const { sendMail } = require('../utils/mailer');
+const { validatePassword, passwordPolicyError, isPasswordExpired } = require('../utils/passwordPolicy');
+const { snapshot, recordAudit } = require('../utils/audit');
+const { verifyCode } = require('../utils/totp');
+const {
+  checkIp,
+  checkAccount,
+  recordFailure,
+  recordSuccess,
+} = require('../utils/loginThrottle');
 
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: '30d',
+// Lockout responses carry a code so clients can tell them apart from bad credentials
+const sendLoginBlocked = (res, block) => {
+  res.set('Retry-After', String(block.retryAfter));
+  return res.status(block.status).json({
+    success: false,
+    error: block.error,
+    code: block.code,
+    retryAfter: block.retryAfter,
+    lockedUntil: block.lockedUntil || null,
   });
 };
 
+// Accept an invitation: the account gets the invited email and role
 const register = async (req, res) => {
   try {
-    const { name, userName, email, password } = req.body;
+    const { inviteToken, name, userName, password } = req.body;
+
+    if (!inviteToken) {
+      return res.status(400).json({
+        success: false,
+        error: 'An invitation token is required to register'
+      });
+    }
+
+    const pending = {
+      tokenHash: hashToken(inviteToken),
+      acceptedAt: null,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    };
+    const invitation = await Invitation.findOne(pending);
+    if (!invitation) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid or expired invitation'
+      });
+    }
+
+    const violations = await validatePassword(password);
+    if (violations.length) {
+      return res.status(400).json(passwordPolicyError(violations));
+    }
 
     // Check if user exists
-    const userExists = await User.findOne({ $or: [{ email }, { userName }] });
+    const userExists = await User.findOne({ $or: [{ email: invitation.email }, { userName }] });
     if (userExists) {
       return res.status(400).json({ 
         success: false, 
@@ -20,26 +74,46 @@ const register = async (req, res) => {
       });
     }
 
-    // Create user
-    const user = await User.create({
-      name,
-      userName,
-      email,
-      password,
-    });
+    // Claim the invitation before creating the user, so two registrations
+    // racing with one token cannot both use it
+    const claimed = await Invitation.findOneAndUpdate(pending, { acceptedAt: Date.now() });
+    if (!claimed) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid or expired invitation'
+      });
+    }
 
-    if (user) {
-      res.status(201).json({
-        success: true,
-        data: {
-          _id: user._id,
-          name: user.name,
-          userName: user.userName,
-          email: user.email,
-          token: generateToken(user._id),
-        },
+    let user;
+    try {
+      user = await User.create({
+        name,
+        userName,
+        email: invitation.email,
+        password,
+        role: invitation.role,
+        facility: invitation.facility,
       });
+    } catch (error) {
+      // Release the claim so the invitation can still be used
+      await Invitation.updateOne({ _id: invitation._id }, { acceptedAt: null });
+      throw error;
     }
+    await recordAudit(req, { action: 'create', entityType: 'User', after: user, actor: user._id });
+    await Invitation.updateOne({ _id: invitation._id }, { acceptedBy: user._id });
+
+    const tokens = await issueTokens(user, { client: clientInfo(req) });
+    res.status(201).json({
+      success: true,
+      data: {
+        _id: user._id,
+        name: user.name,
+        userName: user.userName,
+        email: user.email,
+        role: user.role,
+        ...tokens,
+      },
+    });
   } catch (error) {
     res.status(400).json({ 
       success: false, 
@@ -60,26 +134,62 @@ const login = async (req, res) => {
       });
     }
 
+    const ipBlock = await checkIp(req.ip);
+    if (ipBlock) {
+      return sendLoginBlocked(res, ipBlock);
+    }
+
     // Check for user (include password field)
     const user = await User.findOne({ userName }).select('+password');
 
     if (!user) {
+      await recordFailure(req, null);
       return res.status(401).json({ 
         success: false, 
         error: 'Invalid credentials' 
       });
     }
 
+    const accountBlock = checkAccount(user);
+    if (accountBlock) {
+      return sendLoginBlocked(res, accountBlock);
+    }
+
     // Check if password matches
     const isMatch = await user.matchPassword(password);
 
     if (!isMatch) {
+      const lockBlock = await recordFailure(req, user);
+      if (lockBlock) {
+        return sendLoginBlocked(res, lockBlock);
+      }
       return res.status(401).json({ 
         success: false, 
         error: 'Invalid credentials' 
       });
     }
 
+    if (!user.isActive) {
+      return res.status(401).json({
+        success: false,
+        error: 'Account disabled'
+      });
+    }
+
+    // Second step required: hand out a challenge token instead of a session
+    if (user.twoFactorEnabled) {
+      return res.json({
+        success: true,
+        data: {
+          twoFactorRequired: true,
+          challengeToken: generateChallengeToken(user),
+        },
+      });
+    }
+
+    await recordSuccess(req, user);
+    const tokens = await issueTokens(user, { client: clientInfo(req) });
+
     res.json({
       success: true,
       data: {
@@ -87,7 +197,9 @@ const login = async (req, res) => {
         name: user.name,
         userName: user.userName,
         email: user.email,
-        token: generateToken(user._id),
+        role: user.role,
+        passwordExpired: isPasswordExpired(user),
+        ...tokens,
       },
     });
   } catch (error) {
@@ -98,9 +210,112 @@ const login = async (req, res) => {
   }
 };
 
+const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please provide challenge token and a code'
+      });
+    }
+    if (!code && typeof recoveryCode !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Recovery code must be a string'
+      });
+    }
+
+    const userId = verifyChallengeToken(challengeToken);
+    const user = userId && await User.findById(userId)
+      .select('+twoFactorSecret +twoFactorLastStep +twoFactorRecoveryCodes');
+
+    if (!user || !user.twoFactorEnabled || !user.isActive) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or expired challenge token'
+      });
+    }
+
+    const accountBlock = checkAccount(user);
+    if (accountBlock) {
+      return sendLoginBlocked(res, accountBlock);
+    }
+
+    let verified = false;
+    if (code) {
+      const step = verifyCode(user.twoFactorSecret, code);
+      verified = step !== null && Boolean(await User.claimTwoFactorStep(user._id, step));
+      if (verified) {
+        await recordAudit(req, {
+          action: 'update',
+          entityType: 'User',
+          entityId: user._id,
+          before: { twoFactorLastStep: user.twoFactorLastStep ?? null },
+          after: { twoFactorLastStep: step },
+          actor: user._id,
+        });
+      }
+    } else {
+      // Pulled only if still there, so a recovery code is used once
+      const recoveryHash = hashToken(recoveryCode.trim().toLowerCase());
+      const used = await User.updateOne(
+        { _id: user._id, twoFactorRecoveryCodes: recoveryHash },
+        { $pull: { twoFactorRecoveryCodes: recoveryHash } }
+      );
+      verified = used.modifiedCount === 1;
+      if (verified) {
+        // Recovery codes are redacted in the log; the placeholders only need to differ
+        await recordAudit(req, {
+          action: 'update',
+          entityType: 'User',
+          entityId: user._id,
+          before: { twoFactorRecoveryCodes: 'old' },
+          after: { twoFactorRecoveryCodes: 'new' },
+          actor: user._id,
+        });
+      }
+    }
+
+    if (!verified) {
+      const lockBlock = await recordFailure(req, user);
+      if (lockBlock) {
+        return sendLoginBlocked(res, lockBlock);
+      }
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid two-factor code'
+      });
+    }
+
+    await recordSuccess(req, user);
+    const tokens = await issueTokens(user, { mfa: true, client: clientInfo(req) });
+
+    res.json({
+      success: true,
+      data: {
+        _id: user._id,
+        name: user.name,
+        userName: user.userName,
+        email: user.email,
+        role: user.role,
+        passwordExpired: isPasswordExpired(user),
+        ...tokens,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
 const getMe = async (req, res) => {
   try {
-    const user = await User.findById(req.user.id);
+    // The facility's settings, such as its time zone, come with the user
+    const user = await User.findById(req.user.id).populate('facility', 'name code timezone');
     
     res.json({
       success: true,
@@ -114,8 +329,227 @@ const getMe = async (req, res) => {
   }
 };
 
+const refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please provide a refresh token'
+      });
+    }
+
+    const { token, refreshToken: newRefreshToken } = await rotateRefreshToken(refreshToken, clientInfo(req));
+
+    res.json({
+      success: true,
+      data: {
+        token,
+        refreshToken: newRefreshToken,
+      },
+    });
+  } catch (error) {
+    if (error instanceof RefreshTokenError) {
+      return res.status(401).json({
+        success: false,
+        error: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+const logout = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please provide a refresh token'
+      });
+    }
+
+    await revokeRefreshToken(refreshToken);
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+const changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please provide current and new password'
+      });
+    }
+
+    const user = await User.findById(req.user.id).select('+password');
+    const isMatch = await user.matchPassword(currentPassword);
+
+    if (!isMatch) {
+      return res.status(401).json({
+        success: false,
+        error: 'Current password is incorrect'
+      });
+    }
+
+    const violations = await validatePassword(newPassword, user._id);
+    if (violations.length) {
+      return res.status(400).json(passwordPolicyError(violations));
+    }
+
+    const before = snapshot(user);
+    user.password = newPassword;
+    await user.save();
+    await recordAudit(req, { action: 'update', entityType: 'User', before, after: user });
+
+    // Sign out every other device, then start a fresh session for this one
+    await revokeUserSessions(req, user._id);
+    const tokens = await issueTokens(await User.findById(user._id), { mfa: req.auth.mfa, client: clientInfo(req) });
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully',
+      data: tokens,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+const forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Please provide an email'
+      });
+    }
+
+    // Same response whether or not the account exists, to avoid user enumeration
+    const response = {
+      success: true,
+      message: 'If an account exists for this email, a reset link has been sent',
+    };
+
+    const user = await User.findOne({ email: email.toLowerCase() });
+    if (!user || !user.isActive) {
+      return res.json(response);
+    }
+
+    const before = snapshot(user);
+    const resetToken = user.createPasswordResetToken();
+    await user.save();
+    await recordAudit(req, { action: 'update', entityType: 'User', before, after: user });
+
+    const resetUrl = `${process.env.FRONTEND_URL || ''}/reset-password?token=${resetToken}`;
+    await sendMail({
+      to: user.email,
+      subject: 'Password reset request',
+      text: `A password reset was requested for your account. Use the link below within ${process.env.RESET_TOKEN_EXPIRES_MINUTES || 30} minutes:\n\n${resetUrl}\n\nIf you did not request this, you can ignore this email.`,
+    });
+
+    res.json(response);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password || typeof token !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Please provide reset token and new password'
+      });
+    }
+
+    const tokenFilter = {
+      passwordResetTokenHash: hashToken(token),
+      passwordResetExpires: { $gt: Date.now() },
+    };
+    const user = await User.findOne(tokenFilter);
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid or expired reset token'
+      });
+    }
+
+    const violations = await validatePassword(password, user._id);
+    if (violations.length) {
+      return res.status(400).json(passwordPolicyError(violations));
+    }
+
+    // Claiming the token by clearing its hash in one update makes it
+    // single-use, even when the same link is submitted twice at once
+    const before = snapshot(user);
+    const claimed = await User.findOneAndUpdate(
+      { ...tokenFilter, _id: user._id },
+      { $unset: { passwordResetTokenHash: 1, passwordResetExpires: 1 } }
+    );
+    if (!claimed) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid or expired reset token'
+      });
+    }
+
+    user.password = password;
+    user.passwordResetTokenHash = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save();
+    await recordAudit(req, { action: 'update', entityType: 'User', before, after: user, actor: user._id });
+
+    await revokeUserSessions(req, user._id);
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully',
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
 module.exports = {
   register,
   login,
+  verifyTwoFactorLogin,
   getMe,
+  refresh,
+  logout,
+  changePassword,
+  forgotPassword,
+  resetPassword,
 };
@@ -0,0 +1,194 @@
+const StaffAvailability = require('../models/StaffAvailability');
+const Staff = require('../models/Staff');
+const Shift = require('../models/Shift');
+const { snapshot, recordAudit } = require('../utils/audit');
+const { OUT_OF_SCOPE, OTHER_STAFF, canAccessStaff, canReadStaff } = require('../utils/departmentScope');
+const { facilityFilter } = require('../utils/tenancy');
+
+// Availability fields from the request body, or an error message. Preferred
+// shifts are checked against the facility's shift definitions once any exist.
+const readAvailability = async (body, facility) => {
+  const fields = {};
+  if (body.unavailableDays !== undefined) {
+    if (!Array.isArray(body.unavailableDays)) {
+      return { error: 'Unavailable days must be a list of days of the week' };
+    }
+    fields.unavailableDays = body.unavailableDays;
+  }
+  if (body.preferredShifts !== undefined) {
+    if (!Array.isArray(body.preferredShifts)) {
+      return { error: 'Preferred shifts must be a list of shifts' };
+    }
+    const defined = await Shift.exists({ facility });
+    for (const value of body.preferredShifts) {
+      if (defined && !(await Shift.resolve(value, { facility }))) {
+        return { error: `Shift not found: ${value}` };
+      }
+    }
+    fields.preferredShifts = body.preferredShifts;
+  }
+  if (body.blackoutDates !== undefined) {
+    if (!Array.isArray(body.blackoutDates)) {
+      return { error: 'Blackout dates must be a list of dates' };
+    }
+    fields.blackoutDates = body.blackoutDates.map(entry => (
+      typeof entry === 'object' && entry !== null ? entry : { date: entry }
+    ));
+    if (fields.blackoutDates.some(entry => isNaN(new Date(entry.date)))) {
+      return { error: 'Invalid date' };
+    }
+  }
+  if (body.notes !== undefined) {
+    fields.notes = body.notes;
+  }
+  return { fields };
+};
+
+// The staff member's availability, or an empty one when none is declared
+const availabilityOf = async (staff) => {
+  const availability = await StaffAvailability.findOne({ staff: staff._id });
+  return availability || {
+    staff: staff._id,
+    unavailableDays: [],
+    preferredShifts: [],
+    blackoutDates: [],
+  };
+};
+
+// Set the declared availability of a staff member from the fields in the
+// request body, leaving the others as they are
+const saveAvailability = async (req, res, staff) => {
+  const { fields, error } = await readAvailability(req.body, staff.facility || null);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error
+    });
+  }
+
+  const existing = await StaffAvailability.findOne({ staff: staff._id });
+  const availability = existing || new StaffAvailability({ staff: staff._id, facility: staff.facility });
+  const before = existing ? snapshot(existing) : null;
+  availability.set({ ...fields, updatedBy: req.user.id });
+  await availability.save();
+  await recordAudit(req, {
+    action: existing ? 'update' : 'create',
+    entityType: 'StaffAvailability',
+    before,
+    after: availability,
+  });
+
+  res.json({
+    success: true,
+    data: availability,
+  });
+};
+
+// Staff member from the route the request may see, or null after responding
+const loadStaff = async (req, res) => {
+  const staff = await Staff.findOne({ ...facilityFilter(req), _id: req.params.id });
+  if (!staff) {
+    res.status(404).json({
+      success: false,
+      error: 'Staff not found'
+    });
+    return null;
+  }
+  if (!canAccessStaff(req, staff)) {
+    res.status(403).json({
+      success: false,
+      error: OUT_OF_SCOPE
+    });
+    return null;
+  }
+  if (!canReadStaff(req, staff)) {
+    res.status(403).json({
+      success: false,
+      error: OTHER_STAFF
+    });
+    return null;
+  }
+  return staff;
+};
+
+// The /api/me routes only ever use the staff record linked to the caller
+const loadLinkedStaff = async (req, res) => {
+  const staff = req.user.staff ? await Staff.findById(req.user.staff) : null;
+  if (!staff) {
+    res.status(404).json({
+      success: false,
+      error: 'No staff record is linked to this account'
+    });
+    return null;
+  }
+  return staff;
+};
+
+const getStaffAvailability = async (req, res) => {
+  try {
+    const staff = await loadStaff(req, res);
+    if (!staff) return;
+
+    res.json({
+      success: true,
+      data: await availabilityOf(staff),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+const updateStaffAvailability = async (req, res) => {
+  try {
+    const staff = await loadStaff(req, res);
+    if (!staff) return;
+
+    await saveAvailability(req, res, staff);
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+const getMyAvailability = async (req, res) => {
+  try {
+    const staff = await loadLinkedStaff(req, res);
+    if (!staff) return;
+
+    res.json({
+      success: true,
+      data: await availabilityOf(staff),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+const updateMyAvailability = async (req, res) => {
+  try {
+    const staff = await loadLinkedStaff(req, res);
+    if (!staff) return;
+
+    await saveAvailability(req, res, staff);
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getStaffAvailability,
+  updateStaffAvailability,
+  getMyAvailability,
+  updateMyAvailability,
+};
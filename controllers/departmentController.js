@@ -0,0 +1,162 @@
+const Department = require('../models/Department');
+const Staff = require('../models/Staff');
+const User = require('../models/User');
+const StaffingRequirement = require('../models/StaffingRequirement');
+const { snapshot, recordAudit } = require('../utils/audit');
+const { facilityFilter, newRecordFacility } = require('../utils/tenancy');
+
+const DEPARTMENT_FIELDS = ['name', 'code', 'description', 'isActive'];
+
+const pickDepartmentFields = (body) => {
+  const fields = {};
+  DEPARTMENT_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  });
+  return fields;
+};
+
+// Duplicate key errors from the unique name and code indexes
+const duplicateMessage = (error) => {
+  if (error.code !== 11000) {
+    return null;
+  }
+  return error.keyPattern && error.keyPattern.code
+    ? 'A department with this code already exists'
+    : 'A department with this name already exists';
+};
+
+const getDepartments = async (req, res) => {
+  try {
+    const filter = facilityFilter(req);
+    if (req.query.active !== undefined) {
+      filter.isActive = req.query.active === 'true';
+    }
+
+    const departments = await Department.find(filter).sort({ name: 1 });
+
+    res.json({
+      success: true,
+      count: departments.length,
+      data: departments,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+const getDepartment = async (req, res) => {
+  try {
+    const department = await Department.findOne({ ...facilityFilter(req), _id: req.params.id });
+    if (!department) {
+      return res.status(404).json({
+        success: false,
+        error: 'Department not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: department,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+const createDepartment = async (req, res) => {
+  try {
+    const department = await Department.create({
+      ...pickDepartmentFields(req.body),
+      facility: newRecordFacility(req),
+    });
+    await recordAudit(req, { action: 'create', entityType: 'Department', after: department });
+
+    res.status(201).json({
+      success: true,
+      data: department,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: duplicateMessage(error) || error.message
+    });
+  }
+};
+
+const updateDepartment = async (req, res) => {
+  try {
+    const department = await Department.findOne({ ...facilityFilter(req), _id: req.params.id });
+    if (!department) {
+      return res.status(404).json({
+        success: false,
+        error: 'Department not found'
+      });
+    }
+
+    const before = snapshot(department);
+    department.set(pickDepartmentFields(req.body));
+    await department.save();
+    await recordAudit(req, { action: 'update', entityType: 'Department', before, after: department });
+
+    res.json({
+      success: true,
+      data: department,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: duplicateMessage(error) || error.message
+    });
+  }
+};
+
+const deleteDepartment = async (req, res) => {
+  try {
+    const department = await Department.findOne({ ...facilityFilter(req), _id: req.params.id });
+    if (!department) {
+      return res.status(404).json({
+        success: false,
+        error: 'Department not found'
+      });
+    }
+
+    const inUse = await Staff.exists({ department: department._id })
+      || await User.exists({ department: department._id })
+      || await StaffingRequirement.exists({ department: department._id });
+    if (inUse) {
+      return res.status(400).json({
+        success: false,
+        error: 'Department is used by staff, users or staffing requirements; deactivate it instead'
+      });
+    }
+
+    await department.deleteOne();
+    await recordAudit(req, { action: 'delete', entityType: 'Department', before: department });
+
+    res.json({
+      success: true,
+      data: {},
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getDepartments,
+  getDepartment,
+  createDepartment,
+  updateDepartment,
+  deleteDepartment,
+};
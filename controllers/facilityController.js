@@ -0,0 +1,164 @@
+const Facility = require('../models/Facility');
+const User = require('../models/User');
+const Staff = require('../models/Staff');
+const Department = require('../models/Department');
+const { snapshot, recordAudit } = require('../utils/audit');
+const { isSuperAdmin, requestFacility } = require('../utils/tenancy');
+
+const FACILITY_FIELDS = ['name', 'code', 'timezone', 'address'];
+
+const pickFacilityFields = (body) => {
+  const fields = {};
+  FACILITY_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  });
+  return fields;
+};
+
+// Duplicate key errors from the unique name and code indexes
+const duplicateMessage = (error) => {
+  if (error.code !== 11000) {
+    return null;
+  }
+  return error.keyPattern && error.keyPattern.code
+    ? 'A facility with this code already exists'
+    : 'A facility with this name already exists';
+};
+
+// Super admins see every facility; everyone else only their own
+const visibleFacilities = (req) => {
+  if (isSuperAdmin(req)) {
+    return {};
+  }
+  return { _id: requestFacility(req) };
+};
+
+const getFacilities = async (req, res) => {
+  try {
+    const facilities = await Facility.find(visibleFacilities(req)).sort({ name: 1 });
+
+    res.json({
+      success: true,
+      count: facilities.length,
+      data: facilities,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+const getFacility = async (req, res) => {
+  try {
+    const facility = isSuperAdmin(req) || String(requestFacility(req)) === req.params.id
+      ? await Facility.findById(req.params.id)
+      : null;
+    if (!facility) {
+      return res.status(404).json({
+        success: false,
+        error: 'Facility not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: facility,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+const createFacility = async (req, res) => {
+  try {
+    const facility = await Facility.create(pickFacilityFields(req.body));
+    await recordAudit(req, { action: 'create', entityType: 'Facility', after: facility });
+
+    res.status(201).json({
+      success: true,
+      data: facility,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: duplicateMessage(error) || error.message
+    });
+  }
+};
+
+const updateFacility = async (req, res) => {
+  try {
+    const facility = await Facility.findById(req.params.id);
+    if (!facility) {
+      return res.status(404).json({
+        success: false,
+        error: 'Facility not found'
+      });
+    }
+
+    const before = snapshot(facility);
+    facility.set(pickFacilityFields(req.body));
+    await facility.save();
+    await recordAudit(req, { action: 'update', entityType: 'Facility', before, after: facility });
+
+    res.json({
+      success: true,
+      data: facility,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: duplicateMessage(error) || error.message
+    });
+  }
+};
+
+const deleteFacility = async (req, res) => {
+  try {
+    const facility = await Facility.findById(req.params.id);
+    if (!facility) {
+      return res.status(404).json({
+        success: false,
+        error: 'Facility not found'
+      });
+    }
+
+    const inUse = await User.exists({ facility: facility._id })
+      || await Staff.exists({ facility: facility._id })
+      || await Department.exists({ facility: facility._id });
+    if (inUse) {
+      return res.status(400).json({
+        success: false,
+        error: 'Facility still has users, staff or departments'
+      });
+    }
+
+    await facility.deleteOne();
+    await recordAudit(req, { action: 'delete', entityType: 'Facility', before: facility });
+
+    res.json({
+      success: true,
+      data: {},
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getFacilities,
+  getFacility,
+  createFacility,
+  updateFacility,
+  deleteFacility,
+};
@@ -0,0 +1,179 @@
+const crypto = require('crypto');
+const Invitation = require('../models/Invitation');
+const User = require('../models/User');
+const { hashToken } = require('../utils/tokens');
+const { sendMail } = require('../utils/mailer');
+const { ROLES } = require('../config/roles');
+const { isSuperAdmin, facilityFilter, newRecordFacility } = require('../utils/tenancy');
+
+const DEFAULT_EXPIRES_DAYS = parseInt(process.env.INVITE_EXPIRES_DAYS, 10) || 7;
+const MAX_EXPIRES_DAYS = 30;
+
+// Filters matching each invitation status, mirroring the Invitation status virtual
+const statusFilter = (status) => {
+  const now = new Date();
+  switch (status) {
+    case 'pending':
+      return { acceptedAt: null, revokedAt: null, expiresAt: { $gt: now } };
+    case 'accepted':
+      return { acceptedAt: { $ne: null } };
+    case 'revoked':
+      return { acceptedAt: null, revokedAt: { $ne: null } };
+    case 'expired':
+      return { acceptedAt: null, revokedAt: null, expiresAt: { $lte: now } };
+    default:
+      return null;
+  }
+};
+
+const createInvitation = async (req, res) => {
+  try {
+    const { email, role } = req.body;
+    const expiresInDays = req.body.expiresInDays === undefined
+      ? DEFAULT_EXPIRES_DAYS
+      : Number(req.body.expiresInDays);
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please add an email'
+      });
+    }
+
+    if (role === ROLES.SUPER_ADMIN && !isSuperAdmin(req)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only super admins can invite super admins'
+      });
+    }
+
+    if (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > MAX_EXPIRES_DAYS) {
+      return res.status(400).json({
+        success: false,
+        error: `expiresInDays must be between 1 and ${MAX_EXPIRES_DAYS}`
+      });
+    }
+
+    const normalizedEmail = email.toLowerCase().trim();
+
+    if (await User.exists({ email: normalizedEmail })) {
+      return res.status(400).json({
+        success: false,
+        error: 'A user with this email already exists'
+      });
+    }
+
+    if (await Invitation.exists({ email: normalizedEmail, ...statusFilter('pending') })) {
+      return res.status(400).json({
+        success: false,
+        error: 'A pending invitation already exists for this email'
+      });
+    }
+
+    const inviteToken = crypto.randomBytes(32).toString('hex');
+    const invitation = await Invitation.create({
+      email: normalizedEmail,
+      role,
+      tokenHash: hashToken(inviteToken),
+      expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000),
+      invitedBy: req.user.id,
+      facility: newRecordFacility(req),
+    });
+
+    await sendMail({
+      to: invitation.email,
+      subject: 'You have been invited to Health Staff Scheduler',
+      text: `You have been invited to join as ${invitation.role}. Complete your registration within ${expiresInDays} days:\n\n${process.env.FRONTEND_URL || ''}/register?token=${inviteToken}`,
+    });
+
+    // The token is returned once so it can also be shared out of band
+    res.status(201).json({
+      success: true,
+      data: {
+        ...invitation.toJSON(),
+        inviteToken,
+      },
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+const getInvitations = async (req, res) => {
+  try {
+    const filter = facilityFilter(req);
+
+    if (req.query.status) {
+      const conditions = statusFilter(req.query.status);
+      if (!conditions) {
+        return res.status(400).json({
+          success: false,
+          error: 'status must be one of pending, accepted, revoked, expired'
+        });
+      }
+      Object.assign(filter, conditions);
+    }
+
+    if (req.query.email) {
+      filter.email = req.query.email.toLowerCase().trim();
+    }
+
+    const invitations = await Invitation.find(filter)
+      .populate('invitedBy', 'name userName')
+      .populate('acceptedBy', 'name userName')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: invitations.length,
+      data: invitations,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+const revokeInvitation = async (req, res) => {
+  try {
+    const invitation = await Invitation.findOne({ ...facilityFilter(req), _id: req.params.id });
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        error: 'Invitation not found'
+      });
+    }
+
+    if (invitation.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        error: `Invitation is already ${invitation.status}`
+      });
+    }
+
+    invitation.revokedAt = Date.now();
+    await invitation.save();
+
+    res.json({
+      success: true,
+      data: invitation,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  createInvitation,
+  getInvitations,
+  revokeInvitation,
+};
@@ -0,0 +1,162 @@
+const Attendance = require('../models/Attendance');
+const Staff = require('../models/Staff');
+const RosterAssignment = require('../models/RosterAssignment');
+const { LIVE } = require('../models/RosterAssignment');
+const {
+  staffSummary,
+  getStaffAttendance,
+  getStaffWeeklyStats,
+} = require('../utils/staffAttendance');
+const { rotationShiftOn, rotationsByStaff } = require('../utils/rotation');
+const { facilityToday } = require('../utils/tenancy');
+
+const SCHEDULE_DEFAULT_DAYS = 7;
+const SCHEDULE_MAX_DAYS = 31;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Every /api/me route is scoped to the staff record linked to the caller,
+// never to an id taken from the request
+const loadLinkedStaff = async (req, res) => {
+  const staff = req.user.staff ? await Staff.findById(req.user.staff) : null;
+  if (!staff) {
+    res.status(404).json({
+      success: false,
+      error: 'No staff record is linked to this account'
+    });
+    return null;
+  }
+  return staff;
+};
+
+const getMySchedule = async (req, res) => {
+  try {
+    const staff = await loadLinkedStaff(req, res);
+    if (!staff) return;
+
+    const startDate = req.query.startDate
+      ? new Date(new Date(req.query.startDate).setHours(0, 0, 0, 0))
+      : await facilityToday(staff.facility);
+
+    let endDate;
+    if (req.query.endDate) {
+      endDate = new Date(req.query.endDate);
+    } else {
+      endDate = new Date(startDate);
+      endDate.setDate(startDate.getDate() + SCHEDULE_DEFAULT_DAYS - 1);
+    }
+    endDate.setHours(23, 59, 59, 999);
+
+    if (isNaN(startDate) || isNaN(endDate) || endDate < startDate) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid date range'
+      });
+    }
+
+    const days = Math.round((endDate - startDate) / DAY_MS);
+    if (days > SCHEDULE_MAX_DAYS) {
+      return res.status(400).json({
+        success: false,
+        error: `Date range cannot exceed ${SCHEDULE_MAX_DAYS} days`
+      });
+    }
+
+    const records = await Attendance.find({
+      staffId: staff._id,
+      date: { $gte: startDate, $lte: endDate },
+    });
+    const byDate = new Map(records.map(record => [record.date.toISOString().split('T')[0], record]));
+    const assignments = await RosterAssignment.find({
+      ...LIVE,
+      staff: staff._id,
+      date: { $gte: startDate, $lte: endDate },
+    });
+    const assignedByDate = new Map(assignments.map(assignment => [assignment.date.toISOString().split('T')[0], assignment]));
+    const pattern = (await rotationsByStaff([staff])).get(String(staff._id));
+    const today = await facilityToday(staff.facility);
+
+    // Days without a record or an assignment follow the rotation, leaving
+    // out its days off, or the default shift. Attendance pre-created for the
+    // roster from today on is still to be worked until someone marks it.
+    const schedule = [];
+    for (let i = 0; i < days; i++) {
+      const date = new Date(startDate.getTime() + i * DAY_MS);
+      const day = date.toISOString().split('T')[0];
+      const record = byDate.get(day);
+      const assignment = assignedByDate.get(day);
+      const shift = record ? record.shift
+        : assignment ? assignment.shift
+          : pattern ? rotationShiftOn(pattern, date, staff.rotation.offset)
+            : staff.shift;
+      if (!shift) {
+        continue;
+      }
+      const unmarked = record && record.assignment && record.revision === 1 && record.date >= today;
+      schedule.push({
+        date: day,
+        shift,
+        status: record && !unmarked ? record.status : 'Scheduled',
+      });
+    }
+
+    res.json({
+      success: true,
+      staff: staffSummary(staff),
+      count: schedule.length,
+      data: schedule,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+const getMyAttendance = async (req, res) => {
+  try {
+    const staff = await loadLinkedStaff(req, res);
+    if (!staff) return;
+
+    const { startDate, endDate } = req.query;
+    const { statistics, attendance } = await getStaffAttendance(staff, { startDate, endDate });
+
+    res.json({
+      success: true,
+      staff: staffSummary(staff),
+      statistics,
+      data: attendance,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+const getMyWeeklyStats = async (req, res) => {
+  try {
+    const staff = await loadLinkedStaff(req, res);
+    if (!staff) return;
+
+    const weekly = await getStaffWeeklyStats(staff);
+
+    res.json({
+      success: true,
+      staff: staffSummary(staff),
+      ...weekly,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getMySchedule,
+  getMyAttendance,
+  getMyWeeklyStats,
+};
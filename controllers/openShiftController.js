@@ -0,0 +1,606 @@
+const OpenShift = require('../models/OpenShift');
+const Staff = require('../models/Staff');
+const Shift = require('../models/Shift');
+const Role = require('../models/Role');
+const Department = require('../models/Department');
+const Attendance = require('../models/Attendance');
+const RosterAssignment = require('../models/RosterAssignment');
+const { LIVE } = require('../models/RosterAssignment');
+const { checkShiftRequirements } = require('../utils/staffing');
+const { eachDay, staffByShiftOn, precreateAttendance } = require('../utils/roster');
+const { checkAssignment } = require('../utils/workingTime');
+const { snapshot, recordAudit } = require('../utils/audit');
+const { OUT_OF_SCOPE, scopedDepartment, departmentFilter } = require('../utils/departmentScope');
+const { isSuperAdmin, facilityFilter, newRecordFacility, facilityToday } = require('../utils/tenancy');
+const { ROSTER_MANAGERS } = require('../config/roles');
+const { GENERATE_MAX_DAYS } = require('../config/scheduling');
+
+const CLAIM_POPULATE = 'name staffId role shift department';
+// Number of confirmed claims on a posting, in a query
+const CONFIRMED_COUNT = {
+  $size: { $filter: { input: '$claims', cond: { $eq: ['$$this.status', 'confirmed'] } } },
+};
+const BREAKS_LIMITS = 'Claim breaks working-time limits';
+
+const startOfDay = (value) => new Date(new Date(value).setHours(0, 0, 0, 0));
+
+const isRosterManager = (req) => !!req.user && (ROSTER_MANAGERS.includes(req.user.role) || isSuperAdmin(req));
+
+// Whether a manager tied to a department may manage this posting; postings
+// for the whole facility are for unrestricted users
+const canManagePosting = (req, posting) => {
+  const department = scopedDepartment(req);
+  return !department
+    || (!!posting.department && String(posting.department._id || posting.department) === department);
+};
+
+// Staff only see their own claims on a posting; managers see all of them
+const forViewer = (req, posting) => {
+  if (isRosterManager(req)) {
+    return posting;
+  }
+  const plain = posting.toJSON();
+  plain.claims = plain.claims
+    .filter(claim => claim.staff && String(claim.staff._id || claim.staff) === String(req.user.staff));
+  return plain;
+};
+
+const loadPosting = async (req, res) => {
+  const posting = await OpenShift.findOne({ ...facilityFilter(req), _id: req.params.id })
+    .populate('department', 'name code')
+    .populate('claims.staff', CLAIM_POPULATE);
+  if (!posting) {
+    res.status(404).json({
+      success: false,
+      error: 'Open shift not found'
+    });
+    return null;
+  }
+  return posting;
+};
+
+// Managers only act on postings and claims within their department
+const requireManager = (req, res, posting) => {
+  if (!canManagePosting(req, posting)) {
+    res.status(403).json({
+      success: false,
+      error: OUT_OF_SCOPE
+    });
+    return false;
+  }
+  return true;
+};
+
+// Why a staff member cannot work the posted shift (already on it, or on
+// leave that day), or null
+const unavailableReason = async (staff, posting) => {
+  const rostered = await RosterAssignment.exists({
+    ...LIVE,
+    staff: staff._id,
+    date: posting.date,
+    shift: posting.shift,
+  });
+  if (rostered) {
+    return 'Staff member is already rostered on this shift';
+  }
+  const onLeave = await Attendance.exists({ staffId: staff._id, date: posting.date, status: 'Leave' });
+  if (onLeave) {
+    return 'Staff member is on leave on this day';
+  }
+  return null;
+};
+
+// Working-time rules the staff member would break by taking the posted
+// shift on top of their live roster. Extra shifts are held to every active
+// rule, warnings included.
+const limitViolations = async (staff, posting) => {
+  const { errors, warnings } = await checkAssignment({
+    staff: staff._id,
+    date: posting.date,
+    shift: posting.shift,
+    facility: posting.facility,
+  });
+  return [...errors, ...warnings];
+};
+
+// Turn a claim down without a manager, recording which limits it breaks
+const rejectAutomatically = async (req, posting, claim, violations, before = snapshot(posting)) => {
+  claim.set({
+    status: 'rejected',
+    reason: violations.map(violation => violation.message).join('; '),
+    reviewedBy: null,
+    reviewedAt: new Date(),
+  });
+  await posting.save();
+  await recordAudit(req, { action: 'update', entityType: 'OpenShift', before, after: posting });
+};
+
+const getOpenShifts = async (req, res) => {
+  try {
+    const filter = facilityFilter(req);
+    filter.status = req.query.status || 'open';
+    if (req.query.startDate || req.query.endDate) {
+      filter.date = {};
+      if (req.query.startDate) {
+        filter.date.$gte = startOfDay(req.query.startDate);
+      }
+      if (req.query.endDate) {
+        filter.date.$lte = startOfDay(req.query.endDate);
+      }
+    }
+
+    if (isRosterManager(req)) {
+      const { department, status, error } = await departmentFilter(req, req.query.department);
+      if (error) {
+        return res.status(status).json({
+          success: false,
+          error
+        });
+      }
+      if (department) {
+        filter.department = department;
+      }
+    } else {
+      // Staff see the postings they could claim, and those they have claimed
+      const staff = req.user && req.user.staff
+        ? await Staff.findOne({ ...facilityFilter(req), _id: req.user.staff }).select('role facility')
+        : null;
+      if (!staff) {
+        return res.status(404).json({
+          success: false,
+          error: 'No staff record is linked to this account'
+        });
+      }
+      const aliases = await Role.aliasMap(staff.facility || null);
+      filter.$or = [{ role: aliases[staff.role] || staff.role }, { 'claims.staff': staff._id }];
+    }
+
+    const postings = await OpenShift.find(filter)
+      .populate('department', 'name code')
+      .populate('claims.staff', CLAIM_POPULATE)
+      .sort({ date: 1, shift: 1 });
+
+    res.json({
+      success: true,
+      count: postings.length,
+      data: postings.map(posting => forViewer(req, posting)),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+const getOpenShift = async (req, res) => {
+  try {
+    const posting = await loadPosting(req, res);
+    if (!posting) return;
+
+    res.json({
+      success: true,
+      data: forViewer(req, posting),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// Post every role minimum the roster leaves unmet, per ward, shift and day
+// of a range. Shortfalls that already have an open posting update its
+// number of slots instead of posting them twice.
+const generateOpenShifts = async (req, res) => {
+  try {
+    const today = await facilityToday(newRecordFacility(req));
+    const startDate = req.body.startDate ? startOfDay(req.body.startDate) : today;
+    const endDate = req.body.endDate ? startOfDay(req.body.endDate) : null;
+    if (!endDate || isNaN(startDate) || isNaN(endDate) || endDate < startDate) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid date range'
+      });
+    }
+    if (startDate < today) {
+      return res.status(400).json({
+        success: false,
+        error: 'Open shifts cannot be posted for past dates'
+      });
+    }
+    const days = eachDay(startDate, endDate);
+    if (days.length > GENERATE_MAX_DAYS) {
+      return res.status(400).json({
+        success: false,
+        error: `Date range cannot exceed ${GENERATE_MAX_DAYS} days`
+      });
+    }
+
+    const { department, status, error } = await departmentFilter(req, req.body.department);
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        error
+      });
+    }
+
+    // Each ward is covered on its own; a facility without wards as a whole
+    const facility = newRecordFacility(req);
+    let wards = [department];
+    if (!department) {
+      const active = await Department.find({ facility, isActive: true }).distinct('_id');
+      if (active.length) {
+        wards = active.map(String);
+      }
+    }
+    const shifts = (await Shift.find({ facility, isActive: true }).select('name')).map(shift => shift.name);
+
+    const postings = [];
+    for (const ward of wards) {
+      const staffFilter = facilityFilter(req);
+      if (ward) {
+        staffFilter.department = ward;
+      }
+      const staff = await Staff.find(staffFilter).select('name staffId role shift department rotation');
+
+      for (const date of days) {
+        const staffByShift = await staffByShiftOn(staff, date, { department: ward });
+        shifts.forEach(shift => {
+          staffByShift[shift] = staffByShift[shift] || [];
+        });
+        const shiftStatus = await checkShiftRequirements(staffByShift, { facility, department: ward, date });
+
+        for (const [shift, { shortages }] of Object.entries(shiftStatus)) {
+          for (const { role, needed } of shortages || []) {
+            const existing = await OpenShift.findOne({
+              facility,
+              department: ward,
+              date,
+              shift,
+              role,
+              status: 'open',
+            });
+            if (!existing) {
+              const posting = await OpenShift.create({
+                date,
+                shift,
+                role,
+                department: ward,
+                facility,
+                slots: needed,
+                createdBy: req.user ? req.user.id : null,
+              });
+              await recordAudit(req, { action: 'create', entityType: 'OpenShift', after: posting });
+              postings.push(posting);
+            } else if (existing.slots !== existing.filledSlots + needed) {
+              const before = snapshot(existing);
+              existing.slots = existing.filledSlots + needed;
+              await existing.save();
+              await recordAudit(req, { action: 'update', entityType: 'OpenShift', before, after: existing });
+              postings.push(existing);
+            }
+          }
+        }
+      }
+    }
+
+    res.status(201).json({
+      success: true,
+      count: postings.length,
+      data: postings,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// The signed-in user's staff member offers to work an open shift. Claims
+// that would break a working-time limit are rejected straight away.
+const claimOpenShift = async (req, res) => {
+  try {
+    const staff = req.user && req.user.staff
+      ? await Staff.findOne({ ...facilityFilter(req), _id: req.user.staff })
+      : null;
+    if (!staff) {
+      return res.status(404).json({
+        success: false,
+        error: 'No staff record is linked to this account'
+      });
+    }
+
+    const posting = await loadPosting(req, res);
+    if (!posting) return;
+    if (posting.status !== 'open') {
+      return res.status(400).json({
+        success: false,
+        error: 'Open shift is no longer open'
+      });
+    }
+    if (posting.date < await facilityToday(posting.facility)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Open shift is in the past'
+      });
+    }
+
+    const aliases = await Role.aliasMap(posting.facility || null);
+    if ((aliases[staff.role] || staff.role) !== posting.role) {
+      return res.status(400).json({
+        success: false,
+        error: `Only ${posting.role} staff can claim this shift`
+      });
+    }
+    const claimed = posting.claims.some(claim => claim.staff && String(claim.staff._id) === String(staff._id)
+      && claim.status !== 'rejected');
+    if (claimed) {
+      return res.status(400).json({
+        success: false,
+        error: 'Staff member has already claimed this shift'
+      });
+    }
+    const reason = await unavailableReason(staff, posting);
+    if (reason) {
+      return res.status(400).json({
+        success: false,
+        error: reason
+      });
+    }
+
+    const before = snapshot(posting);
+    posting.claims.push({ staff: staff._id });
+    const claim = posting.claims[posting.claims.length - 1];
+
+    const violations = await limitViolations(staff, posting);
+    if (violations.length) {
+      await rejectAutomatically(req, posting, claim, violations, before);
+      return res.status(400).json({
+        success: false,
+        error: BREAKS_LIMITS,
+        violations,
+      });
+    }
+
+    await posting.save();
+    await recordAudit(req, { action: 'update', entityType: 'OpenShift', before, after: posting });
+
+    res.status(201).json({
+      success: true,
+      data: forViewer(req, posting),
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// A manager confirms a pending claim, rostering the claimant on the shift.
+// The limits are checked again, as the roster may have changed since.
+const confirmClaim = async (req, res) => {
+  try {
+    const posting = await loadPosting(req, res);
+    if (!posting) return;
+    if (!requireManager(req, res, posting)) return;
+    if (posting.status !== 'open') {
+      return res.status(400).json({
+        success: false,
+        error: 'Open shift is no longer open'
+      });
+    }
+    const claim = posting.claims.id(req.params.claimId);
+    if (!claim || !claim.staff) {
+      return res.status(404).json({
+        success: false,
+        error: 'Claim not found'
+      });
+    }
+    if (claim.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        error: 'Only pending claims can be confirmed'
+      });
+    }
+
+    const reason = await unavailableReason(claim.staff, posting);
+    if (reason) {
+      return res.status(400).json({
+        success: false,
+        error: reason
+      });
+    }
+    const violations = await limitViolations(claim.staff, posting);
+    if (violations.length) {
+      await rejectAutomatically(req, posting, claim, violations);
+      return res.status(400).json({
+        success: false,
+        error: BREAKS_LIMITS,
+        violations,
+      });
+    }
+
+    // Fill the slot with a conditional update, so claims confirmed at the
+    // same time never take more slots than the posting has
+    const reviewed = { reviewedBy: req.user.id, reviewedAt: new Date() };
+    const confirmed = await OpenShift.findOneAndUpdate(
+      {
+        _id: posting._id,
+        status: 'open',
+        claims: { $elemMatch: { _id: claim._id, status: 'pending' } },
+        $expr: { $lt: [CONFIRMED_COUNT, '$slots'] },
+      },
+      {
+        $set: {
+          'claims.$[claim].status': 'confirmed',
+          'claims.$[claim].reviewedBy': reviewed.reviewedBy,
+          'claims.$[claim].reviewedAt': reviewed.reviewedAt,
+        },
+      },
+      { arrayFilters: [{ 'claim._id': claim._id }], new: true }
+    );
+    if (!confirmed) {
+      return res.status(400).json({
+        success: false,
+        error: 'Open shift is no longer open'
+      });
+    }
+
+    let assignment;
+    try {
+      assignment = await RosterAssignment.create({
+        staff: claim.staff._id,
+        date: posting.date,
+        shift: posting.shift,
+        department: posting.department ? posting.department._id : claim.staff.department || null,
+        facility: posting.facility,
+        notes: 'Open shift',
+        createdBy: req.user.id,
+      });
+    } catch (error) {
+      await OpenShift.updateOne(
+        { _id: posting._id },
+        {
+          $set: {
+            'claims.$[claim].status': 'pending',
+            'claims.$[claim].reviewedBy': null,
+            'claims.$[claim].reviewedAt': null,
+          },
+        },
+        { arrayFilters: [{ 'claim._id': claim._id }] }
+      );
+      throw error;
+    }
+    await recordAudit(req, { action: 'create', entityType: 'RosterAssignment', after: assignment });
+    const attendance = await precreateAttendance([assignment], { markedBy: req.user.id });
+    for (const record of attendance) {
+      await recordAudit(req, { action: 'create', entityType: 'Attendance', after: record });
+    }
+
+    // The claim that took the last slot closes the posting
+    if (confirmed.filledSlots >= confirmed.slots) {
+      await OpenShift.updateOne(
+        { _id: posting._id, status: 'open' },
+        {
+          $set: {
+            status: 'filled',
+            'claims.$[other].status': 'rejected',
+            'claims.$[other].reason': 'All slots were filled',
+            'claims.$[other].reviewedBy': reviewed.reviewedBy,
+            'claims.$[other].reviewedAt': reviewed.reviewedAt,
+          },
+        },
+        { arrayFilters: [{ 'other.status': 'pending' }] }
+      );
+    }
+    const before = snapshot(posting);
+    const updated = await OpenShift.findById(posting._id)
+      .populate('department', 'name code')
+      .populate('claims.staff', CLAIM_POPULATE);
+    await recordAudit(req, { action: 'update', entityType: 'OpenShift', before, after: updated });
+
+    res.json({
+      success: true,
+      data: updated,
+      assignment,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+const rejectClaim = async (req, res) => {
+  try {
+    const posting = await loadPosting(req, res);
+    if (!posting) return;
+    if (!requireManager(req, res, posting)) return;
+    const claim = posting.claims.id(req.params.claimId);
+    if (!claim) {
+      return res.status(404).json({
+        success: false,
+        error: 'Claim not found'
+      });
+    }
+    if (claim.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        error: 'Only pending claims can be rejected'
+      });
+    }
+
+    const before = snapshot(posting);
+    claim.set({
+      status: 'rejected',
+      reason: req.body.note,
+      reviewedBy: req.user.id,
+      reviewedAt: new Date(),
+    });
+    await posting.save();
+    await recordAudit(req, { action: 'update', entityType: 'OpenShift', before, after: posting });
+
+    res.json({
+      success: true,
+      data: posting,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// Withdraw a posting, turning down the claims still waiting on it
+const cancelOpenShift = async (req, res) => {
+  try {
+    const posting = await loadPosting(req, res);
+    if (!posting) return;
+    if (!requireManager(req, res, posting)) return;
+    if (posting.status !== 'open') {
+      return res.status(400).json({
+        success: false,
+        error: 'Open shift is no longer open'
+      });
+    }
+
+    const before = snapshot(posting);
+    posting.status = 'cancelled';
+    posting.claims
+      .filter(claim => claim.status === 'pending')
+      .forEach(claim => claim.set({
+        status: 'rejected',
+        reason: 'Open shift was cancelled',
+        reviewedBy: req.user.id,
+        reviewedAt: new Date(),
+      }));
+    await posting.save();
+    await recordAudit(req, { action: 'update', entityType: 'OpenShift', before, after: posting });
+
+    res.json({
+      success: true,
+      data: posting,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getOpenShifts,
+  getOpenShift,
+  generateOpenShifts,
+  claimOpenShift,
+  confirmClaim,
+  rejectClaim,
+  cancelOpenShift,
+};
@@ -0,0 +1,176 @@
+const Role = require('../models/Role');
+const Staff = require('../models/Staff');
+const StaffingRequirement = require('../models/StaffingRequirement');
+const { snapshot, recordAudit } = require('../utils/audit');
+const { facilityFilter, newRecordFacility } = require('../utils/tenancy');
+
+const ROLE_FIELDS = ['name', 'code', 'staffIdPrefix', 'countsAs', 'isActive'];
+
+const pickRoleFields = (body) => {
+  const fields = {};
+  ROLE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  });
+  return fields;
+};
+
+// Duplicate key errors from the unique name and code indexes
+const duplicateMessage = (error) => {
+  if (error.code !== 11000) {
+    return null;
+  }
+  return error.keyPattern && error.keyPattern.code
+    ? 'A role with this code already exists'
+    : 'A role with this name already exists';
+};
+
+const getRoles = async (req, res) => {
+  try {
+    const filter = facilityFilter(req);
+    if (req.query.active !== undefined) {
+      filter.isActive = req.query.active === 'true';
+    }
+
+    const roles = await Role.find(filter).sort({ name: 1 });
+
+    res.json({
+      success: true,
+      count: roles.length,
+      data: roles,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+const getRole = async (req, res) => {
+  try {
+    const role = await Role.findOne({ ...facilityFilter(req), _id: req.params.id });
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        error: 'Role not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: role,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+const createRole = async (req, res) => {
+  try {
+    const role = await Role.create({
+      ...pickRoleFields(req.body),
+      facility: newRecordFacility(req),
+    });
+    await recordAudit(req, { action: 'create', entityType: 'Role', after: role });
+
+    res.status(201).json({
+      success: true,
+      data: role,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: duplicateMessage(error) || error.message
+    });
+  }
+};
+
+const updateRole = async (req, res) => {
+  try {
+    const role = await Role.findOne({ ...facilityFilter(req), _id: req.params.id });
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        error: 'Role not found'
+      });
+    }
+
+    const before = snapshot(role);
+    role.set(pickRoleFields(req.body));
+    const renamed = role.isModified('name');
+    await role.save();
+    await recordAudit(req, { action: 'update', entityType: 'Role', before, after: role });
+
+    // Staff, staffing requirements and other roles of the role's facility
+    // refer to the role by name
+    if (renamed) {
+      const { facility } = role;
+      await Staff.updateMany({ facility, role: before.name }, { role: role.name });
+      await Role.updateMany({ facility, countsAs: before.name }, { countsAs: role.name });
+      await StaffingRequirement.updateMany(
+        { facility, 'minimums.role': before.name },
+        { $set: { 'minimums.$[minimum].role': role.name } },
+        { arrayFilters: [{ 'minimum.role': before.name }] }
+      );
+    }
+
+    res.json({
+      success: true,
+      data: role,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: duplicateMessage(error) || error.message
+    });
+  }
+};
+
+const deleteRole = async (req, res) => {
+  try {
+    const role = await Role.findOne({ ...facilityFilter(req), _id: req.params.id });
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        error: 'Role not found'
+      });
+    }
+
+    const { facility } = role;
+    const inUse = await Staff.exists({ facility, role: role.name })
+      || await Role.exists({ facility, countsAs: role.name })
+      || await StaffingRequirement.exists({ facility, 'minimums.role': role.name });
+    if (inUse) {
+      return res.status(400).json({
+        success: false,
+        error: 'Role is used by staff, other roles or staffing requirements; deactivate it instead'
+      });
+    }
+
+    await role.deleteOne();
+    await recordAudit(req, { action: 'delete', entityType: 'Role', before: role });
+
+    res.json({
+      success: true,
+      data: {},
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getRoles,
+  getRole,
+  createRole,
+  updateRole,
+  deleteRole,
+};
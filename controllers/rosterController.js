@@ -0,0 +1,446 @@
+const RosterAssignment = require('../models/RosterAssignment');
+const { LIVE } = require('../models/RosterAssignment');
+const SchedulePeriod = require('../models/SchedulePeriod');
+const Staff = require('../models/Staff');
+const Shift = require('../models/Shift');
+const { findStaff } = require('../utils/staffAttendance');
+const {
+  rosterFromDefaults,
+  findUnmarkedAttendance,
+  moveUnmarkedAttendance,
+} = require('../utils/roster');
+const { assignmentConflicts, flagAssignments } = require('../utils/availability');
+const { checkAssignment } = require('../utils/workingTime');
+const { snapshot, recordAudit } = require('../utils/audit');
+const {
+  OUT_OF_SCOPE,
+  OTHER_STAFF,
+  scopedDepartment,
+  canAccessStaff,
+  linkedStaffOnly,
+  canReadStaff,
+  departmentFilter,
+} = require('../utils/departmentScope');
+const { isSuperAdmin, requestFacility, facilityFilter, newRecordFacility, facilityToday } = require('../utils/tenancy');
+const { ROSTER_MANAGERS } = require('../config/roles');
+
+const DEFAULTS_MAX_DAYS = 62;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ALREADY_ASSIGNED = 'Staff member is already assigned to this shift on this date';
+const ARCHIVED = 'Archived assignments cannot be changed';
+const BREAKS_RULES = 'Assignment breaks working-time rules';
+
+const startOfDay = (value) => new Date(new Date(value).setHours(0, 0, 0, 0));
+
+// Whether the request may see or change this assignment: it needs access to
+// the staff member or the assignment has to be in the user's own department
+const canAccessAssignment = (req, assignment) => {
+  const department = scopedDepartment(req);
+  return !department
+    || String(assignment.department && (assignment.department._id || assignment.department)) === department
+    || (!!assignment.staff && canAccessStaff(req, assignment.staff));
+};
+
+// Whether another assignment of the same roster version already puts the
+// staff member on this shift that day
+const isDoubleBooked = (assignment) => RosterAssignment.exists({
+  ...(assignment.status === 'draft' ? { period: assignment.period } : LIVE),
+  _id: { $ne: assignment._id },
+  staff: assignment.staff._id || assignment.staff,
+  date: assignment.date,
+  shift: assignment.shift,
+});
+
+// Draft schedules are only shown to those who build rosters
+const canSeeDrafts = (req) => !!req.user && (ROSTER_MANAGERS.includes(req.user.role) || isSuperAdmin(req));
+
+const loadAssignment = async (req, res) => {
+  const assignment = await RosterAssignment.findOne({ ...facilityFilter(req), _id: req.params.id })
+    .populate('staff', 'name staffId role shift department');
+  if (!assignment || (assignment.status === 'draft' && !canSeeDrafts(req))) {
+    res.status(404).json({
+      success: false,
+      error: 'Roster assignment not found'
+    });
+    return null;
+  }
+  if (!canAccessAssignment(req, assignment)) {
+    res.status(403).json({
+      success: false,
+      error: OUT_OF_SCOPE
+    });
+    return null;
+  }
+  if (!canReadStaff(req, assignment.staff)) {
+    res.status(403).json({
+      success: false,
+      error: OTHER_STAFF
+    });
+    return null;
+  }
+  return assignment;
+};
+
+const getAssignments = async (req, res) => {
+  try {
+    const filter = facilityFilter(req);
+
+    const { department, status, error } = await departmentFilter(req, req.query.department);
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        error
+      });
+    }
+    if (department) {
+      filter.department = department;
+    }
+
+    if (req.query.date) {
+      filter.date = startOfDay(req.query.date);
+    } else if (req.query.startDate || req.query.endDate) {
+      filter.date = {};
+      if (req.query.startDate) {
+        filter.date.$gte = startOfDay(req.query.startDate);
+      }
+      if (req.query.endDate) {
+        filter.date.$lte = new Date(req.query.endDate).setHours(23, 59, 59, 999);
+      }
+    }
+    if (req.query.shift) {
+      filter.shift = await Shift.canonicalName(req.query.shift, { facility: requestFacility(req) });
+    }
+    // The live roster unless a schedule period is asked for, which only
+    // those who build rosters may see
+    if (req.query.period) {
+      if (!canSeeDrafts(req)) {
+        return res.status(403).json({
+          success: false,
+          error: 'Not authorized to view draft schedules'
+        });
+      }
+      filter.period = req.query.period;
+    } else {
+      Object.assign(filter, LIVE);
+    }
+    if (req.query.staffId) {
+      const staff = await findStaff(req.query.staffId, facilityFilter(req));
+      if (!staff) {
+        return res.status(404).json({
+          success: false,
+          error: 'Staff not found'
+        });
+      }
+      filter.staff = staff._id;
+    }
+    // Staff-linked users only ever see their own shifts
+    const own = linkedStaffOnly(req);
+    if (own) {
+      filter.staff = filter.staff && String(filter.staff) !== own ? { $in: [] } : own;
+    }
+
+    const assignments = await RosterAssignment.find(filter)
+      .populate('staff', 'name staffId role shift')
+      .populate('department', 'name code')
+      .sort({ date: 1, shift: 1 });
+
+    res.json({
+      success: true,
+      count: assignments.length,
+      data: assignments,
+      // Blackout reasons are private to the staff member and their managers
+      ...(canSeeDrafts(req) && { conflicts: await flagAssignments(assignments) }),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+const getAssignment = async (req, res) => {
+  try {
+    const assignment = await loadAssignment(req, res);
+    if (!assignment) return;
+
+    res.json({
+      success: true,
+      data: assignment,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// Put a staff member on a shift for a day, by default their own shift in
+// their home department. With a period the assignment goes into that draft
+// schedule, otherwise straight onto the live roster. Working-time rules with
+// error severity stop it; the others come back as warnings.
+const createAssignment = async (req, res) => {
+  try {
+    const { staffId, date, shift, department: requestedDepartment, notes, period: periodId } = req.body;
+    if (!staffId || !date) {
+      return res.status(400).json({
+        success: false,
+        error: 'Staff ID and date are required'
+      });
+    }
+
+    const staff = await findStaff(staffId, facilityFilter(req));
+    if (!staff) {
+      return res.status(404).json({
+        success: false,
+        error: 'Staff not found'
+      });
+    }
+
+    let department = staff.department;
+    if (requestedDepartment !== undefined) {
+      const resolved = await departmentFilter(req, requestedDepartment);
+      if (resolved.error) {
+        return res.status(resolved.status).json({
+          success: false,
+          error: resolved.error
+        });
+      }
+      department = resolved.department;
+    }
+    if (!canAccessStaff(req, staff) && !(department && String(department) === scopedDepartment(req))) {
+      return res.status(403).json({
+        success: false,
+        error: OUT_OF_SCOPE
+      });
+    }
+
+    let period = null;
+    if (periodId) {
+      period = await SchedulePeriod.findOne({ ...facilityFilter(req), _id: periodId });
+      if (!period) {
+        return res.status(404).json({
+          success: false,
+          error: 'Schedule not found'
+        });
+      }
+      if (period.status !== 'draft') {
+        return res.status(400).json({
+          success: false,
+          error: 'Only draft schedules can be edited'
+        });
+      }
+    }
+
+    const assignment = new RosterAssignment({
+      staff: staff._id,
+      date,
+      shift: shift || staff.shift,
+      department,
+      facility: staff.facility,
+      period: period ? period._id : null,
+      status: period ? 'draft' : 'published',
+      notes,
+      createdBy: req.user ? req.user.id : null,
+    });
+    await assignment.validate();
+    if (await isDoubleBooked(assignment)) {
+      return res.status(400).json({
+        success: false,
+        error: ALREADY_ASSIGNED
+      });
+    }
+    const { errors, warnings } = await checkAssignment(assignment);
+    if (errors.length) {
+      return res.status(400).json({
+        success: false,
+        error: BREAKS_RULES,
+        violations: errors
+      });
+    }
+    await assignment.save();
+    await recordAudit(req, { action: 'create', entityType: 'RosterAssignment', after: assignment });
+
+    res.status(201).json({
+      success: true,
+      data: assignment,
+      conflicts: await assignmentConflicts(assignment),
+      warnings,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.code === 11000 ? ALREADY_ASSIGNED : error.message
+    });
+  }
+};
+
+// Move an assignment to another day, shift or department. Attendance
+// pre-created for it moves along until someone marks it.
+const updateAssignment = async (req, res) => {
+  try {
+    const assignment = await loadAssignment(req, res);
+    if (!assignment) return;
+    if (assignment.status === 'archived') {
+      return res.status(400).json({
+        success: false,
+        error: ARCHIVED
+      });
+    }
+
+    const { date, shift, department: requestedDepartment, notes } = req.body;
+    const updates = {};
+    if (date !== undefined) {
+      updates.date = date;
+    }
+    if (shift !== undefined) {
+      updates.shift = shift;
+    }
+    if (notes !== undefined) {
+      updates.notes = notes;
+    }
+    if (requestedDepartment !== undefined) {
+      const { department, status, error } = await departmentFilter(req, requestedDepartment);
+      if (error) {
+        return res.status(status).json({
+          success: false,
+          error
+        });
+      }
+      updates.department = department;
+    }
+
+    const before = snapshot(assignment);
+    assignment.set({ ...updates, source: 'manual' });
+    await assignment.validate();
+    if (await isDoubleBooked(assignment)) {
+      return res.status(400).json({
+        success: false,
+        error: ALREADY_ASSIGNED
+      });
+    }
+    const { errors, warnings } = await checkAssignment(assignment);
+    if (errors.length) {
+      return res.status(400).json({
+        success: false,
+        error: BREAKS_RULES,
+        violations: errors
+      });
+    }
+    await assignment.save();
+    await recordAudit(req, { action: 'update', entityType: 'RosterAssignment', before, after: assignment });
+
+    const change = await moveUnmarkedAttendance(assignment);
+    if (change) {
+      await recordAudit(req, { ...change, entityType: 'Attendance' });
+    }
+
+    res.json({
+      success: true,
+      data: assignment,
+      conflicts: await assignmentConflicts(assignment),
+      warnings,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.code === 11000 ? ALREADY_ASSIGNED : error.message
+    });
+  }
+};
+
+// Take a staff member off a shift, along with attendance pre-created for it
+// that nobody has marked yet
+const deleteAssignment = async (req, res) => {
+  try {
+    const assignment = await loadAssignment(req, res);
+    if (!assignment) return;
+    if (assignment.status === 'archived') {
+      return res.status(400).json({
+        success: false,
+        error: ARCHIVED
+      });
+    }
+
+    await assignment.deleteOne();
+    await recordAudit(req, { action: 'delete', entityType: 'RosterAssignment', before: assignment });
+
+    const placeholder = await findUnmarkedAttendance(assignment);
+    if (placeholder) {
+      await placeholder.deleteOne();
+      await recordAudit(req, { action: 'delete', entityType: 'Attendance', before: placeholder });
+    }
+
+    res.json({
+      success: true,
+      data: {},
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// Fill the roster from each staff member's rotation pattern or default shift
+// for the days in a range they are not assigned yet, with attendance
+// placeholders
+const generateDefaults = async (req, res) => {
+  try {
+    const startDate = req.body.startDate
+      ? startOfDay(req.body.startDate)
+      : await facilityToday(newRecordFacility(req));
+    const endDate = req.body.endDate ? startOfDay(req.body.endDate) : null;
+    if (!endDate || isNaN(startDate) || isNaN(endDate) || endDate < startDate) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid date range'
+      });
+    }
+    if (Math.round((endDate - startDate) / DAY_MS) + 1 > DEFAULTS_MAX_DAYS) {
+      return res.status(400).json({
+        success: false,
+        error: `Date range cannot exceed ${DEFAULTS_MAX_DAYS} days`
+      });
+    }
+
+    const { department, status, error } = await departmentFilter(req, req.body.department);
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        error
+      });
+    }
+
+    const filter = facilityFilter(req);
+    if (department) {
+      filter.department = department;
+    }
+    const staff = await Staff.find(filter).select('shift department facility rotation');
+    const { assignments, violations, warnings } = await rosterFromDefaults(req, staff, { startDate, endDate });
+
+    res.status(201).json({
+      success: true,
+      count: assignments.length,
+      data: assignments,
+      violations,
+      warnings,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getAssignments,
+  getAssignment,
+  createAssignment,
+  updateAssignment,
+  deleteAssignment,
+  generateDefaults,
+};
@@ -0,0 +1,273 @@
+const RotationPattern = require('../models/RotationPattern');
+const Staff = require('../models/Staff');
+const { expandRotation, readRotation } = require('../utils/rotation');
+const { rerosterFromDefaults } = require('../utils/roster');
+const { snapshot, recordAudit } = require('../utils/audit');
+const { OUT_OF_SCOPE, canAccessStaff } = require('../utils/departmentScope');
+const { facilityFilter, newRecordFacility, facilityToday } = require('../utils/tenancy');
+
+const PATTERN_FIELDS = ['name', 'description', 'steps', 'anchorDate', 'isActive'];
+// Changes to these move the shifts of everyone following the pattern
+const ROSTERED_FIELDS = ['steps', 'anchorDate', 'isActive'];
+const PREVIEW_MAX_DAYS = 62;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DUPLICATE_NAME = 'A rotation pattern with this name already exists';
+
+const startOfDay = (value) => new Date(new Date(value).setHours(0, 0, 0, 0));
+
+const pickPatternFields = (body) => {
+  const fields = {};
+  PATTERN_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  });
+  return fields;
+};
+
+const loadPattern = async (req, res) => {
+  const pattern = await RotationPattern.findOne({ ...facilityFilter(req), _id: req.params.id });
+  if (!pattern) {
+    res.status(404).json({
+      success: false,
+      error: 'Rotation pattern not found'
+    });
+    return null;
+  }
+  return pattern;
+};
+
+// Re-roster the future days of everyone following a pattern, as
+// { count, violations, warnings }
+const rerosterFollowers = async (req, pattern) => {
+  const staff = await Staff.find({ 'rotation.pattern': pattern._id });
+  const result = { count: 0, violations: [], warnings: [] };
+  for (const member of staff) {
+    const { assignments, violations, warnings } = await rerosterFromDefaults(req, member);
+    result.count += assignments.length;
+    result.violations.push(...violations);
+    result.warnings.push(...warnings);
+  }
+  return result;
+};
+
+const getRotationPatterns = async (req, res) => {
+  try {
+    const filter = facilityFilter(req);
+    if (req.query.active !== undefined) {
+      filter.isActive = req.query.active === 'true';
+    }
+
+    const patterns = await RotationPattern.find(filter).sort({ name: 1 });
+
+    res.json({
+      success: true,
+      count: patterns.length,
+      data: patterns,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+const getRotationPattern = async (req, res) => {
+  try {
+    const pattern = await loadPattern(req, res);
+    if (!pattern) return;
+
+    res.json({
+      success: true,
+      data: pattern,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+const createRotationPattern = async (req, res) => {
+  try {
+    const pattern = await RotationPattern.create({
+      ...pickPatternFields(req.body),
+      facility: newRecordFacility(req),
+      createdBy: req.user.id,
+    });
+    await recordAudit(req, { action: 'create', entityType: 'RotationPattern', after: pattern });
+
+    res.status(201).json({
+      success: true,
+      data: pattern,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.code === 11000 ? DUPLICATE_NAME : error.message
+    });
+  }
+};
+
+// Changing the days of a pattern, its anchor date or whether it is active
+// re-rosters the future days of the staff following it
+const updateRotationPattern = async (req, res) => {
+  try {
+    const pattern = await loadPattern(req, res);
+    if (!pattern) return;
+
+    const before = snapshot(pattern);
+    pattern.set(pickPatternFields(req.body));
+    const rostered = ROSTERED_FIELDS.some(field => pattern.isModified(field));
+    await pattern.save();
+    await recordAudit(req, { action: 'update', entityType: 'RotationPattern', before, after: pattern });
+
+    const { count, violations, warnings } = rostered
+      ? await rerosterFollowers(req, pattern)
+      : { count: 0, violations: [], warnings: [] };
+
+    res.json({
+      success: true,
+      data: pattern,
+      rostered: count,
+      violations,
+      warnings,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.code === 11000 ? DUPLICATE_NAME : error.message
+    });
+  }
+};
+
+const deleteRotationPattern = async (req, res) => {
+  try {
+    const pattern = await loadPattern(req, res);
+    if (!pattern) return;
+
+    if (await Staff.exists({ 'rotation.pattern': pattern._id })) {
+      return res.status(400).json({
+        success: false,
+        error: 'Rotation pattern is followed by staff'
+      });
+    }
+
+    await pattern.deleteOne();
+    await recordAudit(req, { action: 'delete', entityType: 'RotationPattern', before: pattern });
+
+    res.json({
+      success: true,
+      data: {},
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// The dated shifts a pattern gives over a range, without rostering anyone
+const previewRotationPattern = async (req, res) => {
+  try {
+    const pattern = await loadPattern(req, res);
+    if (!pattern) return;
+
+    const startDate = req.query.startDate ? startOfDay(req.query.startDate) : await facilityToday(pattern.facility);
+    const endDate = req.query.endDate ? startOfDay(req.query.endDate) : null;
+    if (!endDate || isNaN(startDate) || isNaN(endDate) || endDate < startDate) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid date range'
+      });
+    }
+    if (Math.round((endDate - startDate) / DAY_MS) + 1 > PREVIEW_MAX_DAYS) {
+      return res.status(400).json({
+        success: false,
+        error: `Date range cannot exceed ${PREVIEW_MAX_DAYS} days`
+      });
+    }
+    const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+    if (!Number.isInteger(offset) || offset < 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Offset must be a whole number of days'
+      });
+    }
+
+    const shifts = expandRotation(pattern, { startDate, endDate, offset });
+
+    res.json({
+      success: true,
+      count: shifts.length,
+      data: shifts,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// Put a staff member on a rotation pattern, or take them off one with a null
+// pattern. Their future days rostered from their rotation or default shift,
+// and not marked since, are rostered again from the new one.
+const updateStaffRotation = async (req, res) => {
+  try {
+    const staff = await Staff.findOne({ ...facilityFilter(req), _id: req.params.id });
+    if (!staff) {
+      return res.status(404).json({
+        success: false,
+        error: 'Staff not found'
+      });
+    }
+    if (!canAccessStaff(req, staff)) {
+      return res.status(403).json({
+        success: false,
+        error: OUT_OF_SCOPE
+      });
+    }
+
+    const { rotation, error } = await readRotation(req.body, staff.facility || null);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    const before = snapshot(staff);
+    staff.rotation = rotation;
+    await staff.save();
+    await recordAudit(req, { action: 'update', entityType: 'Staff', before, after: staff });
+
+    const { assignments, violations, warnings } = await rerosterFromDefaults(req, staff);
+
+    res.json({
+      success: true,
+      data: staff,
+      rostered: assignments.length,
+      violations,
+      warnings,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getRotationPatterns,
+  getRotationPattern,
+  createRotationPattern,
+  updateRotationPattern,
+  deleteRotationPattern,
+  previewRotationPattern,
+  updateStaffRotation,
+};
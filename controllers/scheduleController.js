@@ -0,0 +1,655 @@
+const crypto = require('crypto');
+const Staff = require('../models/Staff');
+const Shift = require('../models/Shift');
+const Role = require('../models/Role');
+const Attendance = require('../models/Attendance');
+const RosterAssignment = require('../models/RosterAssignment');
+const { LIVE } = require('../models/RosterAssignment');
+const SchedulePeriod = require('../models/SchedulePeriod');
+const StaffingRequirement = require('../models/StaffingRequirement');
+const { findApplicableRequirement } = require('../utils/staffing');
+const { generateRoster } = require('../utils/scheduleGenerator');
+const { activeRules, lookAroundDays, checkAssignment } = require('../utils/workingTime');
+const {
+  eachDay,
+  liveAssignmentsFor,
+  diffAssignments,
+  coverageGaps,
+  precreateAttendance,
+} = require('../utils/roster');
+const { availabilityConflicts, availabilityByStaff, flagAssignments } = require('../utils/availability');
+const { snapshot, recordAudit } = require('../utils/audit');
+const { OUT_OF_SCOPE, scopedDepartment, departmentFilter } = require('../utils/departmentScope');
+const { facilityFilter, newRecordFacility } = require('../utils/tenancy');
+const { DEFAULT_MINIMUMS } = require('../config/staffing');
+const { GENERATE_MAX_DAYS } = require('../config/scheduling');
+
+const toDateString = (date) => date.toISOString().split('T')[0];
+
+// Whether a manager tied to a department may see or change this schedule;
+// schedules of the whole facility are for unrestricted users
+const canAccessPeriod = (req, period) => {
+  const department = scopedDepartment(req);
+  return !department || (!!period.department && String(period.department) === department);
+};
+
+const loadPeriod = async (req, res) => {
+  const period = await SchedulePeriod.findOne({ ...facilityFilter(req), _id: req.params.id });
+  if (!period) {
+    res.status(404).json({
+      success: false,
+      error: 'Schedule not found'
+    });
+    return null;
+  }
+  if (!canAccessPeriod(req, period)) {
+    res.status(403).json({
+      success: false,
+      error: OUT_OF_SCOPE
+    });
+    return null;
+  }
+  return period;
+};
+
+const requireDraft = (period, res, error = 'Only draft schedules can be edited') => {
+  if (period.status !== 'draft') {
+    res.status(400).json({
+      success: false,
+      error
+    });
+    return false;
+  }
+  return true;
+};
+
+// Hand a period claimed for publishing back as a draft when it is not
+// published after all
+const releaseDraft = (period) => SchedulePeriod.updateOne(
+  { _id: period._id, status: 'publishing' },
+  { status: 'draft' }
+);
+
+// Whether an assignment falls within a period's dates and department
+const isCoveredBy = (period, assignment) => assignment.date >= period.startDate
+  && assignment.date <= period.endDate
+  && (!period.department || String(assignment.department) === String(period.department));
+
+const assignmentKey = (assignment) => [
+  String(assignment.staff._id || assignment.staff),
+  assignment.date.getTime(),
+  assignment.shift,
+].join('|');
+
+const assignmentSummary = (assignment) => ({
+  _id: assignment._id,
+  staff: assignment.staff,
+  date: toDateString(assignment.date),
+  shift: assignment.shift,
+  department: assignment.department,
+});
+
+// Shifts to cover: the ones asked for, else every active definition of the
+// facility, else the shifts staff work today when no shift is defined yet
+const shiftsToCover = async (requested, staff, facility) => {
+  if (requested && requested.length) {
+    const shifts = [];
+    for (const value of requested) {
+      const shift = await Shift.resolve(value, { facility });
+      if (!shift) {
+        return { error: `Shift not found: ${value}` };
+      }
+      shifts.push(shift);
+    }
+    return { shifts };
+  }
+
+  const defined = await Shift.find({ facility, isActive: true }).sort({ startTime: 1 });
+  if (defined.length) {
+    return { shifts: defined };
+  }
+  return { shifts: [...new Set(staff.map(member => member.shift))].sort().map(name => ({ name })) };
+};
+
+// Draft roster for a date range that meets the staffing requirements where
+// staff allow; gaps lists the minimums no one could fill. Given a draft
+// schedule period, it fills that period's dates and department and saves the
+// assignments to it; otherwise nothing is saved.
+const generateSchedule = async (req, res) => {
+  try {
+    let period = null;
+    if (req.body.period) {
+      period = await SchedulePeriod.findOne({ ...facilityFilter(req), _id: req.body.period });
+      if (!period) {
+        return res.status(404).json({
+          success: false,
+          error: 'Schedule not found'
+        });
+      }
+      if (!canAccessPeriod(req, period)) {
+        return res.status(403).json({
+          success: false,
+          error: OUT_OF_SCOPE
+        });
+      }
+      if (!requireDraft(period, res)) return;
+    }
+
+    const startDate = period ? period.startDate : new Date(req.body.startDate);
+    const endDate = period ? period.endDate : new Date(req.body.endDate);
+    if (!period && (!req.body.startDate || !req.body.endDate)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid date range'
+      });
+    }
+    if (isNaN(startDate) || isNaN(endDate) || endDate < startDate) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid date range'
+      });
+    }
+    const days = eachDay(startDate, endDate);
+    if (days.length > GENERATE_MAX_DAYS) {
+      return res.status(400).json({
+        success: false,
+        error: `Date range cannot exceed ${GENERATE_MAX_DAYS} days`
+      });
+    }
+
+    const { department, status, error } = period
+      ? { department: period.department ? String(period.department) : null }
+      : await departmentFilter(req, req.body.department);
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        error
+      });
+    }
+
+    const staffFilter = facilityFilter(req);
+    if (department) {
+      staffFilter.department = department;
+    }
+    const staff = await Staff.find(staffFilter).select('name staffId role shift department');
+
+    const { shifts, error: shiftError } = await shiftsToCover(req.body.shifts, staff, newRecordFacility(req));
+    if (shiftError) {
+      return res.status(400).json({
+        success: false,
+        error: shiftError
+      });
+    }
+
+    const rules = await StaffingRequirement.find({
+      facility: newRecordFacility(req),
+      department: { $in: [null, department] },
+    });
+    const shiftIds = new Map(shifts.map(shift => [shift.name, shift._id || null]));
+    const minimumsFor = (date, shift) => {
+      const rule = findApplicableRequirement(rules, { department, shiftId: shiftIds.get(shift), date });
+      return rule ? rule.minimums : DEFAULT_MINIMUMS;
+    };
+
+    // Existing assignments stay as they are: the live roster, or for a period
+    // its draft in place of the live assignments it will replace. Those a
+    // little either side of the range still count towards the facility's
+    // working-time rules.
+    const workingTimeRules = await activeRules(newRecordFacility(req));
+    const reach = lookAroundDays(workingTimeRules);
+    const lookAround = (day, count) => {
+      const date = new Date(day);
+      date.setDate(date.getDate() + count);
+      return date;
+    };
+    const staffIds = staff.map(member => member._id);
+    const window = {
+      $gte: lookAround(days[0], -reach),
+      $lte: lookAround(days[days.length - 1], reach),
+    };
+    const scope = [{ staff: { $in: staffIds } }];
+    if (department) {
+      scope.push({ department });
+    }
+    const live = await RosterAssignment.find({ ...LIVE, date: window, $or: scope })
+      .populate('staff', 'name staffId role shift');
+    const draft = period
+      ? await RosterAssignment.find({ period: period._id }).populate('staff', 'name staffId role shift')
+      : [];
+    const existing = [...live.filter(assignment => !period || !isCoveredBy(period, assignment)), ...draft];
+    const fixed = existing
+      .filter(assignment => assignment.staff)
+      .map(assignment => ({
+        staff: assignment.staff,
+        date: assignment.date,
+        shift: assignment.shift,
+        counts: !department || String(assignment.department) === String(department),
+      }));
+
+    // Approved leave
+    const leave = await Attendance.find({
+      staffId: { $in: staffIds },
+      date: { $gte: days[0], $lte: days[days.length - 1] },
+      status: 'Leave',
+    }).select('staffId date');
+
+    // Declared availability: days staff never work or blacked out, and the
+    // shifts they prefer
+    const availability = await availabilityByStaff(staff);
+    const unavailable = leave.map(record => ({ staff: record.staffId, date: record.date }));
+    const preferences = {};
+    staff.forEach(member => {
+      const declared = availability.get(String(member._id));
+      if (!declared) {
+        return;
+      }
+      preferences[member._id] = declared.preferredShifts;
+      days
+        .filter(date => availabilityConflicts(declared, date).length)
+        .forEach(date => unavailable.push({ staff: member, date }));
+    });
+
+    const seed = req.body.seed !== undefined ? req.body.seed : crypto.randomInt(2 ** 31);
+    const { assignments, gaps } = generateRoster({
+      days,
+      shifts,
+      staff,
+      minimumsFor,
+      aliases: await Role.aliasMap(newRecordFacility(req)),
+      fixed,
+      unavailable,
+      preferences,
+      seed,
+      rules: workingTimeRules,
+    });
+
+    if (period) {
+      const saved = await RosterAssignment.insertMany(assignments.map(({ staff: member, date, shift }) => ({
+        staff: member._id,
+        date,
+        shift,
+        department: period.department || member.department || null,
+        facility: period.facility,
+        period: period._id,
+        status: 'draft',
+        source: 'generated',
+        createdBy: req.user ? req.user.id : null,
+      })));
+      for (const assignment of saved) {
+        await recordAudit(req, { action: 'create', entityType: 'RosterAssignment', after: assignment });
+      }
+    }
+
+    res.json({
+      success: true,
+      seed,
+      period: period ? period._id : null,
+      range: {
+        startDate: toDateString(days[0]),
+        endDate: toDateString(days[days.length - 1]),
+      },
+      department: department || null,
+      count: assignments.length,
+      data: assignments.map(({ staff: member, date, shift }) => ({
+        staff: {
+          _id: member._id,
+          name: member.name,
+          staffId: member.staffId,
+          role: member.role,
+        },
+        date: toDateString(date),
+        shift,
+        department: department || (member.department || null),
+      })),
+      gaps: gaps.map(gap => ({ ...gap, date: toDateString(gap.date) })),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+const getSchedules = async (req, res) => {
+  try {
+    const filter = facilityFilter(req);
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const { department, status, error } = await departmentFilter(req, req.query.department);
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        error
+      });
+    }
+    if (department) {
+      filter.department = department;
+    }
+
+    const periods = await SchedulePeriod.find(filter)
+      .populate('department', 'name code')
+      .sort({ startDate: -1, createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: periods.length,
+      data: periods,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+const getSchedule = async (req, res) => {
+  try {
+    const period = await loadPeriod(req, res);
+    if (!period) return;
+
+    const assignments = await RosterAssignment.find({ period: period._id })
+      .populate('staff', 'name staffId role shift')
+      .populate('department', 'name code')
+      .sort({ date: 1, shift: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        ...period.toObject(),
+        assignments,
+        conflicts: await flagAssignments(assignments),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// New draft for a date range, starting from a copy of the live roster
+const createSchedule = async (req, res) => {
+  try {
+    const { department, status, error } = await departmentFilter(req, req.body.department);
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        error
+      });
+    }
+
+    const period = new SchedulePeriod({
+      name: req.body.name,
+      startDate: req.body.startDate,
+      endDate: req.body.endDate,
+      department,
+      facility: newRecordFacility(req),
+      createdBy: req.user ? req.user.id : null,
+    });
+    await period.validate();
+    if (eachDay(period.startDate, period.endDate).length > GENERATE_MAX_DAYS) {
+      return res.status(400).json({
+        success: false,
+        error: `Date range cannot exceed ${GENERATE_MAX_DAYS} days`
+      });
+    }
+    await period.save();
+    await recordAudit(req, { action: 'create', entityType: 'SchedulePeriod', after: period });
+
+    const live = await liveAssignmentsFor(period);
+    const copies = await RosterAssignment.insertMany(live.map(assignment => ({
+      staff: assignment.staff,
+      date: assignment.date,
+      shift: assignment.shift,
+      department: assignment.department,
+      facility: assignment.facility,
+      period: period._id,
+      status: 'draft',
+      source: assignment.source,
+      notes: assignment.notes,
+      createdBy: req.user ? req.user.id : null,
+    })));
+    for (const assignment of copies) {
+      await recordAudit(req, { action: 'create', entityType: 'RosterAssignment', after: assignment });
+    }
+
+    res.status(201).json({
+      success: true,
+      count: copies.length,
+      data: period,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// What publishing a draft would change on the live roster
+const getScheduleDiff = async (req, res) => {
+  try {
+    const period = await loadPeriod(req, res);
+    if (!period) return;
+    if (!requireDraft(period, res, 'Only draft schedules can be compared with the published roster')) return;
+
+    const live = await liveAssignmentsFor(period).populate('staff', 'name staffId role');
+    const draft = await RosterAssignment.find({ period: period._id }).populate('staff', 'name staffId role');
+    const { added, removed, changed } = diffAssignments(live, draft);
+
+    res.json({
+      success: true,
+      data: {
+        added: added.map(assignmentSummary),
+        removed: removed.map(assignmentSummary),
+        changed: changed.map(({ from, to }) => ({
+          ...assignmentSummary(to),
+          fromDepartment: from.department,
+        })),
+        conflicts: await flagAssignments(draft),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// Make a draft the live roster for its dates. It has to meet the staffing
+// requirements. The live assignments it replaces are archived (or deleted
+// when they belonged to no schedule), attendance not yet marked moves to the
+// new assignments or is removed, and new assignments get their attendance.
+const publishSchedule = async (req, res) => {
+  let claimed = null;
+  try {
+    const period = await loadPeriod(req, res);
+    if (!period) return;
+
+    // Claim the draft first, so a second request publishing it at the same
+    // time is turned away instead of replacing the live roster twice
+    claimed = await SchedulePeriod.findOneAndUpdate(
+      { _id: period._id, status: 'draft' },
+      { status: 'publishing' }
+    );
+    if (!claimed) {
+      return res.status(400).json({
+        success: false,
+        error: 'Only draft schedules can be published'
+      });
+    }
+
+    const draft = await RosterAssignment.find({ period: period._id }).populate('staff', 'role');
+    const gaps = await coverageGaps(period, draft);
+    if (gaps.length) {
+      await releaseDraft(claimed);
+      return res.status(400).json({
+        success: false,
+        error: 'Schedule does not meet staffing requirements',
+        gaps: gaps.map(gap => ({ ...gap, date: toDateString(gap.date) })),
+      });
+    }
+
+    // The draft goes live as a whole, so every assignment in it is checked
+    // against the working-time rules once more; edits to the live roster
+    // since it was drafted can have made it break them
+    const errors = [];
+    const warnings = [];
+    for (const assignment of draft) {
+      const result = await checkAssignment(assignment);
+      const about = { staff: assignment.staff._id, date: toDateString(assignment.date), shift: assignment.shift };
+      result.errors.forEach(violation => errors.push({ ...about, ...violation }));
+      result.warnings.forEach(violation => warnings.push({ ...about, ...violation }));
+    }
+    if (errors.length) {
+      await releaseDraft(claimed);
+      return res.status(400).json({
+        success: false,
+        error: 'Schedule breaks working-time rules',
+        violations: errors,
+      });
+    }
+
+    // A staff member can hold a shift on a day only once on the live roster,
+    // so a draft assignment must not repeat one this schedule does not replace
+    const replaced = await liveAssignmentsFor(period);
+    const replacedIds = new Set(replaced.map(assignment => String(assignment._id)));
+    const keys = draft
+      .filter(assignment => assignment.staff)
+      .map(assignment => ({ staff: assignment.staff._id, date: assignment.date, shift: assignment.shift }));
+    const clashes = keys.length
+      ? (await RosterAssignment.find({ status: 'published', $or: keys }))
+        .filter(assignment => !replacedIds.has(String(assignment._id)))
+      : [];
+    if (clashes.length) {
+      await releaseDraft(claimed);
+      return res.status(400).json({
+        success: false,
+        error: 'Schedule repeats live assignments it does not replace',
+        clashes: clashes.map(assignmentSummary),
+      });
+    }
+
+    const draftByKey = new Map(draft.map(assignment => [assignmentKey(assignment), assignment]));
+    for (const assignment of replaced) {
+      const successor = draftByKey.get(assignmentKey(assignment));
+      const attendance = await Attendance.find({ assignment: assignment._id });
+      for (const record of attendance) {
+        const before = snapshot(record);
+        if (successor) {
+          record.assignment = successor._id;
+          await record.save();
+          await recordAudit(req, { action: 'update', entityType: 'Attendance', before, after: record });
+        } else if (record.revision === 1) {
+          await record.deleteOne();
+          await recordAudit(req, { action: 'delete', entityType: 'Attendance', before });
+        }
+      }
+
+      if (assignment.period) {
+        const before = snapshot(assignment);
+        assignment.status = 'archived';
+        await assignment.save();
+        await recordAudit(req, { action: 'update', entityType: 'RosterAssignment', before, after: assignment });
+      } else {
+        await assignment.deleteOne();
+        await recordAudit(req, { action: 'delete', entityType: 'RosterAssignment', before: assignment });
+      }
+    }
+
+    // Earlier schedules with nothing left on the live roster are archived
+    const replacedPeriods = [...new Set(replaced.filter(a => a.period).map(a => String(a.period)))];
+    for (const id of replacedPeriods) {
+      if (!(await RosterAssignment.exists({ period: id, status: 'published' }))) {
+        const earlier = await SchedulePeriod.findById(id);
+        const before = snapshot(earlier);
+        earlier.status = 'archived';
+        await earlier.save();
+        await recordAudit(req, { action: 'update', entityType: 'SchedulePeriod', before, after: earlier });
+      }
+    }
+
+    await RosterAssignment.updateMany({ period: period._id }, { status: 'published' });
+    const before = snapshot(period);
+    period.set({
+      status: 'published',
+      publishedAt: new Date(),
+      publishedBy: req.user ? req.user.id : null,
+    });
+    await period.save();
+    await recordAudit(req, { action: 'update', entityType: 'SchedulePeriod', before, after: period });
+
+    const published = await RosterAssignment.find({ period: period._id });
+    const markedBy = req.user ? req.user.id : null;
+    const created = await precreateAttendance(published, { markedBy });
+    for (const attendance of created) {
+      await recordAudit(req, { action: 'create', entityType: 'Attendance', after: attendance });
+    }
+
+    res.json({
+      success: true,
+      count: published.length,
+      data: period,
+      warnings,
+    });
+  } catch (error) {
+    if (claimed) {
+      await releaseDraft(claimed).catch(() => {});
+    }
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// Discard a draft and its assignments
+const deleteSchedule = async (req, res) => {
+  try {
+    const period = await loadPeriod(req, res);
+    if (!period) return;
+    if (!requireDraft(period, res, 'Only draft schedules can be deleted')) return;
+
+    // Only while it is still a draft, so a publication under way keeps it
+    const { deletedCount } = await SchedulePeriod.deleteOne({ _id: period._id, status: 'draft' });
+    if (!deletedCount) {
+      return res.status(400).json({
+        success: false,
+        error: 'Only draft schedules can be deleted'
+      });
+    }
+    await recordAudit(req, { action: 'delete', entityType: 'SchedulePeriod', before: period });
+
+    const assignments = await RosterAssignment.find({ period: period._id });
+    for (const assignment of assignments) {
+      await assignment.deleteOne();
+      await recordAudit(req, { action: 'delete', entityType: 'RosterAssignment', before: assignment });
+    }
+
+    res.json({
+      success: true,
+      data: {},
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  generateSchedule,
+  getSchedules,
+  getSchedule,
+  createSchedule,
+  getScheduleDiff,
+  publishSchedule,
+  deleteSchedule,
+};
@@ -0,0 +1,97 @@
+const User = require('../models/User');
+const { listSessions, revokeSession } = require('../utils/tokens');
+const { facilityFilter } = require('../utils/tenancy');
+
+const getMySessions = async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user._id);
+
+    res.json({
+      success: true,
+      count: sessions.length,
+      data: sessions.map(session => ({
+        ...session,
+        current: session.id === req.auth.sessionId,
+      })),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+const revokeMySession = async (req, res) => {
+  try {
+    if (!(await revokeSession(req.user._id, req.params.sessionId))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Session signed out'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+const getUserSessions = async (req, res) => {
+  try {
+    if (!(await User.exists({ ...facilityFilter(req), _id: req.params.id }))) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    const sessions = await listSessions(req.params.id);
+
+    res.json({
+      success: true,
+      count: sessions.length,
+      data: sessions,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+const revokeUserSession = async (req, res) => {
+  try {
+    if (!(await User.exists({ ...facilityFilter(req), _id: req.params.id }))
+      || !(await revokeSession(req.params.id, req.params.sessionId))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Session signed out'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getMySessions,
+  revokeMySession,
+  getUserSessions,
+  revokeUserSession,
+};
@@ -0,0 +1,191 @@
+const Shift = require('../models/Shift');
+const Staff = require('../models/Staff');
+const Attendance = require('../models/Attendance');
+const RosterAssignment = require('../models/RosterAssignment');
+const OpenShift = require('../models/OpenShift');
+const RotationPattern = require('../models/RotationPattern');
+const StaffAvailability = require('../models/StaffAvailability');
+const { snapshot, recordAudit } = require('../utils/audit');
+const { facilityFilter, newRecordFacility } = require('../utils/tenancy');
+
+const SHIFT_FIELDS = ['name', 'code', 'startTime', 'endTime', 'crossesMidnight', 'breakMinutes', 'isActive'];
+
+const pickShiftFields = (body) => {
+  const fields = {};
+  SHIFT_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  });
+  return fields;
+};
+
+// Duplicate key errors from the unique name and code indexes
+const duplicateMessage = (error) => {
+  if (error.code !== 11000) {
+    return null;
+  }
+  return error.keyPattern && error.keyPattern.code
+    ? 'A shift with this code already exists'
+    : 'A shift with this name already exists';
+};
+
+const getShifts = async (req, res) => {
+  try {
+    const filter = facilityFilter(req);
+    if (req.query.active !== undefined) {
+      filter.isActive = req.query.active === 'true';
+    }
+
+    const shifts = await Shift.find(filter).sort({ startTime: 1, name: 1 });
+
+    res.json({
+      success: true,
+      count: shifts.length,
+      data: shifts,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+const getShift = async (req, res) => {
+  try {
+    const shift = await Shift.findOne({ ...facilityFilter(req), _id: req.params.id });
+    if (!shift) {
+      return res.status(404).json({
+        success: false,
+        error: 'Shift not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: shift,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+const createShift = async (req, res) => {
+  try {
+    const shift = await Shift.create({
+      ...pickShiftFields(req.body),
+      facility: newRecordFacility(req),
+    });
+    await recordAudit(req, { action: 'create', entityType: 'Shift', after: shift });
+
+    res.status(201).json({
+      success: true,
+      data: shift,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: duplicateMessage(error) || error.message
+    });
+  }
+};
+
+const updateShift = async (req, res) => {
+  try {
+    const shift = await Shift.findOne({ ...facilityFilter(req), _id: req.params.id });
+    if (!shift) {
+      return res.status(404).json({
+        success: false,
+        error: 'Shift not found'
+      });
+    }
+
+    const before = snapshot(shift);
+    shift.set(pickShiftFields(req.body));
+    const renamed = shift.isModified('name');
+    await shift.save();
+    await recordAudit(req, { action: 'update', entityType: 'Shift', before, after: shift });
+
+    // Staff, attendance, roster assignments and open shifts of the shift's
+    // facility keep the shift name alongside the reference; rotation patterns
+    // and availability only keep the name
+    if (renamed) {
+      const { facility } = shift;
+      const uses = { facility, shiftDefinition: shift._id };
+      await Staff.updateMany(uses, { shift: shift.name });
+      await Attendance.updateMany(uses, { shift: shift.name });
+      await RosterAssignment.updateMany(uses, { shift: shift.name });
+      await OpenShift.updateMany(uses, { shift: shift.name });
+      await RotationPattern.updateMany(
+        { facility, steps: before.name },
+        { $set: { 'steps.$[step]': shift.name } },
+        { arrayFilters: [{ step: before.name }] }
+      );
+      await StaffAvailability.updateMany(
+        { facility, preferredShifts: before.name },
+        { $set: { 'preferredShifts.$[preferred]': shift.name } },
+        { arrayFilters: [{ preferred: before.name }] }
+      );
+    }
+
+    res.json({
+      success: true,
+      data: shift,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: duplicateMessage(error) || error.message
+    });
+  }
+};
+
+const deleteShift = async (req, res) => {
+  try {
+    const shift = await Shift.findOne({ ...facilityFilter(req), _id: req.params.id });
+    if (!shift) {
+      return res.status(404).json({
+        success: false,
+        error: 'Shift not found'
+      });
+    }
+
+    const uses = { shiftDefinition: shift._id };
+    const inUse = await Staff.exists(uses)
+      || await Attendance.exists(uses)
+      || await RosterAssignment.exists(uses)
+      || await OpenShift.exists(uses)
+      || await RotationPattern.exists({ facility: shift.facility, steps: shift.name });
+    if (inUse) {
+      return res.status(400).json({
+        success: false,
+        error: 'Shift is used by staff, attendance, the roster, open shifts or rotation patterns; deactivate it instead'
+      });
+    }
+
+    await shift.deleteOne();
+    await recordAudit(req, { action: 'delete', entityType: 'Shift', before: shift });
+
+    res.json({
+      success: true,
+      data: {},
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getShifts,
+  getShift,
+  createShift,
+  updateShift,
+  deleteShift,
+};
@@ -1,98 +1,79 @@
 const Staff = require('../models/Staff');
 const Attendance = require('../models/Attendance');
+const Shift = require('../models/Shift');
+const User = require('../models/User');
+const RosterAssignment = require('../models/RosterAssignment');
+const { LIVE } = require('../models/RosterAssignment');
+const { findStaff, staffSummary, getStaffWeeklyStats } = require('../utils/staffAttendance');
+const { snapshot, recordAudit } = require('../utils/audit');
+const { checkShiftRequirements } = require('../utils/staffing');
+const { rosterFromDefaults, staffByShiftOn, findUnmarkedAttendance } = require('../utils/roster');
+const { readRotation } = require('../utils/rotation');
+const { screenAssignments } = require('../utils/workingTime');
+const { shiftConflicts } = require('../utils/availability');
+const {
+  OUT_OF_SCOPE,
+  OTHER_STAFF,
+  canAccessStaff,
+  linkedStaffOnly,
+  canReadStaff,
+  departmentFilter,
+} = require('../utils/departmentScope');
+const { isSuperAdmin, requestFacility, facilityFilter, newRecordFacility, facilityToday } = require('../utils/tenancy');
+const { INITIAL_ROSTER_DAYS } = require('../config/scheduling');
+const { ROSTER_MANAGERS } = require('../config/roles');
 
-const checkShiftRequirements = (staffByShift) => {
-  const requirements = {
-    'Doctor': 1,
-    'Nurse': 2,
-    'Technician': 1,
-  };
+// Declared availability, blackout reasons included, is only shown to those
+// who roster staff
+const isRosterManager = (req) => !!req.user && (ROSTER_MANAGERS.includes(req.user.role) || isSuperAdmin(req));
 
-  const shiftStatus = {};
-
-  for (const [shift, staffList] of Object.entries(staffByShift)) {
-    const roleCounts = {};
-    
-    // Count staff by role for this shift
-    staffList.forEach(staff => {
-      const role = staff.role;
-      roleCounts[role] = (roleCounts[role] || 0) + 1;
+// Staffing status of each shift staff are rostered on for a day, with the
+// staff whose declared availability the shift goes against when
+// `withConflicts` is set
+const coverageOn = async (staff, date, { facility, department, withConflicts }) => {
+  const staffByShift = await staffByShiftOn(staff, date, { department });
+  const shiftStatus = await checkShiftRequirements(staffByShift, { facility, department, date });
+  if (withConflicts) {
+    const conflicts = await shiftConflicts(staffByShift, date);
+    Object.keys(shiftStatus).forEach(shift => {
+      shiftStatus[shift].availabilityConflicts = conflicts[shift];
     });
-
-    // Check requirements
-    const doctorCount = roleCounts['Doctor'] || 0;
-    const nurseCount = roleCounts['Nurse'] || 0;
-    const technicianCount = roleCounts['Technician'] || roleCounts['Lab Technician'] || 0;
-
-    const isFullyStaffed = 
-      doctorCount >= requirements['Doctor'] &&
-      nurseCount >= requirements['Nurse'] &&
-      technicianCount >= requirements['Technician'];
-
-    const shortages = [];
-    const missingStaff = {};
-    
-    if (doctorCount < requirements['Doctor']) {
-      const needed = requirements['Doctor'] - doctorCount;
-      shortages.push({
-        role: 'Doctor',
-        required: requirements['Doctor'],
-        current: doctorCount,
-        needed: needed,
-      });
-      missingStaff['Doctor'] = needed;
-    }
-    if (nurseCount < requirements['Nurse']) {
-      const needed = requirements['Nurse'] - nurseCount;
-      shortages.push({
-        role: 'Nurse',
-        required: requirements['Nurse'],
-        current: nurseCount,
-        needed: needed,
-      });
-      missingStaff['Nurse'] = needed;
-    }
-    if (technicianCount < requirements['Technician']) {
-      const needed = requirements['Technician'] - technicianCount;
-      shortages.push({
-        role: 'Technician',
-        required: requirements['Technician'],
-        current: technicianCount,
-        needed: needed,
-      });
-      missingStaff['Technician'] = needed;
-    }
-
-    shiftStatus[shift] = {
-      isFullyStaffed,
-      staffCount: {
-        Doctor: doctorCount,
-        Nurse: nurseCount,
-        Technician: technicianCount,
-      },
-      requirements: {
-        Doctor: requirements['Doctor'],
-        Nurse: requirements['Nurse'],
-        Technician: requirements['Technician'],
-      },
-      shortages: shortages.length > 0 ? shortages : null,
-      missingStaff: Object.keys(missingStaff).length > 0 ? missingStaff : null,
-      message: isFullyStaffed ? 'Fully staffed' : 'Short staffed',
-    };
   }
-
   return shiftStatus;
 };
 
 const getStaffs = async (req, res) => {
   try {
-    // Build query filter
-    const filter = {};
+    // The list and its coverage are about colleagues; staff-linked users have
+    // their own record under /api/me
+    if (linkedStaffOnly(req)) {
+      return res.status(403).json({
+        success: false,
+        error: OTHER_STAFF
+      });
+    }
+
+    // Build query filter, always within the request's facility
+    const filter = facilityFilter(req);
     if (req.query.shift) {
-      filter.shift = req.query.shift;
+      filter.shift = await Shift.canonicalName(req.query.shift, { facility: requestFacility(req) });
+    }
+
+    // Managers tied to a department only ever see that department's staff
+    const { department, status, error } = await departmentFilter(req, req.query.department);
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        error
+      });
+    }
+    if (department) {
+      filter.department = department;
     }
     
-    const staff = await Staff.find(filter).select('name staffId role shift');
+    const staff = await Staff.find(filter)
+      .select('name staffId role shift department facility rotation')
+      .populate('department', 'name code facility');
     
     // If date is provided, fetch attendance for that date
     let staffWithAttendance = staff;
@@ -127,29 +108,51 @@ const getStaffs = async (req, res) => {
       });
     }
     
-    // Group staff by shift
-    const staffByShift = {};
-    staff.forEach(member => {
-      const shift = member.shift;
-      if (!staffByShift[shift]) {
-        staffByShift[shift] = [];
-      }
-      staffByShift[shift].push(member);
-    });
-
-    // Check requirements for each shift
-    const shiftStatus = checkShiftRequirements(staffByShift);
+    // Check who is rostered on each shift that day against the staffing
+    // requirement for the department and day, and against their availability
+    const facility = newRecordFacility(req);
+    const date = req.query.date ? new Date(req.query.date) : await facilityToday(facility);
+    const withConflicts = isRosterManager(req);
+    const shiftStatus = await coverageOn(staff, date, { facility, department, withConflicts });
 
-    res.json({ 
+    const response = {
       success: true, 
       count: staff.length,
       filter: { 
         shift: req.query.shift || null,
         date: req.query.date || null,
+        department: department || null,
       },
       data: staffWithAttendance,
       shiftStatus,
-    });
+    };
+
+    // Shift status of each department against its own requirements
+    if (req.query.groupBy === 'department') {
+      const staffByDepartment = {};
+      staff.forEach(member => {
+        const key = member.department ? member.department.name : 'Unassigned';
+        if (!staffByDepartment[key]) {
+          staffByDepartment[key] = { department: member.department, staff: [] };
+        }
+        staffByDepartment[key].staff.push(member);
+      });
+
+      response.departmentStatus = {};
+      for (const [name, group] of Object.entries(staffByDepartment)) {
+        response.departmentStatus[name] = {
+          department: group.department,
+          count: group.staff.length,
+          shiftStatus: await coverageOn(group.staff, date, {
+            facility: group.department ? group.department.facility : facility,
+            department: group.department ? group.department._id : null,
+            withConflicts,
+          }),
+        };
+      }
+    }
+
+    res.json(response);
   } catch (error) {
     res.status(500).json({ 
       success: false, 
@@ -160,13 +163,25 @@ const getStaffs = async (req, res) => {
 
 const getStaff = async (req, res) => {
   try {
-    const staff = await Staff.findById(req.params.id);
+    const staff = await Staff.findOne({ ...facilityFilter(req), _id: req.params.id });
     if (!staff) {
       return res.status(404).json({ 
         success: false, 
         error: 'Staff not found' 
       });
     }
+    if (!canAccessStaff(req, staff)) {
+      return res.status(403).json({
+        success: false,
+        error: OUT_OF_SCOPE
+      });
+    }
+    if (!canReadStaff(req, staff)) {
+      return res.status(403).json({
+        success: false,
+        error: OTHER_STAFF
+      });
+    }
     
     let staffData = staff.toObject();
     
@@ -204,36 +219,49 @@ const getStaff = async (req, res) => {
 
 const createStaff = async (req, res) => {
   try {
-    const { staffId, ...staffData } = req.body;
-    const staff = await Staff.create(staffData);
-    
-    // Create attendance records for upcoming 7 days if user is authenticated
-    if (req.user && req.user.id) {
-      const today = new Date();
-      today.setHours(0, 0, 0, 0);
-      
-      const attendanceRecords = [];
-      for (let i = 0; i < 7; i++) {
-        const date = new Date(today);
-        date.setDate(today.getDate() + i);
-        
-        attendanceRecords.push({
-          staffId: staff._id,
-          date: date,
-          shift: staff.shift,
-          status: 'Absent',
-          remarks: '',
-          markedBy: req.user.id,
+    const { staffId, facility, department: requestedDepartment, rotation: requestedRotation, ...staffData } = req.body;
+
+    // Defaults to the manager's own department, and cannot be another one
+    const { department, status, error } = await departmentFilter(req, requestedDepartment);
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        error
+      });
+    }
+
+    let rotation;
+    if (requestedRotation !== undefined) {
+      const read = await readRotation(requestedRotation, newRecordFacility(req));
+      if (read.error) {
+        return res.status(400).json({
+          success: false,
+          error: read.error
         });
       }
-      
-      // Insert attendance records for next 7 days
-      await Attendance.insertMany(attendanceRecords);
+      rotation = read.rotation;
+    }
+
+    const staff = await Staff.create({ ...staffData, facility: newRecordFacility(req), department, rotation });
+    await recordAudit(req, { action: 'create', entityType: 'Staff', after: staff });
+    
+    // Roster the first INITIAL_ROSTER_DAYS days from the rotation pattern or
+    // the default shift, with attendance records, if user is authenticated.
+    // Days that would break working-time rules are left off.
+    let rostered = { violations: [], warnings: [] };
+    if (req.user && req.user.id) {
+      const startDate = await facilityToday(staff.facility);
+      const endDate = new Date(startDate);
+      endDate.setDate(startDate.getDate() + INITIAL_ROSTER_DAYS - 1);
+
+      rostered = await rosterFromDefaults(req, [staff], { startDate, endDate });
     }
     
     res.status(201).json({ 
       success: true, 
-      data: staff 
+      data: staff,
+      violations: rostered.violations,
+      warnings: rostered.warnings,
     });
   } catch (error) {
     res.status(400).json({ 
@@ -245,38 +273,114 @@ const createStaff = async (req, res) => {
 
 const updateStaff = async (req, res) => {
   try {
-    const oldStaff = await Staff.findById(req.params.id);
-    if (!oldStaff) {
+    const staff = await Staff.findOne({ ...facilityFilter(req), _id: req.params.id });
+    if (!staff) {
       return res.status(404).json({ 
         success: false, 
         error: 'Staff not found' 
       });
     }
 
-    const staff = await Staff.findByIdAndUpdate(req.params.id, req.body, {
-      new: true,
-      runValidators: true,
-    });
+    if (!canAccessStaff(req, staff)) {
+      return res.status(403).json({
+        success: false,
+        error: OUT_OF_SCOPE
+      });
+    }
 
-    // If shift is being updated, update all future attendance records
-    if (req.body.shift && req.body.shift !== oldStaff.shift) {
-      const today = new Date();
-      today.setHours(0, 0, 0, 0);
+    // Saved rather than updated in place so the shift is checked against its
+    // definition. The rotation is changed through PUT /api/staff/:id/rotation.
+    const { _id, shiftDefinition, facility, rotation, department: requestedDepartment, ...updates } = req.body;
+    if (requestedDepartment !== undefined) {
+      const { department, status, error } = await departmentFilter(req, requestedDepartment);
+      if (error) {
+        return res.status(status).json({
+          success: false,
+          error
+        });
+      }
+      updates.department = department;
+    }
+    const before = snapshot(staff);
+    staff.set(updates);
+    await staff.validate();
+    const shiftChanged = staff.isModified('shift') && staff.shift !== before.shift;
+
+    // A new default shift moves the future assignments that follow it, so it
+    // is refused when they would break working-time rules with error severity
+    const today = await facilityToday(staff.facility);
+    const moved = shiftChanged
+      ? await RosterAssignment.find({
+        ...LIVE,
+        staff: staff._id,
+        date: { $gte: today },
+        source: 'default',
+      })
+      : [];
+    const { errors, warnings } = await screenAssignments(
+      moved.map(assignment => ({ staff: staff._id, date: assignment.date, shift: staff.shift, facility: assignment.facility })),
+      { exclude: moved.map(assignment => assignment._id) }
+    );
+    if (errors.length) {
+      return res.status(400).json({
+        success: false,
+        error: 'New shift breaks working-time rules on rostered days',
+        violations: errors
+      });
+    }
+
+    await staff.save();
+
+    await recordAudit(req, { action: 'update', entityType: 'Staff', before, after: staff });
+
+    // If the default shift is being updated, move future assignments that
+    // follow it, and the attendance records for them or for no assignment
+    if (shiftChanged) {
+      await RosterAssignment.updateMany(
+        { _id: { $in: moved.map(assignment => assignment._id) } },
+        {
+          shift: staff.shift,
+          shiftDefinition: staff.shiftDefinition,
+        }
+      );
+      for (const assignment of moved) {
+        await recordAudit(req, {
+          action: 'update',
+          entityType: 'RosterAssignment',
+          before: assignment,
+          after: { ...snapshot(assignment), shift: staff.shift, shiftDefinition: staff.shiftDefinition },
+        });
+      }
+
+      const futureFilter = {
+        staffId: staff._id,
+        date: { $gte: today },
+        assignment: { $in: [null, ...moved.map(assignment => assignment._id)] },
+      };
+      const future = await Attendance.find(futureFilter);
       
       await Attendance.updateMany(
+        futureFilter,
         {
-          staffId: staff._id,
-          date: { $gte: today }
-        },
-        {
-          shift: req.body.shift
+          shift: staff.shift,
+          shiftDefinition: staff.shiftDefinition,
         }
       );
+
+      for (const attendance of future) {
+        await recordAudit(req, {
+          action: 'update',
+          entityType: 'Attendance',
+          before: attendance,
+          after: { ...snapshot(attendance), shift: staff.shift, shiftDefinition: staff.shiftDefinition },
+        });
+      }
     }
 
     res.json({ 
       success: true, 
-      data: staff 
+      data: staff,
+      warnings,
     });
   } catch (error) {
     res.status(400).json({ 
@@ -288,13 +392,46 @@ const updateStaff = async (req, res) => {
 
 const deleteStaff = async (req, res) => {
   try {
-    const staff = await Staff.findByIdAndDelete(req.params.id);
+    const staff = await Staff.findOne({ ...facilityFilter(req), _id: req.params.id });
     if (!staff) {
       return res.status(404).json({ 
         success: false, 
         error: 'Staff not found' 
       });
     }
+    if (!canAccessStaff(req, staff)) {
+      return res.status(403).json({
+        success: false,
+        error: OUT_OF_SCOPE
+      });
+    }
+    await staff.deleteOne();
+    await recordAudit(req, { action: 'delete', entityType: 'Staff', before: staff });
+
+    // Their assignments go too, with the attendance pre-created for them and
+    // not marked since
+    const assignments = await RosterAssignment.find({ staff: staff._id });
+    for (const assignment of assignments) {
+      await assignment.deleteOne();
+      await recordAudit(req, { action: 'delete', entityType: 'RosterAssignment', before: assignment });
+
+      const placeholder = await findUnmarkedAttendance(assignment);
+      if (placeholder) {
+        await placeholder.deleteOne();
+        await recordAudit(req, { action: 'delete', entityType: 'Attendance', before: placeholder });
+      }
+    }
+
+    const linkedUsers = await User.find({ staff: staff._id });
+    await User.updateMany({ staff: staff._id }, { staff: null });
+    for (const user of linkedUsers) {
+      await recordAudit(req, {
+        action: 'update',
+        entityType: 'User',
+        before: user,
+        after: { ...snapshot(user), staff: null },
+      });
+    }
     res.json({ 
       success: true, 
       data: {} 
@@ -309,13 +446,7 @@ const deleteStaff = async (req, res) => {
 
 const getWeeklyStats = async (req, res) => {
   try {
-    // Support lookup by both _id and staffId
-    let staff;
-    if (req.params.staffId.match(/^[0-9a-fA-F]{24}$/)) {
-      staff = await Staff.findById(req.params.staffId);
-    } else {
-      staff = await Staff.findOne({ staffId: req.params.staffId });
-    }
+    const staff = await findStaff(req.params.staffId, facilityFilter(req));
 
     if (!staff) {
       return res.status(404).json({
@@ -323,69 +454,25 @@ const getWeeklyStats = async (req, res) => {
         error: 'Staff not found'
       });
     }
+    if (!canAccessStaff(req, staff)) {
+      return res.status(403).json({
+        success: false,
+        error: OUT_OF_SCOPE
+      });
+    }
+    if (!canReadStaff(req, staff)) {
+      return res.status(403).json({
+        success: false,
+        error: OTHER_STAFF
+      });
+    }
 
-    // Get current week (last 7 days)
-    const endDate = new Date();
-    endDate.setHours(23, 59, 59, 999);
-    
-    const startDate = new Date();
-    startDate.setDate(endDate.getDate() - 6);
-    startDate.setHours(0, 0, 0, 0);
-
-    // Fetch attendance records for the week
-    const attendanceRecords = await Attendance.find({
-      staffId: staff._id,
-      date: {
-        $gte: startDate,
-        $lte: endDate
-      }
-    }).sort({ date: 1 });
-
-    // Calculate statistics
-    const stats = {
-      totalDays: 7,
-      present: 0,
-      absent: 0,
-      leave: 0,
-      halfDay: 0,
-      notMarked: 0
-    };
-
-    attendanceRecords.forEach(record => {
-      if (record.status === 'Present') stats.present++;
-      else if (record.status === 'Absent') stats.absent++;
-      else if (record.status === 'Leave') stats.leave++;
-      else if (record.status === 'Half-Day') stats.halfDay++;
-      else if (record.status === 'Not Marked') stats.notMarked++;
-    });
-
-    // Calculate attendance rate
-    const markedDays = stats.present + stats.absent + stats.leave + stats.halfDay;
-    const attendanceRate = markedDays > 0 ? ((stats.present / markedDays) * 100).toFixed(1) : '0.0';
+    const weekly = await getStaffWeeklyStats(staff);
 
     res.json({
       success: true,
-      staff: {
-        _id: staff._id,
-        name: staff.name,
-        staffId: staff.staffId,
-        role: staff.role,
-        shift: staff.shift
-      },
-      period: {
-        startDate: startDate.toISOString().split('T')[0],
-        endDate: endDate.toISOString().split('T')[0]
-      },
-      statistics: {
-        ...stats,
-        attendanceRate: `${attendanceRate}%`
-      },
-      records: attendanceRecords.map(record => ({
-        date: record.date.toISOString().split('T')[0],
-        shift: record.shift,
-        status: record.status,
-        remarks: record.remarks
-      }))
+      staff: staffSummary(staff),
+      ...weekly,
     });
   } catch (error) {
     res.status(500).json({
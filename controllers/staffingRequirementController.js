@@ -0,0 +1,283 @@
+const mongoose = require('mongoose');
+const StaffingRequirement = require('../models/StaffingRequirement');
+const Shift = require('../models/Shift');
+const Department = require('../models/Department');
+const { findApplicableRequirement } = require('../utils/staffing');
+const { DEFAULT_MINIMUMS } = require('../config/staffing');
+const { snapshot, recordAudit } = require('../utils/audit');
+const { requestFacility, facilityFilter, newRecordFacility, facilityToday } = require('../utils/tenancy');
+
+const REQUIREMENT_FIELDS = ['description', 'daysOfWeek', 'date', 'minimums'];
+
+// Id of a shift of the request's facility given its _id, name or code;
+// undefined when it does not exist
+const findShiftId = async (req, value) => {
+  if (value === null || value === '') {
+    return null;
+  }
+  if (mongoose.isValidObjectId(value) && await Shift.exists({ ...facilityFilter(req), _id: value })) {
+    return value;
+  }
+  const shift = await Shift.resolve(value, { facility: requestFacility(req) });
+  return shift ? shift._id : undefined;
+};
+
+// Id of a department of the request's facility given its _id, name or code;
+// undefined when it does not exist
+const findDepartmentId = async (req, value) => {
+  if (value === null || value === '') {
+    return null;
+  }
+  const department = await Department.resolve(value, {
+    includeInactive: true,
+    facility: requestFacility(req),
+  });
+  return department ? department._id : undefined;
+};
+
+// Requirement fields from the request body, or an error message
+const readRequirement = async (req) => {
+  const body = req.body;
+  const fields = {};
+  REQUIREMENT_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  });
+
+  if (body.department !== undefined) {
+    const departmentId = await findDepartmentId(req, body.department);
+    if (departmentId === undefined) {
+      return { error: 'Department not found' };
+    }
+    fields.department = departmentId;
+  }
+
+  if (body.shift !== undefined) {
+    const shiftId = await findShiftId(req, body.shift);
+    if (shiftId === undefined) {
+      return { error: 'Shift not found' };
+    }
+    fields.shift = shiftId;
+  }
+
+  return { fields };
+};
+
+const getStaffingRequirements = async (req, res) => {
+  try {
+    const filter = facilityFilter(req);
+    if (req.query.department) {
+      const departmentId = await findDepartmentId(req, req.query.department);
+      if (departmentId === undefined) {
+        return res.status(400).json({
+          success: false,
+          error: 'Department not found'
+        });
+      }
+      filter.department = departmentId;
+    }
+    if (req.query.shift) {
+      const shiftId = await findShiftId(req, req.query.shift);
+      if (shiftId === undefined) {
+        return res.status(400).json({
+          success: false,
+          error: 'Shift not found'
+        });
+      }
+      filter.shift = shiftId;
+    }
+
+    const requirements = await StaffingRequirement.find(filter)
+      .populate('department', 'name code')
+      .populate('shift', 'name code startTime endTime')
+      .sort({ date: 1, department: 1, createdAt: 1 });
+
+    res.json({
+      success: true,
+      count: requirements.length,
+      data: requirements,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// Which rule applies to a department, shift and day, and the minimums it sets
+const getApplicableRequirement = async (req, res) => {
+  try {
+    const date = req.query.date ? new Date(req.query.date) : await facilityToday(newRecordFacility(req));
+    if (Number.isNaN(date.getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid date'
+      });
+    }
+
+    let shiftId = null;
+    if (req.query.shift) {
+      shiftId = await findShiftId(req, req.query.shift);
+      if (shiftId === undefined) {
+        return res.status(400).json({
+          success: false,
+          error: 'Shift not found'
+        });
+      }
+    }
+
+    let department = null;
+    if (req.query.department) {
+      department = await findDepartmentId(req, req.query.department);
+      if (department === undefined) {
+        return res.status(400).json({
+          success: false,
+          error: 'Department not found'
+        });
+      }
+    }
+
+    const rules = await StaffingRequirement.find({
+      facility: newRecordFacility(req),
+      department: { $in: [null, department] },
+    });
+    const rule = findApplicableRequirement(rules, { department, shiftId, date });
+
+    res.json({
+      success: true,
+      data: {
+        rule,
+        minimums: rule ? rule.minimums : DEFAULT_MINIMUMS,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+const getStaffingRequirement = async (req, res) => {
+  try {
+    const requirement = await StaffingRequirement.findOne({ ...facilityFilter(req), _id: req.params.id })
+      .populate('department', 'name code')
+      .populate('shift', 'name code startTime endTime');
+    if (!requirement) {
+      return res.status(404).json({
+        success: false,
+        error: 'Staffing requirement not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: requirement,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+const createStaffingRequirement = async (req, res) => {
+  try {
+    const { fields, error } = await readRequirement(req);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    const requirement = await StaffingRequirement.create({
+      ...fields,
+      facility: newRecordFacility(req),
+      createdBy: req.user.id,
+    });
+    await recordAudit(req, { action: 'create', entityType: 'StaffingRequirement', after: requirement });
+
+    res.status(201).json({
+      success: true,
+      data: requirement,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+const updateStaffingRequirement = async (req, res) => {
+  try {
+    const requirement = await StaffingRequirement.findOne({ ...facilityFilter(req), _id: req.params.id });
+    if (!requirement) {
+      return res.status(404).json({
+        success: false,
+        error: 'Staffing requirement not found'
+      });
+    }
+
+    const { fields, error } = await readRequirement(req);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    const before = snapshot(requirement);
+    requirement.set(fields);
+    await requirement.save();
+    await recordAudit(req, { action: 'update', entityType: 'StaffingRequirement', before, after: requirement });
+
+    res.json({
+      success: true,
+      data: requirement,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+const deleteStaffingRequirement = async (req, res) => {
+  try {
+    const requirement = await StaffingRequirement.findOne({ ...facilityFilter(req), _id: req.params.id });
+    if (!requirement) {
+      return res.status(404).json({
+        success: false,
+        error: 'Staffing requirement not found'
+      });
+    }
+
+    await requirement.deleteOne();
+    await recordAudit(req, { action: 'delete', entityType: 'StaffingRequirement', before: requirement });
+
+    res.json({
+      success: true,
+      data: {},
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getStaffingRequirements,
+  getApplicableRequirement,
+  getStaffingRequirement,
+  createStaffingRequirement,
+  updateStaffingRequirement,
+  deleteStaffingRequirement,
+};
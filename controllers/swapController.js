@@ -0,0 +1,544 @@
+const ShiftSwap = require('../models/ShiftSwap');
+const Staff = require('../models/Staff');
+const RosterAssignment = require('../models/RosterAssignment');
+const { LIVE } = require('../models/RosterAssignment');
+const { findStaff } = require('../utils/staffAttendance');
+const { checkShiftRequirements } = require('../utils/staffing');
+const { moveUnmarkedAttendance } = require('../utils/roster');
+const { checkAssignment } = require('../utils/workingTime');
+const { snapshot, recordAudit } = require('../utils/audit');
+const { OUT_OF_SCOPE, scopedDepartment, canAccessStaff } = require('../utils/departmentScope');
+const { isSuperAdmin, facilityFilter, facilityToday } = require('../utils/tenancy');
+const { ROSTER_MANAGERS } = require('../config/roles');
+
+const OPEN_STATUSES = ['pending', 'accepted'];
+const SWAP_POPULATE = 'name staffId role shift department';
+
+const toDateString = (date) => date.toISOString().split('T')[0];
+
+const isRosterManager = (req) => !!req.user && (ROSTER_MANAGERS.includes(req.user.role) || isSuperAdmin(req));
+
+const isParty = (req, swap, party) => !!req.user && !!req.user.staff
+  && String(req.user.staff) === String(swap[party]._id || swap[party]);
+
+// Managers see the swaps of staff they manage; everyone else only their own
+const canSeeSwap = (req, swap) => isParty(req, swap, 'requester') || isParty(req, swap, 'counterpart')
+  || (isRosterManager(req) && (canAccessStaff(req, swap.requester) || canAccessStaff(req, swap.counterpart)));
+
+const loadSwap = async (req, res) => {
+  const swap = await ShiftSwap.findOne({ ...facilityFilter(req), _id: req.params.id })
+    .populate('requester', SWAP_POPULATE)
+    .populate('counterpart', SWAP_POPULATE);
+  if (!swap || !canSeeSwap(req, swap)) {
+    res.status(404).json({
+      success: false,
+      error: 'Swap not found'
+    });
+    return null;
+  }
+  return swap;
+};
+
+// Changes a swap makes to the live roster: on each of its days every
+// assignment of one staff member passes to the other. Shifts both already
+// work that day stay as they are.
+const planSwap = async (swap) => {
+  const requesterId = String(swap.requester._id);
+  const counterpartId = String(swap.counterpart._id);
+  const assignments = await RosterAssignment.find({
+    ...LIVE,
+    staff: { $in: [swap.requester._id, swap.counterpart._id] },
+    date: { $in: swap.dates },
+  });
+
+  const slotsOf = (staffId) => new Set(assignments
+    .filter(assignment => String(assignment.staff) === staffId)
+    .map(assignment => `${assignment.date.getTime()}|${assignment.shift}`));
+  const requesterSlots = slotsOf(requesterId);
+  const counterpartSlots = slotsOf(counterpartId);
+
+  return assignments
+    .filter(assignment => {
+      const slot = `${assignment.date.getTime()}|${assignment.shift}`;
+      return !(requesterSlots.has(slot) && counterpartSlots.has(slot));
+    })
+    .map(assignment => ({
+      assignment,
+      to: String(assignment.staff) === requesterId ? swap.counterpart : swap.requester,
+    }));
+};
+
+// Role minimums the swap would newly leave unmet, or leave further short,
+// on the shifts it touches
+const coverageShortfalls = async (swap, moves) => {
+  const slots = new Map();
+  moves.forEach(({ assignment }) => {
+    const department = assignment.department ? String(assignment.department) : null;
+    slots.set(`${assignment.date.getTime()}|${assignment.shift}|${department}`, {
+      date: assignment.date,
+      shift: assignment.shift,
+      department,
+    });
+  });
+  const newStaff = new Map(moves.map(({ assignment, to }) => [String(assignment._id), to]));
+
+  const shortfalls = [];
+  for (const { date, shift, department } of slots.values()) {
+    const team = await RosterAssignment.find({ ...LIVE, facility: swap.facility, date, shift, department })
+      .populate('staff', 'role');
+    const before = team.filter(assignment => assignment.staff).map(assignment => assignment.staff);
+    const after = team
+      .filter(assignment => assignment.staff)
+      .map(assignment => newStaff.get(String(assignment._id)) || assignment.staff);
+
+    const context = { facility: swap.facility, department, date };
+    const statusBefore = (await checkShiftRequirements({ [shift]: before }, context))[shift];
+    const statusAfter = (await checkShiftRequirements({ [shift]: after }, context))[shift];
+    (statusAfter.shortages || []).forEach(shortage => {
+      const previous = (statusBefore.shortages || []).find(entry => entry.role === shortage.role);
+      if (!previous || shortage.needed > previous.needed) {
+        shortfalls.push({ date: toDateString(date), shift, department, ...shortage });
+      }
+    });
+  }
+  return shortfalls;
+};
+
+// Working-time rules each staff member would break once all the moves are
+// made, as { errors, warnings } naming the shift each one is about
+const ruleViolations = async (moves) => {
+  const moved = moves.map(({ assignment }) => assignment._id);
+  const errors = [];
+  const warnings = [];
+  for (const move of moves) {
+    const { assignment, to } = move;
+    const extra = moves
+      .filter(other => other !== move && String(other.to._id) === String(to._id))
+      .map(other => ({ date: other.assignment.date, shift: other.assignment.shift }));
+    const result = await checkAssignment({
+      staff: to._id,
+      date: assignment.date,
+      shift: assignment.shift,
+      facility: assignment.facility,
+    }, { exclude: moved, extra });
+
+    const about = { staff: to.name, date: toDateString(assignment.date), shift: assignment.shift };
+    result.errors.forEach(violation => errors.push({ ...about, ...violation }));
+    result.warnings.forEach(violation => warnings.push({ ...about, ...violation }));
+  }
+  return { errors, warnings };
+};
+
+const getSwaps = async (req, res) => {
+  try {
+    const filter = facilityFilter(req);
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+    if (req.query.staffId) {
+      const staff = await findStaff(req.query.staffId, facilityFilter(req));
+      if (!staff) {
+        return res.status(404).json({
+          success: false,
+          error: 'Staff not found'
+        });
+      }
+      filter.$or = [{ requester: staff._id }, { counterpart: staff._id }];
+    }
+
+    // Staff see their own swaps; managers tied to a department those of its staff
+    const visible = [];
+    if (req.user && req.user.staff) {
+      visible.push({ requester: req.user.staff }, { counterpart: req.user.staff });
+    }
+    if (isRosterManager(req)) {
+      const department = scopedDepartment(req);
+      if (department) {
+        const staffIds = await Staff.find({ department }).distinct('_id');
+        visible.push({ requester: { $in: staffIds } }, { counterpart: { $in: staffIds } });
+      }
+    }
+    if (!isRosterManager(req) || scopedDepartment(req)) {
+      filter.$and = [{ $or: visible.length ? visible : [{ _id: null }] }];
+    }
+
+    const swaps = await ShiftSwap.find(filter)
+      .populate('requester', SWAP_POPULATE)
+      .populate('counterpart', SWAP_POPULATE)
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: swaps.length,
+      data: swaps,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+const getSwap = async (req, res) => {
+  try {
+    const swap = await loadSwap(req, res);
+    if (!swap) return;
+
+    res.json({
+      success: true,
+      data: swap,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// Propose to trade the signed-in staff member's shifts with a colleague's
+const createSwap = async (req, res) => {
+  try {
+    const requester = req.user && req.user.staff
+      ? await Staff.findOne({ ...facilityFilter(req), _id: req.user.staff })
+      : null;
+    if (!requester) {
+      return res.status(404).json({
+        success: false,
+        error: 'No staff record is linked to this account'
+      });
+    }
+
+    const { counterpartId, dates, reason } = req.body;
+    if (!counterpartId || !Array.isArray(dates) || !dates.length) {
+      return res.status(400).json({
+        success: false,
+        error: 'Counterpart and dates are required'
+      });
+    }
+    const counterpart = await findStaff(counterpartId, { facility: requester.facility });
+    if (!counterpart) {
+      return res.status(404).json({
+        success: false,
+        error: 'Staff not found'
+      });
+    }
+    if (String(counterpart._id) === String(requester._id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Cannot swap shifts with yourself'
+      });
+    }
+
+    const days = dates.map(date => new Date(new Date(date).setHours(0, 0, 0, 0)));
+    if (days.some(day => isNaN(day))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid date'
+      });
+    }
+    const today = await facilityToday(requester.facility);
+    if (days.some(day => day < today)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Swap dates cannot be in the past'
+      });
+    }
+
+    for (const day of days) {
+      const rostered = await RosterAssignment.exists({
+        ...LIVE,
+        staff: { $in: [requester._id, counterpart._id] },
+        date: day,
+      });
+      if (!rostered) {
+        return res.status(400).json({
+          success: false,
+          error: `Neither staff member is rostered on ${toDateString(day)}`
+        });
+      }
+    }
+
+    const overlapping = await ShiftSwap.exists({
+      status: { $in: OPEN_STATUSES },
+      dates: { $in: days },
+      $or: [
+        { requester: { $in: [requester._id, counterpart._id] } },
+        { counterpart: { $in: [requester._id, counterpart._id] } },
+      ],
+    });
+    if (overlapping) {
+      return res.status(400).json({
+        success: false,
+        error: 'Another open swap already covers one of these dates'
+      });
+    }
+
+    const swap = await ShiftSwap.create({
+      requester: requester._id,
+      counterpart: counterpart._id,
+      dates: days,
+      reason,
+      facility: requester.facility,
+      createdBy: req.user.id,
+    });
+    await recordAudit(req, { action: 'create', entityType: 'ShiftSwap', after: swap });
+
+    res.status(201).json({
+      success: true,
+      data: swap,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// Move a swap on to its next status, recording the change
+const updateStatus = async (req, swap, fields) => {
+  const before = snapshot(swap);
+  swap.set(fields);
+  await swap.save();
+  await recordAudit(req, { action: 'update', entityType: 'ShiftSwap', before, after: swap });
+};
+
+// The counterpart agrees to the swap, which then waits for a manager
+const acceptSwap = async (req, res) => {
+  try {
+    const swap = await loadSwap(req, res);
+    if (!swap) return;
+    if (!isParty(req, swap, 'counterpart')) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the counterpart can accept or decline this swap'
+      });
+    }
+    if (swap.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        error: 'Swap is not waiting for the counterpart'
+      });
+    }
+
+    await updateStatus(req, swap, { status: 'accepted', acceptedAt: new Date() });
+
+    res.json({
+      success: true,
+      data: swap,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+const declineSwap = async (req, res) => {
+  try {
+    const swap = await loadSwap(req, res);
+    if (!swap) return;
+    if (!isParty(req, swap, 'counterpart')) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the counterpart can accept or decline this swap'
+      });
+    }
+    if (swap.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        error: 'Swap is not waiting for the counterpart'
+      });
+    }
+
+    await updateStatus(req, swap, { status: 'rejected' });
+
+    res.json({
+      success: true,
+      data: swap,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+const cancelSwap = async (req, res) => {
+  try {
+    const swap = await loadSwap(req, res);
+    if (!swap) return;
+    if (!isParty(req, swap, 'requester')) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the requester can cancel this swap'
+      });
+    }
+    if (!OPEN_STATUSES.includes(swap.status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Only open swaps can be cancelled'
+      });
+    }
+
+    await updateStatus(req, swap, { status: 'cancelled' });
+
+    res.json({
+      success: true,
+      data: swap,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// A manager approves an accepted swap. It is applied to the roster only if
+// no shift it touches would end up shorter of staff than before and no one
+// would break a working-time rule with error severity.
+const approveSwap = async (req, res) => {
+  try {
+    const swap = await loadSwap(req, res);
+    if (!swap) return;
+    if (!canAccessStaff(req, swap.requester) && !canAccessStaff(req, swap.counterpart)) {
+      return res.status(403).json({
+        success: false,
+        error: OUT_OF_SCOPE
+      });
+    }
+    if (swap.status !== 'accepted') {
+      return res.status(400).json({
+        success: false,
+        error: 'Only swaps the counterpart has accepted can be approved'
+      });
+    }
+    // A swap accepted in time can still sit unapproved past its dates
+    const today = await facilityToday(swap.facility);
+    if (swap.dates.some(day => day < today)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Swap dates cannot be in the past'
+      });
+    }
+
+    const moves = await planSwap(swap);
+    if (!moves.length) {
+      return res.status(400).json({
+        success: false,
+        error: 'The swap no longer changes the roster'
+      });
+    }
+    const shortfalls = await coverageShortfalls(swap, moves);
+    if (shortfalls.length) {
+      return res.status(400).json({
+        success: false,
+        error: 'Swap would leave shifts short of staff',
+        shortfalls,
+      });
+    }
+    const { errors, warnings } = await ruleViolations(moves);
+    if (errors.length) {
+      return res.status(400).json({
+        success: false,
+        error: 'Swap breaks working-time rules',
+        violations: errors,
+      });
+    }
+
+    // Claim the swap before changing the roster, so a second approval made at
+    // the same time finds it approved already instead of trading back
+    const review = {
+      status: 'approved',
+      reviewedBy: req.user.id,
+      reviewedAt: new Date(),
+      reviewNote: req.body.note,
+    };
+    const claimed = await ShiftSwap.findOneAndUpdate({ _id: swap._id, status: 'accepted' }, review);
+    if (!claimed) {
+      return res.status(400).json({
+        success: false,
+        error: 'Only swaps the counterpart has accepted can be approved'
+      });
+    }
+    const swapBefore = snapshot(swap);
+    swap.set(review);
+    await recordAudit(req, { action: 'update', entityType: 'ShiftSwap', before: swapBefore, after: swap });
+
+    for (const { assignment, to } of moves) {
+      const before = snapshot(assignment);
+      assignment.set({ staff: to._id, source: 'manual' });
+      await assignment.save();
+      await recordAudit(req, { action: 'update', entityType: 'RosterAssignment', before, after: assignment });
+
+      const change = await moveUnmarkedAttendance(assignment);
+      if (change) {
+        await recordAudit(req, { ...change, entityType: 'Attendance' });
+      }
+    }
+
+    res.json({
+      success: true,
+      count: moves.length,
+      data: swap,
+      warnings,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+const rejectSwap = async (req, res) => {
+  try {
+    const swap = await loadSwap(req, res);
+    if (!swap) return;
+    if (!canAccessStaff(req, swap.requester) && !canAccessStaff(req, swap.counterpart)) {
+      return res.status(403).json({
+        success: false,
+        error: OUT_OF_SCOPE
+      });
+    }
+    if (!OPEN_STATUSES.includes(swap.status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Only open swaps can be rejected'
+      });
+    }
+
+    await updateStatus(req, swap, {
+      status: 'rejected',
+      reviewedBy: req.user.id,
+      reviewedAt: new Date(),
+      reviewNote: req.body.note,
+    });
+
+    res.json({
+      success: true,
+      data: swap,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getSwaps,
+  getSwap,
+  createSwap,
+  acceptSwap,
+  declineSwap,
+  cancelSwap,
+  approveSwap,
+  rejectSwap,
+};
@@ -0,0 +1,230 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const { TWO_FACTOR_REQUIRED_ROLES } = require('../config/roles');
+const { generateSecret, verifyCode, buildOtpauthUrl } = require('../utils/totp');
+const { hashToken, issueTokens, revokeUserSessions, clientInfo } = require('../utils/tokens');
+const { recordAudit } = require('../utils/audit');
+
+const RECOVERY_CODE_COUNT = 10;
+
+// Plaintext codes go to the user once; only their hashes are stored
+const generateRecoveryCodes = () => {
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+  return {
+    codes,
+    hashes: codes.map(code => hashToken(code)),
+  };
+};
+
+const setupTwoFactor = async (req, res) => {
+  try {
+    if (req.user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = generateSecret();
+    await User.updateOne({ _id: req.user._id }, { twoFactorPendingSecret: secret });
+    // Secrets are redacted in the log; the placeholders only need to differ
+    await recordAudit(req, {
+      action: 'update',
+      entityType: 'User',
+      entityId: req.user._id,
+      before: { twoFactorPendingSecret: 'old' },
+      after: { twoFactorPendingSecret: 'new' },
+    });
+
+    res.json({
+      success: true,
+      data: {
+        secret,
+        otpauthUrl: buildOtpauthUrl(
+          secret,
+          req.user.userName,
+          process.env.TOTP_ISSUER || 'Health Staff Scheduler'
+        ),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+const enableTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.user._id).select('+twoFactorPendingSecret');
+    if (!user.twoFactorPendingSecret) {
+      return res.status(400).json({
+        success: false,
+        error: 'Start two-factor setup first'
+      });
+    }
+
+    const step = verifyCode(user.twoFactorPendingSecret, code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid two-factor code'
+      });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          twoFactorEnabled: true,
+          twoFactorSecret: user.twoFactorPendingSecret,
+          twoFactorLastStep: step,
+          twoFactorRecoveryCodes: hashes,
+        },
+        $unset: { twoFactorPendingSecret: 1 },
+      }
+    );
+    await recordAudit(req, {
+      action: 'update',
+      entityType: 'User',
+      entityId: user._id,
+      before: { twoFactorEnabled: false, twoFactorPendingSecret: true },
+      after: { twoFactorEnabled: true, twoFactorSecret: true, twoFactorLastStep: true, twoFactorRecoveryCodes: true },
+    });
+
+    // Existing sessions were not two-factor verified; replace them with one that is
+    await revokeUserSessions(req, user._id);
+    const tokens = await issueTokens(await User.findById(user._id), { mfa: true, client: clientInfo(req) });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+      data: {
+        recoveryCodes: codes,
+        ...tokens,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code } = req.body;
+
+    if (TWO_FACTOR_REQUIRED_ROLES.includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Two-factor authentication is required for your role',
+        code: 'TWO_FACTOR_REQUIRED_BY_ROLE',
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+password +twoFactorSecret');
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    // The code must not have been used before, e.g. to log in
+    const step = verifyCode(user.twoFactorSecret, code);
+    if (!password || !(await user.matchPassword(password)) || step === null
+      || !(await User.claimTwoFactorStep(user._id, step))) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid password or two-factor code'
+      });
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: { twoFactorEnabled: false },
+        $unset: { twoFactorSecret: 1, twoFactorLastStep: 1, twoFactorRecoveryCodes: 1 },
+      }
+    );
+    await recordAudit(req, {
+      action: 'update',
+      entityType: 'User',
+      entityId: user._id,
+      before: { twoFactorEnabled: true, twoFactorSecret: true, twoFactorLastStep: true, twoFactorRecoveryCodes: true },
+      after: { twoFactorEnabled: false },
+    });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.user._id).select('+twoFactorSecret');
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const step = verifyCode(user.twoFactorSecret, code);
+    if (step === null || !(await User.claimTwoFactorStep(user._id, step))) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid two-factor code'
+      });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await User.updateOne({ _id: user._id }, { twoFactorRecoveryCodes: hashes });
+    // Recovery codes are redacted in the log; the placeholders only need to differ
+    await recordAudit(req, {
+      action: 'update',
+      entityType: 'User',
+      entityId: user._id,
+      before: { twoFactorRecoveryCodes: 'old', twoFactorLastStep: 'old' },
+      after: { twoFactorRecoveryCodes: 'new', twoFactorLastStep: 'new' },
+    });
+
+    res.json({
+      success: true,
+      data: {
+        recoveryCodes: codes,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+};
@@ -1,15 +1,18 @@
 const User = require('../models/User');
-const jwt = require('jsonwebtoken');
+const Staff = require('../models/Staff');
+const Department = require('../models/Department');
+const Facility = require('../models/Facility');
+const { ROLES } = require('../config/roles');
+const { isSuperAdmin, facilityFilter, newRecordFacility } = require('../utils/tenancy');
+const { revokeUserSessions } = require('../utils/tokens');
+const { validatePassword, passwordPolicyError } = require('../utils/passwordPolicy');
+const { snapshot, recordAudit } = require('../utils/audit');
 
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: '30d',
-  });
-};
+const SUPER_ADMIN_ONLY = 'Only super admins can manage super admin accounts';
 
 const getUsers = async (req, res) => {
   try {
-    const users = await User.find();
+    const users = await User.find(facilityFilter(req));
     res.json({ success: true, count: users.length, data: users });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
@@ -18,7 +21,7 @@ const getUsers = async (req, res) => {
 
 const getUser = async (req, res) => {
   try {
-    const user = await User.findById(req.params.id);
+    const user = await User.findOne({ ...facilityFilter(req), _id: req.params.id });
     if (!user) {
       return res.status(404).json({ success: false, error: 'User not found' });
     }
@@ -28,33 +31,153 @@ const getUser = async (req, res) => {
   }
 };
 
+// Returns an error message when staffId cannot be linked to the given user,
+// who belongs to `facility`
+const checkStaffLink = async (staffId, userId, facility) => {
+  if (staffId === null) {
+    return null;
+  }
+  if (!String(staffId).match(/^[0-9a-fA-F]{24}$/) || !(await Staff.exists({ _id: staffId, facility }))) {
+    return 'Staff not found';
+  }
+  if (await User.exists({ staff: staffId, _id: { $ne: userId } })) {
+    return 'Staff record is already linked to another user';
+  }
+  return null;
+};
+
+// Active department _id of `facility` for a department _id, name or code;
+// null clears it, undefined means it does not exist
+const findDepartmentId = async (value, facility) => {
+  if (value === null || value === '') {
+    return null;
+  }
+  const department = await Department.resolve(value, { facility });
+  return department ? department._id : undefined;
+};
+
+// Facility _id for a facility _id, name or code; null clears it, undefined
+// means it does not exist. Only super admins move users between facilities.
+const findFacilityId = async (value) => {
+  if (value === null || value === '') {
+    return null;
+  }
+  const facility = await Facility.resolve(value);
+  return facility ? facility._id : undefined;
+};
+
+// Admin-only direct account creation; everyone else joins through an invitation
 const createUser = async (req, res) => {
   try {
-    const user = await User.create(req.body);
-    res.status(201).json({ 
-      success: true, 
-      data: {
-        _id: user._id,
-        name: user.name,
-        userName: user.userName,
-        email: user.email,
-        token: generateToken(user._id),
+    const { name, userName, email, password, role, staff } = req.body;
+
+    if (role === ROLES.SUPER_ADMIN && !isSuperAdmin(req)) {
+      return res.status(403).json({ success: false, error: SUPER_ADMIN_ONLY });
+    }
+
+    const violations = await validatePassword(password);
+    if (violations.length) {
+      return res.status(400).json(passwordPolicyError(violations));
+    }
+
+    // Admins create users in their own facility; super admins may name one
+    let facility = newRecordFacility(req);
+    if (req.body.facility !== undefined && isSuperAdmin(req)) {
+      facility = await findFacilityId(req.body.facility);
+      if (facility === undefined) {
+        return res.status(400).json({ success: false, error: 'Facility not found' });
       }
-    });
+    }
+
+    if (staff !== undefined) {
+      const linkError = await checkStaffLink(staff, undefined, facility);
+      if (linkError) {
+        return res.status(400).json({ success: false, error: linkError });
+      }
+    }
+
+    let department;
+    if (req.body.department !== undefined) {
+      department = await findDepartmentId(req.body.department, facility);
+      if (department === undefined) {
+        return res.status(400).json({ success: false, error: 'Department not found' });
+      }
+    }
+
+    const user = await User.create({ name, userName, email, password, role, staff, facility, department });
+    await recordAudit(req, { action: 'create', entityType: 'User', after: user });
+    res.status(201).json({ success: true, data: user });
   } catch (error) {
     res.status(400).json({ success: false, error: error.message });
   }
 };
 
+const UPDATABLE_FIELDS = ['name', 'userName', 'email', 'password', 'role', 'isActive', 'staff'];
+
 const updateUser = async (req, res) => {
   try {
-    const user = await User.findByIdAndUpdate(req.params.id, req.body, {
-      new: true,
-      runValidators: true,
-    });
+    const user = await User.findOne({ ...facilityFilter(req), _id: req.params.id });
     if (!user) {
       return res.status(404).json({ success: false, error: 'User not found' });
     }
+
+    if ((user.role === ROLES.SUPER_ADMIN || req.body.role === ROLES.SUPER_ADMIN) && !isSuperAdmin(req)) {
+      return res.status(403).json({ success: false, error: SUPER_ADMIN_ONLY });
+    }
+
+    let facility = user.facility;
+    if (req.body.facility !== undefined && isSuperAdmin(req)) {
+      facility = await findFacilityId(req.body.facility);
+      if (facility === undefined) {
+        return res.status(400).json({ success: false, error: 'Facility not found' });
+      }
+    }
+
+    if (req.body.password !== undefined) {
+      const violations = await validatePassword(req.body.password, user._id);
+      if (violations.length) {
+        return res.status(400).json(passwordPolicyError(violations));
+      }
+    }
+
+    if (req.body.staff !== undefined) {
+      const linkError = await checkStaffLink(req.body.staff, user._id, facility);
+      if (linkError) {
+        return res.status(400).json({ success: false, error: linkError });
+      }
+    }
+
+    let department;
+    if (req.body.department !== undefined) {
+      department = await findDepartmentId(req.body.department, facility);
+      if (department === undefined) {
+        return res.status(400).json({ success: false, error: 'Department not found' });
+      }
+    } else if (String(facility) !== String(user.facility)) {
+      // Departments belong to a facility, so moving a user clears theirs
+      department = null;
+    }
+
+    const before = snapshot(user);
+
+    // Assign through the document so a new password is hashed by the pre-save hook
+    UPDATABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        user[field] = req.body[field];
+      }
+    });
+    user.facility = facility;
+    if (department !== undefined) {
+      user.department = department;
+    }
+    await user.save();
+    await recordAudit(req, { action: 'update', entityType: 'User', before, after: user });
+
+    // Disabling an account or resetting its password signs it out everywhere
+    if (req.body.isActive === false || req.body.password !== undefined) {
+      await revokeUserSessions(req, user._id);
+    }
+
     res.json({ success: true, data: user });
   } catch (error) {
     res.status(400).json({ success: false, error: error.message });
@@ -63,20 +186,47 @@ const updateUser = async (req, res) => {
 
 const deleteUser = async (req, res) => {
   try {
-    const user = await User.findByIdAndDelete(req.params.id);
+    const user = await User.findOne({ ...facilityFilter(req), _id: req.params.id });
     if (!user) {
       return res.status(404).json({ success: false, error: 'User not found' });
     }
+    if (user.role === ROLES.SUPER_ADMIN && !isSuperAdmin(req)) {
+      return res.status(403).json({ success: false, error: SUPER_ADMIN_ONLY });
+    }
+    await user.deleteOne();
+    await revokeUserSessions(req, user._id);
+    await recordAudit(req, { action: 'delete', entityType: 'User', before: user });
     res.json({ success: true, data: {} });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 };
 
+const unlockUser = async (req, res) => {
+  try {
+    const user = await User.findOne({ ...facilityFilter(req), _id: req.params.id });
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    const before = snapshot(user);
+    user.failedLoginCount = 0;
+    user.lastFailedLoginAt = null;
+    user.lockUntil = null;
+    await user.save();
+    await recordAudit(req, { action: 'update', entityType: 'User', before, after: user });
+
+    res.json({ success: true, message: 'Account unlocked', data: user });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
 module.exports = {
   getUsers,
   getUser,
   createUser,
   updateUser,
   deleteUser,
+  unlockUser,
 };
@@ -0,0 +1,178 @@
+const WorkingTimeRule = require('../models/WorkingTimeRule');
+const { WORKING_TIME_RULES } = require('../models/WorkingTimeRule');
+const Shift = require('../models/Shift');
+const { findStaff } = require('../utils/staffAttendance');
+const { checkAssignment } = require('../utils/workingTime');
+const { recordAudit, snapshot } = require('../utils/audit');
+const { OUT_OF_SCOPE, canAccessStaff } = require('../utils/departmentScope');
+const { facilityFilter, newRecordFacility } = require('../utils/tenancy');
+const { DEFAULT_WORKING_TIME_RULES } = require('../config/scheduling');
+
+const RULE_FIELDS = ['limit', 'periodDays', 'severity', 'isActive'];
+
+// Rule named in the route, or null after responding
+const requireRule = (req, res) => {
+  if (!WORKING_TIME_RULES.includes(req.params.rule)) {
+    res.status(404).json({
+      success: false,
+      error: 'Working-time rule not found'
+    });
+    return null;
+  }
+  return req.params.rule;
+};
+
+// The rule as it now applies to the request's facility
+const effectiveRule = async (req, rule) => (await WorkingTimeRule.effectiveFor(newRecordFacility(req)))
+  .find(entry => entry.rule === rule);
+
+const getWorkingTimeRules = async (req, res) => {
+  try {
+    const rules = await WorkingTimeRule.effectiveFor(newRecordFacility(req));
+
+    res.json({
+      success: true,
+      count: rules.length,
+      data: rules,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// Set how a rule applies in the facility. Fields left out keep their current
+// value, starting from the default for a rule the facility has not set yet.
+const updateWorkingTimeRule = async (req, res) => {
+  try {
+    const rule = requireRule(req, res);
+    if (!rule) return;
+
+    const facility = newRecordFacility(req);
+    const existing = await WorkingTimeRule.findOne({ facility, rule });
+    const setting = existing || new WorkingTimeRule({
+      ...DEFAULT_WORKING_TIME_RULES.find(entry => entry.rule === rule),
+      facility,
+    });
+    const before = existing ? snapshot(existing) : null;
+    RULE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        setting[field] = req.body[field];
+      }
+    });
+    setting.updatedBy = req.user.id;
+    await setting.save();
+    await recordAudit(req, {
+      action: existing ? 'update' : 'create',
+      entityType: 'WorkingTimeRule',
+      before,
+      after: setting,
+    });
+
+    res.json({
+      success: true,
+      data: await effectiveRule(req, rule),
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// Drop the facility's own setting of a rule so the default applies again
+const resetWorkingTimeRule = async (req, res) => {
+  try {
+    const rule = requireRule(req, res);
+    if (!rule) return;
+
+    const setting = await WorkingTimeRule.findOne({ facility: newRecordFacility(req), rule });
+    if (setting) {
+      await setting.deleteOne();
+      await recordAudit(req, { action: 'delete', entityType: 'WorkingTimeRule', before: setting });
+    }
+
+    res.json({
+      success: true,
+      data: await effectiveRule(req, rule),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// Which rules putting a staff member on a shift would break on the live
+// roster, without changing anything
+const checkWorkingTime = async (req, res) => {
+  try {
+    const { staffId, date } = req.body;
+    if (!staffId || !date) {
+      return res.status(400).json({
+        success: false,
+        error: 'Staff ID and date are required'
+      });
+    }
+    const day = new Date(date);
+    if (isNaN(day)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid date'
+      });
+    }
+    day.setHours(0, 0, 0, 0);
+
+    const staff = await findStaff(staffId, facilityFilter(req));
+    if (!staff) {
+      return res.status(404).json({
+        success: false,
+        error: 'Staff not found'
+      });
+    }
+    if (!canAccessStaff(req, staff)) {
+      return res.status(403).json({
+        success: false,
+        error: OUT_OF_SCOPE
+      });
+    }
+
+    const shift = req.body.shift
+      ? await Shift.canonicalName(req.body.shift, { facility: staff.facility || null })
+      : staff.shift;
+    const { errors, warnings } = await checkAssignment({
+      staff: staff._id,
+      date: day,
+      shift,
+      facility: staff.facility,
+    });
+
+    res.json({
+      success: true,
+      data: {
+        staff: staff._id,
+        date: day,
+        shift,
+        allowed: !errors.length,
+        errors,
+        warnings,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getWorkingTimeRules,
+  updateWorkingTimeRule,
+  resetWorkingTimeRule,
+  checkWorkingTime,
+};
@@ -6,10 +6,12 @@ module.exports = {
     'models/**/*.js',
     'middleware/**/*.js',
     'routes/**/*.js',
+    'utils/**/*.js',
     '!**/node_modules/**',
     '!**/coverage/**',
     '!seedUsers.js',
     '!seedStaff.js',
+    '!migrateShifts.js',
   ],
   coverageThreshold: {
     global: {
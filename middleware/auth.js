@@ -1,9 +1,77 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const ApiKey = require('../models/ApiKey');
+const Facility = require('../models/Facility');
+const { ROLES, TWO_FACTOR_REQUIRED_ROLES } = require('../config/roles');
+const { API_KEY_HEADER } = require('../config/apiKeys');
+const { hashToken, touchSession } = require('../utils/tokens');
+const { isPasswordExpired } = require('../utils/passwordPolicy');
+const { FACILITY_HEADER } = require('../utils/tenancy');
+
+// Let machine clients call the next matching route with an API key holding `scope`.
+// Must be registered before protect; routes without it reject API keys.
+const allowApiKey = (scope) => {
+  return (req, res, next) => {
+    req.apiKeyScope = scope;
+    next();
+  };
+};
+
+// Keep the next matching route usable after the user's password has expired,
+// so they can still see who they are and change it. Must be registered before protect.
+const allowExpiredPassword = (req, res, next) => {
+  req.allowExpiredPassword = true;
+  next();
+};
+
+const authenticateApiKey = async (req, res, next) => {
+  try {
+    if (!req.apiKeyScope) {
+      return res.status(401).json({
+        success: false,
+        error: 'Not authorized, API keys are not accepted for this route'
+      });
+    }
+
+    const apiKey = await ApiKey.findOne({ keyHash: hashToken(req.headers[API_KEY_HEADER]) });
+    if (!apiKey || apiKey.status !== 'active') {
+      return res.status(401).json({
+        success: false,
+        error: 'Not authorized, invalid API key'
+      });
+    }
+
+    if (!apiKey.scopes.includes(req.apiKeyScope)) {
+      return res.status(403).json({
+        success: false,
+        error: `API key is missing the '${req.apiKeyScope}' scope`
+      });
+    }
+
+    apiKey.lastUsedAt = Date.now();
+    await ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: apiKey.lastUsedAt });
+
+    req.user = null;
+    req.apiKey = apiKey;
+    req.auth = { sessionId: null, mfa: false };
+
+    next();
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      error: 'Not authorized, invalid API key'
+    });
+  }
+};
 
 const protect = async (req, res, next) => {
   let token;
 
+  if (!req.headers.authorization && req.headers[API_KEY_HEADER]) {
+    return authenticateApiKey(req, res, next);
+  }
+
   // Check if token exists in headers
   if (
     req.headers.authorization &&
@@ -16,6 +84,14 @@ const protect = async (req, res, next) => {
       // Verify token
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+      // Two-factor challenge tokens only work against /api/auth/2fa/verify
+      if (decoded.purpose) {
+        return res.status(401).json({
+          success: false,
+          error: 'Not authorized, token failed'
+        });
+      }
+
       // Get user from token
       req.user = await User.findById(decoded.id).select('-password');
 
@@ -26,6 +102,59 @@ const protect = async (req, res, next) => {
         });
       }
 
+      if (req.user.isActive === false) {
+        return res.status(401).json({
+          success: false,
+          error: 'Not authorized, account disabled'
+        });
+      }
+
+      // Reject tokens issued before the user's sessions were revoked
+      if ((decoded.tv || 0) !== req.user.tokenVersion) {
+        return res.status(401).json({
+          success: false,
+          error: 'Not authorized, token revoked'
+        });
+      }
+
+      // Reject tokens whose session was logged out
+      if (decoded.sid) {
+        const activeSession = await RefreshToken.findOne({
+          family: decoded.sid,
+          revokedAt: null,
+        }).select('lastSeenAt');
+        if (!activeSession) {
+          return res.status(401).json({
+            success: false,
+            error: 'Not authorized, token revoked'
+          });
+        }
+        await touchSession(activeSession);
+      }
+
+      if (!req.allowExpiredPassword && isPasswordExpired(req.user)) {
+        return res.status(403).json({
+          success: false,
+          error: 'Your password has expired, please change it',
+          code: 'PASSWORD_EXPIRED',
+        });
+      }
+
+      // Super admins pick the facility they work in with a header
+      const facilityId = req.headers[FACILITY_HEADER];
+      if (facilityId && req.user.role === ROLES.SUPER_ADMIN
+        && !(/^[0-9a-fA-F]{24}$/.test(facilityId) && await Facility.exists({ _id: facilityId }))) {
+        return res.status(400).json({
+          success: false,
+          error: 'Facility not found'
+        });
+      }
+
+      req.auth = {
+        sessionId: decoded.sid || null,
+        mfa: decoded.mfa === true,
+      };
+
       next();
     } catch (error) {
       return res.status(401).json({ 
@@ -43,4 +172,44 @@ const protect = async (req, res, next) => {
   }
 };
 
-module.exports = { protect };
+// Restrict a route to the given roles; must run after protect. Super admins
+// pass wherever admins do. Roles listed in TWO_FACTOR_REQUIRED_ROLES must
+// also hold a two-factor session.
+const authorize = (...roles) => {
+  return (req, res, next) => {
+    // API keys carry no role; protect already checked the route's scope
+    if (req.apiKey) {
+      return next();
+    }
+
+    const allowed = req.user && (roles.includes(req.user.role)
+      || (req.user.role === ROLES.SUPER_ADMIN && roles.includes(ROLES.ADMIN)));
+    if (!allowed) {
+      return res.status(403).json({
+        success: false,
+        error: `User role '${req.user ? req.user.role : 'unknown'}' is not authorized to access this route`,
+      });
+    }
+
+    if (TWO_FACTOR_REQUIRED_ROLES.includes(req.user.role)) {
+      if (!req.user.twoFactorEnabled) {
+        return res.status(403).json({
+          success: false,
+          error: 'Two-factor authentication must be enabled for your role',
+          code: 'TWO_FACTOR_SETUP_REQUIRED',
+        });
+      }
+      if (!req.auth || !req.auth.mfa) {
+        return res.status(403).json({
+          success: false,
+          error: 'Sign in with two-factor authentication to access this route',
+          code: 'TWO_FACTOR_REQUIRED',
+        });
+      }
+    }
+
+    next();
+  };
+};
+
+module.exports = { protect, authorize, allowApiKey, allowExpiredPassword };
@@ -0,0 +1,41 @@
+// Creates shift definitions from the free-form shift names already stored on
+// staff and attendance, and links those records to them.
+//
+//   npm run migrate:shifts             apply the migration
+//   npm run migrate:shifts -- --dry-run  report what would change
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { migrateShifts } = require('./utils/shiftMigration');
+
+const run = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const report = await migrateShifts({ dryRun });
+
+  console.log(dryRun ? 'Dry run, nothing was changed' : 'Shift migration complete');
+  console.log('Shift definitions created:', report.created.length ? report.created.join(', ') : 'none');
+  Object.entries(report.mapped).forEach(([value, name]) => {
+    console.log(`  '${value}' -> ${name}`);
+  });
+  if (!dryRun) {
+    console.log('Staff updated:', report.staffUpdated);
+    console.log('Attendance updated:', report.attendanceUpdated);
+  }
+  if (report.attendanceConflicts.length) {
+    console.log('Attendance left unchanged because another record already has that staff, date and shift:');
+    report.attendanceConflicts.forEach(id => console.log(`  ${id}`));
+  }
+  if (report.unmapped.length) {
+    console.log('No times known for these values; add them under /api/shifts and run again:');
+    report.unmapped.forEach(value => console.log(`  '${value}'`));
+  }
+
+  await mongoose.disconnect();
+};
+
+run().catch(async (error) => {
+  console.error('Shift migration failed:', error.message);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+const { API_KEY_SCOPE_VALUES } = require('../config/apiKeys');
+
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please add a name'],
+    trim: true,
+  },
+  // First characters of the key, shown in listings so a key can be recognised
+  prefix: {
+    type: String,
+    required: true,
+  },
+  // SHA-256 of the key; the raw key is only returned when it is created
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false,
+  },
+  scopes: {
+    type: [{ type: String, enum: API_KEY_SCOPE_VALUES }],
+    validate: {
+      validator: scopes => scopes.length > 0,
+      message: 'Please add at least one scope',
+    },
+  },
+  expiresAt: {
+    type: Date,
+    default: null,
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  // The key only reaches records of this facility, that of the admin who created it
+  facility: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Facility',
+    default: null,
+  },
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      delete ret.keyHash;
+      return ret;
+    },
+  },
+});
+
+apiKeySchema.virtual('status').get(function () {
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt && this.expiresAt < new Date()) return 'expired';
+  return 'active';
+});
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const Shift = require('./Shift');
+const AttendanceRevision = require('./AttendanceRevision');
 
 const attendanceSchema = new mongoose.Schema({
   staffId: {
@@ -15,6 +17,12 @@ const attendanceSchema = new mongoose.Schema({
     required: [true, 'Shift is required'],
     trim: true,
   },
+  // Shift definition behind `shift`; null for values that predate shift definitions
+  shiftDefinition: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shift',
+    default: null,
+  },
   status: {
     type: String,
     required: [true, 'Status is required'],
@@ -30,14 +38,94 @@ const attendanceSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
   },
+  // Set instead of markedBy when a machine client marked the record
+  markedByApiKey: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey',
+  },
   markedAt: {
     type: Date,
     default: Date.now,
   },
+  // Copied from the staff member when the record is created
+  facility: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Facility',
+    default: null,
+  },
+  // Roster assignment the record was pre-created for, if any
+  assignment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RosterAssignment',
+    default: null,
+  },
+  // Number of the latest revision in AttendanceRevision
+  revision: {
+    type: Number,
+    default: 1,
+  },
 }, {
   timestamps: true,
 });
 
 attendanceSchema.index({ staffId: 1, date: 1, shift: 1 }, { unique: true });
+attendanceSchema.index({ facility: 1, date: -1 });
+
+attendanceSchema.pre('validate', async function () {
+  if (this.isNew && !this.facility && this.staffId) {
+    const staff = await mongoose.model('Staff').findById(this.staffId).select('facility');
+    this.facility = staff ? staff.facility : null;
+  }
+  if (this.isModified('shift')) {
+    await Shift.assignTo(this);
+  }
+});
+
+const REVISION_FIELDS = ['status', 'remarks', 'markedBy', 'markedByApiKey', 'markedAt'];
+
+const toRevision = (attendance, revertedFrom = null) => ({
+  attendance: attendance._id,
+  revision: attendance.revision,
+  status: attendance.status,
+  remarks: attendance.remarks,
+  markedBy: attendance.markedBy,
+  markedByApiKey: attendance.markedByApiKey,
+  markedAt: attendance.markedAt,
+  revertedFrom,
+});
+
+// Every save that changes what was marked becomes a new revision
+attendanceSchema.pre('save', async function () {
+  if (this.isNew) {
+    this.$locals.recordRevision = true;
+  } else if (REVISION_FIELDS.some(field => this.isModified(field))) {
+    const current = this.revision || 1;
+    // Records marked before revisions were kept have none stored; keep the
+    // version about to be replaced so it can still be viewed and reverted to
+    if (!(await AttendanceRevision.exists({ attendance: this._id, revision: current }))) {
+      const stored = await this.constructor.findById(this._id).lean();
+      if (stored) {
+        await AttendanceRevision.create(toRevision({ ...stored, revision: current }));
+      }
+    }
+    this.revision = current + 1;
+    this.$locals.recordRevision = true;
+  }
+});
+
+attendanceSchema.post('save', async function () {
+  if (!this.$locals.recordRevision) {
+    return;
+  }
+  const revertedFrom = this.$locals.revertedFrom || null;
+  delete this.$locals.recordRevision;
+  delete this.$locals.revertedFrom;
+  await AttendanceRevision.create(toRevision(this, revertedFrom));
+});
+
+// insertMany skips the save hooks
+attendanceSchema.post('insertMany', async function (docs) {
+  await AttendanceRevision.insertMany(docs.map(doc => toRevision(doc)));
+});
 
 module.exports = mongoose.model('Attendance', attendanceSchema);
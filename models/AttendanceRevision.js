@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// One immutable snapshot per saved version of an attendance record
+const attendanceRevisionSchema = new mongoose.Schema({
+  attendance: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Attendance',
+    required: [true, 'Attendance record is required'],
+  },
+  revision: {
+    type: Number,
+    required: [true, 'Revision number is required'],
+  },
+  status: {
+    type: String,
+    required: [true, 'Status is required'],
+  },
+  remarks: {
+    type: String,
+  },
+  markedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  markedByApiKey: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey',
+  },
+  markedAt: {
+    type: Date,
+  },
+  // Set when this revision was created by reverting to an earlier one
+  revertedFrom: {
+    type: Number,
+    default: null,
+  },
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+});
+
+attendanceRevisionSchema.index({ attendance: 1, revision: 1 }, { unique: true });
+
+module.exports = mongoose.model('AttendanceRevision', attendanceRevisionSchema);
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+const AUDIT_ACTIONS = ['create', 'update', 'delete'];
+const AUDIT_ENTITY_TYPES = ['Staff', 'Attendance', 'User', 'Shift', 'StaffingRequirement', 'Role', 'Department', 'Facility', 'RosterAssignment', 'SchedulePeriod', 'ShiftSwap', 'OpenShift', 'StaffAvailability', 'WorkingTimeRule', 'RotationPattern'];
+
+const auditLogSchema = new mongoose.Schema({
+  // User who made the change; null for machine clients and system changes
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  actorApiKey: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey',
+    default: null,
+  },
+  action: {
+    type: String,
+    enum: AUDIT_ACTIONS,
+    required: [true, 'Action is required'],
+  },
+  entityType: {
+    type: String,
+    enum: AUDIT_ENTITY_TYPES,
+    required: [true, 'Entity type is required'],
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Entity ID is required'],
+  },
+  // Changed fields only for updates; the whole record for creates and deletes
+  before: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+  ip: {
+    type: String,
+    default: null,
+  },
+  // Facility of the changed record, so each facility only sees its own history
+  facility: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Facility',
+    default: null,
+  },
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+});
+
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ facility: 1, createdAt: -1 });
+
+// Append-only: entries can be inserted and read, never changed or removed
+const rejectChange = function () {
+  throw new Error('Audit log entries cannot be modified');
+};
+
+auditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+    'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  rejectChange
+);
+auditLogSchema.pre(['updateOne', 'deleteOne'], { document: true, query: false }, rejectChange);
+auditLogSchema.pre('save', function () {
+  if (!this.isNew) {
+    rejectChange();
+  }
+});
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
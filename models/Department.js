@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// Department names are matched case-insensitively
+const CASE_INSENSITIVE = { locale: 'en', strength: 2 };
+
+// A department or ward staff belong to, e.g. Emergency or Pediatrics
+const departmentSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please add a department name'],
+    trim: true,
+    maxlength: [100, 'Department name cannot exceed 100 characters'],
+  },
+  code: {
+    type: String,
+    required: [true, 'Please add a department code'],
+    trim: true,
+    uppercase: true,
+    maxlength: [10, 'Department code cannot exceed 10 characters'],
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters'],
+  },
+  facility: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Facility',
+    default: null,
+  },
+  // Inactive departments keep their staff but cannot take new ones
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+}, {
+  timestamps: true,
+});
+
+// Names and codes only need to be unique within a facility
+departmentSchema.index({ facility: 1, name: 1 }, { unique: true, collation: CASE_INSENSITIVE });
+departmentSchema.index({ facility: 1, code: 1 }, { unique: true });
+
+// Department matching an _id, name (any case) or code, or null. Only active
+// departments match unless includeInactive is set, and only those of
+// `facility` when one is given (null for departments without a facility).
+departmentSchema.statics.resolve = async function (value, { includeInactive = false, facility } = {}) {
+  const trimmed = value === null || value === undefined ? '' : String(value).trim();
+  if (!trimmed) {
+    return null;
+  }
+  const conditions = [{ name: trimmed }, { code: trimmed.toUpperCase() }];
+  if (/^[0-9a-fA-F]{24}$/.test(trimmed)) {
+    conditions.push({ _id: trimmed });
+  }
+  const filter = { $or: conditions };
+  if (!includeInactive) {
+    filter.isActive = true;
+  }
+  if (facility !== undefined) {
+    filter.facility = facility;
+  }
+  return this.findOne(filter).collation(CASE_INSENSITIVE);
+};
+
+module.exports = mongoose.model('Department', departmentSchema);
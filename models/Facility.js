@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// Facility names are matched case-insensitively
+const CASE_INSENSITIVE = { locale: 'en', strength: 2 };
+
+// Whether Intl knows the IANA time zone, e.g. Europe/Berlin
+const isTimeZone = (value) => {
+  try {
+    new Intl.DateTimeFormat('en', { timeZone: value });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// One site of the hospital group. Users, staff, attendance, departments and
+// staffing requirements each belong to a facility and are never shown outside it.
+const facilitySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please add a facility name'],
+    trim: true,
+    maxlength: [100, 'Facility name cannot exceed 100 characters'],
+  },
+  code: {
+    type: String,
+    required: [true, 'Please add a facility code'],
+    trim: true,
+    uppercase: true,
+    maxlength: [10, 'Facility code cannot exceed 10 characters'],
+  },
+  timezone: {
+    type: String,
+    trim: true,
+    default: 'UTC',
+    validate: {
+      validator: isTimeZone,
+      message: props => `'${props.value}' is not a valid time zone`,
+    },
+  },
+  address: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Address cannot exceed 200 characters'],
+  },
+}, {
+  timestamps: true,
+});
+
+facilitySchema.index({ name: 1 }, { unique: true, collation: CASE_INSENSITIVE });
+facilitySchema.index({ code: 1 }, { unique: true });
+
+// Facility matching an _id, name (any case) or code, or null
+facilitySchema.statics.resolve = async function (value) {
+  const trimmed = value === null || value === undefined ? '' : String(value).trim();
+  if (!trimmed) {
+    return null;
+  }
+  const conditions = [{ name: trimmed }, { code: trimmed.toUpperCase() }];
+  if (/^[0-9a-fA-F]{24}$/.test(trimmed)) {
+    conditions.push({ _id: trimmed });
+  }
+  return this.findOne({ $or: conditions }).collation(CASE_INSENSITIVE);
+};
+
+module.exports = mongoose.model('Facility', facilitySchema);
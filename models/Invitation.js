@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+const { ROLES, ROLE_VALUES } = require('../config/roles');
+
+const invitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, 'Please add an email'],
+    lowercase: true,
+    trim: true,
+  },
+  role: {
+    type: String,
+    enum: ROLE_VALUES,
+    default: ROLES.VIEWER,
+  },
+  // SHA-256 of the invite token; the raw token is only sent to the invitee
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false,
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry is required'],
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  // Facility the invitee joins
+  facility: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Facility',
+    default: null,
+  },
+  acceptedAt: {
+    type: Date,
+    default: null,
+  },
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      delete ret.tokenHash;
+      return ret;
+    },
+  },
+});
+
+invitationSchema.virtual('status').get(function () {
+  if (this.acceptedAt) return 'accepted';
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt < new Date()) return 'expired';
+  return 'pending';
+});
+
+invitationSchema.index({ email: 1, acceptedAt: 1, revokedAt: 1 });
+
+module.exports = mongoose.model('Invitation', invitationSchema);
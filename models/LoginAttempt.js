@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// Failed login counter per client IP; documents expire once the window has passed
+const loginAttemptSchema = new mongoose.Schema({
+  ip: {
+    type: String,
+    required: [true, 'IP is required'],
+    unique: true,
+  },
+  failedCount: {
+    type: Number,
+    default: 0,
+  },
+  lastFailedAt: {
+    type: Date,
+  },
+  lockedUntil: {
+    type: Date,
+    default: null,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+const Shift = require('./Shift');
+
+// open: waiting for claims to be confirmed
+// filled: every slot has a confirmed claim
+// cancelled: withdrawn by a manager
+const OPEN_SHIFT_STATUSES = ['open', 'filled', 'cancelled'];
+
+// pending: waiting for a manager
+// confirmed: the claimant was rostered on the shift
+// rejected: turned down by a manager, or automatically for breaking a
+// working-time limit
+const CLAIM_STATUSES = ['pending', 'confirmed', 'rejected'];
+
+const claimSchema = new mongoose.Schema({
+  staff: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff',
+    required: [true, 'Staff is required'],
+  },
+  status: {
+    type: String,
+    enum: CLAIM_STATUSES,
+    default: 'pending',
+  },
+  // Why the claim was rejected
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Reason cannot exceed 200 characters'],
+  },
+  claimedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // Manager who confirmed or rejected the claim; null when rejected automatically
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  reviewedAt: {
+    type: Date,
+    default: null,
+  },
+});
+
+// Staff of a role still needed on a shift, posted for eligible staff to claim
+const openShiftSchema = new mongoose.Schema({
+  date: {
+    type: Date,
+    required: [true, 'Date is required'],
+  },
+  shift: {
+    type: String,
+    required: [true, 'Shift is required'],
+    trim: true,
+  },
+  shiftDefinition: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shift',
+    default: null,
+  },
+  // Staff role needed; staff whose role counts as it may claim
+  role: {
+    type: String,
+    required: [true, 'Role is required'],
+    trim: true,
+  },
+  // Ward the shift is worked in; null for the whole facility
+  department: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Department',
+    default: null,
+  },
+  facility: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Facility',
+    default: null,
+  },
+  // Number of staff needed
+  slots: {
+    type: Number,
+    required: [true, 'Slots are required'],
+    min: [1, 'An open shift needs at least one slot'],
+  },
+  status: {
+    type: String,
+    enum: OPEN_SHIFT_STATUSES,
+    default: 'open',
+  },
+  claims: [claimSchema],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true },
+});
+
+openShiftSchema.index({ facility: 1, status: 1, date: 1 });
+openShiftSchema.index({ 'claims.staff': 1 });
+
+// Claims that have been confirmed
+openShiftSchema.virtual('filledSlots').get(function () {
+  return (this.claims || []).filter(claim => claim.status === 'confirmed').length;
+});
+
+openShiftSchema.pre('validate', async function () {
+  if (this.date) {
+    this.date = new Date(new Date(this.date).setHours(0, 0, 0, 0));
+  }
+  if (this.isModified('shift')) {
+    await Shift.assignTo(this);
+  }
+});
+
+module.exports = mongoose.model('OpenShift', openShiftSchema);
+module.exports.OPEN_SHIFT_STATUSES = OPEN_SHIFT_STATUSES;
+module.exports.CLAIM_STATUSES = CLAIM_STATUSES;
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required'],
+  },
+  // SHA-256 of the token handed to the client; the raw value is never stored
+  tokenHash: {
+    type: String,
+    required: [true, 'Token hash is required'],
+    unique: true,
+  },
+  // All tokens rotated from the same login share a family
+  family: {
+    type: String,
+    required: [true, 'Token family is required'],
+    index: true,
+  },
+  // Whether the session passed two-factor authentication
+  mfa: {
+    type: Boolean,
+    default: false,
+  },
+  // Session details, carried over on every rotation
+  userAgent: {
+    type: String,
+    default: null,
+  },
+  ip: {
+    type: String,
+    default: null,
+  },
+  sessionStartedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry is required'],
+  },
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+  replacedByHash: {
+    type: String,
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+refreshTokenSchema.index({ user: 1, revokedAt: 1 });
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
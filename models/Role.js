@@ -0,0 +1,134 @@
+const mongoose = require('mongoose');
+const { ROLE_ALIASES, BUILT_IN_ROLES } = require('../config/staffing');
+
+// Role names are matched case-insensitively, so "nurse" is the Nurse role
+const CASE_INSENSITIVE = { locale: 'en', strength: 2 };
+
+// Catalogue of staff roles (Doctor, Nurse, ...). Not to be confused with the
+// user access roles in config/roles.js.
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please add a role name'],
+    trim: true,
+    maxlength: [50, 'Role name cannot exceed 50 characters'],
+  },
+  code: {
+    type: String,
+    required: [true, 'Please add a role code'],
+    trim: true,
+    uppercase: true,
+    maxlength: [10, 'Role code cannot exceed 10 characters'],
+  },
+  // Generated staffIds are this prefix and a number, e.g. D001
+  staffIdPrefix: {
+    type: String,
+    required: [true, 'Please add a staffId prefix'],
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z]{1,3}$/, 'StaffId prefix must be 1 to 3 letters'],
+  },
+  // Staffing requirement role this one counts towards, e.g. Senior Nurse
+  // counts as Nurse; null when it only counts as itself
+  countsAs: {
+    type: String,
+    trim: true,
+    default: null,
+  },
+  facility: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Facility',
+    default: null,
+  },
+  // Inactive roles stay on existing staff but cannot be newly assigned
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+}, {
+  timestamps: true,
+});
+
+// Each facility keeps its own catalogue, so names and codes only need to be
+// unique within one
+roleSchema.index({ facility: 1, name: 1 }, { unique: true, collation: CASE_INSENSITIVE });
+roleSchema.index({ facility: 1, code: 1 }, { unique: true });
+
+// countsAs must name another role of the facility that counts only as itself
+roleSchema.pre('validate', async function () {
+  const facility = this.facility || null;
+  if (!this.countsAs || (this.name && this.countsAs.toLowerCase() === this.name.toLowerCase())) {
+    this.countsAs = null;
+    return;
+  }
+
+  const target = await this.constructor.resolve(this.countsAs, { includeInactive: true, facility });
+  if (!target) {
+    this.invalidate('countsAs', `Unknown role '${this.countsAs}'`);
+    return;
+  }
+  if (target.countsAs) {
+    this.invalidate('countsAs', `'${target.name}' already counts as ${target.countsAs}`);
+    return;
+  }
+  this.countsAs = target.name;
+
+  if (!this.isNew && await this.constructor.exists({ facility, countsAs: this.name })) {
+    this.invalidate('countsAs', 'Other roles count as this role, so it cannot count as another');
+  }
+});
+
+// Role matching a name (any case) or code, or null. Only active roles match
+// unless includeInactive is set, and only those of `facility` when one is
+// given (null for roles without a facility).
+roleSchema.statics.resolve = async function (value, { includeInactive = false, facility } = {}) {
+  if (typeof value !== 'string' || !value.trim()) {
+    return null;
+  }
+  const trimmed = value.trim();
+  const filter = { $or: [{ name: trimmed }, { code: trimmed.toUpperCase() }] };
+  if (!includeInactive) {
+    filter.isActive = true;
+  }
+  if (facility !== undefined) {
+    filter.facility = facility;
+  }
+  return this.findOne(filter).collation(CASE_INSENSITIVE);
+};
+
+// Built-in role matching a name in any case, or undefined
+const builtInRole = (value) => BUILT_IN_ROLES
+  .find(role => role.name.toLowerCase() === String(value).trim().toLowerCase());
+
+// Store the catalogue name of a staff document's role, from the catalogue of
+// the document's facility. Until the facility defines any role, only the
+// built-in roles are accepted.
+roleSchema.statics.assignTo = async function (doc) {
+  if (!doc.role) {
+    return;
+  }
+
+  const facility = doc.facility || null;
+  const definition = await this.resolve(doc.role, { facility });
+  const builtIn = !definition && !(await this.exists({ facility })) && builtInRole(doc.role);
+  if (definition || builtIn) {
+    doc.role = (definition || builtIn).name;
+  } else {
+    doc.invalidate('role', `Unknown or inactive role '${doc.role}'`);
+  }
+};
+
+// Role name -> the requirement role it counts as, for every role of the
+// facility that counts as another. Catalogue entries take precedence over
+// the built-in aliases.
+roleSchema.statics.aliasMap = async function (facility = null) {
+  const aliases = { ...ROLE_ALIASES };
+  const roles = await this.find({ facility, countsAs: { $ne: null } }).select('name countsAs');
+  roles.forEach(role => {
+    aliases[role.name] = role.countsAs;
+  });
+  return aliases;
+};
+
+module.exports = mongoose.model('Role', roleSchema);
+module.exports.builtInRole = builtInRole;
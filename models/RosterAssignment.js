@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+const Shift = require('./Shift');
+const Department = require('./Department');
+const { SCHEDULE_STATUSES } = require('./SchedulePeriod');
+
+// Assignments made from a staff member's default shift follow it when it
+// changes, and those made from their rotation pattern follow the rotation;
+// those planned by hand or by the generator stay where they were put.
+const ASSIGNMENT_SOURCES = ['default', 'rotation', 'manual', 'generated'];
+
+// Assignments on the live roster: published ones, including those made
+// before schedule periods existed
+const LIVE = { status: { $nin: ['draft', 'archived'] } };
+
+// One staff member working one shift on one day, in a department (ward)
+const rosterAssignmentSchema = new mongoose.Schema({
+  staff: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff',
+    required: [true, 'Staff is required'],
+  },
+  date: {
+    type: Date,
+    required: [true, 'Date is required'],
+  },
+  shift: {
+    type: String,
+    required: [true, 'Shift is required'],
+    trim: true,
+  },
+  shiftDefinition: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shift',
+    default: null,
+  },
+  department: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Department',
+    default: null,
+  },
+  // Copied from the staff member when the assignment is created
+  facility: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Facility',
+    default: null,
+  },
+  // Schedule period the assignment belongs to; null for assignments made
+  // straight on the live roster
+  period: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SchedulePeriod',
+    default: null,
+  },
+  // Follows the status of the period
+  status: {
+    type: String,
+    enum: SCHEDULE_STATUSES,
+    default: 'published',
+  },
+  source: {
+    type: String,
+    enum: ASSIGNMENT_SOURCES,
+    default: 'manual',
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Notes cannot exceed 200 characters'],
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+// Each version of a period holds its own copy of the roster, while the live
+// roster, whichever period its assignments came from, has one of each
+rosterAssignmentSchema.index({ period: 1, staff: 1, date: 1, shift: 1 }, { unique: true });
+rosterAssignmentSchema.index({ staff: 1, date: 1, shift: 1 }, {
+  unique: true,
+  partialFilterExpression: { status: 'published' },
+  name: 'live_staff_date_shift',
+});
+rosterAssignmentSchema.index({ facility: 1, date: 1, department: 1 });
+rosterAssignmentSchema.index({ staff: 1, date: 1 });
+
+rosterAssignmentSchema.pre('validate', async function () {
+  if (this.date) {
+    this.date = new Date(new Date(this.date).setHours(0, 0, 0, 0));
+  }
+  if (this.isNew && !this.facility && this.staff) {
+    const staff = await mongoose.model('Staff').findById(this.staff).select('facility');
+    this.facility = staff ? staff.facility : null;
+  }
+  if (this.isModified('shift')) {
+    await Shift.assignTo(this);
+  }
+  if (this.isModified('department') && this.department
+    && !(await Department.exists({ _id: this.department, isActive: true, facility: this.facility }))) {
+    this.invalidate('department', 'Unknown or inactive department');
+  }
+});
+
+module.exports = mongoose.model('RosterAssignment', rosterAssignmentSchema);
+module.exports.ASSIGNMENT_SOURCES = ASSIGNMENT_SOURCES;
+module.exports.LIVE = LIVE;
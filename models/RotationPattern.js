@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+const Shift = require('./Shift');
+
+// Step of a rotation on which nobody is rostered
+const ROTATION_OFF = 'Off';
+
+// Rotation names are matched case-insensitively
+const CASE_INSENSITIVE = { locale: 'en', strength: 2 };
+
+// A repeating sequence of shifts and days off, e.g. four Mornings then four
+// days off. Day one of the sequence falls on the anchor date and it repeats
+// before and after it; staff follow it with an offset into the cycle.
+const rotationPatternSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please add a name'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters'],
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters'],
+  },
+  // One entry per day: a shift name or code, or Off
+  steps: {
+    type: [String],
+    validate: {
+      validator: (steps) => steps.length > 0,
+      message: 'A rotation needs at least one day',
+    },
+  },
+  anchorDate: {
+    type: Date,
+    required: [true, 'Please add an anchor date'],
+  },
+  facility: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Facility',
+    default: null,
+  },
+  // Inactive patterns are no longer rostered from; staff on them fall back
+  // to their default shift
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+rotationPatternSchema.index({ facility: 1, name: 1 }, { unique: true, collation: CASE_INSENSITIVE });
+
+rotationPatternSchema.pre('validate', async function () {
+  if (this.anchorDate) {
+    this.anchorDate = new Date(new Date(this.anchorDate).setHours(0, 0, 0, 0));
+  }
+  if (this.isModified('steps')) {
+    const facility = this.facility || null;
+    const defined = await Shift.exists({ facility });
+    const steps = [];
+    for (const step of this.steps) {
+      if (String(step).trim().toLowerCase() === ROTATION_OFF.toLowerCase()) {
+        steps.push(ROTATION_OFF);
+        continue;
+      }
+      const definition = await Shift.resolve(step, { facility });
+      if (defined && !definition) {
+        this.invalidate('steps', `Unknown or inactive shift '${step}'`);
+        return;
+      }
+      steps.push(definition ? definition.name : String(step).trim());
+    }
+    this.steps = steps;
+  }
+});
+
+// Rotation pattern matching an _id or name (any case), or null. Only active
+// patterns match unless includeInactive is set, and only those of `facility`
+// when one is given.
+rotationPatternSchema.statics.resolve = async function (value, { includeInactive = false, facility } = {}) {
+  const trimmed = value === null || value === undefined ? '' : String(value).trim();
+  if (!trimmed) {
+    return null;
+  }
+  const conditions = [{ name: trimmed }];
+  if (/^[0-9a-fA-F]{24}$/.test(trimmed)) {
+    conditions.push({ _id: trimmed });
+  }
+  const filter = { $or: conditions };
+  if (!includeInactive) {
+    filter.isActive = true;
+  }
+  if (facility !== undefined) {
+    filter.facility = facility;
+  }
+  return this.findOne(filter).collation(CASE_INSENSITIVE);
+};
+
+module.exports = mongoose.model('RotationPattern', rotationPatternSchema);
+module.exports.ROTATION_OFF = ROTATION_OFF;
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+// draft: being built, invisible to staff and attendance
+// published: the live roster for its dates
+// archived: replaced by a later publication
+const SCHEDULE_STATUSES = ['draft', 'published', 'archived'];
+// A period is also publishing while one request publishes it, so no other
+// request publishes, edits or deletes it meanwhile
+const PERIOD_STATUSES = [...SCHEDULE_STATUSES, 'publishing'];
+
+// A roster for a date range, of one department or (without one) of the
+// whole facility. Its assignments are RosterAssignments pointing at it.
+const schedulePeriodSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters'],
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required'],
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'End date is required'],
+  },
+  department: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Department',
+    default: null,
+  },
+  facility: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Facility',
+    default: null,
+  },
+  status: {
+    type: String,
+    enum: PERIOD_STATUSES,
+    default: 'draft',
+  },
+  publishedAt: {
+    type: Date,
+    default: null,
+  },
+  publishedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+schedulePeriodSchema.index({ facility: 1, status: 1, startDate: 1 });
+
+schedulePeriodSchema.pre('validate', function () {
+  if (this.startDate) {
+    this.startDate = new Date(new Date(this.startDate).setHours(0, 0, 0, 0));
+  }
+  if (this.endDate) {
+    this.endDate = new Date(new Date(this.endDate).setHours(0, 0, 0, 0));
+  }
+  if (this.startDate && this.endDate && this.endDate < this.startDate) {
+    this.invalidate('endDate', 'End date cannot be before start date');
+  }
+});
+
+module.exports = mongoose.model('SchedulePeriod', schedulePeriodSchema);
+module.exports.SCHEDULE_STATUSES = SCHEDULE_STATUSES;
+module.exports.PERIOD_STATUSES = PERIOD_STATUSES;
@@ -0,0 +1,145 @@
+const mongoose = require('mongoose');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const MINUTES_PER_DAY = 24 * 60;
+
+// Minutes since midnight of an HH:mm time
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Shift names are matched case-insensitively, so "morning" is the Morning shift
+const CASE_INSENSITIVE = { locale: 'en', strength: 2 };
+
+const shiftSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please add a shift name'],
+    trim: true,
+    maxlength: [50, 'Shift name cannot exceed 50 characters'],
+  },
+  code: {
+    type: String,
+    required: [true, 'Please add a shift code'],
+    trim: true,
+    uppercase: true,
+    maxlength: [10, 'Shift code cannot exceed 10 characters'],
+  },
+  startTime: {
+    type: String,
+    required: [true, 'Please add a start time'],
+    match: [TIME_PATTERN, 'Start time must be in HH:mm format'],
+  },
+  endTime: {
+    type: String,
+    required: [true, 'Please add an end time'],
+    match: [TIME_PATTERN, 'End time must be in HH:mm format'],
+  },
+  // Set when the shift ends on the day after it starts
+  crossesMidnight: {
+    type: Boolean,
+    default: false,
+  },
+  breakMinutes: {
+    type: Number,
+    default: 0,
+    min: [0, 'Break minutes cannot be negative'],
+  },
+  facility: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Facility',
+    default: null,
+  },
+  // Inactive shifts stay on existing records but cannot be newly assigned
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true },
+});
+
+// Each facility defines its own shifts, so names and codes only need to be
+// unique within one
+shiftSchema.index({ facility: 1, name: 1 }, { unique: true, collation: CASE_INSENSITIVE });
+shiftSchema.index({ facility: 1, code: 1 }, { unique: true });
+
+// Length of the shift from start to end, breaks included
+shiftSchema.virtual('durationMinutes').get(function () {
+  if (!TIME_PATTERN.test(this.startTime || '') || !TIME_PATTERN.test(this.endTime || '')) {
+    return null;
+  }
+  const minutes = toMinutes(this.endTime) - toMinutes(this.startTime);
+  return this.crossesMidnight ? minutes + MINUTES_PER_DAY : minutes;
+});
+
+// Time actually worked: the duration less the break
+shiftSchema.virtual('workMinutes').get(function () {
+  const duration = this.durationMinutes;
+  return duration === null ? null : duration - (this.breakMinutes || 0);
+});
+
+shiftSchema.pre('validate', function () {
+  if (!TIME_PATTERN.test(this.startTime || '') || !TIME_PATTERN.test(this.endTime || '')) {
+    return;
+  }
+  const endsLater = toMinutes(this.endTime) > toMinutes(this.startTime);
+  if (this.crossesMidnight && endsLater) {
+    this.invalidate('crossesMidnight', 'A shift that crosses midnight must end before it starts');
+  } else if (!this.crossesMidnight && !endsLater) {
+    this.invalidate('endTime', 'End time must be after start time unless the shift crosses midnight');
+  } else if (this.breakMinutes >= this.durationMinutes) {
+    this.invalidate('breakMinutes', 'Break must be shorter than the shift');
+  }
+});
+
+// Shift matching a name (any case) or code, or null. Only active shifts
+// match unless includeInactive is set, and only those of `facility` when one
+// is given (null for shifts without a facility).
+shiftSchema.statics.resolve = async function (value, { includeInactive = false, facility } = {}) {
+  if (typeof value !== 'string' || !value.trim()) {
+    return null;
+  }
+  const trimmed = value.trim();
+  const filter = { $or: [{ name: trimmed }, { code: trimmed.toUpperCase() }] };
+  if (!includeInactive) {
+    filter.isActive = true;
+  }
+  if (facility !== undefined) {
+    filter.facility = facility;
+  }
+  return this.findOne(filter).collation(CASE_INSENSITIVE);
+};
+
+// Name a shift is stored under, for matching filters and lookups against
+// stored records, within `facility` as for resolve
+shiftSchema.statics.canonicalName = async function (value, { facility } = {}) {
+  const definition = await this.resolve(value, { facility });
+  return definition ? definition.name : value;
+};
+
+// Point a staff or attendance document at its shift definition in the
+// document's facility, storing the canonical name in `shift`. Until the
+// facility defines any shift, free-form names are still accepted so existing
+// data keeps working ahead of the migration.
+shiftSchema.statics.assignTo = async function (doc) {
+  if (!doc.shift) {
+    return;
+  }
+
+  const facility = doc.facility || null;
+  const definition = await this.resolve(doc.shift, { facility });
+  if (definition) {
+    doc.shift = definition.name;
+    doc.shiftDefinition = definition._id;
+  } else if (await this.exists({ facility })) {
+    doc.invalidate('shift', `Unknown or inactive shift '${doc.shift}'`);
+  } else {
+    doc.shiftDefinition = null;
+  }
+};
+
+module.exports = mongoose.model('Shift', shiftSchema);
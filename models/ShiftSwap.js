@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+// pending: waiting for the counterpart to accept
+// accepted: waiting for a manager
+// approved: applied to the roster
+// rejected: declined by the counterpart or a manager
+// cancelled: withdrawn by the requester
+const SWAP_STATUSES = ['pending', 'accepted', 'approved', 'rejected', 'cancelled'];
+
+// Two staff members trading their rostered shifts on some days: on each day
+// listed, each takes over the other's live assignments
+const shiftSwapSchema = new mongoose.Schema({
+  requester: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff',
+    required: [true, 'Requester is required'],
+  },
+  counterpart: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff',
+    required: [true, 'Counterpart is required'],
+  },
+  dates: {
+    type: [Date],
+    validate: {
+      validator: dates => dates.length > 0,
+      message: 'Please add at least one date',
+    },
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Reason cannot exceed 200 characters'],
+  },
+  status: {
+    type: String,
+    enum: SWAP_STATUSES,
+    default: 'pending',
+  },
+  facility: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Facility',
+    default: null,
+  },
+  acceptedAt: {
+    type: Date,
+    default: null,
+  },
+  // Manager who approved or rejected the swap
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  reviewedAt: {
+    type: Date,
+    default: null,
+  },
+  reviewNote: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Review note cannot exceed 200 characters'],
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+shiftSwapSchema.index({ facility: 1, status: 1, createdAt: -1 });
+shiftSwapSchema.index({ requester: 1, status: 1 });
+shiftSwapSchema.index({ counterpart: 1, status: 1 });
+
+shiftSwapSchema.pre('validate', function () {
+  if (this.isModified('dates')) {
+    const days = new Set(this.dates.map(date => new Date(date).setHours(0, 0, 0, 0)));
+    this.dates = [...days].sort((a, b) => a - b).map(day => new Date(day));
+  }
+  if (this.requester && this.counterpart && String(this.requester) === String(this.counterpart)) {
+    this.invalidate('counterpart', 'Staff cannot swap shifts with themselves');
+  }
+});
+
+module.exports = mongoose.model('ShiftSwap', shiftSwapSchema);
+module.exports.SWAP_STATUSES = SWAP_STATUSES;
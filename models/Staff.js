@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const Shift = require('./Shift');
+const Role = require('./Role');
+const Department = require('./Department');
 
 const staffSchema = new mongoose.Schema({
   name: {
@@ -26,6 +29,37 @@ const staffSchema = new mongoose.Schema({
     required: [true, 'Please add shift details'],
     trim: true,
   },
+  // Shift definition behind `shift`; null for values that predate shift definitions
+  shiftDefinition: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shift',
+    default: null,
+  },
+  facility: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Facility',
+    default: null,
+  },
+  // Home department or ward, in the staff member's facility
+  department: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Department',
+    default: null,
+  },
+  // Rotation pattern the staff member is rostered from, `offset` days into
+  // its cycle; without one they work their default shift every day
+  rotation: {
+    pattern: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'RotationPattern',
+      default: null,
+    },
+    offset: {
+      type: Number,
+      min: [0, 'Offset cannot be negative'],
+      default: 0,
+    },
+  },
   date: {
     type: Date,
   },
@@ -35,16 +69,26 @@ const staffSchema = new mongoose.Schema({
   },
 });
 
+staffSchema.index({ facility: 1, department: 1 });
+
+staffSchema.pre('validate', async function () {
+  if (this.isModified('shift')) {
+    await Shift.assignTo(this);
+  }
+  if (this.isModified('role')) {
+    await Role.assignTo(this);
+  }
+  if (this.isModified('department') && this.department
+    && !(await Department.exists({ _id: this.department, isActive: true, facility: this.facility }))) {
+    this.invalidate('department', 'Unknown or inactive department');
+  }
+});
+
 staffSchema.pre('save', async function(next) {
   if (!this.staffId) {
-    const rolePrefix = {
-      'Doctor': 'D',
-      'Nurse': 'N',
-      'Technician': 'T',
-      'Lab Technician': 'T'
-    };
-
-    const prefix = rolePrefix[this.role] || this.role.charAt(0).toUpperCase();
+    const definition = await Role.resolve(this.role, { includeInactive: true, facility: this.facility || null })
+      || Role.builtInRole(this.role);
+    const prefix = definition ? definition.staffIdPrefix : this.role.charAt(0).toUpperCase();
     
     const lastStaff = await this.constructor.findOne({
       staffId: new RegExp(`^${prefix}\\d+$`)
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const Shift = require('./Shift');
+
+const blackoutSchema = new mongoose.Schema({
+  date: {
+    type: Date,
+    required: [true, 'Date is required'],
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Reason cannot exceed 200 characters'],
+  },
+}, {
+  _id: false,
+});
+
+// When a staff member can and would rather work. Assignments against it are
+// flagged, not refused: managers decide.
+const staffAvailabilitySchema = new mongoose.Schema({
+  staff: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff',
+    required: [true, 'Staff is required'],
+  },
+  // Copied from the staff member when the record is created
+  facility: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Facility',
+    default: null,
+  },
+  // Days of the week the staff member never works
+  unavailableDays: {
+    type: [{
+      type: Number,
+      min: [0, 'Days of the week run from 0 (Sunday) to 6 (Saturday)'],
+      max: [6, 'Days of the week run from 0 (Sunday) to 6 (Saturday)'],
+    }],
+    default: [],
+  },
+  // Shifts the staff member would rather work; any shift when empty
+  preferredShifts: {
+    type: [String],
+    default: [],
+  },
+  // One-off days off, such as a course or a wedding
+  blackoutDates: {
+    type: [blackoutSchema],
+    default: [],
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Notes cannot exceed 200 characters'],
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+staffAvailabilitySchema.index({ staff: 1 }, { unique: true });
+
+staffAvailabilitySchema.pre('validate', async function () {
+  if (this.isNew && !this.facility && this.staff) {
+    const staff = await mongoose.model('Staff').findById(this.staff).select('facility');
+    this.facility = staff ? staff.facility : null;
+  }
+  if (this.isModified('unavailableDays')) {
+    this.unavailableDays = [...new Set(this.unavailableDays)].sort();
+  }
+  if (this.isModified('preferredShifts')) {
+    const names = [];
+    for (const shift of this.preferredShifts) {
+      names.push(await Shift.canonicalName(shift, { facility: this.facility || null }));
+    }
+    this.preferredShifts = [...new Set(names)];
+  }
+  if (this.isModified('blackoutDates')) {
+    const seen = new Set();
+    this.blackoutDates = this.blackoutDates
+      .map(blackout => ({ date: new Date(new Date(blackout.date).setHours(0, 0, 0, 0)), reason: blackout.reason }))
+      .filter(blackout => !seen.has(blackout.date.getTime()) && seen.add(blackout.date.getTime()))
+      .sort((a, b) => a.date - b.date);
+  }
+});
+
+module.exports = mongoose.model('StaffAvailability', staffAvailabilitySchema);
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+const minimumSchema = new mongoose.Schema({
+  role: {
+    type: String,
+    required: [true, 'Please add a role'],
+    trim: true,
+  },
+  required: {
+    type: Number,
+    required: [true, 'Please add the number of staff required'],
+    min: [0, 'Required staff cannot be negative'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Required staff must be a whole number',
+    },
+  },
+}, { _id: false });
+
+// Minimum staff per role for the shifts a rule covers. Unset department, shift or
+// days mean the rule applies to all of them; a date makes it a one-day
+// override, e.g. for a public holiday.
+const staffingRequirementSchema = new mongoose.Schema({
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters'],
+  },
+  facility: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Facility',
+    default: null,
+  },
+  department: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Department',
+    default: null,
+  },
+  shift: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shift',
+    default: null,
+  },
+  // 0 (Sunday) to 6 (Saturday)
+  daysOfWeek: {
+    type: [{
+      type: Number,
+      min: [0, 'Days of the week run from 0 (Sunday) to 6 (Saturday)'],
+      max: [6, 'Days of the week run from 0 (Sunday) to 6 (Saturday)'],
+    }],
+    default: [],
+  },
+  date: {
+    type: Date,
+    default: null,
+  },
+  minimums: {
+    type: [minimumSchema],
+    validate: {
+      validator: minimums => minimums.length > 0,
+      message: 'Please add at least one role minimum',
+    },
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+staffingRequirementSchema.index({ facility: 1, department: 1, shift: 1, date: 1 });
+
+staffingRequirementSchema.pre('validate', function () {
+  if (this.date) {
+    this.date = new Date(new Date(this.date).setHours(0, 0, 0, 0));
+    if (this.daysOfWeek.length) {
+      this.invalidate('daysOfWeek', 'A date override cannot also have days of the week');
+    }
+  }
+  if (new Set(this.daysOfWeek).size !== this.daysOfWeek.length) {
+    this.invalidate('daysOfWeek', 'Days of the week must not repeat');
+  }
+  const roles = this.minimums.map(minimum => minimum.role);
+  if (new Set(roles).size !== roles.length) {
+    this.invalidate('minimums', 'Each role can only have one minimum');
+  }
+});
+
+module.exports = mongoose.model('StaffingRequirement', staffingRequirementSchema);
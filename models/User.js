@@ -1,5 +1,8 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { ROLES, ROLE_VALUES } = require('../config/roles');
+const policy = require('../config/passwordPolicy');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -23,25 +26,176 @@ const userSchema = new mongoose.Schema({
   password: {
     type: String,
     required: [true, 'Please add a password'],
-    minlength: 6,
+    // Length and the other rules are checked by utils/passwordPolicy.js,
+    // where they can be configured
     select: false, // Don't return password by default
   },
+  role: {
+    type: String,
+    enum: ROLE_VALUES,
+    default: ROLES.VIEWER,
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  // Staff record this account belongs to, used by the /api/me self-service routes
+  staff: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff',
+    default: null,
+  },
+  // Site the user works at; they never see another facility's data
+  facility: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Facility',
+    default: null,
+  },
+  // Restricts a non-admin user to this department's staff and attendance
+  department: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Department',
+    default: null,
+  },
+  // Bumped to invalidate every access token issued to this user
+  tokenVersion: {
+    type: Number,
+    default: 0,
+  },
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false,
+  },
+  twoFactorSecret: {
+    type: String,
+    select: false,
+  },
+  // Secret generated by setup, promoted to twoFactorSecret once a code is confirmed
+  twoFactorPendingSecret: {
+    type: String,
+    select: false,
+  },
+  // Last accepted TOTP time step, so a code cannot be replayed
+  twoFactorLastStep: {
+    type: Number,
+    select: false,
+  },
+  twoFactorRecoveryCodes: {
+    type: [String],
+    select: false,
+  },
+  passwordChangedAt: {
+    type: Date,
+  },
+  // Hashes of the most recent passwords, newest first, for the reuse check
+  passwordHistory: {
+    type: [String],
+    select: false,
+  },
+  lastLoginAt: {
+    type: Date,
+  },
+  failedLoginCount: {
+    type: Number,
+    default: 0,
+  },
+  lastFailedLoginAt: {
+    type: Date,
+  },
+  lockUntil: {
+    type: Date,
+    default: null,
+  },
+  passwordResetTokenHash: {
+    type: String,
+    select: false,
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false,
+  },
   createdAt: {
     type: Date,
     default: Date.now,
   },
 });
 
-userSchema.pre('save', async function (next) {
+// A staff record can be linked to at most one account
+userSchema.index(
+  { staff: 1 },
+  { unique: true, partialFilterExpression: { staff: { $type: 'objectId' } } }
+);
+
+userSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.password;
+    delete ret.passwordResetTokenHash;
+    delete ret.passwordResetExpires;
+    delete ret.passwordHistory;
+    delete ret.twoFactorSecret;
+    delete ret.twoFactorPendingSecret;
+    delete ret.twoFactorLastStep;
+    delete ret.twoFactorRecoveryCodes;
+    return ret;
+  },
+});
+
+userSchema.pre('save', async function () {
   if (!this.isModified('password')) {
-    next();
+    return;
   }
   const salt = await bcrypt.genSalt(10);
   this.password = await bcrypt.hash(this.password, salt);
+  if (!this.isNew) {
+    this.passwordChangedAt = Date.now();
+  }
+  this.$locals.newPasswordHash = this.password;
+});
+
+// Pushed after the save because passwordHistory is usually not selected on the document
+userSchema.post('save', async function () {
+  const hash = this.$locals.newPasswordHash;
+  if (!hash || policy.HISTORY_COUNT <= 0) {
+    return;
+  }
+  delete this.$locals.newPasswordHash;
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { $push: { passwordHistory: { $each: [hash], $position: 0, $slice: policy.HISTORY_COUNT } } }
+  );
+});
+
+// Query updates skip the pre('save') hook, so they must never carry a password
+userSchema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], function () {
+  const update = this.getUpdate() || {};
+  if (update.password !== undefined || (update.$set && update.$set.password !== undefined)) {
+    throw new Error('Password can only be changed through document save');
+  }
 });
 
 userSchema.methods.matchPassword = async function (enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+// Returns the raw reset token; only its hash is stored on the user
+userSchema.methods.createPasswordResetToken = function () {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+  const expiresMinutes = parseInt(process.env.RESET_TOKEN_EXPIRES_MINUTES, 10) || 30;
+
+  this.passwordResetTokenHash = crypto.createHash('sha256').update(resetToken).digest('hex');
+  this.passwordResetExpires = Date.now() + expiresMinutes * 60 * 1000;
+
+  return resetToken;
+};
+
+// Mark a TOTP time step as used, so each code is accepted only once even
+// inside its validity window. Null when that step, or a later one, was
+// already used.
+userSchema.statics.claimTwoFactorStep = function (userId, step) {
+  return this.findOneAndUpdate(
+    { _id: userId, $or: [{ twoFactorLastStep: { $lt: step } }, { twoFactorLastStep: null }] },
+    { twoFactorLastStep: step }
+  );
+};
+
 module.exports = mongoose.model('User', userSchema);
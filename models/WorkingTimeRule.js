@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+const { DEFAULT_WORKING_TIME_RULES } = require('../config/scheduling');
+
+// minRestHours: hours off between the end of one shift and the next
+// maxConsecutiveDays: days worked in a row
+// maxWeeklyHours: hours worked, less breaks, in any 7 days
+// maxNightShifts: night shifts in any periodDays days
+const WORKING_TIME_RULES = DEFAULT_WORKING_TIME_RULES.map(rule => rule.rule);
+
+// error: the write is refused; warning: it goes through and is reported
+const RULE_SEVERITIES = ['warning', 'error'];
+
+// A facility's own setting of one working-time rule, in place of the default
+const workingTimeRuleSchema = new mongoose.Schema({
+  facility: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Facility',
+    default: null,
+  },
+  rule: {
+    type: String,
+    required: [true, 'Rule is required'],
+    enum: WORKING_TIME_RULES,
+  },
+  limit: {
+    type: Number,
+    required: [true, 'Please add a limit'],
+    min: [0, 'Limit cannot be negative'],
+  },
+  // Days the night-shift limit is counted over
+  periodDays: {
+    type: Number,
+    min: [1, 'Period must be at least one day'],
+    default: null,
+  },
+  severity: {
+    type: String,
+    enum: RULE_SEVERITIES,
+    default: 'warning',
+  },
+  // Inactive rules are not checked at all
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+workingTimeRuleSchema.index({ facility: 1, rule: 1 }, { unique: true });
+
+// Every rule as it applies to a facility: its own setting where it has one,
+// otherwise the default. isDefault tells them apart.
+workingTimeRuleSchema.statics.effectiveFor = async function (facility = null) {
+  const settings = await this.find({ facility });
+  return DEFAULT_WORKING_TIME_RULES.map(defaults => {
+    const setting = settings.find(entry => entry.rule === defaults.rule);
+    if (!setting) {
+      return { periodDays: null, ...defaults, isActive: true, isDefault: true };
+    }
+    return {
+      rule: setting.rule,
+      limit: setting.limit,
+      periodDays: setting.periodDays || defaults.periodDays || null,
+      severity: setting.severity,
+      isActive: setting.isActive,
+      isDefault: false,
+    };
+  });
+};
+
+module.exports = mongoose.model('WorkingTimeRule', workingTimeRuleSchema);
+module.exports.WORKING_TIME_RULES = WORKING_TIME_RULES;
+module.exports.RULE_SEVERITIES = RULE_SEVERITIES;
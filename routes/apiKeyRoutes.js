@@ -0,0 +1,123 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createApiKey,
+  getApiKeys,
+  revokeApiKey,
+} = require('../controllers/apiKeyController');
+const { protect, authorize } = require('../middleware/auth');
+const { ROLES } = require('../config/roles');
+
+router.use(protect, authorize(ROLES.ADMIN));
+
+/**
+ * @swagger
+ * /api/api-keys:
+ *   get:
+ *     summary: List API keys
+ *     description: "Keys are listed by name and prefix; the key itself is never returned after creation. **Required role:** admin"
+ *     x-required-roles: [admin]
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of API keys
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               count: 1
+ *               data:
+ *                 - _id: "674b1234567890abcdef7777"
+ *                   name: "Ward 3 kiosk"
+ *                   prefix: "hss_1a2b3c4d"
+ *                   scopes: ["attendance:mark"]
+ *                   expiresAt: null
+ *                   lastUsedAt: "2025-12-12T07:58:12.000Z"
+ *                   status: "active"
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *   post:
+ *     summary: Create an API key
+ *     description: "The key is returned once in the response and only its hash is stored. Send it in the X-API-Key header. **Required role:** admin"
+ *     x-required-roles: [admin]
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - scopes
+ *             properties:
+ *               name:
+ *                 type: string
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [attendance:read, attendance:mark]
+ *               expiresInDays:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 365
+ *                 description: Omit for a key that does not expire
+ *           example:
+ *             name: "Ward 3 kiosk"
+ *             scopes: ["attendance:mark"]
+ *     responses:
+ *       201:
+ *         description: API key created
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               data:
+ *                 _id: "674b1234567890abcdef7777"
+ *                 name: "Ward 3 kiosk"
+ *                 prefix: "hss_1a2b3c4d"
+ *                 scopes: ["attendance:mark"]
+ *                 status: "active"
+ *                 key: "hss_1a2b3c4d..."
+ *       400:
+ *         description: Invalid name, scopes or expiry
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/', getApiKeys);
+router.post('/', createApiKey);
+
+/**
+ * @swagger
+ * /api/api-keys/{id}:
+ *   delete:
+ *     summary: Revoke an API key
+ *     description: "**Required role:** admin"
+ *     x-required-roles: [admin]
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: API key revoked
+ *       400:
+ *         description: API key is already revoked
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: API key not found
+ */
+router.delete('/:id', revokeApiKey);
+
+module.exports = router;
@@ -1,6 +1,8 @@
 const express = require('express');
 const router = express.Router();
-const { protect } = require('../middleware/auth');
+const { protect, authorize, allowApiKey } = require('../middleware/auth');
+const { ROSTER_MANAGERS, ATTENDANCE_MARKERS } = require('../config/roles');
+const { API_KEY_SCOPES } = require('../config/apiKeys');
 const {
   markAttendance,
   markBulkAttendance,
@@ -10,8 +12,14 @@ const {
   deleteAttendance,
   quickMarkAttendance,
   applyLeave,
+  getAttendanceHistory,
+  revertAttendance,
 } = require('../controllers/attendanceController');
 
+// Time-clock kiosks and the payroll job call these with an API key
+router.get('/', allowApiKey(API_KEY_SCOPES.ATTENDANCE_READ));
+router.post('/mark', allowApiKey(API_KEY_SCOPES.ATTENDANCE_MARK));
+
 router.use(protect);
 
 /**
@@ -19,9 +27,12 @@ router.use(protect);
  * /api/attendance:
  *   get:
  *     summary: Get attendance records with filters
+ *     description: "Also accepts an API key with the `attendance:read` scope."
+ *     x-api-key-scopes: [attendance:read]
  *     tags: [Attendance]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: query
  *         name: date
@@ -45,6 +56,17 @@ router.use(protect);
  *           type: string
  *           enum: [Present, Absent, Leave, Half-Day]
  *         description: Filter by attendance status
+ *       - in: query
+ *         name: department
+ *         schema:
+ *           type: string
+ *         description: Filter by the staff member's department (_id, name or code). Users assigned to a department only see that department's records
+ *       - in: query
+ *         name: groupBy
+ *         schema:
+ *           type: string
+ *           enum: [department]
+ *         description: Also group records by department
  *     responses:
  *       200:
  *         description: List of attendance records with grouped data
@@ -85,6 +107,8 @@ router.use(protect);
  *         description: Not authorized
  *   post:
  *     summary: Mark attendance for a staff member
+ *     description: "Marking a shift Present or Half-Day checks it against the working-time rules: one with error severity refuses it with the violations, the others come back in warnings. **Required role:** admin, ward_manager, charge_nurse"
+ *     x-required-roles: [admin, ward_manager, charge_nurse]
  *     tags: [Attendance]
  *     security:
  *       - bearerAuth: []
@@ -116,12 +140,28 @@ router.use(protect);
  *             example:
  *               success: true
  *               message: "Attendance updated successfully"
+ *       400:
+ *         description: The shift breaks a working-time rule with error severity
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: false
+ *               message: "Attendance breaks working-time rules"
+ *               violations:
+ *                 - rule: "minRestHours"
+ *                   severity: "error"
+ *                   limit: 11
+ *                   message: "Less than 11 hours of rest between shifts"
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  *       404:
  *         description: Staff not found
  *
  * /api/attendance/bulk:
  *   post:
  *     summary: Mark bulk attendance for multiple staff members
+ *     description: "**Required role:** admin, ward_manager, charge_nurse"
+ *     x-required-roles: [admin, ward_manager, charge_nurse]
  *     tags: [Attendance]
  *     security:
  *       - bearerAuth: []
@@ -149,6 +189,8 @@ router.use(protect);
  *               failed: 0
  *       400:
  *         description: Invalid request
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  *
  * /api/attendance/staff/{staffId}:
  *   get:
@@ -205,6 +247,8 @@ router.use(protect);
  * /api/attendance/{id}:
  *   put:
  *     summary: Update attendance record
+ *     description: "**Required role:** admin, ward_manager, charge_nurse"
+ *     x-required-roles: [admin, ward_manager, charge_nurse]
  *     tags: [Attendance]
  *     security:
  *       - bearerAuth: []
@@ -239,10 +283,14 @@ router.use(protect);
  *                 _id: "674b1234567890abcdef1234"
  *                 status: "Leave"
  *                 remarks: "Sick leave"
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  *       404:
  *         description: Attendance record not found
  *   delete:
  *     summary: Delete attendance record
+ *     description: "**Required role:** admin, ward_manager"
+ *     x-required-roles: [admin, ward_manager]
  *     tags: [Attendance]
  *     security:
  *       - bearerAuth: []
@@ -261,6 +309,8 @@ router.use(protect);
  *             example:
  *               success: true
  *               message: "Attendance record deleted"
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  *       404:
  *         description: Attendance record not found
  */
@@ -270,10 +320,13 @@ router.use(protect);
  * /api/attendance/mark:
  *   post:
  *     summary: Quick mark attendance as Present
- *     description: Marks a staff member's attendance as Present for a specific date. Supports both MongoDB ObjectId and staffId.
+ *     description: "Marks a staff member's attendance as Present for a specific date on the shift they are rostered for that day, else their rotation shift, else their default shift. A record pre-created for that assignment is updated. Supports both MongoDB ObjectId and staffId. **Required role:** admin, ward_manager, charge_nurse. Also accepts an API key with the `attendance:mark` scope."
+ *     x-required-roles: [admin, ward_manager, charge_nurse]
+ *     x-api-key-scopes: [attendance:mark]
  *     tags: [Attendance]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -313,13 +366,18 @@ router.use(protect);
  *                 shift: "Morning"
  *                 status: "Present"
  *                 remarks: "On time"
+ *       400:
+ *         description: The date is a day off in the staff member's rotation
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  *       404:
  *         description: Staff not found
  *
  * /api/attendance/leave:
  *   post:
  *     summary: Apply leave for a staff member
- *     description: Marks a staff member's attendance as Leave for a specific date. Supports both MongoDB ObjectId and staffId.
+ *     description: Marks a staff member's attendance as Leave for a specific date on the shift they are rostered for that day, else their rotation shift, else their default shift. A record pre-created for that assignment is updated. Supports both MongoDB ObjectId and staffId. **Required role:** admin, ward_manager, charge_nurse
+ *     x-required-roles: [admin, ward_manager, charge_nurse]
  *     tags: [Attendance]
  *     security:
  *       - bearerAuth: []
@@ -362,19 +420,125 @@ router.use(protect);
  *                 shift: "Morning"
  *                 status: "Leave"
  *                 remarks: "Sick leave"
+ *       400:
+ *         description: The date is a day off in the staff member's rotation
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  *       404:
  *         description: Staff not found
  */
 
+/**
+ * @swagger
+ * /api/attendance/{id}/history:
+ *   get:
+ *     summary: Get the revision history of an attendance record
+ *     description: Every version of the record, oldest first. Records created before history was tracked start at their next change.
+ *     tags: [Attendance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Attendance record ID
+ *     responses:
+ *       200:
+ *         description: Revision history
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               attendance:
+ *                 _id: "674b1234567890abcdef1234"
+ *                 date: "2025-12-12"
+ *                 shift: "Morning"
+ *                 status: "Present"
+ *                 revision: 3
+ *               count: 3
+ *               data:
+ *                 - revision: 1
+ *                   status: "Absent"
+ *                   remarks: ""
+ *                   markedBy: { name: "Ward Manager", userName: "wardmanager" }
+ *                   markedAt: "2025-12-12T08:05:00.000Z"
+ *                   revertedFrom: null
+ *                 - revision: 2
+ *                   status: "Present"
+ *                   remarks: "Arrived late"
+ *                   markedAt: "2025-12-12T09:30:00.000Z"
+ *                   revertedFrom: null
+ *                 - revision: 3
+ *                   status: "Absent"
+ *                   remarks: ""
+ *                   markedAt: "2025-12-12T10:00:00.000Z"
+ *                   revertedFrom: 1
+ *       404:
+ *         description: Attendance record not found
+ */
+
+/**
+ * @swagger
+ * /api/attendance/{id}/revert:
+ *   post:
+ *     summary: Revert an attendance record to an earlier revision
+ *     description: "Restores the status and remarks of the given revision. The revert is recorded as a new revision. **Required role:** admin, ward_manager, charge_nurse"
+ *     x-required-roles: [admin, ward_manager, charge_nurse]
+ *     tags: [Attendance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Attendance record ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - revision
+ *             properties:
+ *               revision:
+ *                 type: integer
+ *                 example: 1
+ *     responses:
+ *       200:
+ *         description: Attendance reverted
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               message: "Attendance reverted to revision 1"
+ *               data:
+ *                 _id: "674b1234567890abcdef1234"
+ *                 status: "Absent"
+ *                 revision: 4
+ *       400:
+ *         description: Missing revision, or the record is already at it
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Attendance record or revision not found
+ */
+
 router.get('/', getAttendance);
-router.post('/', markAttendance);
+router.post('/', authorize(...ATTENDANCE_MARKERS), markAttendance);
 
-router.post('/bulk', markBulkAttendance);
-router.post('/mark', quickMarkAttendance);
-router.post('/leave', applyLeave);
+router.post('/bulk', authorize(...ATTENDANCE_MARKERS), markBulkAttendance);
+router.post('/mark', authorize(...ATTENDANCE_MARKERS), quickMarkAttendance);
+router.post('/leave', authorize(...ATTENDANCE_MARKERS), applyLeave);
 
-router.put('/:id', updateAttendance);
-router.delete('/:id', deleteAttendance);
+router.put('/:id', authorize(...ATTENDANCE_MARKERS), updateAttendance);
+router.delete('/:id', authorize(...ROSTER_MANAGERS), deleteAttendance);
+router.get('/:id/history', getAttendanceHistory);
+router.post('/:id/revert', authorize(...ATTENDANCE_MARKERS), revertAttendance);
 
 router.get('/staff/:staffId', getAttendanceByStaff);
 
@@ -0,0 +1,92 @@
+const express = require('express');
+const router = express.Router();
+const { getAuditLogs } = require('../controllers/auditController');
+const { protect, authorize } = require('../middleware/auth');
+const { ROLES } = require('../config/roles');
+
+/**
+ * @swagger
+ * /api/audit:
+ *   get:
+ *     summary: Search the audit log
+ *     description: "Every create, update and delete of staff, attendance and users, newest first. Entries are append-only; there are no routes to change or remove them. Secret fields such as passwords are shown as [REDACTED]. **Required role:** admin"
+ *     x-required-roles: [admin]
+ *     tags: [Audit]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: entityType
+ *         schema:
+ *           type: string
+ *           enum: [Staff, Attendance, User, Shift, StaffingRequirement, Role, Department, Facility, RosterAssignment, SchedulePeriod, ShiftSwap, OpenShift, StaffAvailability, WorkingTimeRule, RotationPattern]
+ *       - in: query
+ *         name: entityId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: actor
+ *         schema:
+ *           type: string
+ *         description: User id of whoever made the change
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           enum: [create, update, delete]
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 200
+ *     responses:
+ *       200:
+ *         description: Matching audit entries
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               count: 1
+ *               total: 1
+ *               page: 1
+ *               pages: 1
+ *               data:
+ *                 - _id: "674b1234567890abcdef8888"
+ *                   actor:
+ *                     _id: "674b1234567890abcdef1234"
+ *                     name: "John Doe"
+ *                     userName: "john_doe"
+ *                   actorApiKey: null
+ *                   action: "update"
+ *                   entityType: "Attendance"
+ *                   entityId: "674b1234567890abcdef5678"
+ *                   before:
+ *                     status: "Absent"
+ *                   after:
+ *                     status: "Present"
+ *                   ip: "10.0.4.21"
+ *                   createdAt: "2025-12-12T08:02:11.000Z"
+ *       400:
+ *         description: Invalid filter
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/', protect, authorize(ROLES.ADMIN), getAuditLogs);
+
+module.exports = router;
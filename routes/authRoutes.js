@@ -1,13 +1,90 @@
 const express = require('express');
 const router = express.Router();
-const { login, getMe } = require('../controllers/authController');
-const { protect } = require('../middleware/auth');
+const {
+  register,
+  login,
+  verifyTwoFactorLogin,
+  getMe,
+  refresh,
+  logout,
+  changePassword,
+  forgotPassword,
+  resetPassword,
+} = require('../controllers/authController');
+const {
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+} = require('../controllers/twoFactorController');
+const {
+  getMySessions,
+  revokeMySession,
+} = require('../controllers/sessionController');
+const { protect, allowExpiredPassword } = require('../middleware/auth');
+
+/**
+ * @swagger
+ * /api/auth/register:
+ *   post:
+ *     summary: Register by accepting an invitation
+ *     description: The account is created with the email and role of the invitation. Invitations are single use and expire.
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - inviteToken
+ *               - name
+ *               - userName
+ *               - password
+ *             properties:
+ *               inviteToken:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *               userName:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 minLength: 8
+ *                 maxLength: 72
+ *                 description: Must meet the password policy; by default at least 8 characters with upper and lower case letters and a digit
+ *     responses:
+ *       201:
+ *         description: Account created and signed in
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               data:
+ *                 _id: "674b1234567890abcdef9999"
+ *                 name: "New Nurse"
+ *                 userName: "new_nurse"
+ *                 email: "nurse.new@hospital.com"
+ *                 role: "charge_nurse"
+ *                 token: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
+ *                 refreshToken: "3b7d1f9e5a2c..."
+ *       400:
+ *         description: Missing or invalid invitation, or validation error
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: false
+ *               error: "Invalid or expired invitation"
+ */
+router.post('/register', register);
 
 /**
  * @swagger
  * /api/auth/login:
  *   post:
  *     summary: Login user
+ *     description: Returns a short-lived access token (`token`) and a refresh token. Use `/api/auth/refresh` to obtain a new pair when the access token expires. If the user has two-factor authentication enabled, the response instead contains `twoFactorRequired` and a `challengeToken` to complete at `/api/auth/2fa/verify`.
  *     tags: [Authentication]
  *     security: []
  *     requestBody:
@@ -36,18 +113,18 @@ const { protect } = require('../middleware/auth');
  *               properties:
  *                 success:
  *                   type: boolean
- *                 token:
- *                   type: string
- *                 user:
- *                   $ref: '#/components/schemas/User'
+ *                 data:
+ *                   type: object
  *             example:
  *               success: true
- *               token: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
- *               user:
+ *               data:
  *                 _id: "674b1234567890abcdef1234"
  *                 name: "John Doe"
  *                 userName: "john_doe"
  *                 email: "john@example.com"
+ *                 role: "viewer"
+ *                 token: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
+ *                 refreshToken: "9f2c4e6a8b0d..."
  *       401:
  *         description: Invalid credentials
  *         content:
@@ -55,9 +132,179 @@ const { protect } = require('../middleware/auth');
  *             example:
  *               success: false
  *               error: "Invalid credentials"
+ *       423:
+ *         description: Account temporarily locked after too many failed attempts (code ACCOUNT_LOCKED)
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: false
+ *               error: "Account temporarily locked due to too many failed login attempts"
+ *               code: "ACCOUNT_LOCKED"
+ *               retryAfter: 900
+ *               lockedUntil: "2025-12-12T10:15:00.000Z"
+ *       429:
+ *         description: Attempt delayed (code LOGIN_DELAYED) or client address locked (code IP_LOCKED). A Retry-After header is set.
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: false
+ *               error: "Too many failed login attempts, please wait before retrying"
+ *               code: "LOGIN_DELAYED"
+ *               retryAfter: 4
+ *               lockedUntil: null
  */
 router.post('/login', login);
 
+/**
+ * @swagger
+ * /api/auth/2fa/verify:
+ *   post:
+ *     summary: Complete a two-factor login
+ *     description: Exchanges the challenge token from `/api/auth/login` plus a TOTP code (or a one-time recovery code) for a session. Failures count towards login lockout.
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 example: "287082"
+ *               recoveryCode:
+ *                 type: string
+ *                 example: "a1b2c-3d4e5"
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *       400:
+ *         description: Challenge token or code missing
+ *       401:
+ *         description: Invalid challenge token or code
+ *       423:
+ *         description: Account temporarily locked (code ACCOUNT_LOCKED)
+ */
+router.post('/2fa/verify', verifyTwoFactorLogin);
+
+/**
+ * @swagger
+ * /api/auth/2fa/setup:
+ *   post:
+ *     summary: Start two-factor enrolment
+ *     description: Generates a TOTP secret and otpauth URI to load into an authenticator app. Nothing changes until the secret is confirmed at `/api/auth/2fa/enable`.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Pending secret generated
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               data:
+ *                 secret: "JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP"
+ *                 otpauthUrl: "otpauth://totp/Health%20Staff%20Scheduler%3Ajohn_doe?secret=JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP&issuer=Health+Staff+Scheduler&algorithm=SHA1&digits=6&period=30"
+ *       400:
+ *         description: Two-factor authentication already enabled
+ *
+ * /api/auth/2fa/enable:
+ *   post:
+ *     summary: Confirm enrolment and enable two-factor authentication
+ *     description: Verifies a code from the pending secret, returns ten single-use recovery codes (shown only once) and replaces existing sessions with a two-factor session.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication enabled
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               message: "Two-factor authentication enabled"
+ *               data:
+ *                 recoveryCodes: ["a1b2c-3d4e5", "f6a7b-8c9d0"]
+ *                 token: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
+ *                 refreshToken: "3b7d1f9e5a2c..."
+ *       400:
+ *         description: No pending setup or invalid code
+ *
+ * /api/auth/2fa/disable:
+ *   post:
+ *     summary: Disable two-factor authentication
+ *     description: Requires the password and a current code. Refused for roles that must use two-factor authentication (TWO_FACTOR_REQUIRED_ROLES, default admin).
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *               - code
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *       401:
+ *         description: Invalid password or code
+ *       403:
+ *         description: Role requires two-factor authentication
+ *
+ * /api/auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Replace recovery codes
+ *     description: Requires a current code. Previous recovery codes stop working.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New recovery codes
+ *       401:
+ *         description: Invalid code
+ */
+router.post('/2fa/setup', protect, setupTwoFactor);
+router.post('/2fa/enable', protect, enableTwoFactor);
+router.post('/2fa/disable', protect, disableTwoFactor);
+router.post('/2fa/recovery-codes', protect, regenerateRecoveryCodes);
+
 /**
  * @swagger
  * /api/auth/me:
@@ -93,6 +340,255 @@ router.post('/login', login);
  *               success: false
  *               error: "Not authorized, no token"
  */
-router.get('/me', protect, getMe);
+router.get('/me', allowExpiredPassword, protect, getMe);
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: List my active sessions
+ *     description: One entry per signed-in device. The session of the calling token is flagged as current.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               count: 1
+ *               data:
+ *                 - id: "0f8c3e0a-5d6b-4d8e-9a0c-2b1f6c7d8e9f"
+ *                   userAgent: "Mozilla/5.0 (iPad; CPU OS 17_0 like Mac OS X)"
+ *                   ip: "10.0.4.21"
+ *                   issuedAt: "2025-12-12T07:30:00.000Z"
+ *                   lastSeenAt: "2025-12-12T09:12:44.000Z"
+ *                   expiresAt: "2025-12-19T09:05:10.000Z"
+ *                   mfa: false
+ *                   current: true
+ *       401:
+ *         description: Not authorized
+ */
+router.get('/sessions', allowExpiredPassword, protect, getMySessions);
+
+/**
+ * @swagger
+ * /api/auth/sessions/{sessionId}:
+ *   delete:
+ *     summary: Sign out one of my sessions
+ *     description: Revokes the session's refresh token and invalidates its access tokens immediately
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session signed out
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: Session not found
+ */
+router.delete('/sessions/:sessionId', allowExpiredPassword, protect, revokeMySession);
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new token pair
+ *     description: Refresh tokens are single use. Presenting a token that was already rotated revokes every token of that login session.
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New access and refresh token
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               data:
+ *                 token: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
+ *                 refreshToken: "3b7d1f9e5a2c..."
+ *       400:
+ *         description: Refresh token missing
+ *       401:
+ *         description: Refresh token invalid, expired or reused
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: false
+ *               error: "Refresh token reuse detected"
+ */
+router.post('/refresh', refresh);
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Log out and revoke the session
+ *     description: Revokes the refresh token and any access token issued for the same session.
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Logged out
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               message: "Logged out successfully"
+ *       400:
+ *         description: Refresh token missing
+ */
+router.post('/logout', logout);
+
+/**
+ * @swagger
+ * /api/auth/change-password:
+ *   post:
+ *     summary: Change the current user's password
+ *     description: Requires the current password. All existing sessions are revoked and a new token pair is returned for the caller.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *                 minLength: 8
+ *                 maxLength: 72
+ *                 description: Must meet the password policy; by default at least 8 characters with upper and lower case letters and a digit
+ *     responses:
+ *       200:
+ *         description: Password changed
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               message: "Password changed successfully"
+ *               data:
+ *                 token: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
+ *                 refreshToken: "3b7d1f9e5a2c..."
+ *       400:
+ *         description: Missing fields or new password fails validation
+ *       401:
+ *         description: Current password is incorrect
+ */
+router.post('/change-password', allowExpiredPassword, protect, changePassword);
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset email
+ *     description: Sends a single-use reset token that expires after RESET_TOKEN_EXPIRES_MINUTES (default 30). The response is the same whether or not the email is registered.
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Reset email sent if the account exists
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               message: "If an account exists for this email, a reset link has been sent"
+ *       400:
+ *         description: Email missing
+ */
+router.post('/forgot-password', forgotPassword);
+
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Reset password with a reset token
+ *     description: Consumes the reset token and revokes all existing sessions of the user.
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 minLength: 8
+ *                 maxLength: 72
+ *                 description: Must meet the password policy; by default at least 8 characters with upper and lower case letters and a digit
+ *     responses:
+ *       200:
+ *         description: Password reset
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               message: "Password reset successfully"
+ *       400:
+ *         description: Invalid or expired reset token
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: false
+ *               error: "Invalid or expired reset token"
+ */
+router.post('/reset-password', resetPassword);
 
 module.exports = router;
@@ -0,0 +1,156 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getDepartments,
+  getDepartment,
+  createDepartment,
+  updateDepartment,
+  deleteDepartment,
+} = require('../controllers/departmentController');
+const { protect, authorize } = require('../middleware/auth');
+const { ROLES } = require('../config/roles');
+
+router.use(protect);
+
+/**
+ * @swagger
+ * /api/departments:
+ *   get:
+ *     summary: List departments
+ *     description: Departments and wards staff are assigned to. Staff, attendance and staffing requirements can be filtered by department.
+ *     tags: [Departments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *         description: Only active (true) or inactive (false) departments
+ *     responses:
+ *       200:
+ *         description: List of departments
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               count: 2
+ *               data:
+ *                 - _id: "674b1234567890abcdef8888"
+ *                   name: "Intensive Care"
+ *                   code: "ICU"
+ *                   isActive: true
+ *                 - _id: "674b1234567890abcdef9999"
+ *                   name: "Pediatrics"
+ *                   code: "PED"
+ *                   isActive: true
+ *   post:
+ *     summary: Create a department
+ *     description: "**Required role:** admin"
+ *     x-required-roles: [admin]
+ *     tags: [Departments]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Department'
+ *           example:
+ *             name: "Intensive Care"
+ *             code: "ICU"
+ *             description: "Adult intensive care unit"
+ *     responses:
+ *       201:
+ *         description: Department created
+ *       400:
+ *         description: Validation error, or the name or code is taken
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: false
+ *               error: "A department with this code already exists"
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/', getDepartments);
+router.post('/', authorize(ROLES.ADMIN), createDepartment);
+
+/**
+ * @swagger
+ * /api/departments/{id}:
+ *   get:
+ *     summary: Get a department
+ *     tags: [Departments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Department details
+ *       404:
+ *         description: Department not found
+ *   put:
+ *     summary: Update a department
+ *     description: "Set isActive to false to stop new staff being assigned. **Required role:** admin"
+ *     x-required-roles: [admin]
+ *     tags: [Departments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Department'
+ *           example:
+ *             isActive: false
+ *     responses:
+ *       200:
+ *         description: Department updated
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Department not found
+ *   delete:
+ *     summary: Delete a department
+ *     description: "Only departments no staff member, user or staffing requirement uses can be deleted. **Required role:** admin"
+ *     x-required-roles: [admin]
+ *     tags: [Departments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Department deleted
+ *       400:
+ *         description: Department is in use
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Department not found
+ */
+router.get('/:id', getDepartment);
+router.put('/:id', authorize(ROLES.ADMIN), updateDepartment);
+router.delete('/:id', authorize(ROLES.ADMIN), deleteDepartment);
+
+module.exports = router;
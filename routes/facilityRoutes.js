@@ -0,0 +1,150 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getFacilities,
+  getFacility,
+  createFacility,
+  updateFacility,
+  deleteFacility,
+} = require('../controllers/facilityController');
+const { protect, authorize } = require('../middleware/auth');
+const { ROLES } = require('../config/roles');
+
+router.use(protect);
+
+/**
+ * @swagger
+ * /api/facilities:
+ *   get:
+ *     summary: List facilities
+ *     description: Super admins see every facility of the group; other users only their own.
+ *     tags: [Facilities]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of facilities
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               count: 2
+ *               data:
+ *                 - _id: "674b1234567890abcdefaaaa"
+ *                   name: "City General"
+ *                   code: "CGH"
+ *                   timezone: "Europe/London"
+ *                 - _id: "674b1234567890abcdefbbbb"
+ *                   name: "Riverside Clinic"
+ *                   code: "RSC"
+ *                   timezone: "Europe/Dublin"
+ *   post:
+ *     summary: Create a facility
+ *     description: "**Required role:** super_admin"
+ *     x-required-roles: [super_admin]
+ *     tags: [Facilities]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Facility'
+ *           example:
+ *             name: "City General"
+ *             code: "CGH"
+ *             timezone: "Europe/London"
+ *     responses:
+ *       201:
+ *         description: Facility created
+ *       400:
+ *         description: Validation error, or the name or code is taken
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: false
+ *               error: "'Mars/Olympus' is not a valid time zone"
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/', getFacilities);
+router.post('/', authorize(ROLES.SUPER_ADMIN), createFacility);
+
+/**
+ * @swagger
+ * /api/facilities/{id}:
+ *   get:
+ *     summary: Get a facility
+ *     tags: [Facilities]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Facility details
+ *       404:
+ *         description: Facility not found, or not the user's own
+ *   put:
+ *     summary: Update a facility
+ *     description: "**Required role:** super_admin"
+ *     x-required-roles: [super_admin]
+ *     tags: [Facilities]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Facility'
+ *           example:
+ *             timezone: "Europe/Berlin"
+ *     responses:
+ *       200:
+ *         description: Facility updated
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Facility not found
+ *   delete:
+ *     summary: Delete a facility
+ *     description: "Only facilities without users, staff or departments can be deleted. **Required role:** super_admin"
+ *     x-required-roles: [super_admin]
+ *     tags: [Facilities]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Facility deleted
+ *       400:
+ *         description: Facility is in use
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Facility not found
+ */
+router.get('/:id', getFacility);
+router.put('/:id', authorize(ROLES.SUPER_ADMIN), updateFacility);
+router.delete('/:id', authorize(ROLES.SUPER_ADMIN), deleteFacility);
+
+module.exports = router;
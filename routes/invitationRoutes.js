@@ -0,0 +1,138 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createInvitation,
+  getInvitations,
+  revokeInvitation,
+} = require('../controllers/invitationController');
+const { protect, authorize } = require('../middleware/auth');
+const { ROLES } = require('../config/roles');
+
+router.use(protect, authorize(ROLES.ADMIN));
+
+/**
+ * @swagger
+ * /api/invitations:
+ *   get:
+ *     summary: List invitations
+ *     description: "**Required role:** admin"
+ *     x-required-roles: [admin]
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, accepted, revoked, expired]
+ *         description: Filter by invitation status
+ *       - in: query
+ *         name: email
+ *         schema:
+ *           type: string
+ *         description: Filter by invitee email
+ *     responses:
+ *       200:
+ *         description: List of invitations
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               count: 1
+ *               data:
+ *                 - _id: "674b1234567890abcdef4321"
+ *                   email: "nurse.new@hospital.com"
+ *                   role: "charge_nurse"
+ *                   status: "pending"
+ *                   expiresAt: "2025-12-19T09:00:00.000Z"
+ *                   invitedBy:
+ *                     name: "John Doe"
+ *                     userName: "john_doe"
+ *       400:
+ *         description: Invalid status filter
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *   post:
+ *     summary: Invite a new user
+ *     description: "Creates a single-use invitation and emails the invite token. The token is also returned once in the response. **Required role:** admin"
+ *     x-required-roles: [admin]
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               role:
+ *                 type: string
+ *                 enum: [admin, ward_manager, charge_nurse, viewer]
+ *                 default: viewer
+ *               expiresInDays:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 30
+ *                 default: 7
+ *           example:
+ *             email: "nurse.new@hospital.com"
+ *             role: "charge_nurse"
+ *             expiresInDays: 7
+ *     responses:
+ *       201:
+ *         description: Invitation created
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               data:
+ *                 _id: "674b1234567890abcdef4321"
+ *                 email: "nurse.new@hospital.com"
+ *                 role: "charge_nurse"
+ *                 status: "pending"
+ *                 expiresAt: "2025-12-19T09:00:00.000Z"
+ *                 inviteToken: "5c1e9a..."
+ *       400:
+ *         description: Invalid input, existing user or pending invitation
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/', getInvitations);
+router.post('/', createInvitation);
+
+/**
+ * @swagger
+ * /api/invitations/{id}:
+ *   delete:
+ *     summary: Revoke a pending invitation
+ *     description: "**Required role:** admin"
+ *     x-required-roles: [admin]
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invitation revoked
+ *       400:
+ *         description: Invitation is not pending
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Invitation not found
+ */
+router.delete('/:id', revokeInvitation);
+
+module.exports = router;
@@ -0,0 +1,171 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getMySchedule,
+  getMyAttendance,
+  getMyWeeklyStats,
+} = require('../controllers/meController');
+const { getMyAvailability, updateMyAvailability } = require('../controllers/availabilityController');
+const { protect } = require('../middleware/auth');
+
+router.use(protect);
+
+/**
+ * @swagger
+ * /api/me/schedule:
+ *   get:
+ *     summary: Get my upcoming shifts
+ *     description: Returns one entry per day for the staff record linked to the logged-in user. Each day uses the live roster assignment, else the rotation shift (rotation days off are left out), else the default shift. Days without an attendance record, and unmarked records pre-created for the roster from today on, show as "Scheduled".
+ *     tags: [Me]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: First day (defaults to today)
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Last day (defaults to 7 days from startDate, at most 31 days)
+ *     responses:
+ *       200:
+ *         description: Schedule of the linked staff member
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               staff:
+ *                 _id: "674b1234567890abcdef1234"
+ *                 name: "Nurse Emily Davis"
+ *                 staffId: "N001"
+ *                 role: "Nurse"
+ *                 shift: "Morning"
+ *               count: 2
+ *               data:
+ *                 - date: "2025-12-12"
+ *                   shift: "Morning"
+ *                   status: "Scheduled"
+ *                 - date: "2025-12-13"
+ *                   shift: "Morning"
+ *                   status: "Leave"
+ *       400:
+ *         description: Invalid date range
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: No staff record is linked to this account
+ */
+router.get('/schedule', getMySchedule);
+
+/**
+ * @swagger
+ * /api/me/attendance:
+ *   get:
+ *     summary: Get my attendance history
+ *     description: Same response as /api/attendance/staff/{staffId}, scoped to the staff record linked to the logged-in user
+ *     tags: [Me]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Attendance records with statistics
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               staff:
+ *                 _id: "674b1234567890abcdef1234"
+ *                 name: "Nurse Emily Davis"
+ *                 staffId: "N001"
+ *                 role: "Nurse"
+ *                 shift: "Morning"
+ *               statistics:
+ *                 total: 1
+ *                 present: 1
+ *                 absent: 0
+ *                 leave: 0
+ *                 halfDay: 0
+ *               data:
+ *                 - date: "2025-12-11T00:00:00.000Z"
+ *                   shift: "Morning"
+ *                   status: "Present"
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: No staff record is linked to this account
+ */
+router.get('/attendance', getMyAttendance);
+
+/**
+ * @swagger
+ * /api/me/weekly-stats:
+ *   get:
+ *     summary: Get my attendance statistics for the last 7 days
+ *     description: Same response as /api/staff/{staffId}/weekly-stats, scoped to the staff record linked to the logged-in user
+ *     tags: [Me]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Weekly attendance statistics
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: No staff record is linked to this account
+ */
+router.get('/weekly-stats', getMyWeeklyStats);
+
+/**
+ * @swagger
+ * /api/me/availability:
+ *   get:
+ *     summary: Get my availability
+ *     description: Same response as /api/staff/{id}/availability, for the staff record linked to the logged-in user
+ *     tags: [Me]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Declared availability
+ *       404:
+ *         description: No staff record is linked to this account
+ *   put:
+ *     summary: Update my availability
+ *     description: Declare the days of the week you never work, the shifts you prefer and one-off blackout dates. Only the fields sent change.
+ *     tags: [Me]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/StaffAvailability'
+ *     responses:
+ *       200:
+ *         description: Availability saved
+ *       400:
+ *         description: Unknown shift, invalid date or day of the week
+ *       404:
+ *         description: No staff record is linked to this account
+ */
+router.get('/availability', getMyAvailability);
+router.put('/availability', updateMyAvailability);
+
+module.exports = router;
@@ -0,0 +1,271 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getOpenShifts,
+  getOpenShift,
+  generateOpenShifts,
+  claimOpenShift,
+  confirmClaim,
+  rejectClaim,
+  cancelOpenShift,
+} = require('../controllers/openShiftController');
+const { protect, authorize } = require('../middleware/auth');
+const { ROSTER_MANAGERS } = require('../config/roles');
+
+router.use(protect);
+
+/**
+ * @swagger
+ * /api/open-shifts:
+ *   get:
+ *     summary: List open shifts
+ *     description: Managers see the postings of their department, or all of them. Staff see the postings for their role and those they have claimed, with only their own claims.
+ *     tags: [Open shifts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, filled, cancelled]
+ *           default: open
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: department
+ *         schema:
+ *           type: string
+ *         description: Department _id, name or code (managers only)
+ *     responses:
+ *       200:
+ *         description: Postings by date
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               count: 1
+ *               data:
+ *                 - _id: "674b1234567890abcdefdddd"
+ *                   date: "2025-12-02T00:00:00.000Z"
+ *                   shift: "Night"
+ *                   role: "Nurse"
+ *                   department:
+ *                     _id: "674b1234567890abcdef3333"
+ *                     name: "Emergency"
+ *                     code: "ER"
+ *                   slots: 2
+ *                   filledSlots: 0
+ *                   status: "open"
+ *                   claims: []
+ *       404:
+ *         description: No staff record is linked to this account
+ */
+router.get('/', getOpenShifts);
+
+/**
+ * @swagger
+ * /api/open-shifts/generate:
+ *   post:
+ *     summary: Post open shifts for staffing shortfalls
+ *     description: "Checks every active shift of each day in the range against its staffing requirement, ward by ward, and posts each role still short of staff. A shortfall that already has an open posting updates its slots. **Required role:** admin, ward_manager"
+ *     x-required-roles: [admin, ward_manager]
+ *     tags: [Open shifts]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [endDate]
+ *             properties:
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *                 description: Defaults to today
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *               department:
+ *                 type: string
+ *                 description: Department _id, name or code; every active department when omitted
+ *           example:
+ *             startDate: "2025-12-01"
+ *             endDate: "2025-12-07"
+ *             department: "ER"
+ *     responses:
+ *       201:
+ *         description: Postings created or updated
+ *       400:
+ *         description: Invalid or past date range, or a range longer than SCHEDULE_GENERATE_MAX_DAYS
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post('/generate', authorize(...ROSTER_MANAGERS), generateOpenShifts);
+
+/**
+ * @swagger
+ * /api/open-shifts/{id}:
+ *   get:
+ *     summary: Get an open shift
+ *     tags: [Open shifts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Posting details
+ *       404:
+ *         description: Open shift not found
+ */
+router.get('/:id', getOpenShift);
+
+/**
+ * @swagger
+ * /api/open-shifts/{id}/claim:
+ *   post:
+ *     summary: Claim an open shift
+ *     description: The signed-in user's linked staff member offers to work the shift. Their role has to count as the posted role, and they cannot already be on the shift or on leave. A claim that would break any active working-time rule, warnings included, is recorded as rejected and answered with the rules it breaks.
+ *     tags: [Open shifts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       201:
+ *         description: Claim waiting for a manager
+ *       400:
+ *         description: The posting is closed or past, the role does not match, the staff member is unavailable, or the claim breaks working-time limits
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: false
+ *               error: "Claim breaks working-time limits"
+ *               violations:
+ *                 - rule: "minRestHours"
+ *                   severity: "error"
+ *                   limit: 11
+ *                   message: "Less than 11 hours of rest between shifts"
+ *       404:
+ *         description: Open shift not found, or no staff record is linked to this account
+ */
+router.post('/:id/claim', claimOpenShift);
+
+/**
+ * @swagger
+ * /api/open-shifts/{id}/cancel:
+ *   post:
+ *     summary: Withdraw an open shift
+ *     description: "Pending claims on it are rejected. **Required role:** admin, ward_manager"
+ *     x-required-roles: [admin, ward_manager]
+ *     tags: [Open shifts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Posting cancelled
+ *       400:
+ *         description: The posting is no longer open
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Open shift not found
+ */
+router.post('/:id/cancel', authorize(...ROSTER_MANAGERS), cancelOpenShift);
+
+/**
+ * @swagger
+ * /api/open-shifts/{id}/claims/{claimId}/confirm:
+ *   post:
+ *     summary: Confirm a claim
+ *     description: "Rosters the claimant on the shift, in the posting's ward. The working-time limits are checked again and the claim is rejected if it now breaks them. Once every slot is filled the posting is closed and its remaining claims are rejected. **Required role:** admin, ward_manager"
+ *     x-required-roles: [admin, ward_manager]
+ *     tags: [Open shifts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: claimId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Claim confirmed; assignment is the new roster entry
+ *       400:
+ *         description: The posting or claim is no longer open, the claimant is unavailable, or the claim breaks working-time limits
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Open shift or claim not found
+ * /api/open-shifts/{id}/claims/{claimId}/reject:
+ *   post:
+ *     summary: Reject a claim
+ *     description: "**Required role:** admin, ward_manager"
+ *     x-required-roles: [admin, ward_manager]
+ *     tags: [Open shifts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: claimId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Claim rejected
+ *       400:
+ *         description: The claim is no longer pending
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Open shift or claim not found
+ */
+router.post('/:id/claims/:claimId/confirm', authorize(...ROSTER_MANAGERS), confirmClaim);
+router.post('/:id/claims/:claimId/reject', authorize(...ROSTER_MANAGERS), rejectClaim);
+
+module.exports = router;
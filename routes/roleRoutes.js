@@ -0,0 +1,161 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getRoles,
+  getRole,
+  createRole,
+  updateRole,
+  deleteRole,
+} = require('../controllers/roleController');
+const { protect, authorize } = require('../middleware/auth');
+const { ROLES, ROSTER_MANAGERS } = require('../config/roles');
+
+router.use(protect);
+
+/**
+ * @swagger
+ * /api/roles:
+ *   get:
+ *     summary: List staff roles
+ *     description: The catalogue of roles staff can hold. User access roles (admin, ward_manager, ...) are separate.
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *         description: Only active (true) or inactive (false) roles
+ *     responses:
+ *       200:
+ *         description: List of roles
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               count: 2
+ *               data:
+ *                 - _id: "674b1234567890abcdef6666"
+ *                   name: "Nurse"
+ *                   code: "RN"
+ *                   staffIdPrefix: "N"
+ *                   countsAs: null
+ *                   isActive: true
+ *                 - _id: "674b1234567890abcdef7777"
+ *                   name: "Senior Nurse"
+ *                   code: "SRN"
+ *                   staffIdPrefix: "N"
+ *                   countsAs: "Nurse"
+ *                   isActive: true
+ *   post:
+ *     summary: Create a staff role
+ *     description: "Once any role exists, staff can only be given active roles from the catalogue. **Required role:** admin, ward_manager"
+ *     x-required-roles: [admin, ward_manager]
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Role'
+ *           example:
+ *             name: "Senior Nurse"
+ *             code: "SRN"
+ *             staffIdPrefix: "N"
+ *             countsAs: "Nurse"
+ *     responses:
+ *       201:
+ *         description: Role created
+ *       400:
+ *         description: Validation error, or the name or code is taken
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: false
+ *               error: "A role with this code already exists"
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/', getRoles);
+router.post('/', authorize(...ROSTER_MANAGERS), createRole);
+
+/**
+ * @swagger
+ * /api/roles/{id}:
+ *   get:
+ *     summary: Get a staff role
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Role details
+ *       404:
+ *         description: Role not found
+ *   put:
+ *     summary: Update a staff role
+ *     description: "Renaming a role renames it on staff, on roles that count as it and in staffing requirements. Set isActive to false to stop new assignments. **Required role:** admin, ward_manager"
+ *     x-required-roles: [admin, ward_manager]
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Role'
+ *           example:
+ *             countsAs: "Nurse"
+ *     responses:
+ *       200:
+ *         description: Role updated
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Role not found
+ *   delete:
+ *     summary: Delete a staff role
+ *     description: "Only roles no staff member, role or staffing requirement uses can be deleted. **Required role:** admin"
+ *     x-required-roles: [admin]
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Role deleted
+ *       400:
+ *         description: Role is in use
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Role not found
+ */
+router.get('/:id', getRole);
+router.put('/:id', authorize(...ROSTER_MANAGERS), updateRole);
+router.delete('/:id', authorize(ROLES.ADMIN), deleteRole);
+
+module.exports = router;
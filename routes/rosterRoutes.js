@@ -0,0 +1,268 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getAssignments,
+  getAssignment,
+  createAssignment,
+  updateAssignment,
+  deleteAssignment,
+  generateDefaults,
+} = require('../controllers/rosterController');
+const { protect, authorize } = require('../middleware/auth');
+const { ROSTER_MANAGERS } = require('../config/roles');
+
+router.use(protect);
+
+/**
+ * @swagger
+ * /api/roster:
+ *   get:
+ *     summary: List roster assignments
+ *     description: Who works which shift on which day, and in which department. Shift coverage in GET /api/staff is checked against these assignments; staff without an assignment for the day count on their default shift.
+ *     tags: [Roster]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: A single day
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: shift
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: department
+ *         schema:
+ *           type: string
+ *         description: Department _id, name or code
+ *       - in: query
+ *         name: staffId
+ *         schema:
+ *           type: string
+ *         description: Staff _id or staffId (e.g. N001)
+ *       - in: query
+ *         name: period
+ *         schema:
+ *           type: string
+ *         description: List a schedule's assignments instead of the live roster (admin, ward_manager)
+ *     responses:
+ *       200:
+ *         description: Assignments ordered by date and shift; conflicts, for admins and ward managers only, lists those that go against their staff member's declared availability
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               count: 1
+ *               data:
+ *                 - _id: "674b1234567890abcdefaaaa"
+ *                   staff:
+ *                     _id: "674b1234567890abcdef1111"
+ *                     name: "Jane Doe"
+ *                     staffId: "N001"
+ *                     role: "Nurse"
+ *                     shift: "Morning"
+ *                   date: "2025-12-01T00:00:00.000Z"
+ *                   shift: "Night"
+ *                   department:
+ *                     _id: "674b1234567890abcdef8888"
+ *                     name: "Intensive Care"
+ *                     code: "ICU"
+ *                   source: "manual"
+ *       403:
+ *         description: The department is outside the user's own
+ *   post:
+ *     summary: Assign a staff member to a shift
+ *     description: "Shift and department default to the staff member's own. Without period the assignment is live at once. Managers tied to a department can assign their own staff, or float other staff into their department. **Required role:** admin, ward_manager"
+ *     x-required-roles: [admin, ward_manager]
+ *     tags: [Roster]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [staffId, date]
+ *             properties:
+ *               staffId:
+ *                 type: string
+ *                 description: Staff _id or staffId (e.g. N001)
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               shift:
+ *                 type: string
+ *               department:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *               period:
+ *                 type: string
+ *                 description: Draft schedule to add the assignment to; without it the live roster changes at once
+ *           example:
+ *             staffId: "N001"
+ *             date: "2025-12-01"
+ *             shift: "Night"
+ *             department: "ICU"
+ *     responses:
+ *       201:
+ *         description: Assignment created; conflicts lists how it goes against the staff member's declared availability, if at all, and warnings the working-time rules with warning severity it breaks
+ *       400:
+ *         description: Validation error, the staff member already works this shift that day, or the assignment breaks a working-time rule with error severity
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: false
+ *               error: "Assignment breaks working-time rules"
+ *               violations:
+ *                 - rule: "minRestHours"
+ *                   severity: "error"
+ *                   limit: 11
+ *                   message: "Less than 11 hours of rest between shifts"
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Staff not found
+ */
+router.get('/', getAssignments);
+router.post('/', authorize(...ROSTER_MANAGERS), createAssignment);
+
+/**
+ * @swagger
+ * /api/roster/defaults:
+ *   post:
+ *     summary: Generate assignments from default shifts
+ *     description: "Assigns every staff member (of one department, if given) to their default shift on each day of the range they have no assignment for yet, and pre-creates their attendance. Days that would break a working-time rule with error severity are left unassigned and returned in violations; warnings are returned too. **Required role:** admin, ward_manager"
+ *     x-required-roles: [admin, ward_manager]
+ *     tags: [Roster]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [endDate]
+ *             properties:
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *                 description: Defaults to today
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *               department:
+ *                 type: string
+ *           example:
+ *             startDate: "2025-12-01"
+ *             endDate: "2025-12-14"
+ *     responses:
+ *       201:
+ *         description: Assignments created
+ *       400:
+ *         description: Invalid date range, or longer than 62 days
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post('/defaults', authorize(...ROSTER_MANAGERS), generateDefaults);
+
+/**
+ * @swagger
+ * /api/roster/{id}:
+ *   get:
+ *     summary: Get a roster assignment
+ *     tags: [Roster]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Assignment details
+ *       404:
+ *         description: Roster assignment not found
+ *   put:
+ *     summary: Move a roster assignment
+ *     description: "Changes the day, shift or department. Moved assignments no longer follow the staff member's default shift, and their attendance moves along until it is marked. **Required role:** admin, ward_manager"
+ *     x-required-roles: [admin, ward_manager]
+ *     tags: [Roster]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               shift:
+ *                 type: string
+ *               department:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *           example:
+ *             shift: "Evening"
+ *     responses:
+ *       200:
+ *         description: Assignment moved, with its availability conflicts and working-time warnings
+ *       400:
+ *         description: Validation error, the staff member already works this shift that day, the assignment is archived, or it breaks a working-time rule with error severity
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Roster assignment not found
+ *   delete:
+ *     summary: Remove a roster assignment
+ *     description: "Also removes attendance pre-created for it that has not been marked. **Required role:** admin, ward_manager"
+ *     x-required-roles: [admin, ward_manager]
+ *     tags: [Roster]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Assignment removed
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Roster assignment not found
+ */
+router.get('/:id', getAssignment);
+router.put('/:id', authorize(...ROSTER_MANAGERS), updateAssignment);
+router.delete('/:id', authorize(...ROSTER_MANAGERS), deleteAssignment);
+
+module.exports = router;
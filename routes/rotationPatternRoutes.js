@@ -0,0 +1,211 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getRotationPatterns,
+  getRotationPattern,
+  createRotationPattern,
+  updateRotationPattern,
+  deleteRotationPattern,
+  previewRotationPattern,
+} = require('../controllers/rotationPatternController');
+const { protect, authorize } = require('../middleware/auth');
+const { ROSTER_MANAGERS } = require('../config/roles');
+
+router.use(protect);
+
+/**
+ * @swagger
+ * /api/rotation-patterns:
+ *   get:
+ *     summary: List rotation patterns
+ *     description: Repeating sequences of shifts and days off that staff can follow, set with PUT /api/staff/{id}/rotation. Staff following an active pattern are rostered from it instead of their default shift.
+ *     tags: [Rotation patterns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *         description: Only active (true) or inactive (false) patterns
+ *     responses:
+ *       200:
+ *         description: Rotation patterns, by name
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               count: 1
+ *               data:
+ *                 - _id: "674b1234567890abcdef7777"
+ *                   name: "4 on 4 off"
+ *                   steps: ["Morning", "Morning", "Morning", "Morning", "Off", "Off", "Off", "Off"]
+ *                   anchorDate: "2025-12-01T00:00:00.000Z"
+ *                   isActive: true
+ *   post:
+ *     summary: Create a rotation pattern
+ *     description: "Day one of the steps falls on the anchor date and the sequence repeats before and after it. **Required role:** admin, ward_manager"
+ *     x-required-roles: [admin, ward_manager]
+ *     tags: [Rotation patterns]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RotationPattern'
+ *           example:
+ *             name: "Rolling"
+ *             description: "Two mornings, an evening and a night, then a day off"
+ *             steps: ["Morning", "Morning", "Evening", "Night", "Off"]
+ *             anchorDate: "2025-12-01"
+ *     responses:
+ *       201:
+ *         description: Rotation pattern created
+ *       400:
+ *         description: Validation error, unknown shift or a name already in use
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/', getRotationPatterns);
+router.post('/', authorize(...ROSTER_MANAGERS), createRotationPattern);
+
+/**
+ * @swagger
+ * /api/rotation-patterns/{id}:
+ *   get:
+ *     summary: Get a rotation pattern
+ *     tags: [Rotation patterns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Rotation pattern
+ *       404:
+ *         description: Rotation pattern not found
+ *   put:
+ *     summary: Update a rotation pattern
+ *     description: "Changing the steps, the anchor date or whether it is active re-rosters the staff following it from today on, keeping days whose attendance has been marked. rostered is the number of assignments made again. **Required role:** admin, ward_manager"
+ *     x-required-roles: [admin, ward_manager]
+ *     tags: [Rotation patterns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RotationPattern'
+ *           example:
+ *             steps: ["Morning", "Evening", "Night", "Off", "Off"]
+ *     responses:
+ *       200:
+ *         description: Rotation pattern updated
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               data:
+ *                 name: "Rolling"
+ *                 steps: ["Morning", "Evening", "Night", "Off", "Off"]
+ *               rostered: 6
+ *       400:
+ *         description: Validation error, unknown shift or a name already in use
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Rotation pattern not found
+ *   delete:
+ *     summary: Delete a rotation pattern
+ *     description: "Patterns staff still follow cannot be deleted; take them off it first or deactivate it instead. **Required role:** admin, ward_manager"
+ *     x-required-roles: [admin, ward_manager]
+ *     tags: [Rotation patterns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Rotation pattern deleted
+ *       400:
+ *         description: Rotation pattern is followed by staff
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Rotation pattern not found
+ */
+router.get('/:id', getRotationPattern);
+router.put('/:id', authorize(...ROSTER_MANAGERS), updateRotationPattern);
+router.delete('/:id', authorize(...ROSTER_MANAGERS), deleteRotationPattern);
+
+/**
+ * @swagger
+ * /api/rotation-patterns/{id}/preview:
+ *   get:
+ *     summary: Expand a rotation pattern over a date range
+ *     description: The dated shifts the pattern gives, leaving out days off, without rostering anyone. The range is limited to 62 days.
+ *     tags: [Rotation patterns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Defaults to today
+ *       - in: query
+ *         name: endDate
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *         description: Days into the cycle, as a staff member following it with that offset
+ *     responses:
+ *       200:
+ *         description: Dated shifts
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               count: 2
+ *               data:
+ *                 - date: "2025-12-01T00:00:00.000Z"
+ *                   shift: "Morning"
+ *                 - date: "2025-12-02T00:00:00.000Z"
+ *                   shift: "Morning"
+ *       400:
+ *         description: Invalid date range or offset
+ *       404:
+ *         description: Rotation pattern not found
+ */
+router.get('/:id/preview', previewRotationPattern);
+
+module.exports = router;
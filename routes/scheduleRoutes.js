@@ -0,0 +1,307 @@
+const express = require('express');
+const router = express.Router();
+const {
+  generateSchedule,
+  getSchedules,
+  getSchedule,
+  createSchedule,
+  getScheduleDiff,
+  publishSchedule,
+  deleteSchedule,
+} = require('../controllers/scheduleController');
+const { protect, authorize } = require('../middleware/auth');
+const { ROSTER_MANAGERS } = require('../config/roles');
+
+router.use(protect);
+router.use(authorize(...ROSTER_MANAGERS));
+
+/**
+ * @swagger
+ * /api/schedules:
+ *   get:
+ *     summary: List schedules
+ *     description: "Schedules are rosters for a date range, of one department or the whole facility. A draft is only visible here until it is published; publishing archives the schedule it replaces. **Required role:** admin, ward_manager"
+ *     x-required-roles: [admin, ward_manager]
+ *     tags: [Schedules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, published, archived]
+ *       - in: query
+ *         name: department
+ *         schema:
+ *           type: string
+ *         description: Department _id, name or code
+ *     responses:
+ *       200:
+ *         description: Schedules, latest first
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               count: 1
+ *               data:
+ *                 - _id: "674b1234567890abcdefbbbb"
+ *                   name: "ICU December week 1"
+ *                   startDate: "2025-12-01T00:00:00.000Z"
+ *                   endDate: "2025-12-07T00:00:00.000Z"
+ *                   department:
+ *                     _id: "674b1234567890abcdef8888"
+ *                     name: "Intensive Care"
+ *                     code: "ICU"
+ *                   status: "draft"
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *   post:
+ *     summary: Start a draft schedule
+ *     description: "Creates a draft for a date range (up to 31 days) holding a copy of the live roster for those dates and department. Edit it with /api/roster (sending period) or fill it with /api/schedules/generate, then publish it. **Required role:** admin, ward_manager"
+ *     x-required-roles: [admin, ward_manager]
+ *     tags: [Schedules]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SchedulePeriod'
+ *           example:
+ *             name: "ICU December week 1"
+ *             startDate: "2025-12-01"
+ *             endDate: "2025-12-07"
+ *             department: "ICU"
+ *     responses:
+ *       201:
+ *         description: Draft created; count is the number of assignments copied
+ *       400:
+ *         description: Validation error or range too long
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/', getSchedules);
+router.post('/', createSchedule);
+
+/**
+ * @swagger
+ * /api/schedules/generate:
+ *   post:
+ *     summary: Generate a draft roster
+ *     description: "Proposes assignments for a date range (up to 31 days) that meet the staffing requirements of each shift, on top of the assignments that already exist. Staff work at most one shift a day and are never rostered on approved leave, beyond the maximum consecutive shifts or without the minimum rest between shifts. Minimums that cannot be met are returned in gaps. The same input and seed always give the same roster; when no seed is sent a random one is used and returned. With period, the dates and department of that draft schedule are filled and the assignments saved to it; otherwise nothing is saved. **Required role:** admin, ward_manager"
+ *     x-required-roles: [admin, ward_manager]
+ *     tags: [Schedules]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               period:
+ *                 type: string
+ *                 description: Draft schedule to fill; replaces startDate, endDate and department
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *               department:
+ *                 type: string
+ *                 description: Department _id, name or code whose staff and requirements to use
+ *               shifts:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Shifts to cover; defaults to every active shift
+ *               seed:
+ *                 oneOf:
+ *                   - type: integer
+ *                   - type: string
+ *           example:
+ *             startDate: "2025-12-01"
+ *             endDate: "2025-12-07"
+ *             department: "ICU"
+ *             seed: 42
+ *     responses:
+ *       200:
+ *         description: Draft roster and unfilled minimums
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               seed: 42
+ *               period: null
+ *               range:
+ *                 startDate: "2025-12-01"
+ *                 endDate: "2025-12-07"
+ *               department: "674b1234567890abcdef8888"
+ *               count: 1
+ *               data:
+ *                 - staff:
+ *                     _id: "674b1234567890abcdef1111"
+ *                     name: "Jane Doe"
+ *                     staffId: "N001"
+ *                     role: "Nurse"
+ *                   date: "2025-12-01"
+ *                   shift: "Morning"
+ *                   department: "674b1234567890abcdef8888"
+ *               gaps:
+ *                 - date: "2025-12-01"
+ *                   shift: "Night"
+ *                   role: "Doctor"
+ *                   required: 1
+ *                   current: 0
+ *                   needed: 1
+ *       400:
+ *         description: Invalid date range, unknown shift or department, or the schedule is not a draft
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Schedule not found
+ */
+router.post('/generate', generateSchedule);
+
+/**
+ * @swagger
+ * /api/schedules/{id}:
+ *   get:
+ *     summary: Get a schedule with its assignments
+ *     description: "**Required role:** admin, ward_manager"
+ *     x-required-roles: [admin, ward_manager]
+ *     tags: [Schedules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Schedule details and assignments
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Schedule not found
+ *   delete:
+ *     summary: Discard a draft schedule
+ *     description: "Deletes the draft and its assignments. Published and archived schedules cannot be deleted. **Required role:** admin, ward_manager"
+ *     x-required-roles: [admin, ward_manager]
+ *     tags: [Schedules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Draft deleted
+ *       400:
+ *         description: The schedule is not a draft
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Schedule not found
+ */
+router.get('/:id', getSchedule);
+router.delete('/:id', deleteSchedule);
+
+/**
+ * @swagger
+ * /api/schedules/{id}/diff:
+ *   get:
+ *     summary: Compare a draft with the published roster
+ *     description: "Assignments publishing the draft would add or remove, and those that would move to another department. **Required role:** admin, ward_manager"
+ *     x-required-roles: [admin, ward_manager]
+ *     tags: [Schedules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Differences
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               data:
+ *                 added:
+ *                   - staff:
+ *                       _id: "674b1234567890abcdef1111"
+ *                       name: "Jane Doe"
+ *                       staffId: "N001"
+ *                     date: "2025-12-02"
+ *                     shift: "Night"
+ *                 removed:
+ *                   - staff:
+ *                       _id: "674b1234567890abcdef1111"
+ *                       name: "Jane Doe"
+ *                       staffId: "N001"
+ *                     date: "2025-12-02"
+ *                     shift: "Morning"
+ *                 changed: []
+ *       400:
+ *         description: The schedule is not a draft
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Schedule not found
+ */
+router.get('/:id/diff', getScheduleDiff);
+
+/**
+ * @swagger
+ * /api/schedules/{id}/publish:
+ *   post:
+ *     summary: Publish a draft schedule
+ *     description: "Every shift on every day has to meet its staffing requirement, otherwise nothing changes and the shortfalls are returned. Every assignment is checked against the working-time rules again, and any that breaks one with error severity stops the publication too. The draft then replaces the live roster for its dates and department: the assignments it replaces are archived, attendance not marked yet follows the new assignments or is removed, and attendance is pre-created for the rest. **Required role:** admin, ward_manager"
+ *     x-required-roles: [admin, ward_manager]
+ *     tags: [Schedules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Schedule published
+ *       400:
+ *         description: The schedule is not a draft, leaves shifts short, breaks working-time rules, or repeats a live assignment outside its dates or department (listed in clashes)
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: false
+ *               error: "Schedule does not meet staffing requirements"
+ *               gaps:
+ *                 - date: "2025-12-01"
+ *                   shift: "Night"
+ *                   role: "Nurse"
+ *                   required: 2
+ *                   current: 1
+ *                   needed: 1
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Schedule not found
+ */
+router.post('/:id/publish', publishSchedule);
+
+module.exports = router;
@@ -0,0 +1,175 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getShifts,
+  getShift,
+  createShift,
+  updateShift,
+  deleteShift,
+} = require('../controllers/shiftController');
+const { protect, authorize } = require('../middleware/auth');
+const { ROLES, ROSTER_MANAGERS } = require('../config/roles');
+
+router.use(protect);
+
+/**
+ * @swagger
+ * /api/shifts:
+ *   get:
+ *     summary: List shift definitions
+ *     tags: [Shifts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *         description: Only active (true) or inactive (false) shifts
+ *     responses:
+ *       200:
+ *         description: List of shifts ordered by start time
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               count: 2
+ *               data:
+ *                 - _id: "674b1234567890abcdef3333"
+ *                   name: "Morning"
+ *                   code: "M"
+ *                   startTime: "08:00"
+ *                   endTime: "16:00"
+ *                   crossesMidnight: false
+ *                   breakMinutes: 30
+ *                   isActive: true
+ *                   durationMinutes: 480
+ *                   workMinutes: 450
+ *                 - _id: "674b1234567890abcdef4444"
+ *                   name: "Night"
+ *                   code: "N"
+ *                   startTime: "22:00"
+ *                   endTime: "08:00"
+ *                   crossesMidnight: true
+ *                   breakMinutes: 60
+ *                   isActive: true
+ *                   durationMinutes: 600
+ *                   workMinutes: 540
+ *   post:
+ *     summary: Create a shift definition
+ *     description: "An end time at or before the start time needs crossesMidnight. **Required role:** admin, ward_manager"
+ *     x-required-roles: [admin, ward_manager]
+ *     tags: [Shifts]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Shift'
+ *           example:
+ *             name: "Night"
+ *             code: "N"
+ *             startTime: "22:00"
+ *             endTime: "08:00"
+ *             crossesMidnight: true
+ *             breakMinutes: 60
+ *     responses:
+ *       201:
+ *         description: Shift created
+ *       400:
+ *         description: Validation error, or the name or code is taken
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: false
+ *               error: "A shift with this code already exists"
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/', getShifts);
+router.post('/', authorize(...ROSTER_MANAGERS), createShift);
+
+/**
+ * @swagger
+ * /api/shifts/{id}:
+ *   get:
+ *     summary: Get a shift definition
+ *     tags: [Shifts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Shift details
+ *       404:
+ *         description: Shift not found
+ *   put:
+ *     summary: Update a shift definition
+ *     description: "Renaming a shift renames it on the staff, attendance, roster assignments, open shifts, rotation patterns and preferred shifts that use it. Set isActive to false to stop new assignments. **Required role:** admin, ward_manager"
+ *     x-required-roles: [admin, ward_manager]
+ *     tags: [Shifts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Shift'
+ *           example:
+ *             breakMinutes: 45
+ *     responses:
+ *       200:
+ *         description: Shift updated
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Shift not found
+ *   delete:
+ *     summary: Delete a shift definition
+ *     description: "Only shifts that no staff or attendance record uses can be deleted. **Required role:** admin"
+ *     x-required-roles: [admin]
+ *     tags: [Shifts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Shift deleted
+ *       400:
+ *         description: Shift is in use
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: false
+ *               error: "Shift is used by staff, attendance, the roster, open shifts or rotation patterns; deactivate it instead"
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Shift not found
+ */
+router.get('/:id', getShift);
+router.put('/:id', authorize(...ROSTER_MANAGERS), updateShift);
+router.delete('/:id', authorize(ROLES.ADMIN), deleteShift);
+
+module.exports = router;
@@ -8,13 +8,17 @@ const {
   deleteStaff,
   getWeeklyStats,
 } = require('../controllers/staffController');
-const { protect } = require('../middleware/auth');
+const { getStaffAvailability, updateStaffAvailability } = require('../controllers/availabilityController');
+const { updateStaffRotation } = require('../controllers/rotationPatternController');
+const { protect, authorize } = require('../middleware/auth');
+const { ROLES, ROSTER_MANAGERS } = require('../config/roles');
 
 /**
  * @swagger
  * /api/staff:
  *   get:
  *     summary: Get all staff with shift requirements check
+ *     description: Each shift's status uses the staffing requirement that applies to the department and the date (today when no date is given). See /api/staffing-requirements. Users assigned to a department only see that department's staff. Accounts linked to a staff record below charge nurse get 403 and use /api/me instead.
  *     tags: [Staff]
  *     security:
  *       - bearerAuth: []
@@ -30,9 +34,20 @@ const { protect } = require('../middleware/auth');
  *           type: string
  *           format: date
  *         description: Get attendance status for specific date (YYYY-MM-DD)
+ *       - in: query
+ *         name: department
+ *         schema:
+ *           type: string
+ *         description: Department _id, name or code. Limits the list to its staff and checks shifts against its staffing requirements
+ *       - in: query
+ *         name: groupBy
+ *         schema:
+ *           type: string
+ *           enum: [department]
+ *         description: Adds departmentStatus, the shift status of each department (or Unassigned) against its own requirements
  *     responses:
  *       200:
- *         description: List of staff with shift status and optional attendance
+ *         description: List of staff with shift status and optional attendance. Each shift lists in availabilityConflicts the staff on it whose declared availability it goes against
  *         content:
  *           application/json:
  *             schema:
@@ -99,6 +114,11 @@ const { protect } = require('../middleware/auth');
  *                           needed: 1
  *                       missingStaff: { Doctor: 1, Nurse: 1 }
  *                       message: "Short staffed"
+ *                       availabilityConflicts:
+ *                         - staff: { _id: "674b1234567890abcdef1234", name: "Nurse Johnson", staffId: "N003" }
+ *                           conflicts:
+ *                             - type: "preference"
+ *                               message: "Prefers Morning shifts"
  *                   data:
  *                     - name: "Nurse Johnson"
  *                       staffId: "N003"
@@ -136,7 +156,8 @@ const { protect } = require('../middleware/auth');
  *         description: Not authorized
  *   post:
  *     summary: Create new staff member
- *     description: Creates a new staff member with auto-generated staffId and automatically generates attendance records with "Not Marked" status for the next 7 days with their assigned shift. StaffId format - Doctor:D001, Nurse:N001, Technician:T001
+ *     description: Creates a new staff member with auto-generated staffId and rosters them for their first days (7 unless INITIAL_ROSTER_DAYS is set), from their rotation pattern when one is given and on their assigned shift otherwise, with "Not Marked" attendance records. StaffId format - the role's staffIdPrefix and a number, e.g. Doctor:D001, Nurse:N001, Technician:T001. Unknown and inactive roles are rejected; until roles are defined under /api/roles, only Doctor, Nurse, Technician and Lab Technician are accepted. **Required role:** admin, ward_manager
+ *     x-required-roles: [admin, ward_manager]
  *     tags: [Staff]
  *     security:
  *       - bearerAuth: []
@@ -157,8 +178,21 @@ const { protect } = require('../middleware/auth');
  *                 type: string
  *               role:
  *                 type: string
+ *                 description: Name or code of an active role from /api/roles
  *               shift:
  *                 type: string
+ *                 description: Name or code of an active shift from /api/shifts
+ *               department:
+ *                 type: string
+ *                 description: _id, name or code of an active department from /api/departments. Defaults to the user's own department
+ *               rotation:
+ *                 type: object
+ *                 description: Rotation pattern to follow, as for PUT /api/staff/{id}/rotation
+ *                 properties:
+ *                   pattern:
+ *                     type: string
+ *                   offset:
+ *                     type: integer
  *               date:
  *                 type: string
  *                 format: date
@@ -190,15 +224,18 @@ const { protect } = require('../middleware/auth');
  *             example:
  *               success: false
  *               error: \"Staff with this ID already exists\"
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  */
 router.get('/', protect, getStaffs);
-router.post('/', protect, createStaff);
+router.post('/', protect, authorize(...ROSTER_MANAGERS), createStaff);
 
 /**
  * @swagger
  * /api/staff/{id}:
  *   get:
  *     summary: Get staff by ID
+ *     description: Accounts linked to a staff record below charge nurse can only read their own.
  *     tags: [Staff]
  *     security:
  *       - bearerAuth: []
@@ -260,7 +297,8 @@ router.post('/', protect, createStaff);
  *         description: Staff not found
  *   put:
  *     summary: Update staff member
- *     description: Update staff member details. If shift is changed, all future attendance records will be automatically updated with the new shift.
+ *     description: Update staff member details. If shift is changed, all future attendance records will be automatically updated with the new shift; the change is refused with the violations when the moved assignments would break a working-time rule with error severity. **Required role:** admin, ward_manager
+ *     x-required-roles: [admin, ward_manager]
  *     tags: [Staff]
  *     security:
  *       - bearerAuth: []
@@ -297,10 +335,14 @@ router.post('/', protect, createStaff);
  *                 role: "Doctor"
  *                 shift: "Evening"
  *                 date: "2025-12-13"
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  *       404:
  *         description: Staff not found
  *   delete:
  *     summary: Delete staff member
+ *     description: "**Required role:** admin"
+ *     x-required-roles: [admin]
  *     tags: [Staff]
  *     security:
  *       - bearerAuth: []
@@ -318,6 +360,8 @@ router.post('/', protect, createStaff);
  *             example:
  *               success: true
  *               message: "Staff removed"
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  *       404:
  *         description: Staff not found
  *         content:
@@ -327,8 +371,8 @@ router.post('/', protect, createStaff);
  *               error: "Staff not found"
  */
 router.get('/:id', protect, getStaff);
-router.put('/:id', protect, updateStaff);
-router.delete('/:id', protect, deleteStaff);
+router.put('/:id', protect, authorize(...ROSTER_MANAGERS), updateStaff);
+router.delete('/:id', protect, authorize(ROLES.ADMIN), deleteStaff);
 
 /**
  * @swagger
@@ -396,4 +440,130 @@ router.delete('/:id', protect, deleteStaff);
  */
 router.get('/:staffId/weekly-stats', protect, getWeeklyStats);
 
+/**
+ * @swagger
+ * /api/staff/{id}/availability:
+ *   get:
+ *     summary: Get a staff member's availability
+ *     description: Days of the week they never work, shifts they prefer and one-off blackout dates. Empty lists when nothing has been declared.
+ *     tags: [Staff]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Declared availability
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/StaffAvailability'
+ *       403:
+ *         description: Staff member of another department
+ *       404:
+ *         description: Staff not found
+ *   put:
+ *     summary: Update a staff member's availability
+ *     description: "Sets the fields sent and leaves the others as they are. Roster assignments against it are flagged, not refused. **Required role:** admin, ward_manager"
+ *     x-required-roles: [admin, ward_manager]
+ *     tags: [Staff]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/StaffAvailability'
+ *           example:
+ *             unavailableDays: [0, 6]
+ *             preferredShifts: ["Morning"]
+ *             blackoutDates:
+ *               - date: "2025-12-24"
+ *                 reason: "Family event"
+ *     responses:
+ *       200:
+ *         description: Availability saved
+ *       400:
+ *         description: Unknown shift, invalid date or day of the week
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Staff not found
+ */
+router.get('/:id/availability', protect, getStaffAvailability);
+router.put('/:id/availability', protect, authorize(...ROSTER_MANAGERS), updateStaffAvailability);
+
+/**
+ * @swagger
+ * /api/staff/{id}/rotation:
+ *   put:
+ *     summary: Set the rotation pattern a staff member follows
+ *     description: "Puts them on an active rotation pattern from /api/rotation-patterns, offset days into its cycle, or takes them off one with a null pattern. Their assignments from today on that came from their rotation or default shift, and whose attendance has not been marked, are rostered again from the new one. rostered is the number of assignments made. **Required role:** admin, ward_manager"
+ *     x-required-roles: [admin, ward_manager]
+ *     tags: [Staff]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               pattern:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Rotation pattern _id or name; null to stop following one
+ *               offset:
+ *                 type: integer
+ *                 minimum: 0
+ *                 description: Days into the cycle, so staff on one pattern can be staggered
+ *           example:
+ *             pattern: "4 on 4 off"
+ *             offset: 4
+ *     responses:
+ *       200:
+ *         description: Rotation set and the staff member re-rostered
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               data:
+ *                 name: "Alice"
+ *                 staffId: "N001"
+ *                 rotation:
+ *                   pattern: "674b1234567890abcdef7777"
+ *                   offset: 4
+ *               rostered: 3
+ *       400:
+ *         description: Rotation pattern not found or an invalid offset
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Staff not found
+ */
+router.put('/:id/rotation', protect, authorize(...ROSTER_MANAGERS), updateStaffRotation);
+
 module.exports = router;
@@ -0,0 +1,241 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getStaffingRequirements,
+  getApplicableRequirement,
+  getStaffingRequirement,
+  createStaffingRequirement,
+  updateStaffingRequirement,
+  deleteStaffingRequirement,
+} = require('../controllers/staffingRequirementController');
+const { protect, authorize } = require('../middleware/auth');
+const { ROSTER_MANAGERS } = require('../config/roles');
+
+router.use(protect);
+
+/**
+ * @swagger
+ * /api/staffing-requirements:
+ *   get:
+ *     summary: List staffing requirements
+ *     tags: [Staffing Requirements]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: department
+ *         schema:
+ *           type: string
+ *         description: Department _id, name or code
+ *       - in: query
+ *         name: shift
+ *         schema:
+ *           type: string
+ *         description: Shift _id, name or code
+ *     responses:
+ *       200:
+ *         description: List of staffing requirements
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               count: 1
+ *               data:
+ *                 - _id: "674b1234567890abcdef5555"
+ *                   description: "ICU nights at the weekend"
+ *                   department: { _id: "674b1234567890abcdef8888", name: "Intensive Care", code: "ICU" }
+ *                   shift: { _id: "674b1234567890abcdef4444", name: "Night", code: "N" }
+ *                   daysOfWeek: [0, 6]
+ *                   date: null
+ *                   minimums:
+ *                     - role: "Doctor"
+ *                       required: 2
+ *                     - role: "Nurse"
+ *                       required: 4
+ *   post:
+ *     summary: Create a staffing requirement
+ *     description: "Leave department, shift or daysOfWeek unset to cover every department, shift or day. Set date instead of daysOfWeek for a one-day override such as a holiday. Where several rules cover a shift, a date override wins, then a department rule, then a shift rule, then the rule with the fewest days. Shifts no rule covers use 1 Doctor, 2 Nurses and 1 Technician. **Required role:** admin, ward_manager"
+ *     x-required-roles: [admin, ward_manager]
+ *     tags: [Staffing Requirements]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - minimums
+ *             properties:
+ *               description:
+ *                 type: string
+ *               department:
+ *                 type: string
+ *                 description: Department _id, name or code
+ *               shift:
+ *                 type: string
+ *                 description: Shift _id, name or code
+ *               daysOfWeek:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                   minimum: 0
+ *                   maximum: 6
+ *                 description: 0 is Sunday
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               minimums:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     role:
+ *                       type: string
+ *                     required:
+ *                       type: integer
+ *                       minimum: 0
+ *           example:
+ *             description: "ICU nights at the weekend"
+ *             department: "ICU"
+ *             shift: "Night"
+ *             daysOfWeek: [0, 6]
+ *             minimums:
+ *               - role: "Doctor"
+ *                 required: 2
+ *               - role: "Nurse"
+ *                 required: 4
+ *     responses:
+ *       201:
+ *         description: Staffing requirement created
+ *       400:
+ *         description: Validation error, or unknown department or shift
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/', getStaffingRequirements);
+router.post('/', authorize(...ROSTER_MANAGERS), createStaffingRequirement);
+
+/**
+ * @swagger
+ * /api/staffing-requirements/applicable:
+ *   get:
+ *     summary: Find the staffing requirement that applies to a shift
+ *     description: Returns the rule used for the department, shift and day, or null with the default minimums when none applies
+ *     tags: [Staffing Requirements]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: department
+ *         schema:
+ *           type: string
+ *         description: Department _id, name or code
+ *       - in: query
+ *         name: shift
+ *         schema:
+ *           type: string
+ *         description: Shift _id, name or code
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Defaults to today
+ *     responses:
+ *       200:
+ *         description: Applicable rule and minimums
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               data:
+ *                 rule: null
+ *                 minimums:
+ *                   - role: "Doctor"
+ *                     required: 1
+ *                   - role: "Nurse"
+ *                     required: 2
+ *                   - role: "Technician"
+ *                     required: 1
+ */
+router.get('/applicable', getApplicableRequirement);
+
+/**
+ * @swagger
+ * /api/staffing-requirements/{id}:
+ *   get:
+ *     summary: Get a staffing requirement
+ *     tags: [Staffing Requirements]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Staffing requirement
+ *       404:
+ *         description: Staffing requirement not found
+ *   put:
+ *     summary: Update a staffing requirement
+ *     description: "**Required role:** admin, ward_manager"
+ *     x-required-roles: [admin, ward_manager]
+ *     tags: [Staffing Requirements]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           example:
+ *             minimums:
+ *               - role: "Doctor"
+ *                 required: 1
+ *               - role: "Nurse"
+ *                 required: 3
+ *     responses:
+ *       200:
+ *         description: Staffing requirement updated
+ *       400:
+ *         description: Validation error, or unknown department or shift
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Staffing requirement not found
+ *   delete:
+ *     summary: Delete a staffing requirement
+ *     description: "**Required role:** admin, ward_manager"
+ *     x-required-roles: [admin, ward_manager]
+ *     tags: [Staffing Requirements]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Staffing requirement deleted
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Staffing requirement not found
+ */
+router.get('/:id', getStaffingRequirement);
+router.put('/:id', authorize(...ROSTER_MANAGERS), updateStaffingRequirement);
+router.delete('/:id', authorize(...ROSTER_MANAGERS), deleteStaffingRequirement);
+
+module.exports = router;
@@ -0,0 +1,267 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getSwaps,
+  getSwap,
+  createSwap,
+  acceptSwap,
+  declineSwap,
+  cancelSwap,
+  approveSwap,
+  rejectSwap,
+} = require('../controllers/swapController');
+const { protect, authorize } = require('../middleware/auth');
+const { ROSTER_MANAGERS } = require('../config/roles');
+
+router.use(protect);
+
+/**
+ * @swagger
+ * /api/swaps:
+ *   get:
+ *     summary: List shift swaps
+ *     description: Staff see the swaps they are part of; managers see those of the staff they manage.
+ *     tags: [Swaps]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, accepted, approved, rejected, cancelled]
+ *       - in: query
+ *         name: staffId
+ *         schema:
+ *           type: string
+ *         description: Swaps a staff member (_id or staffId) is part of
+ *     responses:
+ *       200:
+ *         description: Swaps, newest first
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               count: 1
+ *               data:
+ *                 - _id: "674b1234567890abcdefcccc"
+ *                   requester:
+ *                     _id: "674b1234567890abcdef1111"
+ *                     name: "Jane Doe"
+ *                     staffId: "N001"
+ *                   counterpart:
+ *                     _id: "674b1234567890abcdef2222"
+ *                     name: "John Roe"
+ *                     staffId: "N002"
+ *                   dates: ["2025-12-02T00:00:00.000Z"]
+ *                   status: "accepted"
+ *   post:
+ *     summary: Propose a shift swap
+ *     description: The signed-in user's linked staff member offers to trade shifts with a colleague. On each date, each takes over the other's rostered shifts. The colleague accepts, then a manager approves.
+ *     tags: [Swaps]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [counterpartId, dates]
+ *             properties:
+ *               counterpartId:
+ *                 type: string
+ *                 description: Staff _id or staffId (e.g. N002)
+ *               dates:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: date
+ *               reason:
+ *                 type: string
+ *           example:
+ *             counterpartId: "N002"
+ *             dates: ["2025-12-02"]
+ *             reason: "Family event"
+ *     responses:
+ *       201:
+ *         description: Swap proposed
+ *       400:
+ *         description: Dates in the past, days neither is rostered on, or an open swap already covers a date
+ *       404:
+ *         description: No staff record is linked to this account, or the counterpart does not exist
+ */
+router.get('/', getSwaps);
+router.post('/', createSwap);
+
+/**
+ * @swagger
+ * /api/swaps/{id}:
+ *   get:
+ *     summary: Get a shift swap
+ *     tags: [Swaps]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Swap details
+ *       404:
+ *         description: Swap not found
+ */
+router.get('/:id', getSwap);
+
+/**
+ * @swagger
+ * /api/swaps/{id}/accept:
+ *   post:
+ *     summary: Accept a proposed swap
+ *     description: Only the counterpart can accept. The swap then waits for a manager.
+ *     tags: [Swaps]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Swap accepted
+ *       400:
+ *         description: Swap is not waiting for the counterpart
+ *       403:
+ *         description: Not the counterpart
+ * /api/swaps/{id}/decline:
+ *   post:
+ *     summary: Decline a proposed swap
+ *     description: Only the counterpart can decline. The swap is rejected.
+ *     tags: [Swaps]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Swap declined
+ *       400:
+ *         description: Swap is not waiting for the counterpart
+ *       403:
+ *         description: Not the counterpart
+ * /api/swaps/{id}/cancel:
+ *   post:
+ *     summary: Withdraw a swap
+ *     description: Only the requester can cancel, while the swap is pending or accepted.
+ *     tags: [Swaps]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Swap cancelled
+ *       400:
+ *         description: The swap is no longer open
+ *       403:
+ *         description: Not the requester
+ */
+router.post('/:id/accept', acceptSwap);
+router.post('/:id/decline', declineSwap);
+router.post('/:id/cancel', cancelSwap);
+
+/**
+ * @swagger
+ * /api/swaps/{id}/approve:
+ *   post:
+ *     summary: Approve and apply a swap
+ *     description: "Applies an accepted swap to the live roster, moving attendance that has not been marked along. Refused with the shortfalls when any shift it touches would end up shorter of staff than its staffing requirement allows and than it was before. **Required role:** admin, ward_manager"
+ *     x-required-roles: [admin, ward_manager]
+ *     tags: [Swaps]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Swap approved; count is the number of assignments that changed hands and warnings the working-time rules with warning severity it breaks
+ *       400:
+ *         description: The swap is not accepted, its dates have passed, it no longer changes the roster, would leave shifts short, or would break a working-time rule with error severity (listed in violations)
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: false
+ *               error: "Swap would leave shifts short of staff"
+ *               shortfalls:
+ *                 - date: "2025-12-02"
+ *                   shift: "Night"
+ *                   department: null
+ *                   role: "Doctor"
+ *                   required: 1
+ *                   current: 0
+ *                   needed: 1
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Swap not found
+ * /api/swaps/{id}/reject:
+ *   post:
+ *     summary: Reject a swap
+ *     description: "**Required role:** admin, ward_manager"
+ *     x-required-roles: [admin, ward_manager]
+ *     tags: [Swaps]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Swap rejected
+ *       400:
+ *         description: The swap is no longer open
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Swap not found
+ */
+router.post('/:id/approve', authorize(...ROSTER_MANAGERS), approveSwap);
+router.post('/:id/reject', authorize(...ROSTER_MANAGERS), rejectSwap);
+
+module.exports = router;
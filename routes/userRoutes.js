@@ -6,14 +6,22 @@ const {
   createUser,
   updateUser,
   deleteUser,
+  unlockUser,
 } = require('../controllers/userController');
-const { protect } = require('../middleware/auth');
+const {
+  getUserSessions,
+  revokeUserSession,
+} = require('../controllers/sessionController');
+const { protect, authorize } = require('../middleware/auth');
+const { ROLES } = require('../config/roles');
 
 /**
  * @swagger
  * /api/users:
  *   get:
  *     summary: Get all users
+ *     description: "**Required role:** admin"
+ *     x-required-roles: [admin]
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -36,10 +44,15 @@ const { protect } = require('../middleware/auth');
  *                   email: "jane@example.com"
  *       401:
  *         description: Not authorized
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  *   post:
- *     summary: Create new user (Public signup)
+ *     summary: Create new user
+ *     description: "Direct account creation by an administrator. Other users join through invitations (`/api/invitations`, `/api/auth/register`). **Required role:** admin"
+ *     x-required-roles: [admin]
  *     tags: [Users]
- *     security: []
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -48,7 +61,7 @@ const { protect } = require('../middleware/auth');
  *             $ref: '#/components/schemas/User'
  *     responses:
  *       201:
- *         description: User created successfully with JWT token
+ *         description: User created successfully
  *         content:
  *           application/json:
  *             example:
@@ -58,7 +71,7 @@ const { protect } = require('../middleware/auth');
  *                 name: "New User"
  *                 userName: "newuser"
  *                 email: "newuser@example.com"
- *                 token: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
+ *                 role: "viewer"
  *       400:
  *         description: Validation error
  *         content:
@@ -66,15 +79,19 @@ const { protect } = require('../middleware/auth');
  *             example:
  *               success: false
  *               error: "User already exists"
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  */
-router.get('/', protect, getUsers);
-router.post('/', createUser);
+router.get('/', protect, authorize(ROLES.ADMIN), getUsers);
+router.post('/', protect, authorize(ROLES.ADMIN), createUser);
 
 /**
  * @swagger
  * /api/users/{id}:
  *   get:
  *     summary: Get user by ID
+ *     description: "**Required role:** admin"
+ *     x-required-roles: [admin]
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -97,10 +114,14 @@ router.post('/', createUser);
  *                 name: "John Doe"
  *                 userName: "john_doe"
  *                 email: "john@example.com"
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  *       404:
  *         description: User not found
  *   put:
  *     summary: Update user
+ *     description: "**Required role:** admin"
+ *     x-required-roles: [admin]
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -128,10 +149,14 @@ router.post('/', createUser);
  *                 name: "John Doe Updated"
  *                 userName: "john_doe"
  *                 email: "john.updated@example.com"
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  *       404:
  *         description: User not found
  *   delete:
  *     summary: Delete user
+ *     description: "**Required role:** admin"
+ *     x-required-roles: [admin]
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -149,11 +174,106 @@ router.post('/', createUser);
  *             example:
  *               success: true
  *               message: "User removed"
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: User not found
+ */
+router.get('/:id', protect, authorize(ROLES.ADMIN), getUser);
+router.put('/:id', protect, authorize(ROLES.ADMIN), updateUser);
+router.delete('/:id', protect, authorize(ROLES.ADMIN), deleteUser);
+
+/**
+ * @swagger
+ * /api/users/{id}/unlock:
+ *   post:
+ *     summary: Unlock an account locked by failed logins
+ *     description: "Clears the failed login counter and lockout. **Required role:** admin"
+ *     x-required-roles: [admin]
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Account unlocked
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               message: "Account unlocked"
+ *               data:
+ *                 _id: "674b1234567890abcdef1234"
+ *                 userName: "john_doe"
+ *                 failedLoginCount: 0
+ *                 lockUntil: null
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  *       404:
  *         description: User not found
  */
-router.get('/:id', protect, getUser);
-router.put('/:id', protect, updateUser);
-router.delete('/:id', protect, deleteUser);
+router.post('/:id/unlock', protect, authorize(ROLES.ADMIN), unlockUser);
+
+/**
+ * @swagger
+ * /api/users/{id}/sessions:
+ *   get:
+ *     summary: List a user's active sessions
+ *     description: "**Required role:** admin"
+ *     x-required-roles: [admin]
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Active sessions (same shape as /api/auth/sessions, without current)
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: User not found
+ */
+router.get('/:id/sessions', protect, authorize(ROLES.ADMIN), getUserSessions);
+
+/**
+ * @swagger
+ * /api/users/{id}/sessions/{sessionId}:
+ *   delete:
+ *     summary: Sign out one of a user's sessions
+ *     description: "**Required role:** admin"
+ *     x-required-roles: [admin]
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session signed out
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Session not found
+ */
+router.delete('/:id/sessions/:sessionId', protect, authorize(ROLES.ADMIN), revokeUserSession);
 
 module.exports = router;
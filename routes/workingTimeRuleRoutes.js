@@ -0,0 +1,180 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getWorkingTimeRules,
+  updateWorkingTimeRule,
+  resetWorkingTimeRule,
+  checkWorkingTime,
+} = require('../controllers/workingTimeRuleController');
+const { protect, authorize } = require('../middleware/auth');
+const { ROLES, ROSTER_MANAGERS } = require('../config/roles');
+
+router.use(protect);
+
+/**
+ * @swagger
+ * /api/working-time-rules:
+ *   get:
+ *     summary: List the working-time rules of the facility
+ *     description: Every rule as it applies to the facility, its own setting where it has one (isDefault false) and the default otherwise. Rules are checked whenever roster assignments or worked attendance are saved; those with error severity stop the write and the others are returned as warnings.
+ *     tags: [Working-time rules]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Working-time rules
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               count: 4
+ *               data:
+ *                 - rule: "minRestHours"
+ *                   limit: 11
+ *                   periodDays: null
+ *                   severity: "error"
+ *                   isActive: true
+ *                   isDefault: true
+ *                 - rule: "maxConsecutiveDays"
+ *                   limit: 5
+ *                   periodDays: null
+ *                   severity: "warning"
+ *                   isActive: true
+ *                   isDefault: true
+ *                 - rule: "maxWeeklyHours"
+ *                   limit: 48
+ *                   periodDays: null
+ *                   severity: "warning"
+ *                   isActive: true
+ *                   isDefault: true
+ *                 - rule: "maxNightShifts"
+ *                   limit: 3
+ *                   periodDays: 7
+ *                   severity: "error"
+ *                   isActive: true
+ *                   isDefault: false
+ */
+router.get('/', getWorkingTimeRules);
+
+/**
+ * @swagger
+ * /api/working-time-rules/check:
+ *   post:
+ *     summary: Check a shift against the working-time rules
+ *     description: "Which rules putting the staff member on the shift would break on the live roster, without saving anything. **Required role:** admin, ward_manager"
+ *     x-required-roles: [admin, ward_manager]
+ *     tags: [Working-time rules]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - staffId
+ *               - date
+ *             properties:
+ *               staffId:
+ *                 type: string
+ *                 description: Staff _id or staffId
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               shift:
+ *                 type: string
+ *                 description: Shift name or code; defaults to the staff member's own shift
+ *           example:
+ *             staffId: "N001"
+ *             date: "2025-12-02"
+ *             shift: "Morning"
+ *     responses:
+ *       200:
+ *         description: Rules the shift would break, split by severity
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               data:
+ *                 staff: "674b1234567890abcdef1111"
+ *                 date: "2025-12-02T00:00:00.000Z"
+ *                 shift: "Morning"
+ *                 allowed: false
+ *                 errors:
+ *                   - rule: "minRestHours"
+ *                     severity: "error"
+ *                     limit: 11
+ *                     message: "Less than 11 hours of rest between shifts"
+ *                 warnings: []
+ *       400:
+ *         description: Missing staff ID or date, or an invalid date
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Staff not found
+ */
+router.post('/check', authorize(...ROSTER_MANAGERS), checkWorkingTime);
+
+/**
+ * @swagger
+ * /api/working-time-rules/{rule}:
+ *   put:
+ *     summary: Set a working-time rule for the facility
+ *     description: "Fields left out keep their current value. periodDays only applies to maxNightShifts. **Required role:** admin"
+ *     x-required-roles: [admin]
+ *     tags: [Working-time rules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: rule
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [minRestHours, maxConsecutiveDays, maxWeeklyHours, maxNightShifts]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WorkingTimeRule'
+ *           example:
+ *             limit: 3
+ *             periodDays: 7
+ *             severity: "error"
+ *     responses:
+ *       200:
+ *         description: The rule as it now applies
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Working-time rule not found
+ *   delete:
+ *     summary: Reset a working-time rule to its default
+ *     description: "Removes the facility's own setting of the rule. **Required role:** admin"
+ *     x-required-roles: [admin]
+ *     tags: [Working-time rules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: rule
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [minRestHours, maxConsecutiveDays, maxWeeklyHours, maxNightShifts]
+ *     responses:
+ *       200:
+ *         description: The default rule that applies again
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Working-time rule not found
+ */
+router.put('/:rule', authorize(ROLES.ADMIN), updateWorkingTimeRule);
+router.delete('/:rule', authorize(ROLES.ADMIN), resetWorkingTimeRule);
+
+module.exports = router;
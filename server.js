@@ -8,6 +8,11 @@ const connectDB = require('./config/database');
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Behind a reverse proxy, trust it so req.ip (used for login throttling) is the client address
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY, 10) || process.env.TRUST_PROXY);
+}
+
 console.log('Starting server initialization...');
 console.log('Environment variables loaded:');
 console.log('- NODE_ENV:', process.env.NODE_ENV);
@@ -32,7 +37,7 @@ const allowedOrigins = [
 app.use(cors({
   origin: true, // Allow all origins temporarily for debugging
   methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
-  allowedHeaders: ["Content-Type", "Authorization"],
+  allowedHeaders: ["Content-Type", "Authorization", "X-API-Key"],
   credentials: true,
   maxAge: 86400
 }));
@@ -69,10 +74,40 @@ try {
   console.log('Auth routes loaded');
   app.use('/api/users', require('./routes/userRoutes'));
   console.log('User routes loaded');
+  app.use('/api/invitations', require('./routes/invitationRoutes'));
+  console.log('Invitation routes loaded');
+  app.use('/api/api-keys', require('./routes/apiKeyRoutes'));
+  console.log('API key routes loaded');
+  app.use('/api/audit', require('./routes/auditRoutes'));
+  console.log('Audit routes loaded');
+  app.use('/api/me', require('./routes/meRoutes'));
+  console.log('Me routes loaded');
   app.use('/api/staff', require('./routes/staffRoutes'));
   console.log('Staff routes loaded');
   app.use('/api/attendance', require('./routes/attendanceRoutes'));
   console.log('Attendance routes loaded');
+  app.use('/api/shifts', require('./routes/shiftRoutes'));
+  console.log('Shift routes loaded');
+  app.use('/api/staffing-requirements', require('./routes/staffingRequirementRoutes'));
+  console.log('Staffing requirement routes loaded');
+  app.use('/api/roles', require('./routes/roleRoutes'));
+  console.log('Role routes loaded');
+  app.use('/api/departments', require('./routes/departmentRoutes'));
+  console.log('Department routes loaded');
+  app.use('/api/facilities', require('./routes/facilityRoutes'));
+  console.log('Facility routes loaded');
+  app.use('/api/roster', require('./routes/rosterRoutes'));
+  console.log('Roster routes loaded');
+  app.use('/api/schedules', require('./routes/scheduleRoutes'));
+  console.log('Schedule routes loaded');
+  app.use('/api/swaps', require('./routes/swapRoutes'));
+  console.log('Swap routes loaded');
+  app.use('/api/open-shifts', require('./routes/openShiftRoutes'));
+  console.log('Open shift routes loaded');
+  app.use('/api/working-time-rules', require('./routes/workingTimeRuleRoutes'));
+  console.log('Working-time rule routes loaded');
+  app.use('/api/rotation-patterns', require('./routes/rotationPatternRoutes'));
+  console.log('Rotation pattern routes loaded');
 } catch (error) {
   console.error('Error loading routes:', error.message, error.stack);
 }
@@ -0,0 +1,32 @@
+// Brings the indexes of every collection in line with the models: builds
+// the ones a model declares and drops the ones it no longer does, such as
+// indexes replaced by per-facility ones. Mongoose only ever adds indexes, so
+// run this once after upgrading a deployed database.
+//
+//   npm run migrate:indexes
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+
+const modelsDir = path.join(__dirname, 'models');
+
+const run = async () => {
+  fs.readdirSync(modelsDir)
+    .filter(file => file.endsWith('.js'))
+    .forEach(file => require(path.join(modelsDir, file)));
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  for (const model of Object.values(mongoose.models)) {
+    const dropped = await model.syncIndexes();
+    console.log(`${model.modelName}: ${dropped.length ? `dropped ${dropped.join(', ')}` : 'up to date'}`);
+  }
+
+  await mongoose.disconnect();
+};
+
+run().catch(async (error) => {
+  console.error('Index migration failed:', error.message);
+  await mongoose.disconnect();
+  process.exit(1);
+});
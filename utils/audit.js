@@ -0,0 +1,105 @@
+const AuditLog = require('../models/AuditLog');
+
+// Bookkeeping fields that never appear in an audit diff
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+// Secrets are recorded as changed, never with their values
+const REDACTED_FIELDS = [
+  'password',
+  'passwordHistory',
+  'passwordResetTokenHash',
+  'passwordResetExpires',
+  'twoFactorSecret',
+  'twoFactorPendingSecret',
+  'twoFactorLastStep',
+  'twoFactorRecoveryCodes',
+];
+const REDACTED = '[REDACTED]';
+
+// Plain copy of a document (or object) to diff against later
+const snapshot = (doc) => {
+  if (!doc) {
+    return null;
+  }
+  const plain = typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true }) : { ...doc };
+  return JSON.parse(JSON.stringify(plain));
+};
+
+const redact = (record) => {
+  if (!record) {
+    return null;
+  }
+  const copy = {};
+  Object.keys(record)
+    .filter(field => !IGNORED_FIELDS.includes(field))
+    .forEach(field => {
+      copy[field] = REDACTED_FIELDS.includes(field) ? REDACTED : record[field];
+    });
+  return copy;
+};
+
+// Only the fields whose value differs, as { before, after }
+const diff = (before, after) => {
+  const changed = { before: {}, after: {} };
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+  fields.forEach(field => {
+    if (IGNORED_FIELDS.includes(field)) {
+      return;
+    }
+    if (JSON.stringify(before[field]) === JSON.stringify(after[field])) {
+      return;
+    }
+    const redacted = REDACTED_FIELDS.includes(field);
+    changed.before[field] = redacted && before[field] !== undefined ? REDACTED : before[field] ?? null;
+    changed.after[field] = redacted && after[field] !== undefined ? REDACTED : after[field] ?? null;
+  });
+
+  return changed;
+};
+
+// Append an audit entry for a change made while handling `req`.
+// `before` and `after` are documents or snapshots; pass null for creates and deletes.
+// `actor` overrides req.user for unauthenticated flows such as registration.
+// A failure to audit is logged rather than failing a change that already happened.
+const recordAudit = async (req, { action, entityType, entityId, before = null, after = null, actor }) => {
+  try {
+    const previous = snapshot(before);
+    const current = snapshot(after);
+    const record = current || previous;
+    const entry = {
+      action,
+      entityType,
+      entityId: entityId || record._id,
+      actor: actor !== undefined ? actor : (req.user ? req.user._id : null),
+      actorApiKey: req.apiKey ? req.apiKey._id : null,
+      ip: req.ip || null,
+      // Records outside any facility, such as facilities themselves or the
+      // defaults of a single-facility install, are logged without one
+      facility: record && record.facility ? record.facility : null,
+    };
+
+    if (action === 'update') {
+      const changed = diff(previous || {}, current || {});
+      if (Object.keys(changed.after).length === 0) {
+        return null;
+      }
+      entry.before = changed.before;
+      entry.after = changed.after;
+    } else {
+      entry.before = redact(previous);
+      entry.after = redact(current);
+    }
+
+    return await AuditLog.create(entry);
+  } catch (error) {
+    console.error('Failed to write audit log entry:', error.message);
+    return null;
+  }
+};
+
+module.exports = {
+  snapshot,
+  diff,
+  recordAudit,
+};
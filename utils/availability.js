@@ -0,0 +1,91 @@
+const StaffAvailability = require('../models/StaffAvailability');
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+const toDateString = (date) => date.toISOString().split('T')[0];
+
+const idOf = (staff) => String(staff._id || staff);
+
+// How working `shift` on `date` goes against a staff member's declared
+// availability, as a list of { type, message }. Without a shift only the
+// days they cannot work are checked.
+const availabilityConflicts = (availability, date, shift) => {
+  if (!availability) {
+    return [];
+  }
+  const day = startOfDay(date);
+  const conflicts = [];
+  if (availability.unavailableDays.includes(day.getDay())) {
+    conflicts.push({ type: 'unavailableDay', message: `Unavailable on ${DAY_NAMES[day.getDay()]}s` });
+  }
+  const blackout = availability.blackoutDates.find(entry => startOfDay(entry.date).getTime() === day.getTime());
+  if (blackout) {
+    conflicts.push({
+      type: 'blackout',
+      message: `Unavailable on ${toDateString(day)}${blackout.reason ? `: ${blackout.reason}` : ''}`,
+    });
+  }
+  if (shift && availability.preferredShifts.length && !availability.preferredShifts.includes(shift)) {
+    conflicts.push({ type: 'preference', message: `Prefers ${availability.preferredShifts.join(' or ')} shifts` });
+  }
+  return conflicts;
+};
+
+// Declared availability of each of the staff, by staff _id
+const availabilityByStaff = async (staff) => {
+  const records = await StaffAvailability.find({ staff: { $in: [...new Set(staff.map(idOf))] } });
+  return new Map(records.map(record => [String(record.staff), record]));
+};
+
+// How one assignment goes against its staff member's availability
+const assignmentConflicts = async (assignment) => availabilityConflicts(
+  await StaffAvailability.findOne({ staff: idOf(assignment.staff) }),
+  assignment.date,
+  assignment.shift
+);
+
+// Assignments (or anything with staff, date and shift) that go against
+// their staff member's availability, each with its conflicts
+const flagAssignments = async (assignments) => {
+  const rostered = assignments.filter(assignment => assignment.staff);
+  const byStaff = await availabilityByStaff(rostered.map(assignment => assignment.staff));
+  return rostered
+    .map(assignment => ({
+      assignment: assignment._id,
+      staff: assignment.staff,
+      date: toDateString(assignment.date),
+      shift: assignment.shift,
+      conflicts: availabilityConflicts(byStaff.get(idOf(assignment.staff)), assignment.date, assignment.shift),
+    }))
+    .filter(entry => entry.conflicts.length);
+};
+
+// Staff working each shift of staffByShift on a day against their
+// availability: shift name -> [{ staff, conflicts }], listing only conflicts
+const shiftConflicts = async (staffByShift, date) => {
+  const byStaff = await availabilityByStaff(Object.values(staffByShift).flat());
+  const flagged = {};
+  Object.entries(staffByShift).forEach(([shift, staffList]) => {
+    flagged[shift] = staffList
+      .map(staff => ({
+        staff: { _id: staff._id, name: staff.name, staffId: staff.staffId },
+        conflicts: availabilityConflicts(byStaff.get(idOf(staff)), date, shift),
+      }))
+      .filter(entry => entry.conflicts.length);
+  });
+  return flagged;
+};
+
+module.exports = {
+  availabilityConflicts,
+  availabilityByStaff,
+  assignmentConflicts,
+  flagAssignments,
+  shiftConflicts,
+};
@@ -0,0 +1,82 @@
+const Department = require('../models/Department');
+const Staff = require('../models/Staff');
+const { ROLES, ATTENDANCE_MARKERS } = require('../config/roles');
+const { isSuperAdmin, requestFacility } = require('./tenancy');
+
+const OUT_OF_SCOPE = 'Not authorized to access other departments';
+const OTHER_STAFF = 'Not authorized to access other staff members';
+
+// Department the signed-in user is restricted to, or null when unrestricted.
+// Admins and API keys see every department of their facility; other users
+// only their own, when one is set on their account.
+const scopedDepartment = (req) => {
+  if (!req.user || req.user.role === ROLES.ADMIN || isSuperAdmin(req) || !req.user.department) {
+    return null;
+  }
+  return String(req.user.department);
+};
+
+// Whether the request may see or change this staff member
+const canAccessStaff = (req, staff) => {
+  const department = scopedDepartment(req);
+  return !department || (!!staff.department && String(staff.department._id || staff.department) === department);
+};
+
+// Staff record the signed-in user's reads are limited to, or null when
+// unrestricted. Those who mark attendance see their colleagues; any other
+// user linked to a staff record only ever sees their own.
+const linkedStaffOnly = (req) => {
+  if (!req.user || !req.user.staff || isSuperAdmin(req) || ATTENDANCE_MARKERS.includes(req.user.role)) {
+    return null;
+  }
+  return String(req.user.staff._id || req.user.staff);
+};
+
+// Whether the request may read this staff member's records
+const canReadStaff = (req, staff) => {
+  const own = linkedStaffOnly(req);
+  return !own || (!!staff && String(staff._id || staff) === own);
+};
+
+// Whether the request may see or change this attendance record
+const canAccessAttendance = async (req, attendance) => {
+  if (!scopedDepartment(req)) {
+    return true;
+  }
+  const staff = await Staff.findById(attendance.staffId._id || attendance.staffId).select('department');
+  return !!staff && canAccessStaff(req, staff);
+};
+
+// Department a list should be limited to: the one asked for (by _id, name or
+// code) within the request's facility, and never outside the user's own. Returns { department } with null
+// for all departments, or { status, error } when the request cannot be served.
+const departmentFilter = async (req, requested) => {
+  const scope = scopedDepartment(req);
+
+  if (!requested) {
+    return { department: scope };
+  }
+
+  const department = await Department.resolve(requested, {
+    includeInactive: true,
+    facility: requestFacility(req),
+  });
+  if (!department) {
+    return { status: 400, error: 'Department not found' };
+  }
+  if (scope && String(department._id) !== scope) {
+    return { status: 403, error: OUT_OF_SCOPE };
+  }
+  return { department: String(department._id) };
+};
+
+module.exports = {
+  OUT_OF_SCOPE,
+  OTHER_STAFF,
+  scopedDepartment,
+  linkedStaffOnly,
+  canReadStaff,
+  canAccessStaff,
+  canAccessAttendance,
+  departmentFilter,
+};
@@ -0,0 +1,149 @@
+const User = require('../models/User');
+const LoginAttempt = require('../models/LoginAttempt');
+const config = require('../config/loginThrottle');
+const { recordAudit } = require('./audit');
+
+const MINUTE = 60 * 1000;
+
+// Seconds a client must wait after its latest failure, doubling past the free attempts
+const getDelaySeconds = (failedCount) => {
+  if (failedCount < config.FREE_ATTEMPTS) {
+    return 0;
+  }
+  const delay = config.BASE_DELAY_SECONDS * 2 ** (failedCount - config.FREE_ATTEMPTS);
+  return Math.min(delay, config.MAX_DELAY_SECONDS);
+};
+
+const secondsUntil = (date, now) => Math.max(1, Math.ceil((date - now) / 1000));
+
+const delayedBlock = (failedCount, lastFailedAt, now) => {
+  if (!lastFailedAt) {
+    return null;
+  }
+  const nextAllowedAt = new Date(lastFailedAt.getTime() + getDelaySeconds(failedCount) * 1000);
+  if (nextAllowedAt <= now) {
+    return null;
+  }
+  return {
+    status: 429,
+    code: 'LOGIN_DELAYED',
+    error: 'Too many failed login attempts, please wait before retrying',
+    retryAfter: secondsUntil(nextAllowedAt, now),
+  };
+};
+
+const accountLockedBlock = (lockUntil, now) => ({
+  status: 423,
+  code: 'ACCOUNT_LOCKED',
+  error: 'Account temporarily locked due to too many failed login attempts',
+  lockedUntil: lockUntil,
+  retryAfter: secondsUntil(lockUntil, now),
+});
+
+const ipLockedBlock = (lockedUntil, now) => ({
+  status: 429,
+  code: 'IP_LOCKED',
+  error: 'Too many failed login attempts from this address',
+  lockedUntil,
+  retryAfter: secondsUntil(lockedUntil, now),
+});
+
+// Each check returns null when the attempt may proceed, otherwise the block to report
+const checkIp = async (ip, now = new Date()) => {
+  const attempt = await LoginAttempt.findOne({ ip });
+  if (!attempt) {
+    return null;
+  }
+  if (attempt.lockedUntil && attempt.lockedUntil > now) {
+    return ipLockedBlock(attempt.lockedUntil, now);
+  }
+  return delayedBlock(attempt.failedCount, attempt.lastFailedAt, now);
+};
+
+const checkAccount = (user, now = new Date()) => {
+  if (user.lockUntil && user.lockUntil > now) {
+    return accountLockedBlock(user.lockUntil, now);
+  }
+  return delayedBlock(user.failedLoginCount, user.lastFailedLoginAt, now);
+};
+
+// Lockout bookkeeping of a user, as recorded in the audit log
+const lockoutState = (user) => ({
+  facility: user.facility || null,
+  failedLoginCount: user.failedLoginCount || 0,
+  lastFailedLoginAt: user.lastFailedLoginAt || null,
+  lockUntil: user.lockUntil || null,
+});
+
+// Audit a change to a user's lockout state. Nobody is signed in yet, so the
+// user is recorded as the actor.
+const auditLockout = (req, user, after) => recordAudit(req, {
+  action: 'update',
+  entityType: 'User',
+  entityId: user._id,
+  before: { ...lockoutState(user), lastLoginAt: user.lastLoginAt || null },
+  after: { ...lockoutState(user), lastLoginAt: user.lastLoginAt || null, ...after },
+  actor: user._id,
+});
+
+// Record a failed attempt; returns a block if this failure triggered a lockout
+const recordFailure = async (req, user, now = new Date()) => {
+  const { ip } = req;
+  let block = null;
+
+  const attempt = await LoginAttempt.findOneAndUpdate(
+    { ip },
+    {
+      $inc: { failedCount: 1 },
+      $set: { lastFailedAt: now, expiresAt: new Date(now.getTime() + config.IP_WINDOW_MINUTES * MINUTE) },
+    },
+    { upsert: true, new: true }
+  );
+
+  if (attempt.failedCount >= config.IP_MAX_FAILED_ATTEMPTS) {
+    const lockedUntil = new Date(now.getTime() + config.LOCK_MINUTES * MINUTE);
+    await LoginAttempt.updateOne({ _id: attempt._id }, { lockedUntil, expiresAt: lockedUntil });
+    block = ipLockedBlock(lockedUntil, now);
+  }
+
+  if (user) {
+    // A lock that has run out starts the count again
+    await User.updateOne(
+      { _id: user._id, lockUntil: { $ne: null, $lte: now } },
+      { failedLoginCount: 0, lockUntil: null }
+    );
+
+    // Counted in one update so parallel guesses each add to the count
+    const counted = await User.findOneAndUpdate(
+      { _id: user._id },
+      { $inc: { failedLoginCount: 1 }, $set: { lastFailedLoginAt: now } },
+      { new: true }
+    );
+
+    if (counted) {
+      let { lockUntil } = counted;
+      if (counted.failedLoginCount >= config.MAX_FAILED_ATTEMPTS) {
+        lockUntil = new Date(now.getTime() + config.LOCK_MINUTES * MINUTE);
+        await User.updateOne({ _id: user._id }, { lockUntil });
+        block = accountLockedBlock(lockUntil, now);
+      }
+      await auditLockout(req, user, { failedLoginCount: counted.failedLoginCount, lastFailedLoginAt: now, lockUntil });
+    }
+  }
+
+  return block;
+};
+
+const recordSuccess = async (req, user, now = new Date()) => {
+  const update = { failedLoginCount: 0, lastFailedLoginAt: null, lockUntil: null, lastLoginAt: now };
+  await User.updateOne({ _id: user._id }, update);
+  await auditLockout(req, user, update);
+};
+
+module.exports = {
+  getDelaySeconds,
+  checkIp,
+  checkAccount,
+  recordFailure,
+  recordSuccess,
+};
@@ -0,0 +1,24 @@
+// Default transport just logs; production code plugs in a real one with
+// setTransport. The body is left out of the log because reset links and
+// invitation tokens in it are live credentials.
+const consoleTransport = {
+  send: async ({ to, subject }) => {
+    console.log(`Mail to ${to}: ${subject}`);
+  },
+};
+
+let transport = consoleTransport;
+
+// A transport is any object with an async send({ to, subject, text }) method
+const setTransport = (newTransport) => {
+  transport = newTransport || consoleTransport;
+};
+
+const sendMail = async (message) => {
+  return transport.send(message);
+};
+
+module.exports = {
+  setTransport,
+  sendMail,
+};
@@ -0,0 +1,116 @@
+const fs = require('fs');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+const User = require('../models/User');
+const policy = require('../config/passwordPolicy');
+
+const DAY = 24 * 60 * 60 * 1000;
+const COMMON_PASSWORDS_FILE = path.join(__dirname, '../config/common-passwords.txt');
+
+let commonPasswords;
+
+// Loaded on first use and kept in memory
+const getCommonPasswords = () => {
+  if (!commonPasswords) {
+    commonPasswords = new Set(
+      fs.readFileSync(COMMON_PASSWORDS_FILE, 'utf8')
+        .split('\n')
+        .map(line => line.trim().toLowerCase())
+        .filter(line => line && !line.startsWith('#'))
+    );
+  }
+  return commonPasswords;
+};
+
+const isCommonPassword = (password) => getCommonPasswords().has(password.toLowerCase());
+
+// Rules that can be checked without looking the user up.
+// Returns one { rule, message } entry per failed rule.
+const checkPasswordRules = (password) => {
+  if (typeof password !== 'string' || password.length === 0) {
+    return [{ rule: 'required', message: 'Please add a password' }];
+  }
+
+  const violations = [];
+  const fail = (rule, message) => violations.push({ rule, message });
+
+  if (password.length < policy.MIN_LENGTH) {
+    fail('minLength', `Password must be at least ${policy.MIN_LENGTH} characters`);
+  }
+  if (Buffer.byteLength(password) > policy.MAX_LENGTH) {
+    fail('maxLength', `Password must be at most ${policy.MAX_LENGTH} bytes`);
+  }
+  if (policy.REQUIRE_UPPERCASE && !/[A-Z]/.test(password)) {
+    fail('uppercase', 'Password must contain an uppercase letter');
+  }
+  if (policy.REQUIRE_LOWERCASE && !/[a-z]/.test(password)) {
+    fail('lowercase', 'Password must contain a lowercase letter');
+  }
+  if (policy.REQUIRE_DIGIT && !/[0-9]/.test(password)) {
+    fail('digit', 'Password must contain a digit');
+  }
+  if (policy.REQUIRE_SYMBOL && !/[^A-Za-z0-9]/.test(password)) {
+    fail('symbol', 'Password must contain a symbol');
+  }
+  if (policy.CHECK_COMMON && isCommonPassword(password)) {
+    fail('common', 'Password is too common');
+  }
+
+  return violations;
+};
+
+// The current password and the ones before it, up to HISTORY_COUNT in total
+const isReusedPassword = async (password, userId) => {
+  const user = await User.findById(userId).select('+password +passwordHistory');
+  if (!user) {
+    return false;
+  }
+
+  const hashes = new Set([user.password, ...(user.passwordHistory || [])]);
+  const recent = [...hashes].filter(Boolean).slice(0, policy.HISTORY_COUNT);
+  for (const hash of recent) {
+    if (await bcrypt.compare(password, hash)) {
+      return true;
+    }
+  }
+  return false;
+};
+
+// Full policy check. Pass the user id when changing an existing password
+// so reuse of recent passwords is rejected too.
+const validatePassword = async (password, userId) => {
+  const violations = checkPasswordRules(password);
+
+  if (typeof password === 'string' && password && userId && policy.HISTORY_COUNT > 0) {
+    if (await isReusedPassword(password, userId)) {
+      violations.push({
+        rule: 'history',
+        message: `Password must not match any of your last ${policy.HISTORY_COUNT} passwords`,
+      });
+    }
+  }
+
+  return violations;
+};
+
+const passwordPolicyError = (violations) => ({
+  success: false,
+  error: 'Password does not meet the password policy',
+  code: 'PASSWORD_POLICY',
+  violations,
+});
+
+const isPasswordExpired = (user, now = new Date()) => {
+  if (policy.MAX_AGE_DAYS <= 0) {
+    return false;
+  }
+  const changedAt = user.passwordChangedAt || user.createdAt;
+  return Boolean(changedAt) && now - changedAt > policy.MAX_AGE_DAYS * DAY;
+};
+
+module.exports = {
+  checkPasswordRules,
+  validatePassword,
+  passwordPolicyError,
+  isPasswordExpired,
+};
@@ -0,0 +1,344 @@
+const RosterAssignment = require('../models/RosterAssignment');
+const { LIVE } = require('../models/RosterAssignment');
+const Attendance = require('../models/Attendance');
+const Shift = require('../models/Shift');
+const { checkShiftRequirements } = require('./staffing');
+const { rotationShiftOn, rotationsByStaff } = require('./rotation');
+const { snapshot, recordAudit } = require('./audit');
+const { facilityToday } = require('./tenancy');
+const { INITIAL_ROSTER_DAYS } = require('../config/scheduling');
+const { screenAssignments } = require('./workingTime');
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+// Each day from startDate to endDate, both included
+const eachDay = (startDate, endDate) => {
+  const days = [];
+  const last = startOfDay(endDate);
+  for (const day = startOfDay(startDate); day <= last; day.setDate(day.getDate() + 1)) {
+    days.push(new Date(day));
+  }
+  return days;
+};
+
+// Assign each staff member, in their home department, on every day of the
+// range they have no assignment for yet: to the shift of their rotation
+// pattern, leaving its days off empty, or to their default shift when they
+// follow none. Days that would break a working-time rule with error severity
+// are left unassigned. Returns { assignments, violations, warnings }.
+const generateDefaultAssignments = async (staffList, { startDate, endDate, createdBy = null }) => {
+  const days = eachDay(startDate, endDate);
+  if (!staffList.length || !days.length) {
+    return { assignments: [], violations: [], warnings: [] };
+  }
+
+  const existing = await RosterAssignment.find({
+    ...LIVE,
+    staff: { $in: staffList.map(staff => staff._id) },
+    date: { $gte: days[0], $lte: days[days.length - 1] },
+  }).select('staff date');
+  const taken = new Set(existing.map(assignment => `${assignment.staff}|${assignment.date.getTime()}`));
+  const rotations = await rotationsByStaff(staffList);
+
+  const assignments = [];
+  staffList.forEach(staff => {
+    const pattern = rotations.get(String(staff._id));
+    days.forEach(date => {
+      if (taken.has(`${staff._id}|${date.getTime()}`)) {
+        return;
+      }
+      const shift = pattern ? rotationShiftOn(pattern, date, staff.rotation.offset) : staff.shift;
+      if (shift) {
+        assignments.push({
+          staff: staff._id,
+          date,
+          shift,
+          department: staff.department ? staff.department._id || staff.department : null,
+          facility: staff.facility || null,
+          source: pattern ? 'rotation' : 'default',
+          createdBy,
+        });
+      }
+    });
+  });
+
+  const { accepted, errors, warnings } = await screenAssignments(assignments);
+  return {
+    assignments: accepted.length ? await RosterAssignment.insertMany(accepted) : [],
+    violations: errors,
+    warnings,
+  };
+};
+
+// Unmarked attendance placeholders for assignments that have no attendance
+// record yet, each linked to its assignment
+const precreateAttendance = async (assignments, { markedBy }) => {
+  if (!assignments.length) {
+    return [];
+  }
+
+  const existing = await Attendance.find({
+    $or: assignments.map(({ staff, date, shift }) => ({ staffId: staff, date, shift })),
+  }).select('staffId date shift');
+  const recorded = new Set(existing.map(record => `${record.staffId}|${record.date.getTime()}|${record.shift}`));
+
+  const records = assignments
+    .filter(({ staff, date, shift }) => !recorded.has(`${staff}|${date.getTime()}|${shift}`))
+    .map(assignment => ({
+      staffId: assignment.staff,
+      facility: assignment.facility,
+      date: assignment.date,
+      shift: assignment.shift,
+      shiftDefinition: assignment.shiftDefinition,
+      assignment: assignment._id,
+      status: 'Absent',
+      remarks: '',
+      markedBy,
+    }));
+
+  return records.length ? Attendance.insertMany(records) : [];
+};
+
+// Roster staff from their rotation or default shift over a range, with
+// attendance placeholders, recording each in the audit log. Returns
+// { assignments, violations, warnings } as generateDefaultAssignments does.
+const rosterFromDefaults = async (req, staffList, { startDate, endDate }) => {
+  const createdBy = req.user ? req.user.id : null;
+  const rostered = await generateDefaultAssignments(staffList, { startDate, endDate, createdBy });
+  const { assignments } = rostered;
+  for (const assignment of assignments) {
+    await recordAudit(req, { action: 'create', entityType: 'RosterAssignment', after: assignment });
+  }
+  const attendance = await precreateAttendance(assignments, { markedBy: createdBy });
+  for (const record of attendance) {
+    await recordAudit(req, { action: 'create', entityType: 'Attendance', after: record });
+  }
+  return rostered;
+};
+
+// Attendance pre-created for an assignment and not marked since
+const findUnmarkedAttendance = (assignment) => Attendance.findOne({ assignment: assignment._id, revision: 1 });
+
+// Replace a staff member's live assignments from today on that were made
+// from their rotation or default shift, and whose attendance nobody has
+// marked, with ones from their current rotation over the same days, or over
+// the next INITIAL_ROSTER_DAYS days when they have none left. Used when the
+// rotation they follow changes.
+const rerosterFromDefaults = async (req, staff) => {
+  const today = await facilityToday(staff.facility);
+  const future = await RosterAssignment.find({
+    ...LIVE,
+    staff: staff._id,
+    date: { $gte: today },
+    source: { $in: ['default', 'rotation'] },
+  });
+  let endDate;
+  if (future.length) {
+    endDate = new Date(Math.max(...future.map(assignment => assignment.date.getTime())));
+  } else {
+    endDate = new Date(today);
+    endDate.setDate(today.getDate() + INITIAL_ROSTER_DAYS - 1);
+  }
+  for (const assignment of future) {
+    if (await Attendance.exists({ assignment: assignment._id, revision: { $gt: 1 } })) {
+      continue;
+    }
+    const placeholder = await findUnmarkedAttendance(assignment);
+    await assignment.deleteOne();
+    await recordAudit(req, { action: 'delete', entityType: 'RosterAssignment', before: assignment });
+    if (placeholder) {
+      await placeholder.deleteOne();
+      await recordAudit(req, { action: 'delete', entityType: 'Attendance', before: placeholder });
+    }
+  }
+  return rosterFromDefaults(req, [staff], { startDate: today, endDate });
+};
+
+// Bring attendance pre-created for a live assignment, and not marked since,
+// in line with the assignment's staff member, day and shift after it
+// changed. It is removed instead when that staff member already has a record
+// for the shift. Returns the change for the audit log, or null.
+const moveUnmarkedAttendance = async (assignment) => {
+  if (assignment.status !== 'published') {
+    return null;
+  }
+  const placeholder = await findUnmarkedAttendance(assignment);
+  const staffId = String(assignment.staff._id || assignment.staff);
+  if (!placeholder || (String(placeholder.staffId) === staffId
+    && placeholder.date.getTime() === assignment.date.getTime()
+    && placeholder.shift === assignment.shift)) {
+    return null;
+  }
+
+  const before = snapshot(placeholder);
+  const taken = await Attendance.exists({
+    _id: { $ne: placeholder._id },
+    staffId,
+    date: assignment.date,
+    shift: assignment.shift,
+  });
+  if (taken) {
+    await placeholder.deleteOne();
+    return { action: 'delete', before };
+  }
+  placeholder.set({ staffId, date: assignment.date, shift: assignment.shift });
+  await placeholder.save();
+  return { action: 'update', before, after: placeholder };
+};
+
+// The shift a staff member works on a day: that of their live assignment
+// (the first made, when they have several), else that of their rotation
+// pattern, null on its days off, else their default shift. Returns
+// { shift, assignment }, the assignment null when they are not rostered.
+const scheduledShiftOn = async (staff, date) => {
+  const day = startOfDay(date);
+  const assignment = await RosterAssignment.findOne({ ...LIVE, staff: staff._id, date: day }).sort({ createdAt: 1 });
+  if (assignment) {
+    return { shift: assignment.shift, assignment };
+  }
+  const pattern = (await rotationsByStaff([staff])).get(String(staff._id));
+  return {
+    shift: pattern ? rotationShiftOn(pattern, day, staff.rotation.offset) : staff.shift,
+    assignment: null,
+  };
+};
+
+// Staff working each shift (shift name -> staff) on a day, from the roster.
+// Staff without an assignment that day count on the shift of their rotation
+// pattern, or their default shift when they follow none. With a
+// department, staff rostered to another department that day are left out and
+// staff rostered in from other departments are added.
+const staffByShiftOn = async (staffList, date, { department = null } = {}) => {
+  const day = startOfDay(date);
+  const ids = staffList.map(staff => String(staff._id));
+  const scope = [{ staff: { $in: ids } }];
+  if (department) {
+    scope.push({ department });
+  }
+
+  const assignments = await RosterAssignment.find({ ...LIVE, date: day, $or: scope })
+    .populate('staff', 'name staffId role shift department');
+
+  const staffByShift = {};
+  const add = (shift, staff) => {
+    if (!staffByShift[shift]) {
+      staffByShift[shift] = [];
+    }
+    staffByShift[shift].push(staff);
+  };
+
+  const rostered = new Set();
+  const listed = new Map(staffList.map(staff => [String(staff._id), staff]));
+  assignments.forEach(assignment => {
+    if (!assignment.staff) {
+      return;
+    }
+    const staffId = String(assignment.staff._id);
+    rostered.add(staffId);
+    if (department && String(assignment.department) !== String(department)) {
+      return;
+    }
+    add(assignment.shift, listed.get(staffId) || assignment.staff);
+  });
+
+  const rotations = await rotationsByStaff(staffList);
+  staffList.forEach(staff => {
+    if (rostered.has(String(staff._id))) {
+      return;
+    }
+    const pattern = rotations.get(String(staff._id));
+    const shift = pattern ? rotationShiftOn(pattern, day, staff.rotation.offset) : staff.shift;
+    if (shift) {
+      add(shift, staff);
+    }
+  });
+
+  return staffByShift;
+};
+
+// Assignments of the live roster within a schedule period's dates, facility
+// and department (every department when it has none)
+const liveAssignmentsFor = (period) => {
+  const filter = {
+    ...LIVE,
+    facility: period.facility,
+    date: { $gte: period.startDate, $lte: period.endDate },
+  };
+  if (period.department) {
+    filter.department = period.department;
+  }
+  return RosterAssignment.find(filter);
+};
+
+// What publishing `draft` would change on the live roster: assignments that
+// would be added or removed, and those that would move to another department
+const diffAssignments = (live, draft) => {
+  const keyOf = (assignment) => [
+    String(assignment.staff._id || assignment.staff),
+    assignment.date.getTime(),
+    assignment.shift,
+  ].join('|');
+  const departmentOf = (assignment) => (assignment.department
+    ? String(assignment.department._id || assignment.department)
+    : null);
+
+  const liveByKey = new Map(live.map(assignment => [keyOf(assignment), assignment]));
+  const draftByKey = new Map(draft.map(assignment => [keyOf(assignment), assignment]));
+
+  const added = draft.filter(assignment => !liveByKey.has(keyOf(assignment)));
+  const removed = live.filter(assignment => !draftByKey.has(keyOf(assignment)));
+  const changed = draft
+    .filter(assignment => liveByKey.has(keyOf(assignment))
+      && departmentOf(liveByKey.get(keyOf(assignment))) !== departmentOf(assignment))
+    .map(assignment => ({ from: liveByKey.get(keyOf(assignment)), to: assignment }));
+
+  return { added, removed, changed };
+};
+
+// Staffing minimums a period's assignments (with staff populated) leave
+// unmet, checking every active shift of its facility on every day of the period
+const coverageGaps = async (period, assignments) => {
+  const shifts = new Set((await Shift.find({ facility: period.facility || null, isActive: true }).select('name'))
+    .map(shift => shift.name));
+  assignments.forEach(assignment => shifts.add(assignment.shift));
+
+  const gaps = [];
+  for (const date of eachDay(period.startDate, period.endDate)) {
+    const staffByShift = {};
+    shifts.forEach(shift => {
+      staffByShift[shift] = [];
+    });
+    assignments
+      .filter(assignment => assignment.staff && assignment.date.getTime() === date.getTime())
+      .forEach(assignment => staffByShift[assignment.shift].push(assignment.staff));
+
+    const shiftStatus = await checkShiftRequirements(staffByShift, {
+      facility: period.facility,
+      department: period.department,
+      date,
+    });
+    Object.entries(shiftStatus).forEach(([shift, status]) => {
+      (status.shortages || []).forEach(shortage => gaps.push({ date, shift, ...shortage }));
+    });
+  }
+  return gaps;
+};
+
+module.exports = {
+  eachDay,
+  coverageGaps,
+  liveAssignmentsFor,
+  diffAssignments,
+  generateDefaultAssignments,
+  precreateAttendance,
+  rosterFromDefaults,
+  rerosterFromDefaults,
+  findUnmarkedAttendance,
+  moveUnmarkedAttendance,
+  staffByShiftOn,
+  scheduledShiftOn,
+};
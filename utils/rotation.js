@@ -0,0 +1,89 @@
+const RotationPattern = require('../models/RotationPattern');
+const { ROTATION_OFF } = require('../models/RotationPattern');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+// Calendar days from one day to another, whatever daylight saving does
+const daysBetween = (from, to) => Math.round((startOfDay(to) - startOfDay(from)) / DAY_MS);
+
+// Shift a rotation puts its staff on on a day, `offset` days into the cycle;
+// null on a day off
+const rotationShiftOn = (pattern, date, offset = 0) => {
+  const length = pattern.steps.length;
+  if (!length) {
+    return null;
+  }
+  const index = (((daysBetween(pattern.anchorDate, date) + offset) % length) + length) % length;
+  const step = pattern.steps[index];
+  return step === ROTATION_OFF ? null : step;
+};
+
+// The dated shifts of a rotation from startDate to endDate, both included,
+// leaving out days off
+const expandRotation = (pattern, { startDate, endDate, offset = 0 }) => {
+  const shifts = [];
+  const last = startOfDay(endDate);
+  for (const day = startOfDay(startDate); day <= last; day.setDate(day.getDate() + 1)) {
+    const shift = rotationShiftOn(pattern, day, offset);
+    if (shift) {
+      shifts.push({ date: new Date(day), shift });
+    }
+  }
+  return shifts;
+};
+
+// Active rotation pattern each staff member follows, by staff _id; staff
+// following none, or an inactive one, are left out
+const rotationsByStaff = async (staffList) => {
+  const following = staffList.filter(staff => staff.rotation && staff.rotation.pattern);
+  if (!following.length) {
+    return new Map();
+  }
+  const patterns = await RotationPattern.find({
+    _id: { $in: following.map(staff => staff.rotation.pattern._id || staff.rotation.pattern) },
+    isActive: true,
+  });
+  const byId = new Map(patterns.map(pattern => [String(pattern._id), pattern]));
+  const rotations = new Map();
+  following.forEach(staff => {
+    const pattern = byId.get(String(staff.rotation.pattern._id || staff.rotation.pattern));
+    if (pattern) {
+      rotations.set(String(staff._id), pattern);
+    }
+  });
+  return rotations;
+};
+
+// Staff rotation from a request body value { pattern, offset }, the
+// pattern given by _id or name among the active ones of `facility`, or an
+// error message. A null pattern stops the staff member following one.
+const readRotation = async (value, facility) => {
+  if (value === null || (value && (value.pattern === null || value.pattern === ''))) {
+    return { rotation: { pattern: null, offset: 0 } };
+  }
+  if (typeof value !== 'object' || !value.pattern) {
+    return { error: 'Rotation needs a pattern' };
+  }
+  const offset = value.offset === undefined ? 0 : Number(value.offset);
+  if (!Number.isInteger(offset) || offset < 0) {
+    return { error: 'Offset must be a whole number of days' };
+  }
+  const pattern = await RotationPattern.resolve(value.pattern, { facility });
+  if (!pattern) {
+    return { error: 'Rotation pattern not found' };
+  }
+  return { rotation: { pattern: pattern._id, offset } };
+};
+
+module.exports = {
+  rotationShiftOn,
+  expandRotation,
+  rotationsByStaff,
+  readRotation,
+};
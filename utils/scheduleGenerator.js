@@ -0,0 +1,184 @@
+const { checkStaffing } = require('./staffing');
+const { ROLE_ALIASES } = require('../config/staffing');
+const { evaluateWorkingTime } = require('./workingTime');
+const { MAX_CONSECUTIVE_SHIFTS, MIN_REST_HOURS } = require('../config/scheduling');
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+const dayKey = (date) => startOfDay(date).getTime();
+
+// Seeds given as text are hashed (FNV-1a) so any string gives a stable run
+const toSeed = (seed) => {
+  if (Number.isInteger(seed)) {
+    return seed >>> 0;
+  }
+  let hash = 0x811c9dc5;
+  for (const char of String(seed)) {
+    hash ^= char.charCodeAt(0);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+// Small seeded PRNG (mulberry32): the same seed always gives the same numbers
+const createRandom = (seed) => {
+  let state = toSeed(seed);
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const idOf = (staff) => String(staff._id || staff);
+
+/**
+ * Build a roster for `days` that meets each shift's role minimums where it
+ * can. Every open slot goes to the eligible staff member who prefers that
+ * shift (one of their `preferences`, keyed by staff _id, then their default
+ * shift), then who has the fewest shifts in the range, with ties broken by
+ * the seeded random numbers, so the same input and seed always give the
+ * same roster.
+ *
+ * Staff work at most one shift a day, never on days in `unavailable` and
+ * never against one of the working-time `rules` (see evaluateWorkingTime),
+ * whatever its severity. Without `rules` they work no more than
+ * `maxConsecutiveShifts` days in a row and always with `minRestHours`
+ * between the end of one shift and the start of the next. `fixed`
+ * assignments (including ones just outside the range) are kept as they are
+ * and count towards those limits; only those with `counts` set count
+ * towards coverage. Slots that cannot be filled are returned as gaps.
+ */
+const generateRoster = ({
+  days,
+  shifts,
+  staff,
+  minimumsFor,
+  aliases = ROLE_ALIASES,
+  fixed = [],
+  unavailable = [],
+  preferences = {},
+  seed = 0,
+  maxConsecutiveShifts = MAX_CONSECUTIVE_SHIFTS,
+  minRestHours = MIN_REST_HOURS,
+  rules = [
+    { rule: 'maxConsecutiveDays', limit: maxConsecutiveShifts },
+    { rule: 'minRestHours', limit: minRestHours },
+  ],
+}) => {
+  const random = createRandom(seed);
+  const countsAs = (member) => aliases[member.role] || member.role;
+  const pool = [...staff].sort((a, b) => idOf(a).localeCompare(idOf(b)));
+  const rangeDays = new Set(days.map(dayKey));
+
+  const blocked = new Set(unavailable.map(({ staff: member, date }) => `${idOf(member)}|${dayKey(date)}`));
+  // Per staff member: days worked, shifts worked and shifts in the range
+  const worked = new Map();
+  const record = (member, date, shift) => {
+    const id = idOf(member);
+    if (!worked.has(id)) {
+      worked.set(id, { days: new Set(), shifts: [], count: 0 });
+    }
+    const entry = worked.get(id);
+    const day = dayKey(date);
+    entry.days.add(day);
+    entry.shifts.push({ date: new Date(day), shift });
+    if (rangeDays.has(day)) {
+      entry.count += 1;
+    }
+  };
+
+  // 0 for a declared preferred shift, 1 for the default shift, else 2
+  const preference = (member, shift) => {
+    if ((preferences[idOf(member)] || []).includes(shift)) {
+      return 0;
+    }
+    return member.shift === shift ? 1 : 2;
+  };
+
+  const onShift = new Map();
+  const slotKey = (date, shift) => `${dayKey(date)}|${shift}`;
+  fixed.forEach(assignment => {
+    record(assignment.staff, assignment.date, assignment.shift);
+    if (assignment.counts && rangeDays.has(dayKey(assignment.date))) {
+      const key = slotKey(assignment.date, assignment.shift);
+      onShift.set(key, [...(onShift.get(key) || []), assignment.staff]);
+    }
+  });
+
+  const canWork = (member, date, shift) => {
+    const id = idOf(member);
+    const day = dayKey(date);
+    if (blocked.has(`${id}|${day}`)) {
+      return false;
+    }
+    const entry = worked.get(id);
+    if (!entry) {
+      return true;
+    }
+    if (entry.days.has(day)) {
+      return false;
+    }
+    return !evaluateWorkingTime({ date, shift, worked: entry.shifts, shifts, rules }).length;
+  };
+
+  const assignments = [];
+  const gaps = [];
+  days.forEach(date => {
+    shifts.forEach(({ name: shift }) => {
+      const key = slotKey(date, shift);
+      const team = onShift.get(key) || [];
+      const minimums = minimumsFor(date, shift);
+
+      minimums.forEach(({ role, required }) => {
+        let needed = required - team.filter(member => countsAs(member) === role).length;
+        if (needed <= 0) {
+          return;
+        }
+        const candidates = pool
+          .filter(member => countsAs(member) === role && canWork(member, date, shift))
+          .map(member => ({
+            member,
+            rank: [
+              preference(member, shift),
+              worked.has(idOf(member)) ? worked.get(idOf(member)).count : 0,
+              random(),
+            ],
+          }))
+          .sort((a, b) => a.rank[0] - b.rank[0] || a.rank[1] - b.rank[1] || a.rank[2] - b.rank[2]);
+
+        for (const { member } of candidates) {
+          if (needed <= 0) {
+            break;
+          }
+          // Earlier picks in this slot may have changed what this one can do
+          if (!canWork(member, date, shift)) {
+            continue;
+          }
+          record(member, date, shift);
+          team.push(member);
+          assignments.push({ staff: member, date: new Date(dayKey(date)), shift });
+          needed--;
+        }
+      });
+
+      const status = checkStaffing(team, minimums, aliases);
+      (status.shortages || []).forEach(shortage => {
+        gaps.push({ date: new Date(dayKey(date)), shift, ...shortage });
+      });
+    });
+  });
+
+  return { assignments, gaps };
+};
+
+module.exports = {
+  createRandom,
+  generateRoster,
+};
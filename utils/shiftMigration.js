@@ -0,0 +1,168 @@
+const Shift = require('../models/Shift');
+const Staff = require('../models/Staff');
+const Attendance = require('../models/Attendance');
+const { DEFAULT_SHIFT_TIMES } = require('../config/shifts');
+
+// Labels such as "Morning (8:00 AM - 4:00 PM)"
+const LABEL_PATTERN = /^(.+?)\s*\(\s*(\d{1,2}:\d{2}\s*[AP]M)\s*-\s*(\d{1,2}:\d{2}\s*[AP]M)\s*\)$/i;
+const CLOCK_PATTERN = /^(\d{1,2}):(\d{2})\s*([AP]M)$/i;
+
+// "4:00 PM" -> "16:00"
+const to24Hour = (clock) => {
+  const [, hours, minutes, meridiem] = clock.match(CLOCK_PATTERN);
+  let hour = parseInt(hours, 10) % 12;
+  if (meridiem.toUpperCase() === 'PM') {
+    hour += 12;
+  }
+  return `${String(hour).padStart(2, '0')}:${minutes}`;
+};
+
+// Shift definition fields for a legacy free-form value, or null when its
+// times cannot be worked out
+const parseShiftLabel = (value) => {
+  if (typeof value !== 'string' || !value.trim()) {
+    return null;
+  }
+  const trimmed = value.trim();
+
+  let name = trimmed;
+  let times = null;
+  const label = trimmed.match(LABEL_PATTERN);
+  if (label) {
+    times = { startTime: to24Hour(label[2]), endTime: to24Hour(label[3]) };
+  } else {
+    const defaultName = Object.keys(DEFAULT_SHIFT_TIMES)
+      .find(candidate => candidate.toLowerCase() === trimmed.toLowerCase());
+    if (defaultName) {
+      name = defaultName;
+      times = DEFAULT_SHIFT_TIMES[defaultName];
+    }
+  }
+
+  if (!times) {
+    return null;
+  }
+  return {
+    name,
+    ...times,
+    crossesMidnight: times.endTime <= times.startTime,
+  };
+};
+
+// First word of the name, made unique among the facility's codes
+const uniqueCode = async (name, facility) => {
+  const base = (name.split(/\s+/)[0].toUpperCase().replace(/[^A-Z0-9]/g, '') || 'SHIFT').slice(0, 10);
+  let code = base;
+  for (let suffix = 2; await Shift.exists({ facility, code }); suffix++) {
+    code = `${base.slice(0, 10 - String(suffix).length)}${suffix}`;
+  }
+  return code;
+};
+
+// Attendance is unique per staff, date and shift, so two spellings of one
+// shift on the same day cannot both be renamed; those records are left as
+// they are and reported.
+const relinkAttendance = async (value, definition, facility) => {
+  const records = { facility, shift: value };
+  const update = { shift: definition.name, shiftDefinition: definition._id };
+  const total = await Attendance.countDocuments(records);
+  try {
+    await Attendance.updateMany(records, update);
+    return { updated: total, conflicts: [] };
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+
+  // updateMany stops at the first clash; retry what is left one by one
+  const conflicts = [];
+  const remaining = await Attendance.find(records).select('_id');
+  for (const record of remaining) {
+    try {
+      await Attendance.updateOne({ _id: record._id }, update);
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+      conflicts.push(record._id);
+    }
+  }
+  return { updated: total - conflicts.length, conflicts };
+};
+
+// Create the shift definitions of one facility for the free-form shift
+// values on its staff and attendance, then point those records at them
+const migrateFacility = async (facility, report, dryRun) => {
+  const values = [...new Set([
+    ...await Staff.distinct('shift', { facility }),
+    ...await Attendance.distinct('shift', { facility }),
+  ])].filter(Boolean);
+
+  for (const value of values) {
+    let definition = await Shift.resolve(value, { includeInactive: true, facility });
+
+    if (!definition) {
+      const parsed = parseShiftLabel(value);
+      if (!parsed) {
+        report.unmapped.push(value);
+        continue;
+      }
+      definition = await Shift.resolve(parsed.name, { includeInactive: true, facility });
+      if (!definition) {
+        report.created.push(parsed.name);
+        definition = dryRun
+          ? parsed
+          : await Shift.create({ ...parsed, code: await uniqueCode(parsed.name, facility), facility });
+      }
+    }
+
+    report.mapped[value] = definition.name;
+    if (dryRun) {
+      continue;
+    }
+
+    report.staffUpdated += await Staff.countDocuments({ facility, shift: value });
+    await Staff.updateMany(
+      { facility, shift: value },
+      { shift: definition.name, shiftDefinition: definition._id }
+    );
+
+    const { updated, conflicts } = await relinkAttendance(value, definition, facility);
+    report.attendanceUpdated += updated;
+    report.attendanceConflicts.push(...conflicts);
+  }
+};
+
+// Create shift definitions for the free-form shift values on staff and
+// attendance, in each facility that uses them, then point those records at
+// them. Values whose times cannot be worked out are reported as unmapped;
+// define them and run again.
+const migrateShifts = async ({ dryRun = false } = {}) => {
+  const report = {
+    created: [],
+    mapped: {},
+    unmapped: [],
+    staffUpdated: 0,
+    attendanceUpdated: 0,
+    attendanceConflicts: [],
+  };
+
+  // Records from before facilities have none
+  const facilities = [...new Set([
+    ...await Staff.distinct('facility'),
+    ...await Attendance.distinct('facility'),
+  ].filter(Boolean).map(String))];
+  for (const facility of [null, ...facilities]) {
+    await migrateFacility(facility, report, dryRun);
+  }
+
+  report.created = [...new Set(report.created)];
+  report.unmapped = [...new Set(report.unmapped)];
+  return report;
+};
+
+module.exports = {
+  parseShiftLabel,
+  migrateShifts,
+};
@@ -0,0 +1,110 @@
+const Attendance = require('../models/Attendance');
+const Staff = require('../models/Staff');
+
+// Look a staff member up by Mongo _id or by their human-readable staffId (e.g. N001),
+// optionally within extra conditions such as a facility
+const findStaff = (id, conditions = {}) => {
+  if (String(id).match(/^[0-9a-fA-F]{24}$/)) {
+    return Staff.findOne({ ...conditions, _id: id });
+  }
+  return Staff.findOne({ ...conditions, staffId: id });
+};
+
+const staffSummary = (staff) => ({
+  _id: staff._id,
+  name: staff.name,
+  staffId: staff.staffId,
+  role: staff.role,
+  shift: staff.shift,
+});
+
+// Attendance records of one staff member, newest first, with status counts
+const getStaffAttendance = async (staff, { startDate, endDate } = {}) => {
+  const filter = { staffId: staff._id };
+
+  if (startDate || endDate) {
+    filter.date = {};
+    if (startDate) {
+      filter.date.$gte = new Date(startDate).setHours(0, 0, 0, 0);
+    }
+    if (endDate) {
+      filter.date.$lte = new Date(endDate).setHours(23, 59, 59, 999);
+    }
+  }
+
+  const attendance = await Attendance.find(filter)
+    .populate('markedBy', 'name userName')
+    .sort({ date: -1 });
+
+  const statistics = {
+    total: attendance.length,
+    present: attendance.filter(a => a.status === 'Present').length,
+    absent: attendance.filter(a => a.status === 'Absent').length,
+    leave: attendance.filter(a => a.status === 'Leave').length,
+    halfDay: attendance.filter(a => a.status === 'Half-Day').length,
+  };
+
+  return { statistics, attendance };
+};
+
+// Attendance summary for the last 7 days, today included
+const getStaffWeeklyStats = async (staff, now = new Date()) => {
+  const endDate = new Date(now);
+  endDate.setHours(23, 59, 59, 999);
+
+  const startDate = new Date(now);
+  startDate.setDate(endDate.getDate() - 6);
+  startDate.setHours(0, 0, 0, 0);
+
+  const attendanceRecords = await Attendance.find({
+    staffId: staff._id,
+    date: {
+      $gte: startDate,
+      $lte: endDate
+    }
+  }).sort({ date: 1 });
+
+  const stats = {
+    totalDays: 7,
+    present: 0,
+    absent: 0,
+    leave: 0,
+    halfDay: 0,
+    notMarked: 0
+  };
+
+  attendanceRecords.forEach(record => {
+    if (record.status === 'Present') stats.present++;
+    else if (record.status === 'Absent') stats.absent++;
+    else if (record.status === 'Leave') stats.leave++;
+    else if (record.status === 'Half-Day') stats.halfDay++;
+    else if (record.status === 'Not Marked') stats.notMarked++;
+  });
+
+  const markedDays = stats.present + stats.absent + stats.leave + stats.halfDay;
+  const attendanceRate = markedDays > 0 ? ((stats.present / markedDays) * 100).toFixed(1) : '0.0';
+
+  return {
+    period: {
+      startDate: startDate.toISOString().split('T')[0],
+      endDate: endDate.toISOString().split('T')[0]
+    },
+    statistics: {
+      ...stats,
+      attendanceRate: `${attendanceRate}%`
+    },
+    records: attendanceRecords.map(record => ({
+      date: record.date.toISOString().split('T')[0],
+      shift: record.shift,
+      status: record.status,
+      remarks: record.remarks
+    }))
+  };
+};
+
+module.exports = {
+  findStaff,
+  staffSummary,
+  getStaffAttendance,
+  getStaffWeeklyStats,
+};
@@ -0,0 +1,127 @@
+const StaffingRequirement = require('../models/StaffingRequirement');
+const Shift = require('../models/Shift');
+const Role = require('../models/Role');
+const { DEFAULT_MINIMUMS, ROLE_ALIASES } = require('../config/staffing');
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+// Whether a rule covers this department, shift definition and day
+const appliesTo = (rule, { department = null, shiftId = null, date }) => {
+  if (rule.department && (!department || String(rule.department) !== String(department))) {
+    return false;
+  }
+  if (rule.shift && (!shiftId || String(rule.shift) !== String(shiftId))) {
+    return false;
+  }
+  if (rule.date) {
+    return startOfDay(rule.date).getTime() === startOfDay(date).getTime();
+  }
+  return !rule.daysOfWeek.length || rule.daysOfWeek.includes(startOfDay(date).getDay());
+};
+
+// Compared left to right: a date override beats a department rule, which
+// beats a shift rule, which beats a day-of-week rule; fewer days beat more.
+const specificity = (rule) => [
+  rule.date ? 1 : 0,
+  rule.department ? 1 : 0,
+  rule.shift ? 1 : 0,
+  rule.daysOfWeek.length ? 8 - rule.daysOfWeek.length : 0,
+];
+
+const compareSpecificity = (a, b) => {
+  const left = specificity(a);
+  const right = specificity(b);
+  for (let i = 0; i < left.length; i++) {
+    if (left[i] !== right[i]) {
+      return left[i] - right[i];
+    }
+  }
+  return 0;
+};
+
+// Most specific rule covering the context; the latest update wins a tie
+const findApplicableRequirement = (rules, context) => {
+  const matching = rules
+    .filter(rule => appliesTo(rule, context))
+    .sort((a, b) => compareSpecificity(b, a) || (b.updatedAt || 0) - (a.updatedAt || 0));
+  return matching[0] || null;
+};
+
+// Staffing status of one shift against a list of role minimums. Staff count
+// towards the role their own role is an alias of, if any.
+const checkStaffing = (staffList, minimums, aliases = ROLE_ALIASES) => {
+  const roleCounts = {};
+  staffList.forEach(staff => {
+    const role = aliases[staff.role] || staff.role;
+    roleCounts[role] = (roleCounts[role] || 0) + 1;
+  });
+
+  const staffCount = {};
+  const requirements = {};
+  const shortages = [];
+  const missingStaff = {};
+
+  minimums.forEach(({ role, required }) => {
+    const current = roleCounts[role] || 0;
+    staffCount[role] = current;
+    requirements[role] = required;
+    if (current < required) {
+      shortages.push({
+        role,
+        required,
+        current,
+        needed: required - current,
+      });
+      missingStaff[role] = required - current;
+    }
+  });
+
+  const isFullyStaffed = shortages.length === 0;
+  return {
+    isFullyStaffed,
+    staffCount,
+    requirements,
+    shortages: shortages.length > 0 ? shortages : null,
+    missingStaff: Object.keys(missingStaff).length > 0 ? missingStaff : null,
+    message: isFullyStaffed ? 'Fully staffed' : 'Short staffed',
+  };
+};
+
+// Staffing status of each shift in staffByShift (shift name -> staff) for
+// a department and day, using the applicable staffing requirement of the
+// facility or the defaults
+const checkShiftRequirements = async (staffByShift, { facility = null, department = null, date = new Date() } = {}) => {
+  const day = startOfDay(date);
+  const rules = await StaffingRequirement.find({
+    facility,
+    department: { $in: [null, department] },
+    date: { $in: [null, day] },
+  });
+  const shifts = await Shift.find({ facility, name: { $in: Object.keys(staffByShift) } });
+  const aliases = await Role.aliasMap(facility);
+  const shiftIds = {};
+  shifts.forEach(shift => {
+    shiftIds[shift.name] = shift._id;
+  });
+
+  const shiftStatus = {};
+  for (const [shift, staffList] of Object.entries(staffByShift)) {
+    const rule = findApplicableRequirement(rules, { department, shiftId: shiftIds[shift], date: day });
+    shiftStatus[shift] = {
+      ...checkStaffing(staffList, rule ? rule.minimums : DEFAULT_MINIMUMS, aliases),
+      rule: rule ? rule._id : null,
+    };
+  }
+
+  return shiftStatus;
+};
+
+module.exports = {
+  findApplicableRequirement,
+  checkStaffing,
+  checkShiftRequirements,
+};
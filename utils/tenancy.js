@@ -0,0 +1,70 @@
+const Facility = require('../models/Facility');
+const { ROLES } = require('../config/roles');
+
+// Header a super admin sets to work inside one facility
+const FACILITY_HEADER = 'x-facility-id';
+
+const isSuperAdmin = (req) => !!req.user && req.user.role === ROLES.SUPER_ADMIN;
+
+// Facility a request works in. Users and API keys are bound to their own
+// (null for data that predates facilities); super admins work across every
+// facility (undefined) unless they pick one with the X-Facility-Id header,
+// which protect has already checked.
+const requestFacility = (req) => {
+  if (isSuperAdmin(req)) {
+    return req.headers[FACILITY_HEADER] || undefined;
+  }
+  const owner = req.user || req.apiKey;
+  return owner && owner.facility ? String(owner.facility) : null;
+};
+
+// Query conditions that keep a request inside its facility
+const facilityFilter = (req) => {
+  const facility = requestFacility(req);
+  return facility === undefined ? {} : { facility };
+};
+
+// Whether a record belongs to the request's facility
+const inFacility = (req, record) => {
+  const facility = requestFacility(req);
+  if (facility === undefined) {
+    return true;
+  }
+  const own = record.facility ? String(record.facility._id || record.facility) : null;
+  return own === facility;
+};
+
+// Facility given to records the request creates
+const newRecordFacility = (req) => requestFacility(req) || null;
+
+// The calendar day it is in a time zone, as the local midnight days are
+// stored under; the server's own day without a time zone
+const dayIn = (timezone, now = new Date()) => {
+  if (!timezone) {
+    return new Date(new Date(now).setHours(0, 0, 0, 0));
+  }
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', { timeZone: timezone, year: 'numeric', month: 'numeric', day: 'numeric' })
+    .formatToParts(now)
+    .forEach(({ type, value }) => {
+      parts[type] = Number(value);
+    });
+  return new Date(parts.year, parts.month - 1, parts.day);
+};
+
+// Today at a facility, in its time zone
+const facilityToday = async (facility, now = new Date()) => {
+  const site = facility ? await Facility.findById(facility).select('timezone') : null;
+  return dayIn(site && site.timezone, now);
+};
+
+module.exports = {
+  FACILITY_HEADER,
+  isSuperAdmin,
+  requestFacility,
+  facilityFilter,
+  inFacility,
+  newRecordFacility,
+  dayIn,
+  facilityToday,
+};
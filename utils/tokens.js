@@ -0,0 +1,224 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const { recordAudit } = require('./audit');
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_EXPIRES_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS, 10) || 7;
+
+class RefreshTokenError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RefreshTokenError';
+  }
+}
+
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+const CHALLENGE_TOKEN_EXPIRES_IN = '5m';
+
+// Short-lived JWT carrying the user's token version, session family and 2FA state
+const generateAccessToken = (user, sessionId, mfa = false) => {
+  const payload = { id: user._id, tv: user.tokenVersion || 0 };
+  if (sessionId) {
+    payload.sid = sessionId;
+  }
+  if (mfa) {
+    payload.mfa = true;
+  }
+  return jwt.sign(payload, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+  });
+};
+
+// Proves the password step of a two-factor login; cannot be used as an access token
+const generateChallengeToken = (user) => {
+  return jwt.sign({ id: user._id, purpose: '2fa' }, process.env.JWT_SECRET, {
+    expiresIn: CHALLENGE_TOKEN_EXPIRES_IN,
+  });
+};
+
+// Returns the user id of a valid challenge token, otherwise null
+const verifyChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === '2fa' ? decoded.id : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const LAST_SEEN_RESOLUTION_MS = 60 * 1000;
+const MAX_USER_AGENT_LENGTH = 512;
+
+// Device details recorded against a session
+const clientInfo = (req) => ({
+  userAgent: (req.get('user-agent') || '').slice(0, MAX_USER_AGENT_LENGTH) || null,
+  ip: req.ip || null,
+});
+
+const createRefreshToken = async (userId, family, session = {}) => {
+  const token = crypto.randomBytes(40).toString('hex');
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_EXPIRES_DAYS * 24 * 60 * 60 * 1000);
+
+  await RefreshToken.create({
+    user: userId,
+    tokenHash: hashToken(token),
+    family,
+    mfa: session.mfa || false,
+    userAgent: session.userAgent || null,
+    ip: session.ip || null,
+    sessionStartedAt: session.sessionStartedAt || Date.now(),
+    lastSeenAt: Date.now(),
+    expiresAt,
+  });
+
+  return { token, hash: hashToken(token) };
+};
+
+// Start a new session: access token plus the first refresh token of a family
+const issueTokens = async (user, { mfa = false, client = {} } = {}) => {
+  const family = crypto.randomUUID();
+  const { token: refreshToken } = await createRefreshToken(user._id, family, { mfa, ...client });
+
+  return {
+    token: generateAccessToken(user, family, mfa),
+    refreshToken,
+  };
+};
+
+// Exchange a refresh token for a new pair. Presenting an already rotated
+// token revokes the whole family, since it means the token was stolen. The
+// token is claimed by revoking it in one update, so of two refreshes racing
+// with the same token only one gets a new pair; the other counts as reuse.
+const rotateRefreshToken = async (refreshToken, client = {}) => {
+  const tokenHash = hashToken(refreshToken);
+  const stored = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    { revokedAt: Date.now() },
+    { new: true }
+  );
+
+  if (!stored) {
+    const existing = await RefreshToken.findOne({ tokenHash });
+    if (!existing) {
+      throw new RefreshTokenError('Invalid refresh token');
+    }
+    if (existing.revokedAt) {
+      await RefreshToken.updateMany(
+        { family: existing.family, revokedAt: null },
+        { revokedAt: Date.now() }
+      );
+      throw new RefreshTokenError('Refresh token reuse detected');
+    }
+    throw new RefreshTokenError('Refresh token expired');
+  }
+
+  const user = await User.findById(stored.user);
+  if (!user || user.isActive === false) {
+    throw new RefreshTokenError('Invalid refresh token');
+  }
+
+  const { token, hash } = await createRefreshToken(user._id, stored.family, {
+    mfa: stored.mfa,
+    userAgent: stored.userAgent,
+    ip: client.ip || stored.ip,
+    sessionStartedAt: stored.sessionStartedAt,
+  });
+  await RefreshToken.updateOne({ _id: stored._id }, { replacedByHash: hash });
+
+  return {
+    user,
+    token: generateAccessToken(user, stored.family, stored.mfa),
+    refreshToken: token,
+  };
+};
+
+const revokeRefreshToken = async (refreshToken) => {
+  const stored = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+  if (!stored) {
+    return false;
+  }
+
+  await RefreshToken.updateMany(
+    { family: stored.family, revokedAt: null },
+    { revokedAt: Date.now() }
+  );
+  return true;
+};
+
+// Invalidate every access and refresh token the user holds. Without a
+// signed-in user, as in a password reset, the user is recorded as the actor.
+const revokeUserSessions = async (req, userId) => {
+  const user = await User.findOneAndUpdate({ _id: userId }, { $inc: { tokenVersion: 1 } }, { new: true });
+  if (user) {
+    await recordAudit(req, {
+      action: 'update',
+      entityType: 'User',
+      entityId: user._id,
+      before: { facility: user.facility, tokenVersion: user.tokenVersion - 1 },
+      after: { facility: user.facility, tokenVersion: user.tokenVersion },
+      actor: req.user ? undefined : user._id,
+    });
+  }
+  await RefreshToken.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: Date.now() }
+  );
+};
+
+// A session is the live refresh token of a family
+const toSession = (stored) => ({
+  id: stored.family,
+  userAgent: stored.userAgent,
+  ip: stored.ip,
+  issuedAt: stored.sessionStartedAt,
+  lastSeenAt: stored.lastSeenAt,
+  expiresAt: stored.expiresAt,
+  mfa: stored.mfa,
+});
+
+const listSessions = async (userId) => {
+  const active = await RefreshToken.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).sort({ lastSeenAt: -1 });
+
+  return active.map(toSession);
+};
+
+// Returns false when the user has no active session with this id
+const revokeSession = async (userId, sessionId) => {
+  const result = await RefreshToken.updateMany(
+    { user: userId, family: sessionId, revokedAt: null },
+    { revokedAt: Date.now() }
+  );
+  return result.modifiedCount > 0;
+};
+
+// Record activity on a session, at most once a minute to keep writes down
+const touchSession = async (stored) => {
+  if (!stored.lastSeenAt || Date.now() - stored.lastSeenAt > LAST_SEEN_RESOLUTION_MS) {
+    await RefreshToken.updateOne({ _id: stored._id }, { lastSeenAt: Date.now() });
+  }
+};
+
+module.exports = {
+  RefreshTokenError,
+  hashToken,
+  generateAccessToken,
+  generateChallengeToken,
+  verifyChallengeToken,
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeUserSessions,
+  clientInfo,
+  listSessions,
+  revokeSession,
+  touchSession,
+};
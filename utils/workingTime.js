@@ -0,0 +1,279 @@
+const { DEFAULT_SHIFT_TIMES } = require('../config/shifts');
+const { DEFAULT_WORKING_TIME_RULES } = require('../config/scheduling');
+const RosterAssignment = require('../models/RosterAssignment');
+const { LIVE } = require('../models/RosterAssignment');
+const SchedulePeriod = require('../models/SchedulePeriod');
+const Attendance = require('../models/Attendance');
+const WorkingTimeRule = require('../models/WorkingTimeRule');
+const Shift = require('../models/Shift');
+
+const MINUTE_MS = 60 * 1000;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+// Shifts that start before this time of day count as night shifts
+const NIGHT_STARTS_BEFORE = 5 * 60;
+// Attendance statuses that mean the shift was worked
+const WORKED_STATUSES = ['Present', 'Half-Day'];
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+// The day `count` calendar days after `date`
+const addDays = (date, count) => {
+  const day = startOfDay(date);
+  day.setDate(day.getDate() + count);
+  return day;
+};
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Start offset and length in minutes of a shift, from its definition or the
+// default times of a bare Morning, Evening or Night; null when unknown
+const shiftTimes = (shift) => {
+  const times = TIME_PATTERN.test(shift.startTime || '') && TIME_PATTERN.test(shift.endTime || '')
+    ? shift
+    : DEFAULT_SHIFT_TIMES[shift.name];
+  if (!times) {
+    return null;
+  }
+  const start = toMinutes(times.startTime);
+  let end = toMinutes(times.endTime);
+  if (end <= start) {
+    end += 24 * 60;
+  }
+  return { start, length: end - start };
+};
+
+// When a shift worked on a day starts and ends, the minutes worked less its
+// break and whether it is a night shift; null when its times are unknown
+const shiftInterval = (date, shift, definitions) => {
+  const definition = definitions.find(entry => entry.name === shift) || { name: shift };
+  const times = shiftTimes(definition);
+  if (!times) {
+    return null;
+  }
+  const start = startOfDay(date).getTime() + times.start * MINUTE_MS;
+  return {
+    start,
+    end: start + times.length * MINUTE_MS,
+    workMinutes: times.length - (definition.breakMinutes || 0),
+    night: times.start < NIGHT_STARTS_BEFORE || times.start + times.length > 24 * 60,
+  };
+};
+
+// Whether some `days`-day window that includes `date` holds more than
+// `limit` of the intervals, weighing each with `weight`
+const exceedsInWindow = (date, days, intervals, limit, weight) => {
+  for (let offset = 1 - days; offset <= 0; offset++) {
+    const from = addDays(date, offset).getTime();
+    const to = addDays(date, offset + days).getTime();
+    const total = intervals
+      .filter(interval => interval.start >= from && interval.start < to)
+      .reduce((sum, interval) => sum + weight(interval), 0);
+    if (total > limit) {
+      return true;
+    }
+  }
+  return false;
+};
+
+const CHECKS = {
+  // Hours off between the end of one shift and the start of the next
+  minRestHours: ({ next, intervals }, { limit }) => {
+    if (!next) {
+      return null;
+    }
+    const rest = limit * 60 * MINUTE_MS;
+    return intervals.some(other => next.start < other.end + rest && other.start < next.end + rest)
+      ? `Less than ${limit} hours of rest between shifts`
+      : null;
+  },
+  // Calendar days worked in a row, the new one included
+  maxConsecutiveDays: ({ date, days }, { limit }) => {
+    let run = 1;
+    for (let day = addDays(date, -1); days.has(day.getTime()); day = addDays(day, -1)) run++;
+    for (let day = addDays(date, 1); days.has(day.getTime()); day = addDays(day, 1)) run++;
+    return run > limit ? `More than ${limit} days worked in a row` : null;
+  },
+  // Hours worked, less breaks, in every 7 days that include the new shift
+  maxWeeklyHours: ({ date, next, intervals }, { limit }) => {
+    if (!next) {
+      return null;
+    }
+    return exceedsInWindow(date, 7, [...intervals, next], limit * 60, interval => interval.workMinutes)
+      ? `More than ${limit} hours of work in 7 days`
+      : null;
+  },
+  // Night shifts in every periodDays days that include a new night shift
+  maxNightShifts: ({ date, next, intervals }, { limit, periodDays }) => {
+    if (!next || !next.night) {
+      return null;
+    }
+    const days = periodDays || 7;
+    return exceedsInWindow(date, days, [...intervals, next], limit, interval => (interval.night ? 1 : 0))
+      ? `More than ${limit} night shifts in ${days} days`
+      : null;
+  },
+};
+
+/**
+ * Working-time rules a staff member would break by also working `shift` on
+ * `date`, given the shifts they already work (`worked`, a list of
+ * { date, shift }), the shift definitions and the `rules` that apply (by
+ * default DEFAULT_WORKING_TIME_RULES; inactive ones are skipped). Rules that
+ * depend on shift times skip shifts whose times are unknown. Returns a list
+ * of { rule, severity, limit, message }, empty when the shift fits.
+ */
+const evaluateWorkingTime = ({
+  date,
+  shift,
+  worked = [],
+  shifts = [],
+  rules = DEFAULT_WORKING_TIME_RULES,
+}) => {
+  const context = {
+    date,
+    next: shiftInterval(date, shift, shifts),
+    intervals: worked.map(entry => shiftInterval(entry.date, entry.shift, shifts)).filter(Boolean),
+    days: new Set(worked.map(entry => startOfDay(entry.date).getTime())),
+  };
+
+  const violations = [];
+  rules
+    .filter(rule => rule.isActive !== false && CHECKS[rule.rule])
+    .forEach(rule => {
+      const message = CHECKS[rule.rule](context, rule);
+      if (message) {
+        violations.push({
+          rule: rule.rule,
+          severity: rule.severity || 'warning',
+          limit: rule.limit,
+          message,
+        });
+      }
+    });
+  return violations;
+};
+
+// Violations split into those that stop the write and those reported with it
+const splitBySeverity = (violations) => ({
+  errors: violations.filter(violation => violation.severity === 'error'),
+  warnings: violations.filter(violation => violation.severity !== 'error'),
+});
+
+// Days either side of a shift that can change whether it fits the rules
+const lookAroundDays = (rules) => Math.max(7, ...rules.map(rule => (
+  rule.rule === 'maxConsecutiveDays' ? rule.limit + 1 : rule.periodDays || 0
+)));
+
+// The active rules of a facility
+const activeRules = async (facility) => (await WorkingTimeRule.effectiveFor(facility || null))
+  .filter(rule => rule.isActive);
+
+/**
+ * Working-time rules a roster assignment breaks against the rest of the
+ * staff member's roster: the live roster, or for a draft its schedule with
+ * the live assignments it does not replace. Assignments in `exclude` (ids)
+ * are left out and `extra` ones ({ date, shift }) added, to check several
+ * moves at once. Returns { errors, warnings }.
+ */
+const checkAssignment = async (assignment, { exclude = [], extra = [] } = {}) => {
+  const rules = await activeRules(assignment.facility);
+  const days = lookAroundDays(rules);
+  const staffId = assignment.staff._id || assignment.staff;
+  const ignored = [assignment._id, ...exclude].filter(Boolean);
+  const window = {
+    staff: staffId,
+    date: { $gte: addDays(assignment.date, -days), $lte: addDays(assignment.date, days) },
+    _id: { $nin: ignored },
+  };
+
+  let worked = await RosterAssignment.find({ ...window, ...LIVE }).select('date shift department');
+  if (assignment.status === 'draft' && assignment.period) {
+    const period = await SchedulePeriod.findById(assignment.period);
+    worked = worked.filter(entry => !period
+      || entry.date < period.startDate
+      || entry.date > period.endDate
+      || (period.department && String(entry.department) !== String(period.department)));
+    worked.push(...await RosterAssignment.find({ ...window, period: assignment.period }).select('date shift'));
+  }
+
+  return splitBySeverity(evaluateWorkingTime({
+    date: assignment.date,
+    shift: assignment.shift,
+    worked: [...worked, ...extra],
+    shifts: await Shift.find({ facility: assignment.facility || null }),
+    rules,
+  }));
+};
+
+/**
+ * Screen new live assignments, not saved yet, against the working-time
+ * rules. Each is checked against the roster, less the assignments in
+ * `exclude` (ids) they replace, and the ones before it that passed; those
+ * that break a rule with error severity are left out.
+ * Returns { accepted, errors, warnings }, each violation naming the staff
+ * member, day and shift it is about.
+ */
+const screenAssignments = async (assignments, { exclude = [] } = {}) => {
+  const accepted = [];
+  const errors = [];
+  const warnings = [];
+  for (const assignment of assignments) {
+    const staffId = String(assignment.staff._id || assignment.staff);
+    const extra = accepted
+      .filter(other => String(other.staff._id || other.staff) === staffId)
+      .map(other => ({ date: other.date, shift: other.shift }));
+    const result = await checkAssignment(assignment, { exclude, extra });
+
+    const about = { staff: staffId, date: assignment.date, shift: assignment.shift };
+    result.errors.forEach(violation => errors.push({ ...about, ...violation }));
+    result.warnings.forEach(violation => warnings.push({ ...about, ...violation }));
+    if (!result.errors.length) {
+      accepted.push(assignment);
+    }
+  }
+  return { accepted, errors, warnings };
+};
+
+/**
+ * Working-time rules an attendance record breaks against the other shifts
+ * the staff member is marked as having worked. Only records marked Present
+ * or Half-Day are checked. Returns { errors, warnings }.
+ */
+const checkAttendance = async (record) => {
+  if (!WORKED_STATUSES.includes(record.status)) {
+    return { errors: [], warnings: [] };
+  }
+  const rules = await activeRules(record.facility);
+  const days = lookAroundDays(rules);
+  const worked = await Attendance.find({
+    staffId: record.staffId,
+    date: { $gte: addDays(record.date, -days), $lte: addDays(record.date, days) },
+    status: { $in: WORKED_STATUSES },
+    _id: { $ne: record._id },
+  }).select('date shift');
+
+  return splitBySeverity(evaluateWorkingTime({
+    date: record.date,
+    shift: record.shift,
+    worked,
+    shifts: await Shift.find({ facility: record.facility || null }),
+    rules,
+  }));
+};
+
+module.exports = {
+  shiftTimes,
+  evaluateWorkingTime,
+  activeRules,
+  lookAroundDays,
+  checkAssignment,
+  screenAssignments,
+  checkAttendance,
+};